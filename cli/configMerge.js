@@ -1,5 +1,6 @@
 import { Config } from '../utils/Config.js';
 import { parseToolSelection } from '../utils/toolSelection.js';
+import { toList } from '../utils/config/coerceSections.js';
 
 /**
  * Parse authentication options from CLI args.
@@ -30,6 +31,10 @@ export function parseAuthConfig(args) {
     return { type: 'login-script', loginScript: args.loginScript };
   }
 
+  if (args.storageState) {
+    return { type: 'storage-state', storageState: args.storageState };
+  }
+
   return null;
 }
 
@@ -57,9 +62,80 @@ export async function loadMergedConfig(cwd, args, urlArg) {
     },
     crawler: {
       useSitemap: args.sitemap || undefined,
+      changedSince: args.changedSince || undefined,
       detectSpaRoutes: args.spa || undefined,
+      robotsUserAgent: args.robotsUserAgent || undefined,
+      hashRoutes: args.hashRoutes || undefined,
+      queryParams: {
+        strip: args.stripParams !== undefined ? toList(args.stripParams) : undefined,
+        allow: args.allowParams !== undefined ? toList(args.allowParams) : undefined,
+        sort: args.sortParams || undefined,
+      },
+      dedupe: {
+        canonical: args.noDedupe ? false : undefined,
+        contentHash: args.noDedupe ? false : args.collapseDuplicates || undefined,
+        hreflang: args.collapseLocales || undefined,
+      },
+      clickRoutes: args.clickRoutes || undefined,
+      maxClickCandidates: args.maxClickCandidates ? Number(args.maxClickCandidates) : undefined,
+      checkLinks: args.noLinkCheck ? false : undefined,
+      maxLinkChecks: args.maxLinkChecks !== undefined ? Number(args.maxLinkChecks) : undefined,
+      scanSitemapPages: args.scanSitemapPages || undefined,
+      templateSampling: args.templateSamples
+        ? { enabled: true, samplesPerTemplate: Number(args.templateSamples) }
+        : undefined,
+      scope:
+        args.allowedHosts || args.pathPrefixes
+          ? {
+              allowedHosts: args.allowedHosts ? toList(args.allowedHosts) : undefined,
+              pathPrefixes: args.pathPrefixes ? toList(args.pathPrefixes) : undefined,
+            }
+          : undefined,
+    },
+    // undefined, not null, so an `auth` section in the config file is kept.
+    auth: parseAuthConfig(args) ?? undefined,
+    checkpoint: {
+      dir: args.resume || args.checkpoint || undefined,
+    },
+    flow: {
+      file: args.flow || undefined,
+    },
+    urlList: {
+      file: args.urlsFile || undefined,
+      format: args.urlsFormat || undefined,
+    },
+    budget: {
+      maxDuration: args.maxDuration || undefined,
+    },
+    politeness: {
+      maxRequestsPerSecond: args.maxRps ? Number(args.maxRps) : undefined,
+      maxConcurrentPerHost: args.maxPerHost ? Number(args.maxPerHost) : undefined,
+    },
+    pageClassification: {
+      enabled: args.noErrorPageCheck ? false : undefined,
+    },
+    loginWall: {
+      url: args.loginUrl || undefined,
+      selector: args.loginSelector || undefined,
+    },
+    stateExploration: {
+      enabled: args.exploreStates || undefined,
+      maxStates: args.maxStates ? Number(args.maxStates) : undefined,
+    },
+    viewports: args.viewports ? toList(args.viewports) : undefined,
+    mediaModes: args.mediaModes ? toList(args.mediaModes) : undefined,
+    reflow: {
+      enabled: args.noReflow ? false : undefined,
+    },
+    pageStructure: {
+      enabled: args.pageStructure || undefined,
+    },
+    keyboard: {
+      enabled: args.keyboard || undefined,
+    },
+    textStress: {
+      enabled: args.textStress || undefined,
     },
-    auth: parseAuthConfig(args),
     evidence: {
       enabled: args.noCodeEvidence ? false : args.codeEvidence ? true : undefined,
       contextLines: args.evidenceContextLines ? Number(args.evidenceContextLines) : undefined,
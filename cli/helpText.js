@@ -36,10 +36,76 @@ ${bold('Report Options')}
 ${bold('Performance Options')}
   --concurrency <n>       Parallel audit workers (default: 1)
                           Higher values = faster but more CPU/memory
+  --max-rps <n>           Max requests per second to each host, crawl and audits (default: unlimited)
+  --max-per-host <n>      Max in-flight page loads per host (default: unlimited)
+                          429/503 Retry-After is always honoured, robots.txt Crawl-delay
+                          unless politeness.respectCrawlDelay is false
+  --max-duration <time>   Time budget for the whole run, e.g. 20m or 1h30m (default: unlimited)
+                          Discovery gets 30%; audits stop starting when time runs low
 
 ${bold('Crawler Options')}
   --sitemap               Use sitemap.xml for URL discovery
+  --changed-since <date>  Only audit sitemap URLs whose <lastmod> is on or after <date>
+                          (ISO date such as 2024-05-01, or an age such as 7d or 24h)
   --spa                   Enable SPA route detection (history.pushState)
+  --hash-routes           Treat #/route fragments as distinct routes (Angular/Vue hash routing)
+  --strip-params <list>   Query parameters dropped from URLs, comma-separated, * wildcard
+                          (e.g. utm_*,gclid,fbclid,msclkid; default: none)
+  --allow-params <list>   Keep only these query parameters, comma-separated
+  --sort-params           Sort query parameters so their order does not create new URLs
+  --no-dedupe             Do not collapse rel=canonical targets or duplicate-content pages
+  --collapse-locales      Collapse hreflang locale alternates into one route
+  --collapse-duplicates   Drop pages whose DOM content matches an already visited page
+  --click-routes          Click buttons, router-link and role="link" controls to find SPA routes
+  --max-click-candidates <n>
+                          Controls clicked per crawled page with --click-routes (default: 20)
+  --template-samples <n>  Cluster URLs into route templates and audit n pages per template
+  --allowed-hosts <list>  Extra hosts to crawl, comma-separated (e.g. shop.example.com,*.example.com)
+  --path-prefixes <list>  Only crawl these path prefixes, comma-separated (e.g. /docs,/help)
+  --robots-user-agent <name>
+                          User-agent token matched against robots.txt groups and appended to
+                          the User-Agent (default: a11y-audit-pro)
+  --no-link-check         Do not record HTTP status and redirects of internal links
+  --max-link-checks <n>   Discovered links checked without being crawled (default: 200)
+  --scan-sitemap-pages    Load pages picked from the sitemap to record their links
+  --no-error-page-check   Audit every route, even HTTP errors and soft-404 pages
+
+${bold('URL List Options')}
+  --urls-file <path>      Audit the URLs in a text, CSV or JSON file instead of crawling
+                          (use - to read the list from stdin); an explicit --limit caps it
+  --urls-format <format>  text, csv or json (default: by extension, else sniffed from the content)
+
+${bold('User Flow Options')}
+  --flow <path>           Audit the steps of a JSON user-flow file instead of crawling
+
+${bold('Interactive State Options')}
+  --explore-states        Open menus, accordions, tabs and dialogs and audit each revealed state
+  --max-states <n>        UI states audited per page (default: 10)
+
+${bold('Viewport Options')}
+  --viewports <list>      Audit each page at these viewports: desktop, laptop, tablet,
+                          mobile or WIDTHxHEIGHT (e.g. desktop,mobile,390x844)
+  --no-reflow             Skip the 320px horizontal-scroll (reflow) check run with --viewports
+
+${bold('Media Mode Options')}
+  --media-modes <list>    Also audit each page emulating these user preferences: light, dark,
+                          reduced-motion, forced-colors, more-contrast, less-contrast
+
+${bold('Page Structure Options')}
+  --page-structure        Snapshot each page's accessibility tree: heading outline, landmarks and
+                          form-control names
+
+${bold('Keyboard Options')}
+  --keyboard              Tab through each page: keyboard traps, unreachable controls,
+                          focus on hidden elements and missing focus indicators
+
+${bold('Text Stress Options')}
+  --text-stress           Apply WCAG 1.4.12 text spacing and 200% text size to each page and
+                          report clipped, truncated or overlapping text with screenshots
+
+${bold('Checkpoint Options')}
+  --checkpoint <dir>      Record crawl state and per-route results in <dir>
+  --resume <dir>          Resume an interrupted run from its checkpoint directory
 
 ${bold('Authentication Options')}
   --cookies <json>        Cookies as JSON array:
@@ -47,6 +113,11 @@ ${bold('Authentication Options')}
   --headers <json>        Headers as JSON object:
                           '{"Authorization":"Bearer token"}'
   --login-script <path>   Path to login script module
+  --storage-state <path>  Replay cookies and localStorage/sessionStorage saved by --save-auth-state
+  --save-auth-state <path>
+                          Sign in with the configured auth, save its storage state and exit
+  --login-url <url>       Login page; routes that end there are re-authenticated and retried
+  --login-selector <css>  Element only the login page renders (detects in-place login walls)
 
 ${bold('CI/CD Threshold Options')} (exit code 1 if threshold exceeded)
   --max-violations <n>    Fail if total violations exceed threshold
@@ -96,6 +167,19 @@ ${bold('Examples')}
 
   ${gray('# Use sitemap and parallel execution')}
   a11y-audit-pro --url https://example.com --sitemap --concurrency 3
+
+  ${gray('# Checkpoint a long run, then resume it after an interruption')}
+  a11y-audit-pro --url https://example.com --limit 500 --checkpoint ./.a11y-checkpoint
+  a11y-audit-pro --resume ./.a11y-checkpoint
+
+  ${gray('# Nightly run over the pages edited in the last day')}
+  a11y-audit-pro --url https://example.com --changed-since 24h --limit 200
+
+  ${gray('# Audit only the routes a CI job already knows changed')}
+  cat changed-routes.txt | a11y-audit-pro --urls-file - --url https://staging.example.com
+
+  ${gray('# Audit the checkpoints of a scripted user flow')}
+  a11y-audit-pro --flow ./checkout.flow.json --tool axe --format json,html
 `;
 }
 
@@ -22,6 +22,20 @@ export function parseArgs(argv) {
     'include-manual-checks',
     'verification-v2',
     'verification-deterministic',
+    'explore-states',
+    'keyboard',
+    'text-stress',
+    'no-reflow',
+    'page-structure',
+    'no-link-check',
+    'scan-sitemap-pages',
+    'hash-routes',
+    'click-routes',
+    'sort-params',
+    'collapse-locales',
+    'collapse-duplicates',
+    'no-dedupe',
+    'no-error-page-check',
   ];
 
   for (let i = 0; i < argv.length; i++) {
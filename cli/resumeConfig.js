@@ -0,0 +1,96 @@
+import { loadMergedConfig } from './configMerge.js';
+import { parseArgs } from './parseArgs.js';
+
+/**
+ * Settings that only say where the checkpoint lives, not how the run behaves,
+ * and `auth`, which the checkpoint does not store.
+ */
+const IGNORED_PATHS = ['checkpoint', 'auth'];
+
+/**
+ * Flatten a config into `dotted.path -> JSON value` leaves. Arrays are leaves.
+ *
+ * @param {Record<string, any>} value
+ * @param {string} [prefix]
+ * @param {Map<string, string>} [leaves]
+ * @returns {Map<string, string>}
+ */
+function flattenConfig(value, prefix = '', leaves = new Map()) {
+  for (const [key, child] of Object.entries(value || {})) {
+    const path = prefix ? `${prefix}.${key}` : key;
+    if (child && typeof child === 'object' && !Array.isArray(child)) {
+      flattenConfig(child, path, leaves);
+    } else if (child !== undefined) {
+      leaves.set(path, JSON.stringify(child));
+    }
+  }
+  return leaves;
+}
+
+/**
+ * Settings set on the current command line that differ from the checkpointed
+ * run's settings.
+ *
+ * @param {Record<string, any>} saved - Merged config of the checkpointed run
+ * @param {Record<string, any>} current - Merged config of this invocation
+ * @param {Record<string, any>} withoutFlags - Merged config of this invocation without CLI flags
+ * @returns {string[]} Dotted setting paths
+ */
+export function conflictingResumeSettings(saved, current, withoutFlags) {
+  const savedLeaves = flattenConfig(saved);
+  const baseLeaves = flattenConfig(withoutFlags);
+  const conflicts = [];
+  for (const [path, value] of flattenConfig(current)) {
+    if (IGNORED_PATHS.some((ignored) => path === ignored || path.startsWith(`${ignored}.`))) {
+      continue;
+    }
+    const setByFlag = baseLeaves.get(path) !== value;
+    if (setByFlag && savedLeaves.get(path) !== value) conflicts.push(path);
+  }
+  return conflicts;
+}
+
+/**
+ * Config for a `--resume` run: the checkpointed run's merged config, so the
+ * report is written with the same crawler, report, format and budget settings.
+ * Flags that would change those settings are rejected. Authentication is not
+ * checkpointed; it comes from this invocation's flags and config file, and a
+ * run that signed in must be given its auth again.
+ *
+ * @param {object} params
+ * @param {string} params.cwd
+ * @param {Record<string, any>} params.config - Merged config of this invocation
+ * @param {import('../utils/CheckpointStore.js').CheckpointStore} params.checkpoint
+ * @returns {Promise<Record<string, any>>}
+ */
+export async function resolveResumedConfig({ cwd, config, checkpoint }) {
+  const saved = checkpoint.config;
+  // Checkpoints written before the config was stored only carry the run inputs.
+  if (!saved) return config;
+
+  const withoutFlags = await loadMergedConfig(cwd, parseArgs([]), undefined);
+  const conflicts = conflictingResumeSettings(saved.values, config, withoutFlags);
+  if (conflicts.length > 0) {
+    throw new Error(
+      `--resume continues the checkpointed run with its own settings; these flags change them: ${conflicts.join(', ')}. Drop them, or start a new run with --checkpoint.`
+    );
+  }
+
+  if (saved.authType && !config.auth) {
+    throw new Error(
+      `The checkpointed run signed in with auth.type "${saved.authType}", which --resume does not store. Pass the same auth flags or config file again.`
+    );
+  }
+
+  const resumed = { ...saved.values, checkpoint: config.checkpoint };
+  if (config.auth) resumed.auth = config.auth;
+  // A URL list was saved as the checkpoint's routes, so it is not read again.
+  delete resumed.urlList;
+  Object.defineProperty(resumed, '__meta', {
+    value: saved.meta,
+    enumerable: false,
+    writable: false,
+    configurable: false,
+  });
+  return resumed;
+}
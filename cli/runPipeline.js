@@ -7,12 +7,35 @@ import BrowserManager from '../utils/BrowserManager.js';
 import { buildReportPaths } from '../utils/Output.js';
 import { WCAGCompliance } from '../utils/WCAGCompliance.js';
 import { ReportGenerator } from '../utils/ReportGenerator.js';
+import { CheckpointStore } from '../utils/CheckpointStore.js';
+import { RequestScheduler } from '../utils/RequestScheduler.js';
+import { RunBudget, parseDuration } from '../utils/RunBudget.js';
+import { defaultLogger } from '../utils/Logger.js';
+import { extrapolateTemplateFindings } from '../utils/report/shared/templateExtrapolation.js';
+import { summarizeFlowRuns } from '../utils/report/shared/flowSummary.js';
+import { summarizeLinkGraph } from '../utils/report/shared/linkGraphSummary.js';
+import { describeErrorPage, partitionErrorPages } from '../utils/report/shared/errorPages.js';
+import { loadFlowFile } from '../services/audit/flows/flowDefinition.js';
+import { loadUrlList } from '../services/crawler/input/urlList.js';
+import { parseChangedSince } from '../services/crawler/sitemap/sitemapEntries.js';
+import { createCrawlScope } from '../services/crawler/scope/crawlScope.js';
+import { PageClassifier } from '../services/crawler/status/pageClassification.js';
+import { DEFAULT_ROBOTS_USER_AGENT } from '../services/crawler/robots/robotsRules.js';
+import { LoginWallGuard } from '../services/audit/auth/loginWall.js';
+import { resolveFormLogin } from '../services/audit/auth/formLogin.js';
+import { loadStorageState, primeStorageState } from '../services/audit/auth/storageState.js';
+import { resolveViewports } from '../services/audit/viewports/viewportPresets.js';
+import { resolveMediaModes } from '../services/audit/media/mediaModes.js';
+import { createScreenshotBudget } from '../services/audit/toolRunners/textStressRunner.js';
 import { getInputs } from './inputFlow.js';
 import { loadMergedConfig } from './configMerge.js';
+import { resolveResumedConfig } from './resumeConfig.js';
 import { printHelp } from './helpText.js';
 import { renderFinalSummary } from './summaryRenderer.js';
+import { saveAuthState } from './saveAuthState.js';
 import { collectUnifiedIssues, orderReportResults } from './orderResults.js';
 import { validateToolThresholdCompatibility } from '../utils/toolSelection.js';
+import { parseHttpUrl } from '../utils/Validation.js';
 
 const SUPPRESS_DEFAULT_TOOL_WARNING_ENV = 'A11Y_SUPPRESS_TOOL_DEFAULT_WARNING';
 
@@ -30,23 +53,104 @@ export async function runPipeline({ args, logger }) {
   console.log(bold(cyan('\n⚡ A11Y TERMINAL AUDIT PRO ⚡\n')));
 
   const cwd = process.cwd();
-  const config = await loadMergedConfig(cwd, args, urlArg);
-  const interactive = !args.noInteractive && !config.url;
-  const shouldPromptForTools = interactive && config.__meta?.hasUserToolsSelection !== true;
+  let config = await loadMergedConfig(cwd, args, urlArg);
+
+  if (args.saveAuthState) return saveAuthState({ config, file: args.saveAuthState });
+
+  /** @type {CheckpointStore|null} */
+  let checkpoint = null;
+
+  /** @type {import('../services/audit/flows/flowDefinition.js').FlowDefinition[]|null} */
+  let flows = null;
+
+  /** @type {Awaited<ReturnType<typeof loadUrlList>>|null} */
+  let urlList = null;
+
+  /** @type {string[]} */
+  let routes = [];
+
+  /** @type {Date|null} */
+  let changedSince = null;
+
+  /** @type {import('../services/audit/auth/storageState.js').StorageState|null} */
+  let storageState = null;
+
+  /** @type {import('../services/audit/viewports/viewportPresets.js').ViewportSpec[]} */
+  let viewports = [];
+
+  /** @type {import('../services/audit/media/mediaModes.js').MediaMode[]} */
+  let mediaModes = [];
+
+  /** @type {RunBudget|null} */
+  let runBudget = null;
 
   let inputs;
   try {
+    // A resumed run reuses the original run's inputs and settings so its final
+    // report matches what the uninterrupted run would have produced.
+    if (args.resume) {
+      checkpoint = await CheckpointStore.open(args.resume);
+      config = await resolveResumedConfig({ cwd, config, checkpoint });
+    }
+    if (config.budget?.maxDuration) {
+      runBudget = new RunBudget({
+        maxDurationMs: parseDuration(config.budget.maxDuration),
+        discoveryShare: Number(config.budget.discoveryShare ?? 0.3),
+      });
+    }
+    if (config.flow?.file) {
+      if (checkpoint || config.checkpoint?.dir) {
+        throw new Error('--flow cannot be combined with --checkpoint or --resume');
+      }
+      flows = await loadFlowFile(config.flow.file);
+    }
+    if (config.urlList?.file) {
+      if (flows || args.resume) {
+        throw new Error('--urls-file cannot be combined with --flow or --resume');
+      }
+      // Discovery is skipped: the list is validated against the crawl scope
+      // up front and becomes the route list for Phase 2.
+      urlList = await loadUrlList(config.urlList.file, {
+        baseUrl: config.url ? parseHttpUrl(config.url).href : undefined,
+        scopeFor: (baseUrl) => createCrawlScope(baseUrl, config.crawler?.scope).isInScope,
+        hashRoutes: config.crawler?.hashRoutes === true,
+        format: config.urlList.format,
+      });
+    }
+    if (config.crawler?.changedSince) {
+      if (flows || urlList) {
+        throw new Error('--changed-since cannot be combined with --flow or --urls-file');
+      }
+      if (config.crawler.useSitemap === false) {
+        throw new Error('--changed-since reads sitemap <lastmod> dates; enable crawler.useSitemap');
+      }
+      changedSince = parseChangedSince(config.crawler.changedSince);
+    }
+    // Fail before launching Chrome on an incomplete form or an unset env: credential.
+    if (config.auth?.type === 'form') resolveFormLogin(config.auth.form);
+    if (config.auth?.type === 'storage-state') {
+      storageState = await loadStorageState(config.auth.storageState);
+    }
+    viewports = resolveViewports(config.viewports);
+    mediaModes = resolveMediaModes(config.mediaModes);
+    const resumedInputs = checkpoint?.inputs;
+    const flowStartUrl = flows?.[0].steps[0].url;
+    const interactive =
+      !args.noInteractive && !config.url && !resumedInputs && !flows && !urlList;
+    const shouldPromptForTools = interactive && config.__meta?.hasUserToolsSelection !== true;
+
     inputs = await getInputs({
       interactive,
-      urlArg: config.url,
-      limitArg: String(config.limit),
-      timeoutArg: String(config.timeout),
-      standardArg: config.standard,
+      urlArg: resumedInputs?.url ?? config.url ?? flowStartUrl ?? urlList?.baseUrl,
+      limitArg: String(resumedInputs?.limit ?? config.limit),
+      timeoutArg: String(resumedInputs?.timeoutMs ?? config.timeout),
+      standardArg: resumedInputs?.standard ?? config.standard,
       promptForTools: shouldPromptForTools,
-      toolsArg: config.tools,
+      toolsArg: resumedInputs?.tools ?? config.tools,
     });
 
     const shouldWarnImplicitDefault =
+      !resumedInputs &&
       config.__meta?.hasUserToolsSelection !== true &&
       !shouldPromptForTools &&
       process.env[SUPPRESS_DEFAULT_TOOL_WARNING_ENV] !== '1';
@@ -59,6 +163,37 @@ export async function runPipeline({ args, logger }) {
     }
 
     validateToolThresholdCompatibility(inputs.tools, config.thresholds || {});
+
+    if (flows && !inputs.tools.includes('axe') && !inputs.tools.includes('pa11y')) {
+      throw new Error('--flow audits with axe and/or Pa11y; add one of them to --tool');
+    }
+
+    if (!checkpoint && config.checkpoint?.dir) {
+      checkpoint = await CheckpointStore.create(
+        config.checkpoint.dir,
+        {
+          url: inputs.url.href,
+          limit: inputs.limit,
+          timeoutMs: inputs.timeoutMs,
+          standard: inputs.standard,
+          tools: inputs.tools,
+        },
+        config
+      );
+    }
+
+    if (urlList) {
+      // Only a --limit on the command line caps the list; the default limit is for crawls.
+      routes = args.limit ? urlList.urls.slice(0, inputs.limit) : urlList.urls;
+      await checkpoint?.completeCrawl(routes);
+      const capped =
+        routes.length < urlList.urls.length
+          ? ` (first ${routes.length} of ${urlList.urls.length}, --limit)`
+          : '';
+      console.log(
+        `Auditing ${routes.length} URL(s) from ${config.urlList.file === '-' ? 'stdin' : config.urlList.file}${capped}; crawl discovery skipped`
+      );
+    }
   } catch (err) {
     console.error(red(`\nError: ${err.message}\n`));
     printHelp();
@@ -81,8 +216,105 @@ export async function runPipeline({ args, logger }) {
   /** @type {any[]} */
   const report = [];
 
-  /** @type {string[]} */
-  let routes = [];
+  /** @type {Map<string, any>} */
+  let restoredResults = new Map();
+
+  /** @type {any[]|null} */
+  let routeTemplates = null;
+
+  /** @type {any|null} */
+  let linkGraph = null;
+
+  /** @type {any|null} */
+  let linkStatus = null;
+
+  /** Set when the run budget cut discovery short. */
+  let discoveryStoppedEarly = false;
+
+  /** @type {string[]} Discovered routes left unaudited when the run budget ran out */
+  const unauditedRoutes = [];
+
+  /** @type {string[]} Routes still queued when the run budget stopped discovery */
+  let unvisitedRoutes = [];
+
+  /** @type {Record<string, any[]>|null} */
+  let routeAliases = null;
+
+  /** @type {import('../utils/report/shared/errorPages.js').ErrorPage[]} */
+  let errorPages = [];
+
+  /** @type {Array<Awaited<ReturnType<typeof AuditService.runFlow>>>} */
+  const flowRuns = [];
+
+  // One scheduler for crawl and audits, so Crawl-delay and backoff carry across phases.
+  // Requests name the robots.txt token the crawl's rules were chosen for.
+  const scheduler = new RequestScheduler({
+    ...config.politeness,
+    userAgentToken: config.crawler?.robotsUserAgent || DEFAULT_ROBOTS_USER_AGENT,
+    log: defaultLogger,
+  });
+
+  // Each route is classified before its audit; error and soft-404 pages are not audited.
+  const pageClassifier =
+    config.pageClassification?.enabled === false
+      ? null
+      : new PageClassifier({
+          scheduler,
+          timeoutMs: inputs.timeoutMs,
+          compareToNotFound: config.pageClassification?.compareToNotFound ?? true,
+          similarityThreshold: config.pageClassification?.similarityThreshold ?? 0.9,
+          log: defaultLogger,
+        });
+
+  // Routes that land on the configured login page are re-authenticated and retried.
+  // A form login's page is the login wall unless one is configured.
+  const loginWall = {
+    ...config.loginWall,
+    url:
+      config.loginWall?.url ||
+      (config.auth?.type === 'form' ? config.auth.form?.loginUrl : null) ||
+      null,
+  };
+  const loginWallGuard =
+    loginWall.url || loginWall.selector
+      ? new LoginWallGuard({
+          scheduler,
+          loginWall,
+          auth: config.auth,
+          timeoutMs: inputs.timeoutMs,
+          log: defaultLogger,
+        })
+      : null;
+
+  // Text stress screenshots are inlined in the results, checkpoint and HTML report.
+  const screenshotBudget = createScreenshotBudget(
+    config.textStress?.maxScreenshotBytes ?? 10000000
+  );
+  const auditOptions = {
+    timeoutMs: inputs.timeoutMs,
+    includeDetails: Boolean(config.details),
+    standard: inputs.standard,
+    tools: selectedTools,
+    deduplicateIssues: config.deduplicateIssues ?? true,
+    evidence: config.evidence,
+    auth: config.auth,
+    stateExploration: config.stateExploration,
+    pageStructure: config.pageStructure,
+    keyboard: config.keyboard,
+    textStress: { ...config.textStress, screenshotBudget },
+    viewports,
+    reflow: config.reflow,
+    mediaModes,
+    scheduler,
+    pageClassifier,
+    loginWallGuard,
+    verification: {
+      v2: verificationV2,
+      deterministic: verificationDeterministic,
+      confidenceThreshold: verificationConfidenceThreshold,
+      gridSize: verificationGridSize,
+    },
+  };
 
   /** @type {import('../utils/SeverityMapper.js').UnifiedIssue[]} */
   let allUnifiedIssues = [];
@@ -95,14 +327,41 @@ export async function runPipeline({ args, logger }) {
           ctx.instance = await BrowserManager.create({
             noSandbox: config.browser?.noSandbox === true,
           });
+          if (storageState) {
+            await primeStorageState(ctx.instance.browser, storageState, inputs.timeoutMs).catch(
+              (err) => defaultLogger.warn(`Could not prime localStorage: ${err?.message || err}`)
+            );
+          }
         },
       },
       {
         title: 'Phase 1: Deep Crawl',
+        enabled: () => !flows && !urlList,
         task: async (ctx, task) => {
+          if (checkpoint?.crawlComplete) {
+            routes = checkpoint.routes;
+            routeTemplates = checkpoint.templates;
+            linkGraph = checkpoint.linkGraph;
+            linkStatus = checkpoint.linkStatus;
+            routeAliases = checkpoint.aliases;
+            unvisitedRoutes = checkpoint.unvisitedRoutes;
+            task.output = `Restored ${routes.length} route(s) from checkpoint`;
+            return;
+          }
+
           const crawlerConfig = {
             useSitemap: config.crawler?.useSitemap ?? true,
+            changedSince,
             respectRobotsTxt: config.crawler?.respectRobotsTxt ?? true,
+            robotsUserAgent: config.crawler?.robotsUserAgent,
+            hashRoutes: config.crawler?.hashRoutes ?? false,
+            queryParams: config.crawler?.queryParams,
+            dedupe: config.crawler?.dedupe,
+            clickRoutes: config.crawler?.clickRoutes ?? false,
+            maxClickCandidates: config.crawler?.maxClickCandidates ?? 20,
+            checkLinks: config.crawler?.checkLinks ?? true,
+            maxLinkChecks: config.crawler?.maxLinkChecks ?? 200,
+            scanSitemapPages: config.crawler?.scanSitemapPages ?? false,
             detectSpaRoutes: config.crawler?.detectSpaRoutes ?? true,
             pierceShadowDom: config.crawler?.pierceShadowDom ?? true,
             includePatterns: config.crawler?.includePatterns ?? [],
@@ -110,11 +369,16 @@ export async function runPipeline({ args, logger }) {
             discoverCommonPaths: config.crawler?.discoverCommonPaths ?? true,
             followNavigation: config.crawler?.followNavigation ?? true,
             maxDepth: config.crawler?.maxDepth ?? 5,
+            templateSampling: config.crawler?.templateSampling,
+            scope: config.crawler?.scope,
           };
 
           const crawler = new CrawlerService(inputs.url.href, {
             limit: inputs.limit,
             config: crawlerConfig,
+            resumeState: checkpoint ? await checkpoint.loadCrawlState() : null,
+            scheduler,
+            deadline: runBudget?.discoveryDeadline ?? null,
           });
 
           routes = await crawler.discoverRoutes({
@@ -122,39 +386,104 @@ export async function runPipeline({ args, logger }) {
             onMsg: (m) => {
               task.output = m;
             },
+            onCheckpoint: checkpoint ? (state) => checkpoint.saveCrawlState(state) : undefined,
           });
+          discoveryStoppedEarly = crawler.stoppedAtDeadline;
+          unvisitedRoutes = crawler.unvisitedRoutes;
 
-          if (routes.length === 0) routes = [inputs.url.href];
-          task.output = `Discovered ${routes.length} route(s)`;
+          if (routes.length === 0 && !changedSince) routes = [inputs.url.href];
+          routeTemplates = crawler.getTemplateSummary(routes);
+          linkGraph = crawler.getLinkGraph(routes);
+          linkStatus = crawler.getLinkStatus();
+          routeAliases = crawler.getAliases(routes);
+          await checkpoint?.completeCrawl(routes, {
+            templates: routeTemplates,
+            linkGraph,
+            linkStatus,
+            aliases: routeAliases,
+            unvisitedRoutes,
+          });
+          task.output = routeTemplates
+            ? `Discovered ${routes.length} route(s) across ${routeTemplates.length} template(s)`
+            : `Discovered ${routes.length} route(s)`;
+          if (changedSince && routes.length === 0) {
+            task.output = `No sitemap URLs changed since ${changedSince.toISOString()}`;
+          }
         },
         options: {
           persistentOutput: true,
         },
       },
       {
-        title: 'Phase 2: Scanning Routes',
-        task: (ctx, task) =>
+        title: 'Phase 2: Running User Flows',
+        enabled: () => Boolean(flows),
+        task: async (ctx, task) =>
           task.newListr(
+            flows.map((flow, flowIndex) => ({
+              title: `Pending: flow "${flow.name}"`,
+              task: async (_subCtx, subTask) => {
+                // Like route audits: a flow only starts while the budget allows.
+                if (runBudget && !runBudget.canStartAudit()) {
+                  flowRuns[flowIndex] = {
+                    name: flow.name,
+                    results: [],
+                    error: { stepIndex: 0, action: 'goto', message: 'Not run (time budget)' },
+                    durationMs: 0,
+                  };
+                  subTask.skip(`Not run (time budget): flow "${flow.name}"`);
+                  return;
+                }
+                const flowStartedAt = Date.now();
+                const flowRun = await AuditService.runFlow(flow, ctx.instance, auditOptions);
+                runBudget?.recordAudit(Date.now() - flowStartedAt);
+                flowRuns[flowIndex] = flowRun;
+
+                const issues = flowRun.results.reduce((sum, row) => sum + (row.totalIssues ?? 0), 0);
+                subTask.title = `Done: flow "${flow.name}" (${flowRun.results.length} checkpoint(s), Issues: ${issues})`;
+                if (flowRun.error) {
+                  subTask.title = `${yellow('⚠')} ${subTask.title} - stopped at step ${flowRun.error.stepIndex + 1}`;
+                }
+              },
+            })),
+            {
+              concurrent: config.concurrency || 1,
+              exitOnError: false,
+              rendererOptions: { collapseErrors: false },
+            }
+          ),
+      },
+      {
+        title: 'Phase 2: Scanning Routes',
+        enabled: () => !flows,
+        task: async (ctx, task) => {
+          if (checkpoint) {
+            restoredResults = await checkpoint.loadRouteResults(routes);
+            report.push(...restoredResults.values());
+          }
+
+          return task.newListr(
             routes.map((route) => ({
               title: `Pending: ${route}`,
+              skip: () => (restoredResults.has(route) ? `Restored from checkpoint: ${route}` : false),
               task: async (_subCtx, subTask) => {
-                const data = await AuditService.run(route, ctx.instance, {
-                  timeoutMs: inputs.timeoutMs,
-                  includeDetails: Boolean(config.details),
-                  standard: inputs.standard,
-                  tools: selectedTools,
-                  deduplicateIssues: config.deduplicateIssues ?? true,
-                  evidence: config.evidence,
-                  auth: config.auth,
-                  verification: {
-                    v2: verificationV2,
-                    deterministic: verificationDeterministic,
-                    confidenceThreshold: verificationConfidenceThreshold,
-                    gridSize: verificationGridSize,
-                  },
-                });
+                // In-flight audits finish; new ones only start while the budget allows.
+                if (runBudget && !runBudget.canStartAudit()) {
+                  unauditedRoutes.push(route);
+                  subTask.skip(`Not audited (time budget): ${route}`);
+                  return;
+                }
+                const auditStartedAt = Date.now();
+                const data = await AuditService.run(route, ctx.instance, auditOptions);
+                runBudget?.recordAudit(Date.now() - auditStartedAt);
+                if (routeAliases?.[route]) data.aliases = routeAliases[route];
 
                 report.push(data);
+                await checkpoint?.saveRouteResult(data);
+
+                if (data.pageClass) {
+                  subTask.title = `${yellow('⚠')} Not audited: ${route} (${describeErrorPage(data.pageClass)})`;
+                  return;
+                }
 
                 const formatMetric = (tool, value, format) => {
                   if (!selectedTools.includes(tool)) return 'SKIP';
@@ -180,18 +509,36 @@ export async function runPipeline({ args, logger }) {
               exitOnError: false,
               rendererOptions: { collapseErrors: false },
             }
-          ),
+          );
+        },
       },
       {
         title: 'Phase 3: Calculating Compliance',
         task: async (ctx) => {
-          const ordered = orderReportResults(report, routes);
-          report.splice(0, report.length, ...ordered);
+          if (flows) {
+            // Flow checkpoints keep flow order, then step order within each flow.
+            report.splice(0, report.length, ...flowRuns.flatMap((run) => run?.results || []));
+            routes = report.map((row) => row.url);
+          } else {
+            // Error and soft-404 pages are listed apart and kept out of scoring.
+            const partitioned = partitionErrorPages(orderReportResults(report, routes));
+            errorPages = partitioned.errorPages;
+            report.splice(0, report.length, ...partitioned.audited);
+          }
           allUnifiedIssues = collectUnifiedIssues(report);
+          if (screenshotBudget.omitted > 0) {
+            defaultLogger.warn(
+              `${screenshotBudget.omitted} text stress screenshot(s) omitted: the run reached textStress.maxScreenshotBytes (${screenshotBudget.maxBytes}).`
+            );
+          }
           ctx.compliance = WCAGCompliance.calculate(allUnifiedIssues, inputs.standard, {
             includeManualChecks,
             confidenceThreshold: verificationConfidenceThreshold,
           });
+          ctx.complianceByOrigin = WCAGCompliance.calculateByOrigin(report, inputs.standard, {
+            includeManualChecks,
+            confidenceThreshold: verificationConfidenceThreshold,
+          });
         },
       },
       {
@@ -237,6 +584,18 @@ export async function runPipeline({ args, logger }) {
             }
           );
 
+          ctx.budget = runBudget
+            ? {
+                ...runBudget.toJSON(),
+                discoveryStoppedEarly,
+                // Routes the crawl found but never reached follow the ones it reached.
+                unauditedRoutes: [
+                  ...routes.filter((route) => unauditedRoutes.includes(route)),
+                  ...unvisitedRoutes.filter((route) => !routes.includes(route)),
+                ],
+              }
+            : null;
+
           const payload = {
             meta: {
               tool: 'a11y-terminal-audit-pro',
@@ -250,7 +609,8 @@ export async function runPipeline({ args, logger }) {
               timeoutMs: inputs.timeoutMs,
               standard: inputs.standard,
               includeDetails: Boolean(config.details),
-              routesAudited: routes.length,
+              // Only routes that produced results: not budget-skipped routes or error pages.
+              routesAudited: report.length,
               concurrency: config.concurrency || 1,
               evidence: config.evidence,
               evidenceSummary: aggregatedEvidenceSummary,
@@ -273,9 +633,56 @@ export async function runPipeline({ args, logger }) {
                 gridSize: verificationGridSize,
               },
               formats,
+              templateSampling: routeTemplates
+                ? {
+                    samplesPerTemplate: config.crawler?.templateSampling?.samplesPerTemplate ?? 3,
+                    templates: routeTemplates.length,
+                    representedUrls: routeTemplates.reduce(
+                      (sum, template) => sum + template.representedUrls.length,
+                      0
+                    ),
+                  }
+                : null,
+              crawlScope: config.crawler?.scope ?? null,
+              flows: flows ? { file: config.flow.file, count: flows.length } : null,
+              discovery: {
+                skipped: Boolean(flows || urlList),
+                changedSince: changedSince?.toISOString() ?? null,
+                urlsFile: urlList
+                  ? {
+                      source: config.urlList.file === '-' ? 'stdin' : config.urlList.file,
+                      format: urlList.format,
+                      urls: urlList.urls.length,
+                      limit: args.limit ? inputs.limit : null,
+                    }
+                  : null,
+              },
+              stateExploration: config.stateExploration?.enabled ? config.stateExploration : null,
+              pageStructure: config.pageStructure?.enabled ? config.pageStructure : null,
+              keyboard: config.keyboard?.enabled ? config.keyboard : null,
+              textStress: config.textStress?.enabled ? config.textStress : null,
+              viewports: viewports.length ? viewports : null,
+              reflow: viewports.length && config.reflow?.enabled !== false ? config.reflow : null,
+              mediaModes: mediaModes.length ? mediaModes : null,
+              checkpoint: checkpoint
+                ? {
+                    dir: checkpoint.dir,
+                    resumed: Boolean(args.resume),
+                    restoredRoutes: restoredResults.size,
+                  }
+                : null,
             },
             compliance: ctx.compliance,
+            ...(ctx.complianceByOrigin ? { complianceByOrigin: ctx.complianceByOrigin } : {}),
             results: report,
+            ...(routeTemplates
+              ? { templates: extrapolateTemplateFindings(routeTemplates, report) }
+              : {}),
+            ...(flows ? { flows: summarizeFlowRuns(flows, flowRuns) } : {}),
+            ...(linkGraph ? { linkGraph: summarizeLinkGraph(linkGraph) } : {}),
+            ...(linkStatus ? { linkStatus } : {}),
+            ...(ctx.budget ? { budget: ctx.budget } : {}),
+            ...(errorPages.length > 0 ? { errorPages } : {}),
           };
 
           const shouldOpenHtml = formats.includes('html');
@@ -283,6 +690,7 @@ export async function runPipeline({ args, logger }) {
           ctx.generatedFiles = await ReportGenerator.generate(payload, outDir, formats, baseFilename, {
             openHtml: shouldOpenHtml,
             csvLegacy: config.report?.csvLegacy === true,
+            linkGraph,
           });
           ctx.evidenceSummary = aggregatedEvidenceSummary;
         },
@@ -304,6 +712,10 @@ export async function runPipeline({ args, logger }) {
       report,
       selectedTools,
       compliance: ctx.compliance,
+      complianceByOrigin: ctx.complianceByOrigin,
+      linkStatus,
+      budget: ctx.budget,
+      errorPages,
       evidenceSummary: ctx.evidenceSummary,
       thresholdResult: ctx.thresholdResult,
       generatedFiles: ctx.generatedFiles,
@@ -0,0 +1,70 @@
+import fs from 'fs-extra';
+import { green, red } from 'colorette';
+
+import BrowserManager from '../utils/BrowserManager.js';
+import { defaultLogger } from '../utils/Logger.js';
+import { parseHttpUrl } from '../utils/Validation.js';
+import { applyAuthentication } from '../services/audit/auth/applyAuth.js';
+import { captureStorageState } from '../services/audit/auth/storageState.js';
+
+/**
+ * Write a captured storage state readable by its owner only: it holds live
+ * session cookies and tokens.
+ *
+ * @param {string} file
+ * @param {{ cookies: any[], origins: any[] }} state
+ */
+export async function writeAuthStateFile(file, state) {
+  await fs.outputJson(file, state, { spaces: 2, mode: 0o600 });
+  // `mode` only applies when the file is created; tighten an existing one too.
+  await fs.chmod(file, 0o600);
+}
+
+/**
+ * `--save-auth-state <path>`: sign in once with the configured auth method,
+ * load the target URL and write the browser's cookies and web storage to
+ * `path`, for later runs to replay with `--storage-state <path>`. Nothing is
+ * audited. A sign-in that fails writes nothing and exits non-zero.
+ *
+ * @param {object} params
+ * @param {any} params.config - Merged config (`url`, `auth`, `browser`, `timeout`)
+ * @param {string} params.file
+ * @returns {Promise<number>} Exit code
+ */
+export async function saveAuthState({ config, file }) {
+  try {
+    if (!config.url) throw new Error('--save-auth-state needs the --url to sign in to');
+    const url = parseHttpUrl(config.url).href;
+    if (!config.auth || config.auth.type === 'storage-state') {
+      throw new Error(
+        '--save-auth-state needs a login method to run: --cookies, --headers, --login-script or an auth.type "form" config'
+      );
+    }
+
+    const instance = await BrowserManager.create({
+      noSandbox: config.browser?.noSandbox === true,
+    });
+    const page = await instance.browser.newPage();
+    try {
+      await applyAuthentication(page, config.auth, url, defaultLogger, { strict: true });
+      const state = await captureStorageState(page, [url], Number(config.timeout) || 30_000);
+      await writeAuthStateFile(file, state);
+      console.log(
+        green(
+          `✔ Saved auth state to ${file} (${state.cookies.length} cookies, ${state.origins.length} origins with web storage)`
+        )
+      );
+      console.log(`  Replay it with: --storage-state ${file}`);
+      return 0;
+    } finally {
+      await page.close().catch(() => {});
+    }
+  } catch (err) {
+    console.error(red(`\n✖ Could not save auth state: ${err?.message || err}\n`));
+    return 1;
+  } finally {
+    await BrowserManager.destroy().catch(() => {});
+  }
+}
+
+export default saveAuthState;
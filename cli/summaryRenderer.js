@@ -25,6 +25,10 @@ export function formatComplianceBadge(level) {
  * @param {Array<any>} params.report
  * @param {string[]} params.selectedTools
  * @param {any} params.compliance
+ * @param {any[]|null} [params.complianceByOrigin]
+ * @param {any|null} [params.linkStatus] - Broken and redirected link summary from the crawl
+ * @param {any|null} [params.budget] - `--max-duration` usage and the routes it left unaudited
+ * @param {import('../utils/report/shared/errorPages.js').ErrorPage[]} [params.errorPages] - Routes not audited as error or soft-404 pages
  * @param {any} params.evidenceSummary
  * @param {any} params.thresholdResult
  * @param {string[]} params.generatedFiles
@@ -35,6 +39,10 @@ export function renderFinalSummary({
   report,
   selectedTools,
   compliance,
+  complianceByOrigin = null,
+  linkStatus = null,
+  budget = null,
+  errorPages = [],
   evidenceSummary,
   thresholdResult,
   generatedFiles,
@@ -56,7 +64,7 @@ export function renderFinalSummary({
 
   for (const r of report) {
     table.push([
-      r.url,
+      r.flowStep ? `${r.flowStep.flow} › ${r.flowStep.name}\n${r.url}` : r.url,
       formatToolMetric('lighthouse', r.lhScore, r.errors, (v) => `${v}%`),
       formatToolMetric('axe', r.axeViolations, r.errors, (v) => String(v)),
       formatToolMetric('pa11y', r.pa11yIssues, r.errors, (v) => String(v)),
@@ -111,6 +119,86 @@ export function renderFinalSummary({
     }
   }
 
+  if (complianceByOrigin) {
+    console.log(`\n  ${bold('By Origin:')}`);
+    for (const entry of complianceByOrigin) {
+      console.log(
+        `    ${entry.origin}: ${formatComplianceBadge(entry.level)} ${entry.confirmedScore}/100 (${entry.routes} page${entry.routes !== 1 ? 's' : ''})`
+      );
+    }
+  }
+
+  const viewportTotals = new Map();
+  for (const viewport of report.flatMap((r) => r.viewports || [])) {
+    const totals = viewportTotals.get(viewport.name) ?? { ...viewport, totalIssues: 0, viewportSpecificIssues: 0 };
+    totals.totalIssues += viewport.totalIssues;
+    totals.viewportSpecificIssues += viewport.viewportSpecificIssues;
+    viewportTotals.set(viewport.name, totals);
+  }
+  if (viewportTotals.size > 0) {
+    console.log(`\n  ${bold('By Viewport:')}`);
+    for (const totals of viewportTotals.values()) {
+      console.log(
+        `    ${totals.name} (${totals.width}×${totals.height}): ${totals.totalIssues} issue${totals.totalIssues !== 1 ? 's' : ''}, ${totals.viewportSpecificIssues} only at some sizes`
+      );
+    }
+  }
+  const mediaModeTotals = new Map();
+  for (const mode of report.flatMap((r) => r.mediaModes || [])) {
+    const totals = mediaModeTotals.get(mode.name) ?? { name: mode.name, totalIssues: 0, mediaModeSpecificIssues: 0 };
+    totals.totalIssues += mode.totalIssues;
+    totals.mediaModeSpecificIssues += mode.mediaModeSpecificIssues;
+    mediaModeTotals.set(mode.name, totals);
+  }
+  if (mediaModeTotals.size > 0) {
+    console.log(`\n  ${bold('By Media Mode:')}`);
+    for (const totals of mediaModeTotals.values()) {
+      console.log(
+        `    ${totals.name}: ${totals.totalIssues} issue${totals.totalIssues !== 1 ? 's' : ''}, ${totals.mediaModeSpecificIssues} only in some modes`
+      );
+    }
+  }
+  const reflowChecked = report.filter((r) => r.reflow);
+  if (reflowChecked.length > 0) {
+    const overflowing = reflowChecked.filter((r) => r.reflow.overflows).length;
+    console.log(
+      `  Reflow (${reflowChecked[0].reflow.width}px): ${overflowing > 0 ? red(`${overflowing} page${overflowing !== 1 ? 's' : ''} scroll horizontally`) : 'no horizontal scrolling'} (${reflowChecked.length} checked)`
+    );
+  }
+
+  if (linkStatus) {
+    const broken = linkStatus.broken.length;
+    console.log(
+      `\n  Links: ${broken > 0 ? red(`${broken} broken`) : '0 broken'}, ${linkStatus.redirected.length} redirected (${linkStatus.checked} checked)`
+    );
+  }
+
+  if (budget) {
+    const seconds = (ms) => `${Math.round(ms / 1000)}s`;
+    console.log(
+      `\n  Time budget: ${seconds(budget.elapsedMs)} of ${seconds(budget.maxDurationMs)} used${
+        budget.discoveryStoppedEarly ? ' (discovery stopped at its share)' : ''
+      }`
+    );
+    if (budget.unauditedRoutes.length > 0) {
+      console.log(
+        `  ${yellow(`${budget.unauditedRoutes.length} discovered route(s) not audited`)}; they are listed in the report`
+      );
+    }
+  }
+
+  const loginWallPages = errorPages.filter((page) => page.kind === 'login-wall').length;
+  if (errorPages.length > loginWallPages) {
+    console.log(
+      `\n  ${yellow(`${errorPages.length - loginWallPages} error or soft-404 page(s) not audited`)}; they are listed in the report`
+    );
+  }
+  if (loginWallPages > 0) {
+    console.log(
+      `\n  ${red(`${loginWallPages} page(s) ended on the login wall`)}; they were not audited`
+    );
+  }
+
   if (compliance.wcagSummary.failedA.length > 0) {
     console.log(`\n  ${red('Failed Level A Criteria:')}`);
     for (const c of compliance.wcagSummary.failedA.slice(0, 5)) {
@@ -7,6 +7,7 @@
 import { defaultLogger as log } from '../utils/Logger.js';
 import { SeverityMapper } from '../utils/SeverityMapper.js';
 import { CodeEvidenceExtractor } from '../utils/CodeEvidenceExtractor.js';
+import { RequestScheduler } from '../utils/RequestScheduler.js';
 import { applyAuthentication } from './audit/auth/applyAuth.js';
 import { buildToolAuthOptions } from './audit/auth/toolAuthOptions.js';
 import { deduplicateIssues } from './audit/dedupe/issueDedupe.js';
@@ -14,14 +15,226 @@ import { summarizeEvidence } from './audit/evidence/evidenceSummary.js';
 import { runLighthouseAudit } from './audit/toolRunners/lighthouseRunner.js';
 import { runAxeAudit } from './audit/toolRunners/axeRunner.js';
 import { runPa11yAudit } from './audit/toolRunners/pa11yRunner.js';
+import { runKeyboardAudit } from './audit/toolRunners/keyboardRunner.js';
+import { runTextStressAudit } from './audit/toolRunners/textStressRunner.js';
+import { toPuppeteerViewport } from './audit/viewports/viewportPresets.js';
+import { mergeViewportIssues, summarizeViewports } from './audit/viewports/viewportIssues.js';
+import { runReflowCheck } from './audit/viewports/reflowCheck.js';
+import { emulateMediaMode, verifyUnderMediaModes } from './audit/media/mediaModes.js';
+import { mergeMediaModeIssues, summarizeMediaModes } from './audit/media/mediaModeIssues.js';
+import { resolvePageCheckOptions } from './audit/shared/pageCheckOptions.js';
+import { runPageChecks } from './audit/shared/pageChecks.js';
+import { canReuseAxePage, capturePageStructure } from './audit/structure/pageStructure.js';
 import { verifyPa11yBackgroundContrast } from './audit/verification/contrastVerifier.js';
+import { exploreUiStates } from './audit/states/exploreStates.js';
+import { executeFlowStep, toPa11yActions } from './audit/flows/executeFlowStep.js';
 import { applyRemediationHints } from '../utils/wcag/remediationHints.js';
 import { resolveSelectedTools } from '../utils/toolSelection.js';
 
 /** @typedef {{ chrome: any, browser: import('puppeteer').Browser, port: number }} BrowserInstance */
 /** @typedef {import('../utils/SeverityMapper.js').UnifiedIssue} UnifiedIssue */
+/** @typedef {import('./audit/flows/flowDefinition.js').FlowDefinition} FlowDefinition */
+/** @typedef {import('./audit/flows/flowDefinition.js').FlowStep} FlowStep */
 
 export class AuditService {
+  /**
+   * Apply defaults to audit options shared by {@link AuditService.run} and
+   * {@link AuditService.runFlow}.
+   *
+   * @param {Record<string, any>} opts
+   */
+  static #resolveOptions(opts) {
+    return {
+      timeoutMs: opts.timeoutMs ?? 60_000,
+      includeDetails: opts.includeDetails ?? false,
+      standard: opts.standard ?? 'WCAG2AA',
+      selectedTools: resolveSelectedTools(opts.tools),
+      maxRetries: opts.maxRetries ?? 3,
+      retryDelayMs: opts.retryDelayMs ?? 1000,
+      shouldDeduplicate: opts.deduplicateIssues ?? true,
+      scheduler: opts.scheduler ?? new RequestScheduler({ log }),
+      verificationOptions: {
+        v2: opts.verification?.v2 ?? false,
+        deterministic: opts.verification?.deterministic ?? false,
+        confidenceThreshold: opts.verification?.confidenceThreshold ?? 'high',
+        gridSize: opts.verification?.gridSize ?? 24,
+      },
+      evidenceOptions: {
+        enabled: opts.evidence?.enabled ?? true,
+        contextLines: opts.evidence?.contextLines ?? 2,
+        maxChars: opts.evidence?.maxChars ?? 2000,
+        maxOpsPerPage: opts.evidence?.maxOpsPerPage ?? 500,
+        timeoutMs: opts.evidence?.timeoutMs ?? 1500,
+      },
+    };
+  }
+
+  /**
+   * Enrich, verify, deduplicate and fingerprint raw tool issues.
+   *
+   * @param {UnifiedIssue[]} issues
+   * @param {object} ctx
+   * @param {string} ctx.url
+   * @param {import('puppeteer').Page} ctx.page
+   * @param {string} ctx.pageHtml - Page source; when empty the URL is reloaded to capture it
+   * @param {boolean} [ctx.allowReload=true] - False when the page must keep its current state
+   * @param {number} ctx.timeoutMs
+   * @param {{ enabled: boolean, contextLines: number, maxChars: number, maxOpsPerPage: number, timeoutMs: number }} ctx.evidenceOptions
+   * @param {{ v2: boolean, deterministic: boolean, confidenceThreshold: string, gridSize: number }} ctx.verificationOptions
+   * @param {boolean} ctx.shouldDeduplicate
+   * @param {RequestScheduler} ctx.scheduler - Paces the evidence reload
+   * @param {import('./audit/media/mediaModes.js').MediaMode[]} [ctx.mediaModes] - Contrast is verified under the mode each issue was found in
+   * @returns {Promise<{ issues: UnifiedIssue[], evidenceSummary: any }>}
+   */
+  static async #finalizeIssues(issues, ctx) {
+    const { url, page, timeoutMs, evidenceOptions, verificationOptions } = ctx;
+    let allIssues = issues;
+    let pageHtml = ctx.pageHtml;
+    let evidenceExtractionMs = 0;
+
+    if (allIssues.length > 0) {
+      if (evidenceOptions.enabled && !pageHtml && ctx.allowReload !== false) {
+        try {
+          await ctx.scheduler.goto(page, url, {
+            waitUntil: 'domcontentloaded',
+            timeout: timeoutMs,
+          });
+          await page.waitForNetworkIdle({ idleTime: 750, timeout: 10_000 }).catch(() => {});
+          pageHtml = await page.content().catch(() => '');
+        } catch (error) {
+          log.debug(`Code evidence preload failed for ${url}: ${error?.message || error}`);
+        }
+      }
+
+      const enrichment = await CodeEvidenceExtractor.enrichIssuesWithSummary(allIssues, {
+        page,
+        sourceHtml: pageHtml,
+        options: evidenceOptions,
+      });
+      allIssues = enrichment.issues;
+      evidenceExtractionMs = enrichment.summary.extractionMs;
+
+      allIssues = await verifyUnderMediaModes(allIssues, ctx.mediaModes ?? [], page, (subset) =>
+        verifyPa11yBackgroundContrast(subset, { page, log, ...verificationOptions })
+      );
+    }
+
+    if (ctx.shouldDeduplicate) {
+      allIssues = deduplicateIssues(allIssues);
+    }
+
+    allIssues = applyRemediationHints(allIssues);
+    allIssues = allIssues.map((issue) => SeverityMapper.withStableFingerprint(issue));
+
+    return {
+      issues: allIssues,
+      evidenceSummary: summarizeEvidence(allIssues, evidenceOptions.enabled, evidenceExtractionMs),
+    };
+  }
+
+  /**
+   * Run the selected tools on `url` at the page's current viewport and media
+   * emulation, recording their scores and errors on `target`.
+   *
+   * @param {string} url
+   * @param {import('puppeteer').Page} page
+   * @param {BrowserInstance} instance
+   * @param {Record<string, any>} target - Result object receiving tool fields and `errors`
+   * @param {Record<string, any>} ctx - Resolved audit options plus `auth`, `toolAuth`, `viewport` and `mediaMode`
+   * @returns {Promise<{ issues: UnifiedIssue[], pageHtml: string }>}
+   */
+  static async #runTools(url, page, instance, target, ctx) {
+    const { timeoutMs, includeDetails, standard, selectedTools, maxRetries, retryDelayMs } = ctx;
+    const { scheduler, auth, toolAuth, viewport, mediaMode } = ctx;
+    const modes = [viewport?.name, mediaMode?.name].filter(Boolean);
+    const where = modes.length ? `${url} (${modes.join(', ')})` : url;
+    /** @type {UnifiedIssue[]} */
+    const allIssues = [];
+    let pageHtml = '';
+
+    if (selectedTools.includes('lighthouse')) {
+      try {
+        const lighthouseResult = await scheduler.run(url, () =>
+          runLighthouseAudit({
+            url,
+            instance,
+            timeoutMs,
+            includeDetails,
+            headers: toolAuth.headers,
+            hasAuth: Boolean(auth),
+            viewport,
+            mediaMode,
+            maxRetries,
+            retryDelayMs,
+            log,
+          })
+        );
+
+        target.lhScore = lighthouseResult.lhScore;
+        target.lighthouse = lighthouseResult.lighthouse;
+        allIssues.push(...lighthouseResult.issues);
+      } catch (err) {
+        target.errors.lighthouse = { message: err?.message || String(err) };
+        log.warn(`Lighthouse failed for ${where}: ${err?.message || err}`);
+      }
+    }
+
+    if (selectedTools.includes('axe')) {
+      try {
+        const axeResult = await runAxeAudit({
+          url,
+          page,
+          timeoutMs,
+          includeDetails,
+          maxRetries,
+          retryDelayMs,
+          log,
+          scheduler,
+        });
+
+        target.axeViolations = axeResult.axeViolations;
+        target.axe = axeResult.axe;
+        target.frames = axeResult.frames;
+        pageHtml = axeResult.pageHtml;
+        allIssues.push(...axeResult.issues);
+      } catch (err) {
+        target.errors.axe = { message: err?.message || String(err) };
+        log.warn(`axe failed for ${where}: ${err?.message || err}`);
+      }
+    }
+
+    if (selectedTools.includes('pa11y')) {
+      try {
+        const pa11yResult = await scheduler.run(url, () =>
+          runPa11yAudit({
+            url,
+            instance,
+            timeoutMs,
+            standard,
+            includeDetails,
+            headers: toolAuth.headers,
+            cookies: toolAuth.cookies,
+            preparePage: toolAuth.preparePage,
+            viewport: viewport ? toPuppeteerViewport(viewport) : undefined,
+            mediaMode,
+            maxRetries,
+            retryDelayMs,
+            log,
+          })
+        );
+
+        target.pa11yIssues = pa11yResult.pa11yIssues;
+        target.pa11y = pa11yResult.pa11y;
+        allIssues.push(...pa11yResult.issues);
+      } catch (err) {
+        target.errors.pa11y = { message: err?.message || String(err) };
+        log.warn(`Pa11y failed for ${where}: ${err?.message || err}`);
+      }
+    }
+
+    return { issues: allIssues, pageHtml };
+  }
+
   /**
    * Run all audits for a URL and return a unified result object.
    *
@@ -33,28 +246,21 @@ export class AuditService {
     const startedAt = new Date().toISOString();
     const t0 = Date.now();
 
-    const timeoutMs = opts.timeoutMs ?? 60_000;
-    const includeDetails = opts.includeDetails ?? false;
-    const standard = opts.standard ?? 'WCAG2AA';
-    const selectedTools = resolveSelectedTools(opts.tools);
-    const maxRetries = opts.maxRetries ?? 3;
-    const retryDelayMs = opts.retryDelayMs ?? 1000;
-    const shouldDeduplicate = opts.deduplicateIssues ?? true;
-    const verificationOptions = {
-      v2: opts.verification?.v2 ?? false,
-      deterministic: opts.verification?.deterministic ?? false,
-      confidenceThreshold: opts.verification?.confidenceThreshold ?? 'high',
-      gridSize: opts.verification?.gridSize ?? 24,
-    };
-    const evidenceOptions = {
-      enabled: opts.evidence?.enabled ?? true,
-      contextLines: opts.evidence?.contextLines ?? 2,
-      maxChars: opts.evidence?.maxChars ?? 2000,
-      maxOpsPerPage: opts.evidence?.maxOpsPerPage ?? 500,
-      timeoutMs: opts.evidence?.timeoutMs ?? 1500,
-    };
+    const {
+      timeoutMs,
+      includeDetails,
+      standard,
+      selectedTools,
+      maxRetries,
+      retryDelayMs,
+      shouldDeduplicate,
+      scheduler,
+      verificationOptions,
+      evidenceOptions,
+    } = AuditService.#resolveOptions(opts);
+    const { stateExploration, pageStructure, keyboard, textStress, viewports, reflow, mediaModes } =
+      resolvePageCheckOptions(opts);
     const auth = opts.auth;
-    const toolAuth = buildToolAuthOptions(auth, url);
 
     const result = {
       url,
@@ -69,6 +275,15 @@ export class AuditService {
       lighthouse: null,
       axe: null,
       pa11y: null,
+      uiStates: null,
+      pageStructure: null,
+      keyboard: null,
+      textStress: null,
+      mediaModes: null,
+      viewports: null,
+      reflow: null,
+      frames: null,
+      pageClass: null,
       errors: {},
     };
 
@@ -80,124 +295,367 @@ export class AuditService {
         await applyAuthentication(page, auth, url, log);
       }
 
+      // Routes still on the login wall after re-authenticating are flagged and not audited.
+      if (opts.loginWallGuard) {
+        const loginWall = await opts.loginWallGuard.check(page, url).catch((err) => {
+          log.debug(`Login-wall check failed for ${url}: ${err?.message || err}`);
+          return null;
+        });
+        if (loginWall) {
+          result.pageClass = loginWall;
+          return result;
+        }
+      }
+
+      // Error and soft-404 pages are flagged and not audited.
+      if (opts.pageClassifier) {
+        const pageClass = await opts.pageClassifier.classify(page, url).catch((err) => {
+          log.debug(`Page classification failed for ${url}: ${err?.message || err}`);
+          return null;
+        });
+        if (pageClass && pageClass.kind !== 'ok') {
+          result.pageClass = pageClass;
+          return result;
+        }
+      }
+
+      // After authentication, so form-login session cookies reach Lighthouse and Pa11y.
+      const toolAuth = buildToolAuthOptions(auth, url);
+
+      const toolCtx = {
+        timeoutMs,
+        includeDetails,
+        standard,
+        selectedTools,
+        maxRetries,
+        retryDelayMs,
+        scheduler,
+        auth,
+        toolAuth,
+      };
+      /** @type {import('./audit/viewports/viewportIssues.js').ViewportRun[]} */
+      const runs = [];
+      for (const [index, viewport] of viewports.entries()) {
+        // The first viewport fills the top-level tool fields; the others only their summary.
+        const target = index === 0 ? result : { errors: {} };
+        if (viewport) await page.setViewport(toPuppeteerViewport(viewport));
+        const run = await AuditService.#runTools(url, page, instance, target, {
+          ...toolCtx,
+          viewport,
+        });
+        if (index === 0) pageHtml = run.pageHtml;
+        runs.push({
+          viewport,
+          issues: run.issues,
+          tools: selectedTools.filter((tool) => !target.errors[tool]),
+          summary: target,
+        });
+      }
+      if (viewports.length > 1) await page.setViewport(toPuppeteerViewport(viewports[0]));
+
+      // Media modes are emulated at the first viewport, after the run without emulation.
+      /** @type {import('./audit/media/mediaModeIssues.js').MediaModeRun[]} */
+      const modeRuns = [{ ...runs[0], mediaMode: null }];
+      for (const mediaMode of mediaModes) {
+        const target = { errors: {} };
+        const session = await emulateMediaMode(page, mediaMode);
+        try {
+          const run = await AuditService.#runTools(url, page, instance, target, {
+            ...toolCtx,
+            viewport: viewports[0],
+            mediaMode,
+          });
+          const tools = selectedTools.filter((tool) => !target.errors[tool]);
+          modeRuns.push({ mediaMode, issues: run.issues, tools, summary: target });
+        } finally {
+          await session.detach().catch(() => {});
+        }
+      }
+
       /** @type {UnifiedIssue[]} */
-      let allIssues = [];
-      let evidenceExtractionMs = 0;
+      const allIssues = runs[0].issues;
 
-      if (selectedTools.includes('lighthouse')) {
+      // Checks that drive the page themselves, at the first viewport. The tree may
+      // be captured from the page axe loaded; the others reload it.
+      const structureOptions = {
+        ...pageStructure,
+        navigate: !canReuseAxePage({ selectedTools, errors: result.errors, viewports, mediaModes }),
+      };
+      const checked = await runPageChecks(
+        [
+          {
+            key: 'pageStructure',
+            label: 'Accessibility tree capture',
+            options: structureOptions,
+            run: capturePageStructure,
+          },
+          { key: 'keyboard', label: 'Keyboard audit', options: keyboard, run: runKeyboardAudit },
+          {
+            key: 'textStress',
+            label: 'Text stress test',
+            options: textStress,
+            run: runTextStressAudit,
+          },
+        ],
+        { url, page, timeoutMs, scheduler },
+        result,
+        log
+      );
+      if (!pageHtml) pageHtml = checked.pageHtml;
+      allIssues.push(...checked.issues);
+
+      if (stateExploration.enabled) {
         try {
-          const lighthouseResult = await runLighthouseAudit({
+          const explored = await exploreUiStates({
             url,
+            page,
             instance,
+            selectedTools,
+            baseIssues: allIssues,
             timeoutMs,
-            includeDetails,
+            standard,
             headers: toolAuth.headers,
-            hasAuth: Boolean(auth),
-            maxRetries,
+            cookies: toolAuth.cookies,
+            preparePage: toolAuth.preparePage,
             retryDelayMs,
+            options: stateExploration,
+            scheduler,
             log,
           });
 
-          result.lhScore = lighthouseResult.lhScore;
-          result.lighthouse = lighthouseResult.lighthouse;
-          allIssues.push(...lighthouseResult.issues);
+          result.uiStates = explored.states;
+          allIssues.push(...explored.issues);
         } catch (err) {
-          result.errors.lighthouse = { message: err?.message || String(err) };
-          log.warn(`Lighthouse failed for ${url}: ${err?.message || err}`);
+          log.warn(`UI state exploration failed for ${url}: ${err?.message || err}`);
         }
       }
 
-      if (selectedTools.includes('axe')) {
+      if (mediaModes.length) runs[0].issues = mergeMediaModeIssues(modeRuns);
+      const pageIssues = viewports[0] ? mergeViewportIssues(runs) : runs[0].issues;
+
+      if (reflow.enabled) {
         try {
-          const axeResult = await runAxeAudit({
+          const reflowResult = await runReflowCheck({
             url,
             page,
             timeoutMs,
-            includeDetails,
-            maxRetries,
-            retryDelayMs,
-            log,
+            width: reflow.width,
+            scheduler,
           });
-
-          result.axeViolations = axeResult.axeViolations;
-          result.axe = axeResult.axe;
-          pageHtml = axeResult.pageHtml;
-          allIssues.push(...axeResult.issues);
+          result.reflow = reflowResult.reflow;
+          pageIssues.push(...reflowResult.issues);
         } catch (err) {
-          result.errors.axe = { message: err?.message || String(err) };
-          log.warn(`axe failed for ${url}: ${err?.message || err}`);
+          result.errors.reflow = { message: err?.message || String(err) };
+          log.warn(`Reflow check failed for ${url}: ${err?.message || err}`);
         }
+        await page.setViewport(toPuppeteerViewport(viewports[0])).catch(() => {});
       }
 
-      if (selectedTools.includes('pa11y')) {
-        try {
-          const pa11yResult = await runPa11yAudit({
-            url,
-            instance,
-            timeoutMs,
-            standard,
-            includeDetails,
-            headers: toolAuth.headers,
-            cookies: toolAuth.cookies,
-            maxRetries,
-            retryDelayMs,
-            log,
+      const finalized = await AuditService.#finalizeIssues(pageIssues, {
+        url,
+        page,
+        pageHtml,
+        timeoutMs,
+        evidenceOptions,
+        verificationOptions,
+        shouldDeduplicate,
+        scheduler,
+        mediaModes,
+      });
+
+      let issues = finalized.issues;
+      if (viewports[0]) {
+        const summarized = summarizeViewports(runs, issues);
+        issues = summarized.issues;
+        result.viewports = summarized.viewports;
+      }
+      if (mediaModes.length) {
+        const summarized = summarizeMediaModes(modeRuns, issues);
+        issues = summarized.issues;
+        result.mediaModes = summarized.mediaModes;
+      }
+
+      result.unifiedIssues = issues;
+      result.totalIssues = issues.length;
+      result.evidenceSummary = finalized.evidenceSummary;
+    } finally {
+      await page.close().catch(() => {});
+      result.durationMs = Date.now() - t0;
+    }
+
+    return result;
+  }
+
+  /**
+   * Run a declarative user flow on one page, auditing at each `audit` step.
+   *
+   * axe analyses the live page at each checkpoint; Pa11y replays the steps
+   * leading up to it in its own page. Lighthouse only audits URLs as loaded,
+   * so it is not run for flows. A failing step stops the flow because every
+   * later step depends on the state it should have produced.
+   *
+   * @param {FlowDefinition} flow
+   * @param {BrowserInstance} instance
+   * @param {object} [opts]
+   * @returns {Promise<{ name: string, results: any[], error: { stepIndex: number, action: string, message: string }|null, durationMs: number }>}
+   */
+  static async runFlow(flow, instance, opts = {}) {
+    const t0 = Date.now();
+    const resolved = AuditService.#resolveOptions(opts);
+    const flowRun = { name: flow.name, results: [], error: null, durationMs: 0 };
+
+    const page = await instance.browser.newPage();
+    /** @type {FlowStep[]} */
+    const executed = [];
+
+    try {
+      if (opts.auth) {
+        await applyAuthentication(page, opts.auth, flow.steps[0].url, log);
+      }
+
+      for (const [stepIndex, step] of flow.steps.entries()) {
+        if (step.action === 'audit') {
+          const result = await AuditService.#auditFlowCheckpoint(page, instance, executed, {
+            ...resolved,
+            auth: opts.auth,
+            flowStep: { flow: flow.name, name: step.name, stepIndex },
           });
+          flowRun.results.push(result);
+          continue;
+        }
 
-          result.pa11yIssues = pa11yResult.pa11yIssues;
-          result.pa11y = pa11yResult.pa11y;
-          allIssues.push(...pa11yResult.issues);
+        try {
+          await executeFlowStep(page, step, resolved.timeoutMs, resolved.scheduler);
+          executed.push(step);
         } catch (err) {
-          result.errors.pa11y = { message: err?.message || String(err) };
-          log.warn(`Pa11y failed for ${url}: ${err?.message || err}`);
+          flowRun.error = { stepIndex, action: step.action, message: err?.message || String(err) };
+          log.warn(
+            `Flow "${flow.name}" stopped at step ${stepIndex + 1} (${step.action}): ${flowRun.error.message}`
+          );
+          break;
         }
       }
+    } finally {
+      await page.close().catch(() => {});
+      flowRun.durationMs = Date.now() - t0;
+    }
 
-      if (allIssues.length > 0) {
-        if (evidenceOptions.enabled && !pageHtml) {
-          try {
-            await page.goto(url, { waitUntil: 'domcontentloaded', timeout: timeoutMs });
-            await page.waitForNetworkIdle({ idleTime: 750, timeout: 10_000 }).catch(() => {});
-            pageHtml = await page.content().catch(() => '');
-          } catch (error) {
-            log.debug(`Code evidence preload failed for ${url}: ${error?.message || error}`);
-          }
-        }
+    return flowRun;
+  }
 
-        const enrichment = await CodeEvidenceExtractor.enrichIssuesWithSummary(allIssues, {
-          page,
-          sourceHtml: pageHtml,
-          options: evidenceOptions,
-        });
-        allIssues = enrichment.issues;
-        evidenceExtractionMs = enrichment.summary.extractionMs;
+  /**
+   * Audit the live page at a flow checkpoint.
+   *
+   * @param {import('puppeteer').Page} page
+   * @param {BrowserInstance} instance
+   * @param {FlowStep[]} executed - Steps run so far, replayed by Pa11y
+   * @param {Record<string, any>} ctx - Resolved audit options plus `auth` and `flowStep`
+   */
+  static async #auditFlowCheckpoint(page, instance, executed, ctx) {
+    const t0 = Date.now();
+    const url = page.url();
+    const toolAuth = buildToolAuthOptions(ctx.auth, url);
+
+    const result = {
+      url,
+      startedAt: new Date().toISOString(),
+      durationMs: 0,
+      lhScore: null,
+      axeViolations: null,
+      pa11yIssues: null,
+      unifiedIssues: [],
+      totalIssues: 0,
+      evidenceSummary: null,
+      lighthouse: null,
+      axe: null,
+      pa11y: null,
+      uiStates: null,
+      pageStructure: null,
+      keyboard: null,
+      textStress: null,
+      mediaModes: null,
+      viewports: null,
+      reflow: null,
+      frames: null,
+      errors: {},
+      flowStep: ctx.flowStep,
+    };
+
+    /** @type {UnifiedIssue[]} */
+    const allIssues = [];
+    let pageHtml = '';
 
-        allIssues = await verifyPa11yBackgroundContrast(allIssues, {
+    if (ctx.selectedTools.includes('axe')) {
+      try {
+        const axeResult = await runAxeAudit({
+          url,
           page,
+          timeoutMs: ctx.timeoutMs,
+          includeDetails: ctx.includeDetails,
+          maxRetries: ctx.maxRetries,
+          retryDelayMs: ctx.retryDelayMs,
           log,
-          ...verificationOptions,
+          navigate: false,
         });
-      }
 
-      if (shouldDeduplicate) {
-        allIssues = deduplicateIssues(allIssues);
+        result.axeViolations = axeResult.axeViolations;
+        result.axe = axeResult.axe;
+        result.frames = axeResult.frames;
+        pageHtml = axeResult.pageHtml;
+        allIssues.push(...axeResult.issues);
+      } catch (err) {
+        result.errors.axe = { message: err?.message || String(err) };
+        log.warn(`axe failed for ${url}: ${err?.message || err}`);
       }
+    }
 
-      allIssues = applyRemediationHints(allIssues);
-      allIssues = allIssues.map((issue) => SeverityMapper.withStableFingerprint(issue));
+    if (ctx.selectedTools.includes('pa11y')) {
+      try {
+        const replay = toPa11yActions(executed);
+        const pa11yResult = await ctx.scheduler.run(replay.url, () =>
+          runPa11yAudit({
+            url: replay.url,
+            instance,
+            timeoutMs: ctx.timeoutMs,
+            standard: ctx.standard,
+            includeDetails: ctx.includeDetails,
+            headers: toolAuth.headers,
+            cookies: toolAuth.cookies,
+            preparePage: toolAuth.preparePage,
+            maxRetries: ctx.maxRetries,
+            retryDelayMs: ctx.retryDelayMs,
+            log,
+            actions: replay.actions,
+          })
+        );
 
-      result.unifiedIssues = allIssues;
-      result.totalIssues = allIssues.length;
-      result.evidenceSummary = summarizeEvidence(
-        allIssues,
-        evidenceOptions.enabled,
-        evidenceExtractionMs
-      );
-    } finally {
-      await page.close().catch(() => {});
-      result.durationMs = Date.now() - t0;
+        result.pa11yIssues = pa11yResult.pa11yIssues;
+        result.pa11y = pa11yResult.pa11y;
+        allIssues.push(...pa11yResult.issues.map((issue) => ({ ...issue, url })));
+      } catch (err) {
+        result.errors.pa11y = { message: err?.message || String(err) };
+        log.warn(`Pa11y failed for ${url}: ${err?.message || err}`);
+      }
     }
 
+    if (!pageHtml) pageHtml = await page.content().catch(() => '');
+
+    const finalized = await AuditService.#finalizeIssues(allIssues, {
+      url,
+      page,
+      pageHtml,
+      allowReload: false,
+      timeoutMs: ctx.timeoutMs,
+      evidenceOptions: ctx.evidenceOptions,
+      verificationOptions: ctx.verificationOptions,
+      shouldDeduplicate: ctx.shouldDeduplicate,
+      scheduler: ctx.scheduler,
+    });
+
+    result.unifiedIssues = finalized.issues;
+    result.totalIssues = finalized.issues.length;
+    result.evidenceSummary = finalized.evidenceSummary;
+    result.durationMs = Date.now() - t0;
     return result;
   }
 
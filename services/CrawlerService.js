@@ -6,13 +6,35 @@
 
 import { normaliseCrawlTarget } from '../utils/Validation.js';
 import { defaultLogger as log } from '../utils/Logger.js';
+import { RequestScheduler } from '../utils/RequestScheduler.js';
 import { extractLinksWithPriority } from './crawler/extract/extractLinksWithPriority.js';
-import { canonicalUrl, isDisallowed, matchesPatterns } from './crawler/filters/urlFilters.js';
+import { discoverClickRoutes, openClickSandbox } from './crawler/extract/discoverClickRoutes.js';
+import {
+  applyQueryParamRules,
+  canonicalUrl,
+  isDisallowed,
+  matchesPatterns,
+} from './crawler/filters/urlFilters.js';
 import { probeCommonPaths } from './crawler/discovery/probeCommonPaths.js';
 import { loadRobotsTxt } from './crawler/robots/loadRobotsTxt.js';
+import { DEFAULT_ROBOTS_USER_AGENT } from './crawler/robots/robotsRules.js';
 import { loadSitemap } from './crawler/sitemap/loadSitemap.js';
+import { parseChangedSince } from './crawler/sitemap/sitemapEntries.js';
+import { selectSitemapRoutes } from './crawler/sitemap/selectSitemapRoutes.js';
 import { setupSpaDetection } from './crawler/spa/setupSpaDetection.js';
-import { popNext, pushCandidate } from './crawler/queue/priorityQueue.js';
+import { pendingQueueUrls, popNext, pushCandidate } from './crawler/queue/priorityQueue.js';
+import { RouteTemplateClusterer, captureDomSignature } from './crawler/templates/routeTemplates.js';
+import { createCrawlScope } from './crawler/scope/crawlScope.js';
+import { LinkGraph } from './crawler/graph/linkGraph.js';
+import { scanPageLinks } from './crawler/graph/scanPageLinks.js';
+import { DuplicateTracker, resolveRouteForPage } from './crawler/dedupe/duplicatePages.js';
+import {
+  checkPendingLinks,
+  describeFailedNavigation,
+  describeNavigation,
+  summarizeLinkStatuses,
+} from './crawler/status/linkStatus.js';
+import { DEFAULT_VIEWPORT } from './audit/viewports/viewportPresets.js';
 
 /**
  * @typedef {object} CrawlerOptions
@@ -20,8 +42,14 @@ import { popNext, pushCandidate } from './crawler/queue/priorityQueue.js';
  * @property {number} [timeoutMs=30000]
  * @property {boolean} [includeQuery=true]
  * @property {object} [config]
+ * @property {CrawlState|null} [resumeState] - Progress from an interrupted crawl to continue from
+ * @property {RequestScheduler} [scheduler] - Per-host politeness shared with the audit phase
+ * @property {number|null} [deadline] - Epoch ms after which no new page is visited
  */
 
+/** @typedef {import('../types/crawler.types.js').CrawlQueueItem} CrawlQueueItem */
+/** @typedef {import('../types/crawler.types.js').CrawlState} CrawlState */
+
 export class CrawlerService {
   /**
    * @param {string} baseUrl
@@ -32,9 +60,21 @@ export class CrawlerService {
     this.limit = opts.limit ?? 10;
     this.timeoutMs = opts.timeoutMs ?? 30_000;
     this.includeQuery = opts.includeQuery ?? true;
+    this.resumeState = opts.resumeState ?? null;
+    this.scheduler = opts.scheduler ?? new RequestScheduler({ log });
+    this.deadline = opts.deadline ?? null;
+    /** True when the crawl stopped at its deadline with pages still queued. */
+    this.stoppedAtDeadline = false;
+    /** True when every discovered page was scanned for links. */
+    this.crawlComplete = false;
+    /** True once a discovered link was left unscanned (depth, queue cap or template sampling). */
+    this.linksDropped = false;
+    /** @type {string[]} Queued routes the crawl would still have visited when its deadline hit */
+    this.unvisitedRoutes = [];
 
     this.config = {
       useSitemap: opts.config?.useSitemap ?? true,
+      changedSince: opts.config?.changedSince ? parseChangedSince(opts.config.changedSince) : null,
       respectRobotsTxt: opts.config?.respectRobotsTxt ?? true,
       detectSpaRoutes: opts.config?.detectSpaRoutes ?? true,
       pierceShadowDom: opts.config?.pierceShadowDom ?? true,
@@ -43,109 +83,391 @@ export class CrawlerService {
       discoverCommonPaths: opts.config?.discoverCommonPaths ?? true,
       followNavigation: opts.config?.followNavigation ?? true,
       maxDepth: opts.config?.maxDepth ?? 5,
+      robotsUserAgent: opts.config?.robotsUserAgent ?? DEFAULT_ROBOTS_USER_AGENT,
+      hashRoutes: opts.config?.hashRoutes ?? false,
+      clickRoutes: opts.config?.clickRoutes ?? false,
+      maxClickCandidates: opts.config?.maxClickCandidates ?? 20,
+      checkLinks: opts.config?.checkLinks ?? true,
+      maxLinkChecks: opts.config?.maxLinkChecks ?? 200,
+      scanSitemapPages: opts.config?.scanSitemapPages ?? false,
+      queryParams: opts.config?.queryParams ?? null,
+      dedupe: { canonical: true, contentHash: false, hreflang: false, ...opts.config?.dedupe },
+      templateSampling: opts.config?.templateSampling ?? null,
+      scope: opts.config?.scope ?? null,
     };
 
+    this.scope = createCrawlScope(this.baseUrl, this.config.scope);
+
+    /** @type {RouteTemplateClusterer|null} */
+    this.templates = this.config.templateSampling?.enabled
+      ? new RouteTemplateClusterer(this.config.templateSampling)
+      : null;
+
     /** @type {Map<string, number>} */
     this.urlDepths = new Map();
 
     /** @type {Set<string>} */
     this.visited = new Set();
 
-    /** @type {Set<string>} */
-    this.disallowedPaths = new Set();
+    /** @type {Map<string, import('./crawler/robots/robotsRules.js').RobotsRule[]>} origin -> robots.txt rules */
+    this.robotsRulesByOrigin = new Map();
+
+    /** @type {Set<string>} origins whose robots.txt/sitemaps have been loaded */
+    this.preparedOrigins = new Set();
 
     /** @type {Set<string>} */
     this.sitemapUrls = new Set();
 
-    /** @type {Set<string>} */
-    this.robotsSitemapUrls = new Set();
+    this.linkGraph = new LinkGraph();
+
+    /** @type {Map<string, import('./crawler/status/linkStatus.js').LinkStatus>} */
+    this.linkStatuses = new Map();
+
+    this.duplicates = new DuplicateTracker();
+  }
+
+  /**
+   * Canonical form of a URL: fragment and trailing slash handling, then the
+   * configured query-parameter rules.
+   *
+   * @param {string} url
+   * @returns {string}
+   */
+  toCanonical(url) {
+    return applyQueryParamRules(
+      canonicalUrl(this.scope.baseOrigin, this.includeQuery, url, this.config.hashRoutes),
+      this.config.queryParams
+    );
+  }
+
+  /**
+   * Snapshot crawl progress for checkpointing.
+   *
+   * @param {CrawlQueueItem[]} queue
+   * @returns {CrawlState}
+   */
+  snapshotState(queue) {
+    return {
+      visited: Array.from(this.visited),
+      urlDepths: Array.from(this.urlDepths.entries()),
+      queue: queue.map((item) => ({ ...item })),
+      templates: this.templates ? this.templates.toJSON() : null,
+      linkGraph: this.linkGraph.toJSON(),
+      linkStatuses: Array.from(this.linkStatuses.values()),
+      duplicates: this.duplicates.toJSON(),
+      linksDropped: this.linksDropped,
+    };
+  }
+
+  /**
+   * Restore crawl progress from a snapshot and return its pending queue.
+   *
+   * @param {CrawlState} state
+   * @returns {CrawlQueueItem[]}
+   */
+  restoreState(state) {
+    this.visited = new Set(state?.visited || []);
+    this.urlDepths = new Map(state?.urlDepths || []);
+    this.templates?.restore(state?.templates);
+    this.linkGraph.restore(state?.linkGraph);
+    this.linkStatuses = new Map((state?.linkStatuses || []).map((record) => [record.url, record]));
+    this.duplicates.restore(state?.duplicates);
+    this.linksDropped = state?.linksDropped === true;
+    return (state?.queue || []).map((item) => ({ ...item }));
+  }
+
+  /**
+   * Route templates with their sampled and represented URLs, or null when
+   * template sampling is disabled.
+   *
+   * @param {string[]} [auditedUrls]
+   * @returns {import('./crawler/templates/routeTemplates.js').RouteTemplateSummary[]|null}
+   */
+  getTemplateSummary(auditedUrls) {
+    return this.templates ? this.templates.summary(auditedUrls) : null;
+  }
+
+  /**
+   * Link graph edges plus orphans (or, after a partial crawl, the sitemap URLs
+   * the scanned pages do not link to), unreachable pages and click paths, or
+   * null when no page's links were recorded.
+   *
+   * @param {string[]} auditedUrls
+   * @returns {(import('./crawler/graph/linkGraph.js').LinkGraphSummary & { edges: import('./crawler/graph/linkGraph.js').LinkEdge[] })|null}
+   */
+  getLinkGraph(auditedUrls) {
+    if (this.linkGraph.scannedPages.size === 0) return null;
+
+    const toCanonical = (url) => this.toCanonical(url);
+    const sitemapUrls = Array.from(this.sitemapUrls, toCanonical).filter(this.scope.isInScope);
+    const summary = this.linkGraph.summarize({
+      startUrl: toCanonical(this.baseUrl.href),
+      auditedUrls: auditedUrls.map(toCanonical),
+      sitemapUrls,
+      complete: this.crawlComplete,
+    });
+    return { ...summary, edges: this.linkGraph.toJSON().edges };
+  }
+
+  /**
+   * Broken and redirected internal links with the pages linking to them, or
+   * null when link checking is off or nothing was recorded.
+   *
+   * @returns {ReturnType<typeof summarizeLinkStatuses>|null}
+   */
+  getLinkStatus() {
+    if (!this.config.checkLinks || this.linkStatuses.size === 0) return null;
+    return summarizeLinkStatuses(
+      Array.from(this.linkStatuses.values()),
+      this.linkGraph.toJSON().edges
+    );
+  }
+
+  /**
+   * Canonical in-scope URL a link on a page of `pageOrigin` points to, or null.
+   *
+   * @param {string} pageOrigin
+   * @param {string} href
+   * @returns {string|null}
+   */
+  resolveLink(pageOrigin, href) {
+    const normalised = normaliseCrawlTarget(
+      pageOrigin,
+      href,
+      this.scope.isInScope,
+      this.config.hashRoutes
+    );
+    return normalised ? this.toCanonical(normalised) : null;
+  }
+
+  /**
+   * Decide which route a freshly loaded page stands for: itself, the in-scope
+   * URL its `rel=canonical` names, or null when it duplicates a visited page.
+   * Collapsed URLs are recorded as aliases of the route they fold into.
+   *
+   * @param {import('puppeteer').Page} page
+   * @param {string} canonical - Canonical URL the page was loaded from
+   * @param {object} params
+   * @param {string} params.pageOrigin
+   * @param {(url: string) => boolean} params.isCrawlable - robots.txt and pattern checks
+   * @returns {Promise<string|null>}
+   */
+  async resolvePageRoute(page, canonical, { pageOrigin, isCrawlable }) {
+    return resolveRouteForPage(page, canonical, {
+      dedupe: this.config.dedupe,
+      duplicates: this.duplicates,
+      visited: this.visited,
+      resolve: (href) => {
+        try {
+          return this.resolveLink(pageOrigin, new URL(href, canonical).href);
+        } catch {
+          return null;
+        }
+      },
+      isCrawlable,
+    });
+  }
+
+  /**
+   * Collapsed aliases of the given routes, keyed by route.
+   *
+   * @param {string[]} routes
+   * @returns {Record<string, import('./crawler/dedupe/duplicatePages.js').PageAlias[]>}
+   */
+  getAliases(routes) {
+    return this.duplicates.aliasesFor(routes);
+  }
+
+  /** @returns {boolean} True once the discovery deadline has passed */
+  pastDeadline() {
+    return this.deadline !== null && Date.now() >= this.deadline;
+  }
+
+  /**
+   * Record the in-scope links of a crawled page in the link graph.
+   *
+   * @param {string} source - Canonical URL of the page
+   * @param {import('./crawler/extract/extractLinksWithPriority.js').ExtractedLink[]} links
+   * @param {(href: string) => string|null} resolve - Canonical in-scope target, or null
+   */
+  recordLinks(source, links, resolve) {
+    this.linkGraph.recordPage(source);
+    for (const link of links) {
+      const target = resolve(link.href);
+      if (target) this.linkGraph.addEdge({ source, target, text: link.text, region: link.region });
+    }
+  }
+
+  /**
+   * Load robots.txt rules and sitemap URLs for an origin the first time the
+   * crawl reaches it.
+   *
+   * @param {import('puppeteer').Browser} browser
+   * @param {string} origin
+   * @param {{ withSitemap?: boolean, onMsg?: (message: string) => void }} [opts]
+   * @returns {Promise<Set<string>>} Sitemap URLs found for the origin
+   */
+  async prepareOrigin(browser, origin, opts = {}) {
+    // Past the deadline no page of the origin is crawled, so it is left unprepared.
+    if (this.preparedOrigins.has(origin) || this.pastDeadline()) return new Set();
+    this.preparedOrigins.add(origin);
+    const suffix = this.scope.multiOrigin ? ` for ${origin}` : '';
+
+    let robotsSitemapUrls = new Set();
+    if (this.config.respectRobotsTxt) {
+      opts.onMsg?.(`Checking robots.txt${suffix}...`);
+      const robots = await loadRobotsTxt(browser, origin, log, {
+        scheduler: this.scheduler,
+        userAgent: this.config.robotsUserAgent,
+      });
+      this.robotsRulesByOrigin.set(origin, robots.rules);
+      this.scheduler.setCrawlDelay(origin, robots.crawlDelay);
+      robotsSitemapUrls = robots.sitemapUrls;
+    }
+
+    if (!this.config.useSitemap || opts.withSitemap === false || this.pastDeadline()) {
+      return new Set();
+    }
+
+    opts.onMsg?.(`Parsing sitemaps${suffix}...`);
+    return loadSitemap({
+      baseOrigin: origin,
+      robotsSitemapUrls,
+      log,
+      scheduler: this.scheduler,
+      changedSince: this.config.changedSince,
+    });
   }
 
   /**
    * Discover internal routes starting from baseUrl (BFS).
    *
-   * @param {{ browser: import('puppeteer').Browser, onMsg?: (message: string) => void }} ctx
+   * @param {{ browser: import('puppeteer').Browser, onMsg?: (message: string) => void, onCheckpoint?: (state: CrawlState) => Promise<void>|void }} ctx
    * @returns {Promise<string[]>}
    */
   async discoverRoutes(ctx) {
-    const { browser, onMsg } = ctx;
+    const { browser, onMsg, onCheckpoint } = ctx;
 
-    const origin = this.baseUrl.origin;
+    const origin = this.scope.baseOrigin;
     const start = this.baseUrl.href;
+    const resumeState = this.resumeState;
 
-    const toCanonical = (url) => canonicalUrl(origin, this.includeQuery, url);
-    const isBlocked = (url) => isDisallowed(url, this.disallowedPaths);
+    const hashRoutes = this.config.hashRoutes;
+    const toCanonical = (url) => this.toCanonical(url);
+    const isBlocked = (url) =>
+      isDisallowed(url, this.robotsRulesByOrigin.get(new URL(url).origin) || []);
+    const inScope = this.scope.isInScope;
     const passesPatterns = (url) =>
       matchesPatterns(url, this.config.includePatterns, this.config.excludePatterns);
 
-    if (this.config.respectRobotsTxt) {
-      onMsg?.('Checking robots.txt...');
-      const robots = await loadRobotsTxt(browser, origin, log);
-      this.disallowedPaths = robots.disallowedPaths;
-      this.robotsSitemapUrls = robots.sitemapUrls;
-    }
-
-    if (this.config.useSitemap) {
-      onMsg?.('Parsing sitemaps...');
-      this.sitemapUrls = await loadSitemap({
-        baseOrigin: origin,
-        limit: this.limit,
-        robotsSitemapUrls: this.robotsSitemapUrls,
-        log,
+    for (const seedOrigin of this.scope.seedOrigins) {
+      const found = await this.prepareOrigin(browser, seedOrigin, {
+        withSitemap: !resumeState,
+        onMsg,
       });
-      onMsg?.(`Found ${this.sitemapUrls.size} URLs in sitemaps`);
-
-      if (this.sitemapUrls.size >= this.limit) {
-        const results = [start];
-        const seen = new Set([toCanonical(start)]);
-
-        for (const url of this.sitemapUrls) {
-          if (results.length >= this.limit) break;
-
-          const canonical = toCanonical(url);
-          if (seen.has(canonical)) continue;
-          if (isBlocked(canonical)) continue;
-          if (!passesPatterns(canonical)) continue;
+      for (const url of found) this.sitemapUrls.add(url);
+    }
 
-          results.push(canonical);
-          seen.add(canonical);
-        }
+    const { changedSince } = this.config;
+    if (this.config.useSitemap && !resumeState) {
+      onMsg?.(
+        changedSince
+          ? `Found ${this.sitemapUrls.size} sitemap URLs changed since ${changedSince.toISOString()}`
+          : `Found ${this.sitemapUrls.size} URLs in sitemaps`
+      );
+
+      // A changed-since run audits only the changed sitemap URLs, so links are not followed.
+      if (changedSince || this.sitemapUrls.size >= this.limit) {
+        const results = selectSitemapRoutes({
+          start,
+          sitemapUrls: this.sitemapUrls,
+          limit: this.limit,
+          includeStart: !changedSince,
+          toCanonical,
+          isCrawlable: (url) => inScope(url) && !isBlocked(url) && passesPatterns(url),
+          templates: this.templates,
+        });
 
         onMsg?.(`Using ${results.length} URLs from sitemap`);
+        // Opt-in: each chosen page is loaded once here and again for its audit.
+        if (!changedSince && this.config.scanSitemapPages) {
+          onMsg?.(`Recording links from ${results.length} page(s)...`);
+          await scanPageLinks({
+            browser,
+            urls: results.map(toCanonical),
+            scheduler: this.scheduler,
+            timeoutMs: this.timeoutMs,
+            pierceShadowDom: this.config.pierceShadowDom,
+            hashRoutes,
+            pastDeadline: () => this.pastDeadline(),
+            onPage: (url, { response, links, error }) => {
+              if (error) {
+                this.linkStatuses.set(url, describeFailedNavigation(url, error));
+                return;
+              }
+              this.linkStatuses.set(url, describeNavigation(url, response));
+              const pageOrigin = new URL(url).origin;
+              this.recordLinks(url, links.links, (href) => this.resolveLink(pageOrigin, href));
+            },
+          });
+        }
         return results;
       }
     }
 
     /** @type {{ url: string, priority: number, depth: number }[]} */
-    const queue = [{ url: start, priority: 0, depth: 0 }];
-    this.urlDepths.set(toCanonical(start), 0);
-
-    for (const url of this.sitemapUrls) {
-      const canonical = toCanonical(url);
-      if (!this.urlDepths.has(canonical)) {
-        pushCandidate(queue, { url, priority: 1, depth: 1 });
-        this.urlDepths.set(canonical, 1);
+    const queue = [];
+
+    const enqueueSitemapUrls = (urls) => {
+      for (const url of urls) {
+        const canonical = toCanonical(url);
+        if (!this.urlDepths.has(canonical) && inScope(canonical)) {
+          pushCandidate(queue, { url, priority: 1, depth: 1 });
+          this.urlDepths.set(canonical, 1);
+          this.templates?.observe(canonical);
+        }
       }
+    };
+
+    if (resumeState) {
+      queue.push(...this.restoreState(resumeState));
+      onMsg?.(`Resuming crawl: ${this.visited.size} visited, ${queue.length} queued`);
+    } else {
+      queue.push({ url: start, priority: 0, depth: 0 });
+      this.urlDepths.set(toCanonical(start), 0);
+      enqueueSitemapUrls(this.sitemapUrls);
     }
 
-    if (this.config.followNavigation) {
+    if (this.config.followNavigation && !resumeState) {
       onMsg?.('Priming links from start page...');
-      const seedPage = await browser.newPage();
-      await seedPage.setCacheEnabled(true);
-      await seedPage.setViewport({ width: 1280, height: 800 });
-
-      try {
-        await seedPage.goto(start, { waitUntil: 'domcontentloaded', timeout: this.timeoutMs });
-        await seedPage.waitForNetworkIdle({ idleTime: 500, timeout: 8_000 }).catch(() => {});
+      const startUrl = toCanonical(start);
+      /** @type {import('./crawler/graph/scanPageLinks.js').PageLinks|null} */
+      let seedLinks = null;
+      await scanPageLinks({
+        browser,
+        urls: [start],
+        scheduler: this.scheduler,
+        timeoutMs: this.timeoutMs,
+        pierceShadowDom: this.config.pierceShadowDom,
+        hashRoutes,
+        settle: { idleTime: 500, timeout: 8_000 },
+        pastDeadline: () => this.pastDeadline(),
+        onPage: (_url, { response, links, error }) => {
+          if (error) {
+            log.debug(`Seed link priming skipped for ${start}: ${error?.message || error}`);
+            return;
+          }
+          this.linkStatuses.set(startUrl, describeNavigation(startUrl, response));
+          seedLinks = links;
+        },
+      });
 
-        const seedLinks = await extractLinksWithPriority(seedPage, this.config.pierceShadowDom);
+      if (seedLinks) {
+        this.recordLinks(startUrl, seedLinks.links, (href) => this.resolveLink(origin, href));
         const seenSeedCandidates = new Set();
         const enqueueSeed = (href, priority) => {
-          const normalised = normaliseCrawlTarget(origin, href);
-          if (!normalised) return;
-
-          const candidate = toCanonical(normalised);
-          if (candidate === toCanonical(start)) return;
+          const candidate = this.resolveLink(origin, href);
+          if (!candidate || candidate === startUrl) return;
           if (seenSeedCandidates.has(candidate)) return;
           if (this.urlDepths.has(candidate)) return;
           if (isBlocked(candidate)) return;
@@ -153,6 +475,7 @@ export class CrawlerService {
 
           pushCandidate(queue, { url: candidate, priority, depth: 1 });
           this.urlDepths.set(candidate, 1);
+          this.templates?.observe(candidate);
           seenSeedCandidates.add(candidate);
         };
 
@@ -162,14 +485,11 @@ export class CrawlerService {
         if (seenSeedCandidates.size > 0) {
           onMsg?.(`Seeded ${seenSeedCandidates.size} links from start page`);
         }
-      } catch (error) {
-        log.debug(`Seed link priming skipped for ${start}: ${error?.message || error}`);
-      } finally {
-        await seedPage.close().catch(() => {});
       }
     }
 
     const shouldProbeCommonPaths =
+      !resumeState &&
       this.config.discoverCommonPaths &&
       (!this.config.followNavigation || queue.length < Math.max(4, this.limit / 2));
 
@@ -186,6 +506,8 @@ export class CrawlerService {
         canonicalUrl: toCanonical,
         isDisallowed: isBlocked,
         log,
+        scheduler: this.scheduler,
+        pastDeadline: () => this.pastDeadline(),
       });
     }
 
@@ -193,29 +515,46 @@ export class CrawlerService {
 
     const page = await browser.newPage();
     await page.setCacheEnabled(true);
-    await page.setViewport({ width: 1280, height: 800 });
+    await page.setViewport(DEFAULT_VIEWPORT);
 
     /** @type {Set<string>} */
     const spaRoutes = new Set();
 
     if (this.config.detectSpaRoutes) {
-      await setupSpaDetection(page, spaRoutes, origin);
+      await setupSpaDetection(page, spaRoutes, origin, inScope);
     }
 
+    /** @type {import('./crawler/extract/discoverClickRoutes.js').ClickSandbox|null} */
+    let clickSandbox = null;
+
     try {
       while (queue.length > 0 && this.visited.size < this.limit) {
+        if (this.pastDeadline()) {
+          this.stoppedAtDeadline = true;
+          onMsg?.(`Discovery time budget used; stopping with ${this.visited.size} page(s)`);
+          break;
+        }
+
         const next = popNext(queue);
         if (!next) break;
 
         const { url: nextUrl, depth: currentDepth } = next;
 
         if (currentDepth > this.config.maxDepth) {
+          this.linksDropped = true;
           log.debug(`Skipping (max depth exceeded): ${nextUrl}`);
           continue;
         }
 
         const canonical = toCanonical(nextUrl);
-        if (this.visited.has(canonical)) continue;
+        if (this.visited.has(canonical) || this.duplicates.ownerOf(canonical)) continue;
+
+        const pageOrigin = new URL(canonical).origin;
+        const originSitemapUrls = await this.prepareOrigin(browser, pageOrigin, { onMsg });
+        if (originSitemapUrls.size > 0) {
+          for (const url of originSitemapUrls) this.sitemapUrls.add(url);
+          enqueueSitemapUrls(originSitemapUrls);
+        }
 
         if (isBlocked(canonical)) {
           log.debug(`Skipping (robots.txt disallowed): ${canonical}`);
@@ -227,53 +566,130 @@ export class CrawlerService {
           continue;
         }
 
+        if (this.templates && !this.templates.hasSampleSlot(canonical)) {
+          this.linksDropped = true;
+          log.debug(`Skipping (template already sampled): ${canonical}`);
+          continue;
+        }
+
         try {
           onMsg?.(`Crawling (depth ${currentDepth}): ${canonical}`);
           log.debug(`Crawling ${canonical} at depth ${currentDepth}`);
 
-          await page.goto(canonical, { waitUntil: 'domcontentloaded', timeout: this.timeoutMs });
+          const response = await this.scheduler.goto(page, canonical, {
+            waitUntil: 'domcontentloaded',
+            timeout: this.timeoutMs,
+          });
+          this.linkStatuses.set(canonical, describeNavigation(canonical, response));
           await page.waitForNetworkIdle({ idleTime: 750, timeout: 10_000 }).catch(() => {});
 
-          this.visited.add(canonical);
+          const pageRoute = await this.resolvePageRoute(page, canonical, {
+            pageOrigin,
+            isCrawlable: (url) => !isBlocked(url) && passesPatterns(url),
+          });
+          if (!pageRoute) {
+            spaRoutes.clear();
+            log.debug(
+              `Skipping (duplicate of ${this.duplicates.ownerOf(canonical)}): ${canonical}`
+            );
+            continue;
+          }
+
+          this.visited.add(pageRoute);
+          this.templates?.recordPage(pageRoute, await captureDomSignature(page));
 
-          const linkResults = await extractLinksWithPriority(page, this.config.pierceShadowDom);
+          const linkResults = await extractLinksWithPriority(
+            page,
+            this.config.pierceShadowDom,
+            hashRoutes
+          );
 
           for (const route of spaRoutes) {
-            const normalised = normaliseCrawlTarget(origin, route);
+            const normalised = normaliseCrawlTarget(pageOrigin, route, inScope, hashRoutes);
             if (normalised) {
               linkResults.regular.push(normalised);
+              linkResults.links.push({ href: normalised, text: '', region: 'content' });
             }
           }
           spaRoutes.clear();
 
+          if (this.config.clickRoutes) {
+            clickSandbox ??= await openClickSandbox(browser, origin, inScope);
+            const clickLinks = await discoverClickRoutes(clickSandbox, canonical, {
+              scheduler: this.scheduler,
+              timeoutMs: this.timeoutMs,
+              maxCandidates: this.config.maxClickCandidates,
+              log,
+            });
+            for (const link of clickLinks) {
+              const bucket = link.region === 'navigation' ? 'navigation' : 'regular';
+              linkResults[bucket].push(link.href);
+              linkResults.links.push(link);
+            }
+          }
+
+          this.recordLinks(pageRoute, linkResults.links, (href) =>
+            this.resolveLink(pageOrigin, href)
+          );
+
           const allLinks = [
             ...linkResults.navigation.map((href) => ({ href, priority: 2 })),
             ...linkResults.regular.map((href) => ({ href, priority: 3 })),
           ];
 
           for (const { href, priority } of allLinks) {
-            const normalised = normaliseCrawlTarget(origin, href);
-            if (!normalised) continue;
+            const candidate = this.resolveLink(pageOrigin, href);
+            if (!candidate) continue;
 
-            const candidate = toCanonical(normalised);
             const newDepth = currentDepth + 1;
 
+            if (this.visited.has(candidate) || this.urlDepths.has(candidate)) continue;
             if (
-              !this.visited.has(candidate) &&
-              !this.urlDepths.has(candidate) &&
               newDepth <= this.config.maxDepth &&
               queue.length + this.visited.size < this.limit * 10
             ) {
               pushCandidate(queue, { url: candidate, priority, depth: newDepth });
               this.urlDepths.set(candidate, newDepth);
+              this.templates?.observe(candidate);
+            } else {
+              this.linksDropped = true;
             }
           }
         } catch (err) {
+          this.linkStatuses.set(canonical, describeFailedNavigation(canonical, err));
           log.warn(`Crawler skip (unreachable): ${canonical} - ${err?.message || err}`);
         }
+
+        await onCheckpoint?.(this.snapshotState(queue));
       }
     } finally {
       await page.close().catch(() => {});
+      await clickSandbox?.page.close().catch(() => {});
+    }
+
+    const pending = pendingQueueUrls(queue, {
+      maxDepth: this.config.maxDepth,
+      toCanonical,
+      isSettled: (url) => this.visited.has(url) || Boolean(this.duplicates.ownerOf(url)),
+      isCrawlable: (url) => inScope(url) && !isBlocked(url) && passesPatterns(url),
+    });
+    this.crawlComplete = !this.stoppedAtDeadline && !this.linksDropped && pending.length === 0;
+    if (this.stoppedAtDeadline) {
+      this.unvisitedRoutes = pending.filter((url) => this.templates?.hasSampleSlot(url) ?? true);
+    }
+
+    // Discovered links the crawl never navigated to, within the discovery deadline.
+    if (this.config.checkLinks) {
+      const unchecked = await checkPendingLinks({
+        targets: Array.from(this.linkGraph.edges.values(), (edge) => edge.target),
+        linkStatuses: this.linkStatuses,
+        maxChecks: this.config.maxLinkChecks,
+        isBlocked,
+        scheduler: this.scheduler,
+        pastDeadline: () => this.pastDeadline(),
+        onMsg,
+      });
+      if (unchecked > 0) onMsg?.(`Discovery time budget used; ${unchecked} link check(s) skipped`);
     }
 
     return Array.from(this.visited);
@@ -1,5 +1,7 @@
 import { pathToFileURL } from 'url';
 import { normaliseCookies } from './toolAuthOptions.js';
+import { applyFormLogin } from './formLogin.js';
+import { applyStorageState } from './storageState.js';
 
 /**
  * Apply authentication to a page.
@@ -8,9 +10,15 @@ import { normaliseCookies } from './toolAuthOptions.js';
  * @param {any} auth
  * @param {string} url
  * @param {{ debug: (msg: string) => void, warn: (msg: string) => void }} log
+ * @param {{ refresh?: boolean, strict?: boolean }} [opts] - `refresh` signs in again instead of
+ *   reusing a form-login session; `strict` throws when sign-in fails instead of logging a warning
  */
-export async function applyAuthentication(page, auth, url, log) {
+export async function applyAuthentication(page, auth, url, log, opts = {}) {
   const { type, cookies, headers, loginScript, loginCredentials } = auth;
+  const fail = (message) => {
+    if (opts.strict) throw new Error(message);
+    log.warn(message);
+  };
 
   switch (type) {
     case 'cookies':
@@ -42,13 +50,33 @@ export async function applyAuthentication(page, auth, url, log) {
             await loginFn(page, loginCredentials || {});
             log.debug('Executed authentication login script');
           } else {
-            log.warn('Login script does not export a function');
+            fail('Login script does not export a function');
           }
         } catch (err) {
-          log.warn(`Failed to execute login script: ${err?.message || err}`);
+          fail(`Failed to execute login script: ${err?.message || err}`);
         }
       }
       break;
+
+    case 'form':
+      try {
+        const sessionCookies = await applyFormLogin(page, auth, opts);
+        log.debug(`Applied form-login session (${sessionCookies.length} cookies)`);
+      } catch (err) {
+        fail(`Form login failed: ${err?.message || err}`);
+      }
+      break;
+
+    case 'storage-state':
+      try {
+        const state = await applyStorageState(page, auth);
+        log.debug(
+          `Applied storage state (${state.cookies.length} cookies, ${state.origins.length} origins)`
+        );
+      } catch (err) {
+        fail(`Failed to apply storage state: ${err?.message || err}`);
+      }
+      break;
     default:
       break;
   }
@@ -0,0 +1,217 @@
+/**
+ * Declarative form login (`auth.type: "form"`).
+ *
+ * Fills a login form described in the config file, so no Puppeteer script is
+ * needed:
+ *
+ * ```json
+ * {
+ *   "type": "form",
+ *   "form": {
+ *     "loginUrl": "https://example.com/login",
+ *     "fields": [
+ *       { "selector": "#email", "value": "env:A11Y_LOGIN_EMAIL" },
+ *       { "selector": "#password", "value": "env:A11Y_LOGIN_PASSWORD" }
+ *     ],
+ *     "submitSelector": "button[type=submit]",
+ *     "success": { "url": "/dashboard" }
+ *   }
+ * }
+ * ```
+ *
+ * Field values of the form `env:NAME` are read from the environment. The
+ * `success` condition is a `url` (path or absolute URL) the login lands on, a
+ * `selector` only signed-in pages render, or a `cookie` name the login sets.
+ * The form is submitted once per run; later pages reuse its session cookies.
+ */
+
+import { resolveEnvValue } from '../flows/flowDefinition.js';
+
+/**
+ * @typedef {Object} FormLoginConfig
+ * @property {string} loginUrl
+ * @property {Array<{ selector: string, value: string }>} fields
+ * @property {string} submitSelector
+ * @property {{ url?: string, selector?: string, cookie?: string }} success
+ * @property {number} [timeoutMs=30000]
+ */
+
+/**
+ * @typedef {Object} FormSession
+ * @property {Promise<any[]>} cookies
+ * @property {'pending'|'ok'|'failed'} state
+ * @property {any[]|null} settled - Cookies once the login has succeeded
+ */
+
+/** @type {WeakMap<object, FormSession>} auth config -> latest login */
+const sessions = new WeakMap();
+
+/**
+ * Validate a form-login config and resolve its `env:` field values.
+ *
+ * @param {any} form
+ * @returns {FormLoginConfig}
+ */
+export function resolveFormLogin(form) {
+  const where = 'auth.form';
+  if (!form || typeof form !== 'object') {
+    throw new Error(`auth.type "form" requires an "${where}" object`);
+  }
+
+  let loginUrl;
+  try {
+    loginUrl = new URL(form.loginUrl).href;
+  } catch {
+    throw new Error(`${where}.loginUrl must be an absolute URL (got "${form.loginUrl}")`);
+  }
+
+  if (!Array.isArray(form.fields) || form.fields.length === 0) {
+    throw new Error(`${where}.fields must list at least one { "selector", "value" } field`);
+  }
+  const fields = form.fields.map((field, index) => {
+    const fieldWhere = `${where}.fields[${index}]`;
+    if (typeof field?.selector !== 'string' || !field.selector) {
+      throw new Error(`${fieldWhere} requires a "selector" string`);
+    }
+    if (typeof field.value !== 'string') {
+      throw new Error(`${fieldWhere} requires a "value" string (use "env:NAME" for secrets)`);
+    }
+    return { selector: field.selector, value: resolveEnvValue(field.value, fieldWhere) };
+  });
+
+  if (typeof form.submitSelector !== 'string' || !form.submitSelector) {
+    throw new Error(`${where}.submitSelector must be a selector string`);
+  }
+
+  const success = form.success ?? {};
+  if (!success.url && !success.selector && !success.cookie) {
+    throw new Error(`${where}.success requires a "url", "selector" or "cookie" condition`);
+  }
+
+  return {
+    loginUrl,
+    fields,
+    submitSelector: form.submitSelector,
+    success: {
+      url: success.url ? new URL(success.url, loginUrl).href : undefined,
+      selector: success.selector || undefined,
+      cookie: success.cookie || undefined,
+    },
+    timeoutMs: Number(form.timeoutMs) > 0 ? Number(form.timeoutMs) : 30_000,
+  };
+}
+
+/**
+ * Wait until the login's success condition holds.
+ *
+ * @param {import('puppeteer').Page} page
+ * @param {FormLoginConfig} form
+ */
+async function waitForSuccess(page, form) {
+  const { url, selector, cookie } = form.success;
+  const timeout = form.timeoutMs;
+
+  if (url) {
+    const expected = new URL(url);
+    await page.waitForFunction(
+      (origin, pathname) => {
+        /* global location */
+        return location.origin === origin && location.pathname === pathname;
+      },
+      { timeout },
+      expected.origin,
+      expected.pathname
+    );
+  }
+  if (selector) await page.waitForSelector(selector, { timeout });
+  if (cookie) {
+    const deadline = Date.now() + timeout;
+    while (!(await page.cookies()).some((c) => c.name === cookie)) {
+      if (Date.now() > deadline) throw new Error(`cookie "${cookie}" was not set`);
+      await new Promise((resolve) => setTimeout(resolve, 250));
+    }
+  }
+}
+
+/**
+ * Fill and submit the login form in `page`.
+ *
+ * @param {import('puppeteer').Page} page
+ * @param {FormLoginConfig} form
+ * @returns {Promise<any[]>} Session cookies set by the login
+ */
+export async function submitLoginForm(page, form) {
+  await page.goto(form.loginUrl, { waitUntil: 'domcontentloaded', timeout: form.timeoutMs });
+
+  for (const field of form.fields) {
+    await page.waitForSelector(field.selector, { visible: true, timeout: form.timeoutMs });
+    // Clear pre-filled values (remembered usernames) before typing.
+    await page.$eval(field.selector, (el) => {
+      el.value = '';
+    });
+    await page.type(field.selector, field.value);
+  }
+
+  await Promise.all([
+    page
+      .waitForNavigation({ waitUntil: 'domcontentloaded', timeout: form.timeoutMs })
+      .catch(() => {}),
+    page.click(form.submitSelector),
+  ]);
+
+  try {
+    await waitForSuccess(page, form);
+  } catch (err) {
+    throw new Error(
+      `Form login at ${form.loginUrl} did not succeed within ${form.timeoutMs}ms ` +
+        `(${err?.message || err}); check auth.form.success and the credentials`
+    );
+  }
+  return page.cookies();
+}
+
+/**
+ * Sign in with the configured form, once per run: later calls copy the
+ * session cookies into `page`, or fail with the same error, so a rejected
+ * login is not retried on every route. `refresh` submits the form again
+ * (after a session expired), unless a login for this config is in flight.
+ *
+ * @param {import('puppeteer').Page} page
+ * @param {{ form: any }} auth
+ * @param {{ refresh?: boolean }} [opts]
+ * @returns {Promise<any[]>} Session cookies
+ */
+export async function applyFormLogin(page, auth, { refresh = false } = {}) {
+  const current = sessions.get(auth);
+  if (current && (!refresh || current.state === 'pending')) {
+    const cookies = await current.cookies;
+    if (cookies.length > 0) await page.setCookie(...cookies);
+    return cookies;
+  }
+
+  /** @type {FormSession} */
+  const session = { cookies: Promise.resolve([]), state: 'pending', settled: null };
+  session.cookies = submitLoginForm(page, resolveFormLogin(auth.form)).then(
+    (cookies) => {
+      session.state = 'ok';
+      session.settled = cookies;
+      return cookies;
+    },
+    (err) => {
+      session.state = 'failed';
+      throw err;
+    }
+  );
+  sessions.set(auth, session);
+  return session.cookies;
+}
+
+/**
+ * Cookies from the latest successful form login for `auth`, if any.
+ *
+ * @param {object} auth
+ * @returns {any[]|undefined}
+ */
+export function formSessionCookies(auth) {
+  return sessions.get(auth)?.settled ?? undefined;
+}
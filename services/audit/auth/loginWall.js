@@ -0,0 +1,144 @@
+/**
+ * Login-wall detection.
+ *
+ * When a session expires mid-run, every later route redirects to (or renders)
+ * the login page, which would then be audited in place of the route. A route
+ * is on the login wall when it ends on the configured login URL or renders
+ * the configured login selector; the configured auth method is re-run and
+ * the route retried before it is flagged.
+ */
+
+import { applyAuthentication } from './applyAuth.js';
+
+/**
+ * @typedef {Object} LoginWallConfig
+ * @property {string|null} [url] - Login page URL, absolute or a path on the audited origin
+ * @property {string|null} [selector] - Element only the login page renders, e.g. `form#login`
+ * @property {number} [maxReauth=1] - Re-authentication attempts per route
+ */
+
+/**
+ * @typedef {Object} LoginWallResult
+ * @property {'login-wall'} kind
+ * @property {'login-url'|'login-selector'} reason
+ * @property {number|null} status
+ * @property {string} finalUrl - Where the route ended up
+ * @property {number} reauthAttempts
+ */
+
+/** @param {string} pathname */
+const normalisePath = (pathname) => pathname.replace(/\/+$/, '') || '/';
+
+/**
+ * Whether `candidate` is the login page: same origin and path, query and
+ * hash ignored.
+ *
+ * @param {string} candidate
+ * @param {string|null|undefined} loginUrl
+ * @param {string} baseUrl - Resolves a login path against the audited origin
+ * @returns {boolean}
+ */
+export function isLoginUrl(candidate, loginUrl, baseUrl) {
+  if (!loginUrl) return false;
+  try {
+    const login = new URL(loginUrl, baseUrl);
+    const current = new URL(candidate, baseUrl);
+    return (
+      login.origin === current.origin &&
+      normalisePath(login.pathname) === normalisePath(current.pathname)
+    );
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Check whether a loaded page is the login wall.
+ *
+ * @param {import('puppeteer').Page} page
+ * @param {string} url - Route that was requested
+ * @param {LoginWallConfig} loginWall
+ * @returns {Promise<{ match: 'url'|'selector', finalUrl: string }|null>}
+ */
+export async function detectLoginWall(page, url, loginWall) {
+  const finalUrl = page.url();
+  if (isLoginUrl(finalUrl, loginWall.url, url)) return { match: 'url', finalUrl };
+  if (loginWall.selector) {
+    const element = await page.$(loginWall.selector).catch(() => null);
+    if (element) {
+      await element.dispose().catch(() => {});
+      return { match: 'selector', finalUrl };
+    }
+  }
+  return null;
+}
+
+/**
+ * Loads each route before its audit and, when it lands on the login wall,
+ * re-runs the configured authentication and retries the route.
+ */
+export class LoginWallGuard {
+  /**
+   * @param {object} opts
+   * @param {import('../../../utils/RequestScheduler.js').RequestScheduler} opts.scheduler
+   * @param {LoginWallConfig} opts.loginWall
+   * @param {any} [opts.auth] - Auth config re-applied on the login wall (none: routes are only flagged)
+   * @param {number} [opts.timeoutMs=30000]
+   * @param {{ debug: (msg: string) => void, info: (msg: string) => void, warn: (msg: string) => void }} opts.log
+   */
+  constructor(opts) {
+    this.scheduler = opts.scheduler;
+    this.loginWall = opts.loginWall;
+    this.auth = opts.auth ?? null;
+    this.maxReauth = opts.loginWall.maxReauth ?? 1;
+    this.timeoutMs = opts.timeoutMs ?? 30_000;
+    this.log = opts.log;
+  }
+
+  /**
+   * @param {import('puppeteer').Page} page
+   * @param {string} url
+   */
+  async #visit(page, url) {
+    const response = await this.scheduler.goto(page, url, {
+      waitUntil: 'domcontentloaded',
+      timeout: this.timeoutMs,
+    });
+    await page.waitForNetworkIdle({ idleTime: 500, timeout: 5_000 }).catch(() => {});
+    const hit = await detectLoginWall(page, url, this.loginWall);
+    return hit ? { ...hit, status: response?.status() ?? null } : null;
+  }
+
+  /**
+   * Load `url` in `page`, re-authenticating while it lands on the login wall.
+   *
+   * @param {import('puppeteer').Page} page
+   * @param {string} url
+   * @returns {Promise<LoginWallResult|null>} null when the route was reached
+   */
+  async check(page, url) {
+    // Auditing the login page itself is not a login wall.
+    if (isLoginUrl(url, this.loginWall.url, url)) return null;
+
+    let hit = await this.#visit(page, url);
+    let reauthAttempts = 0;
+    while (hit && this.auth && reauthAttempts < this.maxReauth) {
+      reauthAttempts += 1;
+      this.log.warn(`Login wall on ${url} (${hit.finalUrl}); re-authenticating`);
+      await applyAuthentication(page, this.auth, url, this.log, { refresh: true });
+      hit = await this.#visit(page, url);
+    }
+
+    if (!hit) {
+      if (reauthAttempts > 0) this.log.info(`Re-authenticated; ${url} is reachable again`);
+      return null;
+    }
+    return {
+      kind: 'login-wall',
+      reason: hit.match === 'url' ? 'login-url' : 'login-selector',
+      status: hit.status,
+      finalUrl: hit.finalUrl,
+      reauthAttempts,
+    };
+  }
+}
@@ -0,0 +1,270 @@
+/**
+ * Browser storage state (`auth.type: "storage-state"`).
+ *
+ * A storage-state file holds cookies plus per-origin localStorage and
+ * sessionStorage, for apps that keep their session token in web storage
+ * rather than a cookie:
+ *
+ * ```json
+ * {
+ *   "cookies": [{ "name": "sid", "value": "...", "domain": "example.com", "path": "/" }],
+ *   "origins": [
+ *     {
+ *       "origin": "https://app.example.com",
+ *       "localStorage": [{ "name": "token", "value": "..." }],
+ *       "sessionStorage": []
+ *     }
+ *   ]
+ * }
+ * ```
+ *
+ * Capture one with `--save-auth-state <path>` and replay it with
+ * `--storage-state <path>`. Every audited page gets the cookies and both
+ * storages before its scripts run; Pa11y's page is seeded the same way, and
+ * Lighthouse reads cookies and localStorage from the shared browser profile.
+ */
+
+import fs from 'fs-extra';
+
+/**
+ * @typedef {Object} StorageEntry
+ * @property {string} name
+ * @property {string} value
+ */
+
+/**
+ * @typedef {Object} OriginStorage
+ * @property {string} origin
+ * @property {StorageEntry[]} localStorage
+ * @property {StorageEntry[]} sessionStorage
+ */
+
+/**
+ * @typedef {Object} StorageState
+ * @property {any[]} cookies
+ * @property {OriginStorage[]} origins
+ */
+
+/** Cookie fields `page.setCookie` accepts; the rest of a captured cookie is dropped. */
+const COOKIE_FIELDS = [
+  'name',
+  'value',
+  'domain',
+  'path',
+  'expires',
+  'httpOnly',
+  'secure',
+  'sameSite',
+];
+
+/** @type {WeakMap<object, { state: Promise<StorageState>, settled: StorageState|null }>} */
+const loaded = new WeakMap();
+
+/**
+ * @param {any} entries
+ * @param {string} where
+ * @returns {StorageEntry[]}
+ */
+function parseEntries(entries, where) {
+  if (entries === undefined) return [];
+  if (!Array.isArray(entries)) throw new Error(`${where} must be an array of { name, value }`);
+  return entries.map((entry, index) => {
+    if (typeof entry?.name !== 'string' || typeof entry.value !== 'string') {
+      throw new Error(`${where}[${index}] requires "name" and "value" strings`);
+    }
+    return { name: entry.name, value: entry.value };
+  });
+}
+
+/**
+ * Validate a parsed storage-state document.
+ *
+ * @param {any} raw
+ * @param {string} [where='storage state']
+ * @returns {StorageState}
+ */
+export function parseStorageState(raw, where = 'storage state') {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    throw new Error(`${where} must be a JSON object with "cookies" and "origins"`);
+  }
+  if (raw.cookies !== undefined && !Array.isArray(raw.cookies)) {
+    throw new Error(`${where}: "cookies" must be an array`);
+  }
+  if (raw.origins !== undefined && !Array.isArray(raw.origins)) {
+    throw new Error(`${where}: "origins" must be an array`);
+  }
+
+  const origins = (raw.origins ?? []).map((entry, index) => {
+    const entryWhere = `${where}: origins[${index}]`;
+    let origin;
+    try {
+      origin = new URL(entry?.origin).origin;
+    } catch {
+      throw new Error(`${entryWhere} requires an "origin" such as "https://example.com"`);
+    }
+    return {
+      origin,
+      localStorage: parseEntries(entry.localStorage, `${entryWhere}.localStorage`),
+      sessionStorage: parseEntries(entry.sessionStorage, `${entryWhere}.sessionStorage`),
+    };
+  });
+
+  return { cookies: raw.cookies ?? [], origins };
+}
+
+/**
+ * Read and validate a storage-state file.
+ *
+ * @param {string} file
+ * @returns {Promise<StorageState>}
+ */
+export async function loadStorageState(file) {
+  let raw;
+  try {
+    raw = await fs.readJson(file);
+  } catch (err) {
+    throw new Error(
+      `Cannot read storage state ${file}: ${err?.message || err}. Capture one with --save-auth-state ${file}`
+    );
+  }
+  return parseStorageState(raw, file);
+}
+
+/**
+ * Seed a page's storage for each origin before its scripts run. localStorage
+ * keys the app has since changed are kept; sessionStorage is per page, so it
+ * is always written.
+ *
+ * @param {import('puppeteer').Page} page
+ * @param {OriginStorage[]} origins
+ */
+export async function seedStorage(page, origins) {
+  if (origins.length === 0) return;
+  await page.evaluateOnNewDocument((entries) => {
+    /* global location */
+    const entry = entries.find((candidate) => candidate.origin === location.origin);
+    if (!entry) return;
+    try {
+      for (const { name, value } of entry.localStorage) {
+        if (localStorage.getItem(name) === null) localStorage.setItem(name, value);
+      }
+      for (const { name, value } of entry.sessionStorage) sessionStorage.setItem(name, value);
+    } catch {
+      // Storage is unavailable in sandboxed or opaque-origin documents.
+    }
+  }, origins);
+}
+
+/**
+ * Apply a storage-state file to `page`: cookies plus web storage. The file is
+ * read once per auth config.
+ *
+ * @param {import('puppeteer').Page} page
+ * @param {{ storageState: string }} auth
+ * @returns {Promise<StorageState>}
+ */
+export async function applyStorageState(page, auth) {
+  if (!loaded.has(auth)) {
+    const entry = { state: loadStorageState(auth.storageState), settled: null };
+    entry.state.then(
+      (state) => {
+        entry.settled = state;
+      },
+      () => {}
+    );
+    loaded.set(auth, entry);
+  }
+  const state = await loaded.get(auth).state;
+  if (state.cookies.length > 0) await page.setCookie(...state.cookies);
+  await seedStorage(page, state.origins);
+  return state;
+}
+
+/**
+ * The storage state applied for `auth`, once it has been read.
+ *
+ * @param {object} auth
+ * @returns {StorageState|null}
+ */
+export function appliedStorageState(auth) {
+  return loaded.get(auth)?.settled ?? null;
+}
+
+/**
+ * Write each origin's localStorage into the browser profile, so tools that
+ * open their own pages (Lighthouse) see it from the first route.
+ *
+ * @param {import('puppeteer').Browser} browser
+ * @param {StorageState} state
+ * @param {number} [timeoutMs=30000]
+ */
+export async function primeStorageState(browser, state, timeoutMs = 30_000) {
+  for (const entry of state.origins) {
+    if (entry.localStorage.length === 0) continue;
+    const page = await browser.newPage();
+    try {
+      await seedStorage(page, [entry]);
+      await page.goto(`${entry.origin}/`, { waitUntil: 'domcontentloaded', timeout: timeoutMs });
+    } finally {
+      await page.close().catch(() => {});
+    }
+  }
+}
+
+/**
+ * Read the web storage of the page's current origin.
+ *
+ * @param {import('puppeteer').Page} page
+ * @returns {Promise<OriginStorage|null>} null for non-HTTP(S) pages
+ */
+async function readOriginStorage(page) {
+  if (!/^https?:/.test(page.url())) return null;
+  return page.evaluate(() => {
+    const entries = (storage) =>
+      Array.from({ length: storage.length }, (_, i) => {
+        const name = storage.key(i);
+        return { name, value: storage.getItem(name) };
+      });
+    return {
+      origin: location.origin,
+      localStorage: entries(localStorage),
+      sessionStorage: entries(sessionStorage),
+    };
+  });
+}
+
+/**
+ * Capture the browser's cookies and the web storage of the page's current
+ * origin and of each of `urls` (loaded in turn), after a login.
+ *
+ * @param {import('puppeteer').Page} page
+ * @param {string[]} urls
+ * @param {number} [timeoutMs=30000]
+ * @returns {Promise<StorageState>}
+ */
+export async function captureStorageState(page, urls, timeoutMs = 30_000) {
+  /** @type {Map<string, OriginStorage>} */
+  const origins = new Map();
+  const record = (storage) => {
+    if (storage) origins.set(storage.origin, storage);
+  };
+
+  record(await readOriginStorage(page));
+  for (const url of urls) {
+    await page.goto(url, { waitUntil: 'domcontentloaded', timeout: timeoutMs });
+    await page.waitForNetworkIdle({ idleTime: 500, timeout: 5_000 }).catch(() => {});
+    record(await readOriginStorage(page));
+  }
+
+  const cookies = (await page.browser().cookies()).map((cookie) =>
+    Object.fromEntries(
+      COOKIE_FIELDS.filter((key) => key in cookie).map((key) => [key, cookie[key]])
+    )
+  );
+  return {
+    cookies,
+    origins: [...origins.values()].filter(
+      (entry) => entry.localStorage.length > 0 || entry.sessionStorage.length > 0
+    ),
+  };
+}
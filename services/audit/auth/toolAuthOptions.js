@@ -1,3 +1,6 @@
+import { formSessionCookies } from './formLogin.js';
+import { appliedStorageState, seedStorage } from './storageState.js';
+
 /**
  * Ensure auth cookies include reasonable defaults for domain/path.
  *
@@ -19,21 +22,36 @@ export function normaliseCookies(cookies, url) {
 }
 
 /**
- * Build auth options that can be shared by Lighthouse and Pa11y.
+ * Build auth options that can be shared by Lighthouse and Pa11y. Form logins
+ * contribute the cookies of their latest session, and storage states their
+ * cookies plus a `preparePage` that seeds web storage into Pa11y's page, so
+ * call this after `applyAuthentication`. Lighthouse runs in the audited
+ * browser, where those cookies and localStorage are already set.
  *
  * @param {any} auth
  * @param {string} url
- * @returns {{ headers: Record<string, string>|undefined, cookies: Array<{name: string, value: string, domain?: string, path?: string}>|undefined }}
+ * @returns {{ headers: Record<string, string>|undefined, cookies: Array<{name: string, value: string, domain?: string, path?: string}>|undefined, preparePage?: (page: import('puppeteer').Page) => Promise<void> }}
  */
 export function buildToolAuthOptions(auth, url) {
   if (!auth) {
     return { headers: undefined, cookies: undefined };
   }
 
-  const cookies = auth.type === 'cookies' ? normaliseCookies(auth.cookies || [], url) : undefined;
+  let cookies;
+  if (auth.type === 'cookies') cookies = normaliseCookies(auth.cookies || [], url);
+  else if (auth.type === 'form') cookies = formSessionCookies(auth);
 
   const headers = auth.type === 'headers' && auth.headers ? auth.headers : undefined;
 
+  const storageState = auth.type === 'storage-state' ? appliedStorageState(auth) : null;
+  if (storageState) {
+    return {
+      headers,
+      cookies: storageState.cookies,
+      preparePage: (page) => seedStorage(page, storageState.origins),
+    };
+  }
+
   return { headers, cookies };
 }
 
@@ -53,6 +53,18 @@ function normaliseNodeSignature(source) {
  * @returns {string}
  */
 function buildLocationKey(issue) {
+  const framePath = Array.isArray(issue?.framePath) ? issue.framePath : [];
+  const key = buildDocumentLocationKey(issue);
+  return framePath.length ? `frame:${framePath.join(' >>> ')}|${key}` : key;
+}
+
+/**
+ * Location of an issue within its own document (the page or an iframe).
+ *
+ * @param {UnifiedIssue} issue
+ * @returns {string}
+ */
+function buildDocumentLocationKey(issue) {
   const locator = issue?.evidence?.locator;
   if (locator?.xpath) {
     return `xpath:${String(locator.xpath).trim()}`;
@@ -208,6 +220,18 @@ function mergeDuplicateIssuePair(a, b) {
     evidence,
     corroboratedBy,
     mergedFrom,
+    ...(primary.viewports || secondary.viewports
+      ? {
+          viewports: [...new Set([...(primary.viewports || []), ...(secondary.viewports || [])])],
+          viewportSpecific: Boolean(primary.viewportSpecific && secondary.viewportSpecific),
+        }
+      : {}),
+    ...(primary.mediaModes || secondary.mediaModes
+      ? {
+          mediaModes: [...new Set([...(primary.mediaModes || []), ...(secondary.mediaModes || [])])],
+          mediaModeSpecific: Boolean(primary.mediaModeSpecific && secondary.mediaModeSpecific),
+        }
+      : {}),
     countsTowardCompliance,
     findingKind,
     findingCertainty,
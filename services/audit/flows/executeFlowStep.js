@@ -0,0 +1,100 @@
+/** @typedef {import('./flowDefinition.js').FlowStep} FlowStep */
+
+/**
+ * Run one non-audit flow step on a live page.
+ *
+ * @param {import('puppeteer').Page} page
+ * @param {FlowStep} step
+ * @param {number} timeoutMs - Default timeout when the step sets none
+ * @param {import('../../../utils/RequestScheduler.js').RequestScheduler} [scheduler] - Paces `goto` steps
+ */
+export async function executeFlowStep(page, step, timeoutMs, scheduler) {
+  const timeout = step.timeoutMs ?? timeoutMs;
+
+  switch (step.action) {
+    case 'goto': {
+      const gotoOptions = { waitUntil: 'domcontentloaded', timeout };
+      if (scheduler) await scheduler.goto(page, step.url, gotoOptions);
+      else await page.goto(step.url, gotoOptions);
+      await page.waitForNetworkIdle({ idleTime: 500, timeout: 10_000 }).catch(() => {});
+      break;
+    }
+
+    case 'click':
+      await page.waitForSelector(step.selector, { visible: true, timeout });
+      await page.click(step.selector);
+      await page.waitForNetworkIdle({ idleTime: 500, timeout: 5_000 }).catch(() => {});
+      break;
+
+    case 'type':
+      await page.waitForSelector(step.selector, { visible: true, timeout });
+      await page.type(step.selector, step.value);
+      break;
+
+    case 'select':
+      await page.waitForSelector(step.selector, { timeout });
+      await page.select(step.selector, step.value);
+      break;
+
+    case 'waitFor':
+      if (step.selector) {
+        await page.waitForSelector(step.selector, { visible: true, timeout });
+      } else if (step.url) {
+        await page.waitForFunction(
+          (expected) => {
+            /* global location */
+            return expected.startsWith('/')
+              ? location.pathname === expected
+              : location.href === expected;
+          },
+          { timeout },
+          step.url
+        );
+      } else {
+        await new Promise((resolve) => setTimeout(resolve, step.ms ?? 0));
+      }
+      break;
+
+    default:
+      break;
+  }
+}
+
+/**
+ * Translate the steps leading up to an audit checkpoint into Pa11y actions,
+ * so Pa11y can replay the flow in its own page. Fixed `ms` waits have no
+ * Pa11y equivalent and are skipped.
+ *
+ * @param {FlowStep[]} steps - Steps before the checkpoint, starting with `goto`
+ * @returns {{ url: string, actions: string[] }}
+ */
+export function toPa11yActions(steps) {
+  const [first, ...rest] = steps;
+  const actions = [];
+
+  for (const step of rest) {
+    switch (step.action) {
+      case 'goto':
+        actions.push(`navigate to ${step.url}`);
+        break;
+      case 'click':
+        actions.push(`click element ${step.selector}`);
+        break;
+      case 'type':
+      case 'select':
+        actions.push(`set field ${step.selector} to ${step.value}`);
+        break;
+      case 'waitFor':
+        if (step.selector) actions.push(`wait for element ${step.selector} to be visible`);
+        else if (step.url?.startsWith('/')) actions.push(`wait for path to be ${step.url}`);
+        else if (step.url) actions.push(`wait for url to be ${step.url}`);
+        break;
+      default:
+        break;
+    }
+  }
+
+  return { url: first.url, actions };
+}
+
+export default executeFlowStep;
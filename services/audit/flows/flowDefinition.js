@@ -0,0 +1,186 @@
+/**
+ * Declarative user-flow files.
+ *
+ * A flow file is JSON holding one flow, an array of flows, or `{ "flows": [...] }`.
+ * Each flow is `{ name, baseUrl?, steps }`; steps run in order on one page:
+ *
+ * - `{ "action": "goto", "url": "/cart" }`                (relative to `baseUrl`)
+ * - `{ "action": "click", "selector": "#checkout" }`
+ * - `{ "action": "type", "selector": "#email", "value": "a@example.com" }`
+ * - `{ "action": "select", "selector": "#country", "value": "GB" }`
+ * - `{ "action": "waitFor", "selector": "#payment" }`     (or `"url"`, or `"ms"`)
+ * - `{ "action": "audit", "name": "Payment details" }`   (run the selected tools here)
+ *
+ * `type` and `select` values of the form `env:NAME` are read from the
+ * environment, so credentials do not have to live in the flow file.
+ */
+
+import fs from 'fs-extra';
+import path from 'node:path';
+
+/** @typedef {'goto'|'click'|'type'|'select'|'waitFor'|'audit'} FlowAction */
+
+/**
+ * @typedef {Object} FlowStep
+ * @property {FlowAction} action
+ * @property {string} [url]
+ * @property {string} [selector]
+ * @property {string} [value]
+ * @property {number} [ms]
+ * @property {string} [name]
+ * @property {number} [timeoutMs]
+ */
+
+/**
+ * @typedef {Object} FlowDefinition
+ * @property {string} name
+ * @property {FlowStep[]} steps
+ */
+
+/** @type {Record<FlowAction, string[]>} */
+const REQUIRED_FIELDS = {
+  goto: ['url'],
+  click: ['selector'],
+  type: ['selector', 'value'],
+  select: ['selector', 'value'],
+  waitFor: [],
+  audit: [],
+};
+
+/**
+ * Read `env:NAME` values from the environment; other values are returned as is.
+ *
+ * @param {string} value
+ * @param {string} where - Names the setting in the error for an unset variable
+ * @returns {string}
+ */
+export function resolveEnvValue(value, where) {
+  const match = /^env:([A-Za-z_][A-Za-z0-9_]*)$/.exec(value);
+  if (!match) return value;
+
+  const envValue = process.env[match[1]];
+  if (envValue === undefined) {
+    throw new Error(`${where} reads environment variable ${match[1]}, which is not set`);
+  }
+  return envValue;
+}
+
+/**
+ * @param {any} raw
+ * @param {string} where
+ * @param {string|undefined} baseUrl
+ * @param {number} auditIndex - 1-based index used to name unnamed audit steps
+ * @returns {FlowStep}
+ */
+function parseStep(raw, where, baseUrl, auditIndex) {
+  if (!raw || typeof raw !== 'object') throw new Error(`${where} must be an object`);
+
+  const action = raw.action;
+  if (!Object.hasOwn(REQUIRED_FIELDS, action)) {
+    throw new Error(
+      `${where} has unknown action "${action}" (expected one of: ${Object.keys(REQUIRED_FIELDS).join(', ')})`
+    );
+  }
+
+  for (const field of REQUIRED_FIELDS[action]) {
+    if (typeof raw[field] !== 'string' || raw[field] === '') {
+      throw new Error(`${where} (${action}) requires a "${field}" string`);
+    }
+  }
+
+  /** @type {FlowStep} */
+  const step = { action };
+  if (raw.timeoutMs !== undefined) step.timeoutMs = Number(raw.timeoutMs);
+
+  switch (action) {
+    case 'goto':
+      try {
+        step.url = new URL(raw.url, baseUrl).href;
+      } catch {
+        throw new Error(
+          `${where} (goto) has URL "${raw.url}" that is not absolute; set the flow's "baseUrl" to use relative URLs`
+        );
+      }
+      break;
+    case 'click':
+      step.selector = raw.selector;
+      break;
+    case 'type':
+    case 'select':
+      step.selector = raw.selector;
+      step.value = resolveEnvValue(raw.value, where);
+      break;
+    case 'waitFor':
+      if (typeof raw.selector === 'string' && raw.selector) step.selector = raw.selector;
+      else if (typeof raw.url === 'string' && raw.url) step.url = raw.url;
+      else if (Number.isFinite(Number(raw.ms)) && Number(raw.ms) >= 0) step.ms = Number(raw.ms);
+      else throw new Error(`${where} (waitFor) requires "selector", "url" or "ms"`);
+      break;
+    case 'audit':
+      step.name = typeof raw.name === 'string' && raw.name ? raw.name : `Checkpoint ${auditIndex}`;
+      break;
+    default:
+      break;
+  }
+
+  return step;
+}
+
+/**
+ * Validate and normalise flow definitions.
+ *
+ * @param {any} raw - Parsed JSON from a flow file
+ * @param {string} [source='flow file'] - Used in error messages
+ * @returns {FlowDefinition[]}
+ */
+export function parseFlowDefinitions(raw, source = 'flow file') {
+  const list = Array.isArray(raw) ? raw : Array.isArray(raw?.flows) ? raw.flows : [raw];
+  if (list.length === 0) throw new Error(`Invalid ${source}: no flows defined`);
+
+  return list.map((flow, flowIndex) => {
+    const where = `Invalid ${source}: flows[${flowIndex}]`;
+    if (!flow || typeof flow !== 'object' || !Array.isArray(flow.steps)) {
+      throw new Error(`${where} must be an object with a "steps" array`);
+    }
+
+    const name = typeof flow.name === 'string' && flow.name ? flow.name : `Flow ${flowIndex + 1}`;
+    let auditCount = 0;
+    const steps = flow.steps.map((step, stepIndex) => {
+      if (step?.action === 'audit') auditCount++;
+      return parseStep(step, `${where}.steps[${stepIndex}]`, flow.baseUrl, auditCount);
+    });
+
+    if (steps[0]?.action !== 'goto') {
+      throw new Error(`${where} must start with a "goto" step`);
+    }
+    if (auditCount === 0) {
+      throw new Error(`${where} has no "audit" step, so nothing would be audited`);
+    }
+
+    return { name, steps };
+  });
+}
+
+/**
+ * Read and validate a flow file.
+ *
+ * @param {string} filepath
+ * @returns {Promise<FlowDefinition[]>}
+ */
+export async function loadFlowFile(filepath) {
+  const resolved = path.resolve(filepath);
+  if (!(await fs.pathExists(resolved))) {
+    throw new Error(`Flow file not found: ${filepath}`);
+  }
+
+  let raw;
+  try {
+    raw = await fs.readJson(resolved);
+  } catch (err) {
+    throw new Error(`Flow file ${filepath} is not valid JSON: ${err?.message || err}`);
+  }
+
+  return parseFlowDefinitions(raw, `flow file ${filepath}`);
+}
+
+export default loadFlowFile;
@@ -0,0 +1,109 @@
+/**
+ * @typedef {Object} FrameInfo
+ * @property {string[]} path - CSS selectors of the `<iframe>` elements from the top document down
+ * @property {string} url
+ * @property {boolean} auditable - Same-origin frames are audited; cross-origin frames are not
+ * @property {'cross-origin'|null} reason - Why the frame was not audited
+ */
+
+/**
+ * Read a unique selector for a frame's `<iframe>` element in its parent
+ * document, and whether the parent can reach its document. `about:blank` and
+ * `srcdoc` frames inherit the parent origin, so they count as same-origin.
+ *
+ * @param {import('puppeteer').ElementHandle<Element>} element
+ * @returns {Promise<{ selector: string, sameOrigin: boolean }>}
+ */
+async function describeFrameElement(element) {
+  return element.evaluate((frameEl) => {
+    /* global document, CSS */
+    const uniqueId = (el) =>
+      el.id && document.querySelectorAll(`#${CSS.escape(el.id)}`).length === 1
+        ? `#${CSS.escape(el.id)}`
+        : null;
+
+    const cssPath = (el) => {
+      const parts = [];
+      let current = el;
+      while (current && current !== document.documentElement) {
+        const id = uniqueId(current);
+        if (id) {
+          parts.unshift(id);
+          break;
+        }
+        const tag = current.tagName.toLowerCase();
+        const parent = current.parentElement;
+        if (!parent) {
+          parts.unshift(tag);
+          break;
+        }
+        const sameTag = Array.from(parent.children).filter((c) => c.tagName === current.tagName);
+        parts.unshift(
+          sameTag.length > 1 ? `${tag}:nth-of-type(${sameTag.indexOf(current) + 1})` : tag
+        );
+        current = parent;
+      }
+      return parts.join(' > ');
+    };
+
+    let sameOrigin = false;
+    try {
+      sameOrigin = Boolean(frameEl.contentDocument);
+    } catch {
+      sameOrigin = false;
+    }
+    return { selector: cssPath(frameEl), sameOrigin };
+  });
+}
+
+/**
+ * List the page's iframes, depth first. Frames inside a cross-origin frame
+ * are not listed: they are covered by their ancestor's exclusion.
+ *
+ * @param {import('puppeteer').Page} page
+ * @param {number} [limit=50]
+ * @returns {Promise<FrameInfo[]>}
+ */
+export async function listFrames(page, limit = 50) {
+  /** @type {FrameInfo[]} */
+  const frames = [];
+
+  /**
+   * @param {import('puppeteer').Frame} parent
+   * @param {string[]} parentPath
+   */
+  const walk = async (parent, parentPath) => {
+    for (const child of parent.childFrames()) {
+      if (frames.length >= limit) return;
+      if (child.detached) continue;
+
+      const element = await child.frameElement().catch(() => null);
+      if (!element) continue;
+      const described = await describeFrameElement(element).catch(() => null);
+      await element.dispose().catch(() => {});
+      if (!described?.selector) continue;
+
+      const info = {
+        path: [...parentPath, described.selector],
+        url: child.url(),
+        auditable: described.sameOrigin,
+        reason: described.sameOrigin ? null : 'cross-origin',
+      };
+      frames.push(info);
+      if (info.auditable) await walk(child, info.path);
+    }
+  };
+
+  await walk(page.mainFrame(), []);
+  return frames;
+}
+
+/**
+ * axe context exclusions (frame paths) for the frames that are not audited.
+ *
+ * @param {FrameInfo[]} frames
+ * @returns {string[][]}
+ */
+export function frameExclusions(frames) {
+  return frames.filter((frame) => !frame.auditable).map((frame) => frame.path);
+}
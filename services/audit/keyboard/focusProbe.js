@@ -0,0 +1,191 @@
+/**
+ * @typedef {Object} KeyboardTarget
+ * @property {string} selector - Unique CSS selector
+ * @property {string} label - Accessible name or visible text (truncated)
+ * @property {string} html - Opening tag (truncated)
+ */
+
+/**
+ * @typedef {Object} FocusStop
+ * @property {string} selector
+ * @property {string} label
+ * @property {string} html
+ * @property {boolean} isFrame - Focus is inside an `<iframe>` (Tab moves within it)
+ * @property {boolean} inShadow - Focus is inside a shadow root; `selector` names its host
+ * @property {'not-rendered'|'zero-size'|'transparent'|'off-screen'|'aria-hidden'|null} hidden
+ * @property {{ x: number, y: number, width: number, height: number }} rect - Document coordinates
+ */
+
+/**
+ * List the elements a keyboard user should be able to reach: visible,
+ * enabled elements in the tab order, and visible controls that only respond
+ * to clicks (interactive roles or `onclick` on elements outside the tab order).
+ *
+ * @param {import('puppeteer').Page} page
+ * @param {number} [limit=500]
+ * @returns {Promise<{ focusable: KeyboardTarget[], clickOnly: KeyboardTarget[] }>}
+ */
+export async function listKeyboardTargets(page, limit = 500) {
+  return page.evaluate((max) => {
+    /* global document, getComputedStyle, CSS */
+    const isVisible = (el) => {
+      const rect = el.getBoundingClientRect();
+      const style = getComputedStyle(el);
+      return (
+        rect.width > 0 &&
+        rect.height > 0 &&
+        style.visibility !== 'hidden' &&
+        !el.closest('[aria-hidden="true"], [inert]')
+      );
+    };
+
+    const uniqueId = (el) =>
+      el.id && document.querySelectorAll(`#${CSS.escape(el.id)}`).length === 1
+        ? `#${CSS.escape(el.id)}`
+        : null;
+
+    const cssPath = (el) => {
+      const parts = [];
+      let current = el;
+      while (current && current !== document.documentElement) {
+        const id = uniqueId(current);
+        if (id) {
+          parts.unshift(id);
+          break;
+        }
+        const tag = current.tagName.toLowerCase();
+        const parent = current.parentElement;
+        if (!parent) {
+          parts.unshift(tag);
+          break;
+        }
+        const sameTag = Array.from(parent.children).filter((c) => c.tagName === current.tagName);
+        parts.unshift(
+          sameTag.length > 1 ? `${tag}:nth-of-type(${sameTag.indexOf(current) + 1})` : tag
+        );
+        current = parent;
+      }
+      return parts.join(' > ');
+    };
+
+    const describe = (el) => ({
+      selector: cssPath(el),
+      label: (el.getAttribute('aria-label') || el.textContent || el.getAttribute('name') || '')
+        .replace(/\s+/g, ' ')
+        .trim()
+        .slice(0, 60),
+      html: el.outerHTML.slice(0, el.outerHTML.indexOf('>') + 1).slice(0, 200),
+    });
+
+    const FOCUSABLE =
+      'a[href], area[href], button, input:not([type="hidden"]), select, textarea, summary, iframe, ' +
+      '[contenteditable=""], [contenteditable="true"], audio[controls], video[controls], [tabindex]';
+    const CLICKABLE =
+      '[onclick], [role="button"], [role="link"], [role="checkbox"], [role="radio"], ' +
+      '[role="switch"], [role="tab"], [role="menuitem"], [role="option"], [role="slider"]';
+
+    const focusable = [];
+    for (const el of document.querySelectorAll(FOCUSABLE)) {
+      if (focusable.length >= max) break;
+      if (el.tabIndex < 0 || el.disabled || el.closest('fieldset:disabled')) continue;
+      if (el.closest('details:not([open])') && el.tagName !== 'SUMMARY') continue;
+      if (isVisible(el)) focusable.push(describe(el));
+    }
+
+    const clickOnly = [];
+    for (const el of document.querySelectorAll(CLICKABLE)) {
+      if (clickOnly.length >= max) break;
+      // An explicit tabindex (roving tabindex) means focus is managed by script, and
+      // children of a focusable control (listbox options) are operated through it.
+      if (el.tabIndex >= 0 || el.hasAttribute('tabindex')) continue;
+      const owner = el.parentElement?.closest(FOCUSABLE);
+      if (owner && owner.tabIndex >= 0) continue;
+      if (el.getAttribute('aria-disabled') === 'true' || !isVisible(el)) continue;
+      clickOnly.push(describe(el));
+    }
+
+    return { focusable, clickOnly };
+  }, limit);
+}
+
+/**
+ * Describe the focused element, or null when focus is on the document body
+ * (before the first or after the last tab stop).
+ *
+ * @param {import('puppeteer').Page} page
+ * @returns {Promise<FocusStop|null>}
+ */
+export async function readFocus(page) {
+  return page.evaluate(() => {
+    /* global window, ShadowRoot */
+    let el = document.activeElement;
+    // Focus inside open shadow roots is reported on the host; descend to the element.
+    while (el?.shadowRoot?.activeElement) el = el.shadowRoot.activeElement;
+    if (!el || el === document.body || el === document.documentElement) return null;
+
+    const uniqueId = (node) =>
+      node.id && document.querySelectorAll(`#${CSS.escape(node.id)}`).length === 1
+        ? `#${CSS.escape(node.id)}`
+        : null;
+
+    const cssPath = (node) => {
+      const parts = [];
+      let current = node;
+      while (current && current !== document.documentElement) {
+        const id = uniqueId(current);
+        if (id) {
+          parts.unshift(id);
+          break;
+        }
+        const tag = current.tagName.toLowerCase();
+        const parent = current.parentElement;
+        if (!parent) {
+          parts.unshift(tag);
+          break;
+        }
+        const sameTag = Array.from(parent.children).filter((c) => c.tagName === current.tagName);
+        parts.unshift(
+          sameTag.length > 1 ? `${tag}:nth-of-type(${sameTag.indexOf(current) + 1})` : tag
+        );
+        current = parent;
+      }
+      return parts.join(' > ');
+    };
+
+    // Selectors do not pierce shadow roots, so shadow-DOM stops are named by their host.
+    const root = el.getRootNode();
+    const host = root instanceof ShadowRoot ? root.host : el;
+
+    const rect = el.getBoundingClientRect();
+    const style = getComputedStyle(el);
+    let hidden = null;
+    if (style.display === 'none' || style.visibility === 'hidden') hidden = 'not-rendered';
+    else if (rect.width < 2 || rect.height < 2) hidden = 'zero-size';
+    else if (Number(style.opacity) === 0) hidden = 'transparent';
+    else if (
+      rect.right + window.scrollX <= 0 ||
+      rect.bottom + window.scrollY <= 0 ||
+      rect.left + window.scrollX >= document.documentElement.scrollWidth
+    ) {
+      hidden = 'off-screen';
+    } else if (host.closest('[aria-hidden="true"]')) hidden = 'aria-hidden';
+
+    return {
+      selector: cssPath(host),
+      label: (el.getAttribute('aria-label') || el.textContent || '')
+        .replace(/\s+/g, ' ')
+        .trim()
+        .slice(0, 60),
+      html: el.outerHTML.slice(0, el.outerHTML.indexOf('>') + 1).slice(0, 200),
+      isFrame: el.tagName === 'IFRAME',
+      inShadow: host !== el,
+      hidden,
+      rect: {
+        x: rect.left + window.scrollX,
+        y: rect.top + window.scrollY,
+        width: rect.width,
+        height: rect.height,
+      },
+    };
+  });
+}
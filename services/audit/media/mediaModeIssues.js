@@ -0,0 +1,115 @@
+import { DEFAULT_MEDIA_MODE } from './mediaModes.js';
+
+/**
+ * @typedef {import('../../../utils/SeverityMapper.js').UnifiedIssue} UnifiedIssue
+ * @typedef {import('./mediaModes.js').MediaMode} MediaMode
+ */
+
+/**
+ * @typedef {Object} MediaModeRun
+ * @property {MediaMode|null} mediaMode - null for the run without emulation
+ * @property {UnifiedIssue[]} issues
+ * @property {string[]} tools - Tools that completed under this mode
+ * @property {Record<string, any>} summary - Tool scores and `errors` for this mode
+ */
+
+/**
+ * @typedef {Object} MediaModeSummary
+ * @property {string} name
+ * @property {MediaMode['features']} features - Empty for the default mode
+ * @property {number|null} lhScore
+ * @property {number|null} axeViolations
+ * @property {number|null} pa11yIssues
+ * @property {number} totalIssues - Page issues found under this mode
+ * @property {number} mediaModeSpecificIssues - Of those, issues not found under every mode
+ * @property {Record<string, { message: string }>} errors
+ */
+
+/**
+ * @param {MediaModeRun} run
+ * @returns {string}
+ */
+function runName(run) {
+  return run.mediaMode?.name ?? DEFAULT_MEDIA_MODE;
+}
+
+/**
+ * @param {UnifiedIssue} issue
+ * @returns {string}
+ */
+function mediaModeIssueKey(issue) {
+  return `${issue.tool}|${issue.selector || ''}|${issue.message || ''}`;
+}
+
+/**
+ * Merge the issues found under each media mode. Every issue lists the
+ * `mediaModes` it was found under, and `mediaModeSpecific` is true when a
+ * mode where its tool also ran did not report it.
+ *
+ * @param {MediaModeRun[]} runs - The default run first
+ * @returns {UnifiedIssue[]}
+ */
+export function mergeMediaModeIssues(runs) {
+  /** @type {Map<string, UnifiedIssue>} */
+  const merged = new Map();
+  /** @type {UnifiedIssue[]} */
+  const issues = [];
+  for (const run of runs) {
+    const name = runName(run);
+    for (const issue of run.issues) {
+      const key = mediaModeIssueKey(issue);
+      const existing = merged.get(key);
+      if (existing) {
+        if (!existing.mediaModes.includes(name)) existing.mediaModes.push(name);
+        continue;
+      }
+      const tagged = { ...issue, mediaModes: [name] };
+      merged.set(key, tagged);
+      issues.push(tagged);
+    }
+  }
+
+  return issues.map((issue) => ({
+    ...issue,
+    // UI states, keyboard walks and text stress tests only run without emulation.
+    mediaModeSpecific:
+      !issue.statePath &&
+      runs.some(
+        (run) => run.tools.includes(issue.tool) && !issue.mediaModes.includes(runName(run))
+      ),
+  }));
+}
+
+/**
+ * Count each mode's issues once the merged issues have been finalised
+ * (deduplication may combine issues found under different modes).
+ *
+ * @param {MediaModeRun[]} runs
+ * @param {UnifiedIssue[]} issues
+ * @returns {{ issues: UnifiedIssue[], mediaModes: MediaModeSummary[] }}
+ */
+export function summarizeMediaModes(runs, issues) {
+  const names = runs.map(runName);
+  const finalIssues = issues.map((issue) =>
+    issue.mediaModeSpecific && names.every((name) => issue.mediaModes?.includes(name))
+      ? { ...issue, mediaModeSpecific: false }
+      : issue
+  );
+
+  const mediaModes = runs.map((run) => {
+    const name = runName(run);
+    const found = finalIssues.filter((issue) => issue.mediaModes?.includes(name));
+    return {
+      name,
+      features: run.mediaMode?.features ?? [],
+      lhScore: run.summary.lhScore ?? null,
+      axeViolations: run.summary.axeViolations ?? null,
+      pa11yIssues: run.summary.pa11yIssues ?? null,
+      totalIssues: found.length,
+      mediaModeSpecificIssues: found.filter((issue) => issue.mediaModeSpecific).length,
+      errors: run.summary.errors,
+    };
+  });
+
+  return { issues: finalIssues, mediaModes };
+}
@@ -0,0 +1,158 @@
+/**
+ * User-preference media modes pages are also audited under (`mediaModes`
+ * config). Entries are preset names or custom media feature combinations:
+ *
+ * ```json
+ * ["dark", "forced-colors", { "name": "dark-reduced", "prefers-color-scheme": "dark", "prefers-reduced-motion": "reduce" }]
+ * ```
+ *
+ * Each page is first audited without emulation (the `default` mode).
+ */
+
+/** Emulated media features and the values Chrome accepts for them. */
+export const MEDIA_FEATURES = {
+  'prefers-color-scheme': ['light', 'dark'],
+  'prefers-reduced-motion': ['no-preference', 'reduce'],
+  'forced-colors': ['none', 'active'],
+  'prefers-contrast': ['no-preference', 'more', 'less', 'custom'],
+};
+
+/** @type {Record<string, Record<string, string>>} */
+export const MEDIA_MODE_PRESETS = {
+  light: { 'prefers-color-scheme': 'light' },
+  dark: { 'prefers-color-scheme': 'dark' },
+  'reduced-motion': { 'prefers-reduced-motion': 'reduce' },
+  'forced-colors': { 'forced-colors': 'active' },
+  'more-contrast': { 'prefers-contrast': 'more' },
+  'less-contrast': { 'prefers-contrast': 'less' },
+};
+
+/** Name of the run without emulation. */
+export const DEFAULT_MEDIA_MODE = 'default';
+
+/**
+ * @typedef {Object} MediaMode
+ * @property {string} name
+ * @property {Array<{ name: string, value: string }>} features - As passed to `Emulation.setEmulatedMedia`
+ */
+
+/**
+ * @param {Record<string, any>} values - Media feature name -> value
+ * @param {string} where
+ * @returns {MediaMode['features']}
+ */
+function toFeatures(values, where) {
+  const features = Object.entries(values).map(([name, value]) => {
+    const allowed = MEDIA_FEATURES[name];
+    if (!allowed) {
+      throw new Error(
+        `${where}: unknown media feature "${name}" (use ${Object.keys(MEDIA_FEATURES).join(', ')})`
+      );
+    }
+    if (!allowed.includes(value)) {
+      throw new Error(`${where}: ${name} must be one of ${allowed.join(', ')}`);
+    }
+    return { name, value };
+  });
+  if (features.length === 0) throw new Error(`${where} must set at least one media feature`);
+  return features;
+}
+
+/**
+ * Validate `mediaModes` entries and expand preset names.
+ *
+ * @param {Array<string|Record<string, any>>|null|undefined} entries
+ * @returns {MediaMode[]} Empty when no media modes are configured
+ */
+export function resolveMediaModes(entries) {
+  if (!entries) return [];
+  if (!Array.isArray(entries)) {
+    throw new Error(
+      'mediaModes must be an array of preset names or { name, <media feature> } modes'
+    );
+  }
+
+  const seen = new Set([DEFAULT_MEDIA_MODE]);
+  return entries.map((entry, index) => {
+    const where = `mediaModes[${index}]`;
+    let mode;
+    if (typeof entry === 'string') {
+      const preset = MEDIA_MODE_PRESETS[entry];
+      if (!preset) {
+        throw new Error(
+          `${where}: unknown media mode preset "${entry}" (use ${Object.keys(MEDIA_MODE_PRESETS).join(', ')} or a { name, <media feature> } mode)`
+        );
+      }
+      mode = { name: entry, features: toFeatures(preset, where) };
+    } else if (entry && typeof entry === 'object') {
+      const { name, ...values } = entry;
+      const features = toFeatures(values, where);
+      mode = { name: String(name || features.map((f) => f.value).join('-')), features };
+    } else {
+      throw new Error(`${where} must be a preset name or a { name, <media feature> } mode`);
+    }
+
+    if (seen.has(mode.name)) {
+      throw new Error(
+        `${where}: media mode name "${mode.name}" is ${mode.name === DEFAULT_MEDIA_MODE ? 'reserved' : 'used twice'}`
+      );
+    }
+    seen.add(mode.name);
+    return mode;
+  });
+}
+
+/**
+ * Emulate `mode` on `page` until the returned session is detached.
+ * Puppeteer's `emulateMediaFeatures` rejects `forced-colors` and
+ * `prefers-contrast`, so the override is set over CDP directly.
+ *
+ * @param {import('puppeteer').Page} page
+ * @param {MediaMode} mode
+ * @returns {Promise<import('puppeteer').CDPSession>}
+ */
+export async function emulateMediaMode(page, mode) {
+  const session = await page.createCDPSession();
+  try {
+    await session.send('Emulation.setEmulatedMedia', { features: mode.features });
+  } catch (err) {
+    await session.detach().catch(() => {});
+    throw err;
+  }
+  return session;
+}
+
+/**
+ * Run `verify` on each media mode's issues with that mode emulated, so
+ * checks that read the rendered page (contrast sampling) see what the tool
+ * saw. An issue is verified under the first mode it was found in.
+ *
+ * @param {any[]} issues
+ * @param {MediaMode[]} modes
+ * @param {import('puppeteer').Page} page
+ * @param {(issues: any[]) => Promise<any[]>} verify - Returns one issue per input, in order
+ * @returns {Promise<any[]>}
+ */
+export async function verifyUnderMediaModes(issues, modes, page, verify) {
+  if (modes.length === 0) return verify(issues);
+
+  const verified = [...issues];
+  for (const mode of [null, ...modes]) {
+    const name = mode?.name ?? DEFAULT_MEDIA_MODE;
+    const indexes = issues
+      .map((issue, index) => ((issue.mediaModes?.[0] ?? DEFAULT_MEDIA_MODE) === name ? index : -1))
+      .filter((index) => index >= 0);
+    if (indexes.length === 0) continue;
+
+    const session = mode ? await emulateMediaMode(page, mode) : null;
+    try {
+      const results = await verify(indexes.map((index) => issues[index]));
+      indexes.forEach((index, position) => {
+        verified[index] = results[position];
+      });
+    } finally {
+      await session?.detach().catch(() => {});
+    }
+  }
+  return verified;
+}
@@ -0,0 +1,43 @@
+/**
+ * Apply defaults to the per-page options of `AuditService.run`: the checks
+ * that run beside the selected tools and the viewports and media modes the
+ * tools run under.
+ *
+ * @param {Record<string, any>} opts
+ */
+export function resolvePageCheckOptions(opts) {
+  // Without configured viewports the tools run once at the browser's default size.
+  const viewports = opts.viewports?.length ? opts.viewports : [null];
+  return {
+    stateExploration: {
+      enabled: opts.stateExploration?.enabled ?? false,
+      maxStates: opts.stateExploration?.maxStates ?? 10,
+      maxDepth: opts.stateExploration?.maxDepth ?? 1,
+      settleMs: opts.stateExploration?.settleMs ?? 400,
+    },
+    pageStructure: {
+      enabled: opts.pageStructure?.enabled ?? false,
+      includeTree: opts.pageStructure?.includeTree ?? false,
+    },
+    keyboard: {
+      enabled: opts.keyboard?.enabled ?? false,
+      maxTabStops: opts.keyboard?.maxTabStops ?? 200,
+      checkFocusIndicators: opts.keyboard?.checkFocusIndicators ?? true,
+    },
+    textStress: {
+      enabled: opts.textStress?.enabled ?? false,
+      spacing: opts.textStress?.spacing ?? true,
+      resize: opts.textStress?.resize ?? true,
+      screenshots: opts.textStress?.screenshots ?? true,
+      maxFindings: opts.textStress?.maxFindings ?? 20,
+      screenshotBudget: opts.textStress?.screenshotBudget ?? null,
+    },
+    viewports,
+    reflow: {
+      enabled: Boolean(viewports[0]) && (opts.reflow?.enabled ?? true),
+      width: opts.reflow?.width ?? 320,
+    },
+    /** @type {import('../media/mediaModes.js').MediaMode[]} */
+    mediaModes: opts.mediaModes ?? [],
+  };
+}
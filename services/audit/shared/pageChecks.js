@@ -0,0 +1,37 @@
+/**
+ * @typedef {Object} PageCheck
+ * @property {string} key - Result field receiving the check's summary, and its `errors` key
+ * @property {string} label - Name used in warnings
+ * @property {{ enabled: boolean } & Record<string, any>} options - Passed on to `run`
+ * @property {(params: Record<string, any>) => Promise<Record<string, any> & { issues: any[], pageHtml: string }>} run
+ */
+
+/**
+ * Run the enabled checks that drive the page themselves, in order. Each
+ * summary is stored under `result[check.key]`; a failing check records
+ * `result.errors[check.key]` and the others still run.
+ *
+ * @param {PageCheck[]} checks
+ * @param {{ url: string, page: import('puppeteer').Page, timeoutMs: number, scheduler?: any }} params
+ * @param {Record<string, any>} result
+ * @param {{ debug: (msg: string) => void, warn: (msg: string) => void }} log
+ * @returns {Promise<{ issues: any[], pageHtml: string }>} Issues of every check, and the first page source captured
+ */
+export async function runPageChecks(checks, params, result, log) {
+  const issues = [];
+  let pageHtml = '';
+  for (const check of checks) {
+    if (!check.options.enabled) continue;
+    try {
+      const checkResult = await check.run({ ...params, ...check.options, log });
+
+      result[check.key] = checkResult[check.key];
+      if (!pageHtml) pageHtml = checkResult.pageHtml;
+      issues.push(...checkResult.issues);
+    } catch (err) {
+      result.errors[check.key] = { message: err?.message || String(err) };
+      log.warn(`${check.label} failed for ${params.url}: ${err?.message || err}`);
+    }
+  }
+  return { issues, pageHtml };
+}
@@ -0,0 +1,37 @@
+/**
+ * Request guard for pages the tool clicks around in (click-route discovery,
+ * UI state exploration): only GET, HEAD and OPTIONS requests go out, so a
+ * click cannot submit a form or call a mutating API.
+ */
+
+const SAFE_METHODS = new Set(['GET', 'HEAD', 'OPTIONS']);
+
+/**
+ * @param {import('puppeteer').HTTPRequest} request
+ * @returns {boolean}
+ */
+export function isSafeRequest(request) {
+  return SAFE_METHODS.has(request.method());
+}
+
+/**
+ * Abort every request `page` makes other than GET/HEAD/OPTIONS until the
+ * returned function is called.
+ *
+ * @param {import('puppeteer').Page} page
+ * @returns {Promise<() => Promise<void>>} Removes the guard again
+ */
+export async function blockUnsafeRequests(page) {
+  await page.setRequestInterception(true);
+  /** @param {import('puppeteer').HTTPRequest} request */
+  const onRequest = (request) => {
+    if (isSafeRequest(request)) request.continue().catch(() => {});
+    else request.abort().catch(() => {});
+  };
+  page.on('request', onRequest);
+
+  return async () => {
+    page.off('request', onRequest);
+    await page.setRequestInterception(false).catch(() => {});
+  };
+}
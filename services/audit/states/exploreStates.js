@@ -0,0 +1,276 @@
+/**
+ * Interactive UI state exploration.
+ *
+ * axe and Pa11y only see a page as loaded, so content behind closed menus,
+ * accordions, inactive tabs and dialogs is never audited. The explorer walks
+ * those states breadth-first: each state is a path of trigger clicks replayed
+ * on a fresh load, audited with axe and/or Pa11y, and only issues not already
+ * seen in the initial page (or an earlier state) are kept, tagged with the
+ * state path that revealed them. Lighthouse always audits the loaded page.
+ *
+ * Triggers are clicked on pages that only let GET/HEAD/OPTIONS requests out,
+ * and a state whose clicks move the page to another URL is dropped: it is a
+ * different page, not a state of this one.
+ */
+
+import { runAxeAudit } from '../toolRunners/axeRunner.js';
+import { runPa11yAudit } from '../toolRunners/pa11yRunner.js';
+import { blockUnsafeRequests } from '../shared/requestGuard.js';
+import { findStateTriggers } from './findStateTriggers.js';
+
+/** @typedef {import('./findStateTriggers.js').StateTrigger} StateTrigger */
+
+/**
+ * @typedef {Object} UiStateResult
+ * @property {string} id
+ * @property {string} path - Human-readable state path, e.g. `expand "Menu" > tab "Specs"`
+ * @property {StateTrigger[]} steps
+ * @property {number} newIssues
+ * @property {Object<string, { message: string }>} errors
+ */
+
+/**
+ * @param {StateTrigger[]} steps
+ * @returns {string}
+ */
+export function formatStatePath(steps) {
+  return steps.map((step) => `${step.kind} "${step.label || step.selector}"`).join(' > ');
+}
+
+/**
+ * @param {any} issue
+ * @returns {string}
+ */
+function stateIssueKey(issue) {
+  return `${issue.tool}|${issue.selector || ''}|${issue.message || ''}`;
+}
+
+/** Thrown by {@link replayStatePath} when a click moved the page to another URL. */
+export class StateLeftPageError extends Error {
+  /**
+   * @param {string} from
+   * @param {string} to
+   */
+  constructor(from, to) {
+    super(`State replay left ${from} for ${to}`);
+    this.name = 'StateLeftPageError';
+    this.from = from;
+    this.to = to;
+  }
+}
+
+/**
+ * Click each step's control in order, letting the UI settle in between.
+ *
+ * @param {import('puppeteer').Page} page
+ * @param {StateTrigger[]} steps
+ * @param {number} settleMs
+ * @throws {StateLeftPageError} When a click changed `page.url()`
+ */
+export async function replayStatePath(page, steps, settleMs) {
+  const loadedUrl = page.url();
+  for (const step of steps) {
+    await page.$eval(step.selector, (el) => /** @type {any} */ (el).click());
+    await new Promise((resolve) => setTimeout(resolve, settleMs));
+    if (page.url() !== loadedUrl) throw new StateLeftPageError(loadedUrl, page.url());
+  }
+}
+
+/**
+ * Load `url` and replay `steps` to see whether they move the page to another
+ * URL. Other failures are left to the audit that follows.
+ *
+ * @param {import('puppeteer').Page} page
+ * @param {string} url
+ * @param {StateTrigger[]} steps
+ * @param {{ timeoutMs: number, settleMs: number, scheduler: import('../../../utils/RequestScheduler.js').RequestScheduler }} opts
+ * @returns {Promise<boolean>}
+ */
+async function leavesPage(page, url, steps, { timeoutMs, settleMs, scheduler }) {
+  try {
+    await scheduler.goto(page, url, { waitUntil: 'domcontentloaded', timeout: timeoutMs });
+    await page.waitForNetworkIdle({ idleTime: 750, timeout: 10_000 }).catch(() => {});
+    await replayStatePath(page, steps, settleMs);
+    return false;
+  } catch (err) {
+    return err instanceof StateLeftPageError;
+  }
+}
+
+/**
+ * Keep issues not present in `knownKeys`, tag them with the state path and
+ * record their keys so later states do not report them again.
+ *
+ * @param {any[]} issues
+ * @param {Set<string>} knownKeys
+ * @param {{ id: string, path: string }} state
+ * @returns {any[]}
+ */
+export function tagNewStateIssues(issues, knownKeys, state) {
+  const fresh = [];
+  for (const issue of issues) {
+    const key = stateIssueKey(issue);
+    if (knownKeys.has(key)) continue;
+    knownKeys.add(key);
+    fresh.push({ ...issue, id: `${issue.id}@${state.id}`, statePath: state.path });
+  }
+  return fresh;
+}
+
+/**
+ * @param {object} params
+ * @param {string} params.url
+ * @param {import('puppeteer').Page} params.page
+ * @param {{ browser: import('puppeteer').Browser }} params.instance
+ * @param {string[]} params.selectedTools
+ * @param {any[]} params.baseIssues - Issues found on the page as loaded
+ * @param {number} params.timeoutMs
+ * @param {string} params.standard
+ * @param {Record<string, string>|undefined} params.headers
+ * @param {Array<any>|undefined} params.cookies
+ * @param {(page: import('puppeteer').Page) => Promise<void>} [params.preparePage] - Seeds Pa11y's page with auth storage
+ * @param {number} params.retryDelayMs
+ * @param {{ maxStates?: number, maxDepth?: number, settleMs?: number }} params.options
+ * @param {import('../../../utils/RequestScheduler.js').RequestScheduler} params.scheduler
+ * @param {{ debug: (msg: string) => void, warn: (msg: string) => void }} params.log
+ * @returns {Promise<{ states: UiStateResult[], issues: any[] }>}
+ */
+export async function exploreUiStates({
+  url,
+  page,
+  instance,
+  selectedTools,
+  baseIssues,
+  timeoutMs,
+  standard,
+  headers,
+  cookies,
+  preparePage,
+  retryDelayMs,
+  options,
+  scheduler,
+  log,
+}) {
+  const maxStates = options.maxStates ?? 10;
+  const maxDepth = options.maxDepth ?? 1;
+  const settleMs = options.settleMs ?? 400;
+  const useAxe = selectedTools.includes('axe');
+  const usePa11y = selectedTools.includes('pa11y');
+
+  /** @type {UiStateResult[]} */
+  const states = [];
+  const issues = [];
+  if (!useAxe && !usePa11y) return { states, issues };
+
+  const knownKeys = new Set((baseIssues || []).map(stateIssueKey));
+  const knownTriggers = new Set();
+  /** @type {StateTrigger[][]} */
+  const queue = [[]];
+
+  // Pa11y's page gets the same guard. Auth headers are set on that page rather
+  // than passed to Pa11y, whose own request interception lets every request through.
+  const preparePa11yPage = async (pa11yPage) => {
+    await blockUnsafeRequests(pa11yPage);
+    if (headers) await pa11yPage.setExtraHTTPHeaders(headers);
+    if (preparePage) await preparePage(pa11yPage);
+  };
+
+  const unblockRequests = await blockUnsafeRequests(page);
+  try {
+    while (queue.length > 0 && states.length < maxStates) {
+      const parentSteps = queue.shift();
+
+      let triggers;
+      try {
+        await scheduler.goto(page, url, { waitUntil: 'domcontentloaded', timeout: timeoutMs });
+        await page.waitForNetworkIdle({ idleTime: 750, timeout: 10_000 }).catch(() => {});
+        await replayStatePath(page, parentSteps, settleMs);
+        triggers = await findStateTriggers(page, maxStates * 5);
+      } catch (err) {
+        log.debug(`State discovery failed for ${url}: ${err?.message || err}`);
+        continue;
+      }
+
+      for (const trigger of triggers) {
+        if (states.length >= maxStates) break;
+        if (knownTriggers.has(trigger.selector)) continue;
+        knownTriggers.add(trigger.selector);
+
+        const steps = [...parentSteps, trigger];
+        const state = { id: `state-${states.length + 1}`, path: formatStatePath(steps) };
+        const stateIssues = [];
+        /** @type {Object<string, { message: string }>} */
+        const errors = {};
+        let leftPage = false;
+
+        if (useAxe) {
+          try {
+            const axeResult = await runAxeAudit({
+              url,
+              page,
+              timeoutMs,
+              includeDetails: false,
+              maxRetries: 1,
+              retryDelayMs,
+              log,
+              prepare: (statePage) => replayStatePath(statePage, steps, settleMs),
+              scheduler,
+            });
+            stateIssues.push(...axeResult.issues);
+          } catch (err) {
+            if (err instanceof StateLeftPageError) leftPage = true;
+            else errors.axe = { message: err?.message || String(err) };
+          }
+        } else {
+          leftPage = await leavesPage(page, url, steps, { timeoutMs, settleMs, scheduler });
+        }
+
+        if (leftPage) {
+          log.debug(`State ${state.path} on ${url} leaves the page; not audited`);
+          continue;
+        }
+
+        if (usePa11y) {
+          try {
+            const pa11yResult = await scheduler.run(url, () =>
+              runPa11yAudit({
+                url,
+                instance,
+                timeoutMs,
+                standard,
+                includeDetails: false,
+                headers: undefined,
+                cookies,
+                preparePage: preparePa11yPage,
+                maxRetries: 1,
+                retryDelayMs,
+                log,
+                actions: steps.map((step) => `click element ${step.selector}`),
+                wait: settleMs,
+              })
+            );
+            stateIssues.push(...pa11yResult.issues);
+          } catch (err) {
+            errors.pa11y = { message: err?.message || String(err) };
+          }
+        }
+
+        for (const [tool, error] of Object.entries(errors)) {
+          log.warn(`State ${state.path} on ${url}: ${tool} failed - ${error.message}`);
+        }
+
+        const fresh = tagNewStateIssues(stateIssues, knownKeys, state);
+        issues.push(...fresh);
+        states.push({ ...state, steps, newIssues: fresh.length, errors });
+
+        if (steps.length < maxDepth) queue.push(steps);
+      }
+    }
+  } finally {
+    await unblockRequests();
+  }
+
+  return { states, issues };
+}
+
+export default exploreUiStates;
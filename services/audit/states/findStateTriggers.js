@@ -0,0 +1,91 @@
+/**
+ * @typedef {Object} StateTrigger
+ * @property {'expand'|'tab'|'dialog'} kind
+ * @property {string} selector - Unique CSS selector for the control
+ * @property {string} label - Accessible name or visible text (truncated)
+ */
+
+/**
+ * Find visible controls that reveal hidden UI: collapsed disclosures and
+ * menus (`aria-expanded="false"`, closed `<details>`), inactive tabs, and
+ * buttons that open dialogs.
+ *
+ * @param {import('puppeteer').Page} page
+ * @param {number} [limit=50]
+ * @returns {Promise<StateTrigger[]>}
+ */
+export async function findStateTriggers(page, limit = 50) {
+  return page.evaluate((max) => {
+    /* global document, getComputedStyle, CSS */
+    const isVisible = (el) => {
+      const rect = el.getBoundingClientRect();
+      const style = getComputedStyle(el);
+      return rect.width > 0 && rect.height > 0 && style.visibility !== 'hidden';
+    };
+
+    const uniqueId = (el) =>
+      el.id && document.querySelectorAll(`#${CSS.escape(el.id)}`).length === 1
+        ? `#${CSS.escape(el.id)}`
+        : null;
+
+    const cssPath = (el) => {
+      const parts = [];
+      let current = el;
+      while (current && current !== document.documentElement) {
+        const id = uniqueId(current);
+        if (id) {
+          parts.unshift(id);
+          break;
+        }
+        const tag = current.tagName.toLowerCase();
+        const parent = current.parentElement;
+        if (!parent) {
+          parts.unshift(tag);
+          break;
+        }
+        const sameTag = Array.from(parent.children).filter((c) => c.tagName === current.tagName);
+        parts.unshift(
+          sameTag.length > 1 ? `${tag}:nth-of-type(${sameTag.indexOf(current) + 1})` : tag
+        );
+        current = parent;
+      }
+      return parts.join(' > ');
+    };
+
+    const labelOf = (el) =>
+      (el.getAttribute('aria-label') || el.textContent || '').replace(/\s+/g, ' ').trim().slice(0, 60);
+
+    const opensDialog = (el) => {
+      if (el.matches('[aria-haspopup="dialog"], [data-toggle="modal"], [data-bs-toggle="modal"]')) {
+        return true;
+      }
+      const controls = el.getAttribute('aria-controls');
+      const target = controls ? document.getElementById(controls) : null;
+      return Boolean(target?.matches('dialog, [role="dialog"], [role="alertdialog"]'));
+    };
+
+    const triggers = [];
+    const seen = new Set();
+    const add = (el, kind) => {
+      if (triggers.length >= max) return;
+      if (el.disabled || el.getAttribute('aria-disabled') === 'true' || !isVisible(el)) return;
+      const selector = cssPath(el);
+      if (!selector || seen.has(selector)) return;
+      seen.add(selector);
+      triggers.push({ kind, selector, label: labelOf(el) });
+    };
+
+    for (const el of document.querySelectorAll('button, [role="button"], a[href], [aria-controls]')) {
+      if (opensDialog(el)) add(el, 'dialog');
+    }
+    for (const el of document.querySelectorAll('[aria-expanded="false"]')) add(el, 'expand');
+    for (const el of document.querySelectorAll('details:not([open]) > summary')) add(el, 'expand');
+    for (const el of document.querySelectorAll('[role="tab"]:not([aria-selected="true"])')) {
+      add(el, 'tab');
+    }
+
+    return triggers;
+  }, limit);
+}
+
+export default findStateTriggers;
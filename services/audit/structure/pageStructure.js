@@ -0,0 +1,166 @@
+/**
+ * What a screen reader sees of a page: Chrome's accessibility tree and the
+ * heading outline, landmark map and form-control names derived from it.
+ */
+
+/** Entries kept per list; the counts cover every entry. */
+const MAX_ENTRIES = 200;
+
+const LANDMARK_ROLES = new Set([
+  'banner',
+  'complementary',
+  'contentinfo',
+  'form',
+  'main',
+  'navigation',
+  'region',
+  'search',
+]);
+
+/** Forms and regions are only landmarks when they have an accessible name. */
+const NAMED_LANDMARK_ROLES = new Set(['form', 'region']);
+
+const FORM_CONTROL_ROLES = new Set([
+  'checkbox',
+  'combobox',
+  'listbox',
+  'radio',
+  'searchbox',
+  'slider',
+  'spinbutton',
+  'switch',
+  'textbox',
+]);
+
+/**
+ * @typedef {import('puppeteer').SerializedAXNode} AXNode
+ */
+
+/**
+ * @typedef {Object} PageStructure
+ * @property {string} title - Accessible name of the document
+ * @property {number} nodes - Nodes in the accessibility tree (interesting nodes only)
+ * @property {Array<{ level: number, name: string, skipped: boolean }>} headings - In reading
+ *   order; `skipped` when the level is more than one below the previous heading's
+ * @property {Array<{ role: string, name: string, depth: number }>} landmarks - In reading order;
+ *   `depth` counts the landmarks containing this one
+ * @property {Array<{ role: string, name: string, required: boolean }>} formControls - An empty
+ *   `name` means the control has no accessible name
+ * @property {{ headings: number, landmarks: number, formControls: number, unnamedFormControls: number }} counts
+ * @property {AXNode|null} [tree] - The snapshot itself, when `includeTree` is set
+ */
+
+/**
+ * Derive the heading outline, landmark map and form-control names from an
+ * accessibility tree snapshot.
+ *
+ * @param {AXNode|null} tree
+ * @returns {Omit<PageStructure, 'tree'>}
+ */
+export function derivePageStructure(tree) {
+  const headings = [];
+  const landmarks = [];
+  const formControls = [];
+  let nodes = 0;
+  let previousLevel = 0;
+
+  /**
+   * @param {AXNode} node
+   * @param {number} depth - Landmarks containing `node`
+   */
+  const walk = (node, depth) => {
+    nodes += 1;
+    const name = (node.name || '').replace(/\s+/g, ' ').trim();
+    let childDepth = depth;
+
+    if (node.role === 'heading') {
+      const level = Number(node.level) || 2;
+      headings.push({ level, name, skipped: previousLevel > 0 && level > previousLevel + 1 });
+      previousLevel = level;
+    } else if (LANDMARK_ROLES.has(node.role) && (name || !NAMED_LANDMARK_ROLES.has(node.role))) {
+      landmarks.push({ role: node.role, name, depth });
+      childDepth += 1;
+    } else if (FORM_CONTROL_ROLES.has(node.role)) {
+      formControls.push({ role: node.role, name, required: node.required === true });
+    }
+
+    for (const child of node.children || []) walk(child, childDepth);
+  };
+  if (tree) walk(tree, 0);
+
+  return {
+    title: (tree?.name || '').trim(),
+    nodes,
+    headings: headings.slice(0, MAX_ENTRIES),
+    landmarks: landmarks.slice(0, MAX_ENTRIES),
+    formControls: formControls.slice(0, MAX_ENTRIES),
+    counts: {
+      headings: headings.length,
+      landmarks: landmarks.length,
+      formControls: formControls.length,
+      unnamedFormControls: formControls.filter((control) => !control.name).length,
+    },
+  };
+}
+
+/**
+ * Whether the page the audit left open is the one axe loaded, at the first
+ * viewport without emulation: axe ran and succeeded, and no other viewport or
+ * media mode ran on the page after it.
+ *
+ * @param {object} params
+ * @param {string[]} params.selectedTools
+ * @param {Record<string, unknown>} params.errors - Tool errors of the first run
+ * @param {unknown[]} params.viewports
+ * @param {unknown[]} params.mediaModes
+ * @returns {boolean}
+ */
+export function canReuseAxePage({ selectedTools, errors, viewports, mediaModes }) {
+  return (
+    selectedTools.includes('axe') && !errors.axe && viewports.length <= 1 && mediaModes.length === 0
+  );
+}
+
+/**
+ * Snapshot the accessibility tree of `url` and derive its structure.
+ *
+ * @param {object} params
+ * @param {string} params.url
+ * @param {import('puppeteer').Page} params.page
+ * @param {number} params.timeoutMs
+ * @param {boolean} [params.includeTree=false] - Keep the snapshot in the result
+ * @param {boolean} [params.navigate=true] - Load `url` first; false snapshots the page as it is
+ * @param {import('../../../utils/RequestScheduler.js').RequestScheduler} [params.scheduler]
+ * @param {{ debug: (msg: string) => void }} params.log
+ * @returns {Promise<{ pageStructure: PageStructure, issues: any[], pageHtml: string }>}
+ */
+export async function capturePageStructure({
+  url,
+  page,
+  timeoutMs,
+  includeTree = false,
+  navigate = true,
+  scheduler,
+  log,
+}) {
+  let pageHtml = '';
+  if (navigate) {
+    const gotoOptions = { waitUntil: 'domcontentloaded', timeout: timeoutMs };
+    if (scheduler) await scheduler.goto(page, url, gotoOptions);
+    else await page.goto(url, gotoOptions);
+    await page.waitForNetworkIdle({ idleTime: 750, timeout: 10_000 }).catch(() => {});
+    pageHtml = await page.content().catch(() => '');
+  }
+
+  const tree = await page.accessibility.snapshot({ interestingOnly: true, includeIframes: true });
+  const structure = derivePageStructure(tree);
+  log.debug(
+    `Accessibility tree for ${url}: ${structure.nodes} nodes, ${structure.counts.headings} headings, ${structure.counts.landmarks} landmarks`
+  );
+
+  return {
+    pageStructure: { ...structure, ...(includeTree ? { tree } : {}) },
+    issues: [],
+    pageHtml,
+  };
+}
@@ -0,0 +1,275 @@
+/**
+ * Geometry of a page's text containers, measured before and after a text
+ * adaptation (WCAG 1.4.12 spacing overrides or 1.4.4 200% text size).
+ *
+ * The containers are collected once and kept on `window`, so every
+ * measurement describes the same elements in the same order.
+ */
+
+/** Window property holding the tracked elements between evaluations. */
+const TRACKED = '__a11yTextStressElements';
+
+/** Data attribute marking elements whose inline styles the adaptation changed. */
+const STYLED = 'data-a11y-text-stress';
+
+/**
+ * The WCAG 1.4.12 text spacing bookmarklet values.
+ */
+export const TEXT_SPACING_CSS = `
+  * {
+    line-height: 1.5 !important;
+    letter-spacing: 0.12em !important;
+    word-spacing: 0.16em !important;
+  }
+  p {
+    margin-bottom: 2em !important;
+  }
+`;
+
+/**
+ * @typedef {Object} TextBox
+ * @property {string} selector
+ * @property {string} html - Opening tag (truncated)
+ * @property {string} text - Text content (truncated)
+ * @property {{ x: number, y: number, width: number, height: number }} rect - Document coordinates
+ * @property {boolean} clipped - Content overflows a box that hides overflow (the element's or a close ancestor's)
+ * @property {boolean} truncates - Clipping would show as an ellipsis or line clamp
+ * @property {number[]} ancestors - Indexes of tracked elements containing this one
+ */
+
+/**
+ * @typedef {Object} TextStressFinding
+ * @property {'clipped'|'truncated'|'overlapping'} kind
+ * @property {number} index - Tracked element index
+ * @property {string} selector
+ * @property {string} html
+ * @property {string} text
+ * @property {TextBox['rect']} before
+ * @property {TextBox['rect']} after
+ * @property {string} [overlaps] - Selector of the element it now overlaps
+ */
+
+/**
+ * Collect visible elements with their own text (up to `limit`).
+ *
+ * @param {import('puppeteer').Page} page
+ * @param {number} [limit=400]
+ * @returns {Promise<number>} Number of tracked elements
+ */
+export async function trackTextElements(page, limit = 400) {
+  return page.evaluate(
+    (max, key) => {
+      /* global document, window, getComputedStyle, Node */
+      const tracked = [];
+      for (const el of document.body?.querySelectorAll('*') ?? []) {
+        if (tracked.length >= max) break;
+        if (['SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE'].includes(el.tagName)) continue;
+        if (el.closest('svg')) continue;
+        const ownText = Array.from(el.childNodes).some(
+          (node) => node.nodeType === Node.TEXT_NODE && node.textContent.trim()
+        );
+        if (!ownText) continue;
+        const rect = el.getBoundingClientRect();
+        const style = getComputedStyle(el);
+        if (rect.width < 1 || rect.height < 1 || style.visibility === 'hidden') continue;
+        if (el.closest('[aria-hidden="true"]')) continue;
+        tracked.push(el);
+      }
+      window[key] = tracked;
+      return tracked.length;
+    },
+    limit,
+    TRACKED
+  );
+}
+
+/**
+ * Measure the tracked elements.
+ *
+ * @param {import('puppeteer').Page} page
+ * @returns {Promise<TextBox[]>}
+ */
+export async function measureTextElements(page) {
+  return page.evaluate((key) => {
+    /* global CSS */
+    const tracked = window[key] || [];
+    const hides = (style) =>
+      ['hidden', 'clip'].includes(style.overflowX) || ['hidden', 'clip'].includes(style.overflowY);
+    const overflows = (el) =>
+      el.scrollWidth > el.clientWidth + 1 || el.scrollHeight > el.clientHeight + 1;
+
+    const uniqueId = (el) =>
+      el.id && document.querySelectorAll(`#${CSS.escape(el.id)}`).length === 1
+        ? `#${CSS.escape(el.id)}`
+        : null;
+
+    const cssPath = (el) => {
+      const parts = [];
+      let current = el;
+      while (current && current !== document.documentElement) {
+        const id = uniqueId(current);
+        if (id) {
+          parts.unshift(id);
+          break;
+        }
+        const tag = current.tagName.toLowerCase();
+        const parent = current.parentElement;
+        if (!parent) {
+          parts.unshift(tag);
+          break;
+        }
+        const sameTag = Array.from(parent.children).filter((c) => c.tagName === current.tagName);
+        parts.unshift(
+          sameTag.length > 1 ? `${tag}:nth-of-type(${sameTag.indexOf(current) + 1})` : tag
+        );
+        current = parent;
+      }
+      return parts.join(' > ');
+    };
+
+    return tracked.map((el) => {
+      const rect = el.getBoundingClientRect();
+      const style = getComputedStyle(el);
+      // Text usually sits in a fixed-size box a level or two up (a button, a card).
+      let clipped = false;
+      let node = el;
+      for (let depth = 0; node && node !== document.body && depth < 3; depth += 1) {
+        if (hides(getComputedStyle(node)) && overflows(node)) {
+          clipped = true;
+          break;
+        }
+        node = node.parentElement;
+      }
+      return {
+        selector: cssPath(el),
+        html: el.outerHTML.slice(0, el.outerHTML.indexOf('>') + 1).slice(0, 200),
+        text: (el.textContent || '').replace(/\s+/g, ' ').trim().slice(0, 80),
+        rect: {
+          x: rect.left + window.scrollX,
+          y: rect.top + window.scrollY,
+          width: rect.width,
+          height: rect.height,
+        },
+        clipped,
+        truncates:
+          style.textOverflow === 'ellipsis' ||
+          Boolean(style.webkitLineClamp && style.webkitLineClamp !== 'none'),
+        ancestors: tracked
+          .map((other, index) => (other !== el && other.contains(el) ? index : -1))
+          .filter((index) => index >= 0),
+      };
+    });
+  }, TRACKED);
+}
+
+/**
+ * Apply the 1.4.12 spacing overrides.
+ *
+ * @param {import('puppeteer').Page} page
+ */
+export async function applyTextSpacing(page) {
+  await page.evaluate(
+    (css, marker) => {
+      const style = document.createElement('style');
+      style.setAttribute(marker, '');
+      style.textContent = css;
+      document.head.appendChild(style);
+    },
+    TEXT_SPACING_CSS,
+    STYLED
+  );
+}
+
+/**
+ * Double every element's computed font size, as text-only zoom to 200% does.
+ * Sizes are read before any is changed so nested text is not compounded.
+ *
+ * @param {import('puppeteer').Page} page
+ * @param {number} [scale=2]
+ */
+export async function applyTextResize(page, scale = 2) {
+  await page.evaluate(
+    (factor, marker) => {
+      const elements = Array.from(document.body?.querySelectorAll('*') ?? []);
+      const sizes = elements.map((el) => parseFloat(getComputedStyle(el).fontSize));
+      elements.forEach((el, index) => {
+        if (!Number.isFinite(sizes[index])) return;
+        el.setAttribute(marker, el.style.getPropertyValue('font-size'));
+        el.style.setProperty('font-size', `${sizes[index] * factor}px`, 'important');
+      });
+    },
+    scale,
+    STYLED
+  );
+}
+
+/**
+ * Undo {@link applyTextSpacing} and {@link applyTextResize}.
+ *
+ * @param {import('puppeteer').Page} page
+ */
+export async function resetTextStress(page) {
+  await page.evaluate((marker) => {
+    for (const el of document.querySelectorAll(`[${marker}]`)) {
+      if (el.tagName === 'STYLE') {
+        el.remove();
+        continue;
+      }
+      const previous = el.getAttribute(marker);
+      el.style.removeProperty('font-size');
+      if (previous) el.style.setProperty('font-size', previous);
+      el.removeAttribute(marker);
+    }
+  }, STYLED);
+}
+
+/**
+ * @param {TextBox['rect']} a
+ * @param {TextBox['rect']} b
+ * @returns {boolean} The boxes share more than a couple of pixels each way
+ */
+function intersects(a, b) {
+  const overlapX = Math.min(a.x + a.width, b.x + b.width) - Math.max(a.x, b.x);
+  const overlapY = Math.min(a.y + a.height, b.y + b.height) - Math.max(a.y, b.y);
+  return overlapX > 2 && overlapY > 2;
+}
+
+/**
+ * Compare measurements taken before and after an adaptation. Reports text
+ * that became clipped or truncated, and text boxes that started to overlap
+ * (each pair once, on the later element).
+ *
+ * @param {TextBox[]} before
+ * @param {TextBox[]} after
+ * @returns {TextStressFinding[]}
+ */
+export function compareTextGeometry(before, after) {
+  /** @type {TextStressFinding[]} */
+  const findings = [];
+  const describe = (index) => ({
+    index,
+    selector: after[index].selector,
+    html: after[index].html,
+    text: after[index].text,
+    before: before[index].rect,
+    after: after[index].rect,
+  });
+
+  for (let index = 0; index < after.length && index < before.length; index += 1) {
+    if (after[index].clipped && !before[index].clipped) {
+      findings.push({ kind: after[index].truncates ? 'truncated' : 'clipped', ...describe(index) });
+      continue;
+    }
+
+    for (let other = 0; other < index; other += 1) {
+      if (after[index].ancestors.includes(other) || after[other].ancestors.includes(index)) {
+        continue;
+      }
+      if (!intersects(after[index].rect, after[other].rect)) continue;
+      if (intersects(before[index].rect, before[other].rect)) continue;
+      findings.push({ kind: 'overlapping', ...describe(index), overlaps: after[other].selector });
+      break;
+    }
+  }
+  return findings;
+}
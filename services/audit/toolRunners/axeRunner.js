@@ -1,5 +1,6 @@
 import { SeverityMapper } from '../../../utils/SeverityMapper.js';
 import { withRetry } from '../shared/retry.js';
+import { frameExclusions, listFrames } from '../frames/frameInventory.js';
 
 /**
  * @param {any} v
@@ -30,7 +31,10 @@ function reduceAxeViolation(v, maxNodes = 5) {
  * @param {number} params.maxRetries
  * @param {number} params.retryDelayMs
  * @param {{ debug: (msg: string) => void }} params.log
- * @returns {Promise<{ axeViolations: number, axe: any, issues: any[], pageHtml: string }>}
+ * @param {(page: import('puppeteer').Page) => Promise<void>} [params.prepare] - Runs after load, before analysis
+ * @param {boolean} [params.navigate=true] - Load `url` first; false analyses the page as it is
+ * @param {import('../../../utils/RequestScheduler.js').RequestScheduler} [params.scheduler]
+ * @returns {Promise<{ axeViolations: number, axe: any, issues: any[], pageHtml: string, frames: import('../frames/frameInventory.js').FrameInfo[] }>}
  */
 export async function runAxeAudit({
   url,
@@ -40,17 +44,31 @@ export async function runAxeAudit({
   maxRetries,
   retryDelayMs,
   log,
+  prepare,
+  navigate = true,
+  scheduler,
 }) {
   return withRetry(
     async () => {
-      await page.goto(url, { waitUntil: 'domcontentloaded', timeout: timeoutMs });
-      await page.waitForNetworkIdle({ idleTime: 750, timeout: 10_000 }).catch(() => {});
+      if (navigate) {
+        const gotoOptions = { waitUntil: 'domcontentloaded', timeout: timeoutMs };
+        if (scheduler) await scheduler.goto(page, url, gotoOptions);
+        else await page.goto(url, gotoOptions);
+        await page.waitForNetworkIdle({ idleTime: 750, timeout: 10_000 }).catch(() => {});
+      }
+      if (prepare) await prepare(page);
       const pageHtml = await page.content().catch(() => '');
 
       const axeMod = await import('@axe-core/puppeteer');
       const { AxePuppeteer } = axeMod;
 
-      const axeResults = await new AxePuppeteer(page).analyze();
+      // axe descends into iframes itself; cross-origin ones are excluded and
+      // reported as not auditable instead.
+      const frames = await listFrames(page).catch(() => []);
+      const axe = new AxePuppeteer(page);
+      for (const exclusion of frameExclusions(frames)) axe.exclude(exclusion);
+
+      const axeResults = await axe.analyze();
       const violations = axeResults?.violations || [];
       const axeViolations = violations.length;
 
@@ -72,6 +90,7 @@ export async function runAxeAudit({
         axe: axeSection,
         issues,
         pageHtml,
+        frames,
       };
     },
     maxRetries,
@@ -0,0 +1,273 @@
+import { SeverityMapper } from '../../../utils/SeverityMapper.js';
+import { listKeyboardTargets, readFocus } from '../keyboard/focusProbe.js';
+
+/** Focus-indicator comparisons per page; each costs two screenshots. */
+const MAX_INDICATOR_CHECKS = 60;
+
+/** Tab presses tolerated while focus stays inside one iframe. */
+const MAX_FRAME_PRESSES = 50;
+
+/** Padding (px) around a focused element, so outlines and offsets are captured. */
+const INDICATOR_PADDING = 8;
+
+/** Entries of the recorded focus sequence kept in the result. */
+const MAX_SEQUENCE = 100;
+
+const HIDDEN_REASONS = {
+  'not-rendered': 'is not rendered (display: none or visibility: hidden)',
+  'zero-size': 'has no visible size',
+  transparent: 'is fully transparent',
+  'off-screen': 'is positioned off-screen',
+  'aria-hidden': 'is inside an aria-hidden region',
+};
+
+/**
+ * @typedef {Object} KeyboardFinding
+ * @property {'keyboard-trap'|'keyboard-unreachable'|'focus-hidden'|'focus-indicator-missing'} check
+ * @property {string} message
+ * @property {string} selector
+ * @property {string} html
+ * @property {any} [detail]
+ */
+
+/**
+ * @typedef {Object} KeyboardSummary
+ * @property {number} tabStops - Distinct elements focus landed on
+ * @property {boolean} complete - Focus cycled through the whole page
+ * @property {'end-of-page'|'wrapped'|'trap'|'limit'} endedBy
+ * @property {string[]} sequence - Selectors in tab order (truncated)
+ * @property {number} indicatorChecks - Focus indicators compared by screenshot
+ */
+
+/**
+ * Screenshot the area around the focused element with and without focus.
+ * Returns false when both captures are identical, i.e. focus is invisible.
+ *
+ * @param {import('puppeteer').Page} page
+ * @param {import('../keyboard/focusProbe.js').FocusStop} stop
+ * @returns {Promise<boolean>}
+ */
+async function hasFocusIndicator(page, stop) {
+  const clip = {
+    x: Math.max(0, Math.floor(stop.rect.x - INDICATOR_PADDING)),
+    y: Math.max(0, Math.floor(stop.rect.y - INDICATOR_PADDING)),
+    width: Math.max(1, Math.ceil(stop.rect.width + INDICATOR_PADDING * 2)),
+    height: Math.max(1, Math.ceil(stop.rect.height + INDICATOR_PADDING * 2)),
+  };
+
+  const active = await page.evaluateHandle(() => {
+    /* global document */
+    let el = document.activeElement;
+    while (el?.shadowRoot?.activeElement) el = el.shadowRoot.activeElement;
+    return el;
+  });
+  try {
+    const focused = await page.screenshot({ type: 'png', clip });
+    await active.evaluate((el) => el.blur());
+    const blurred = await page.screenshot({ type: 'png', clip });
+    await active.evaluate((el) => el.focus({ preventScroll: true }));
+    return !Buffer.from(focused).equals(Buffer.from(blurred));
+  } finally {
+    await active.dispose().catch(() => {});
+  }
+}
+
+/**
+ * Press Escape then Tab and report whether focus left `cycle`.
+ *
+ * @param {import('puppeteer').Page} page
+ * @param {Set<string>} cycle
+ * @returns {Promise<import('../keyboard/focusProbe.js').FocusStop|null|undefined>} The stop
+ *   reached outside the cycle (null for the body), or undefined when still trapped
+ */
+async function tryEscape(page, cycle) {
+  await page.keyboard.press('Escape');
+  await page.keyboard.press('Tab');
+  const next = await readFocus(page);
+  if (next && cycle.has(next.selector)) return undefined;
+  return next;
+}
+
+/**
+ * Tab through a page and check keyboard operability:
+ * - keyboard traps: focus cycles among a subset of elements and Escape does
+ *   not release it (2.1.2)
+ * - unreachable controls: visible focusable elements Tab never reaches, and
+ *   click-only controls outside the tab order (2.1.1)
+ * - focus on hidden elements (2.4.3, 2.4.7)
+ * - focus indicators that leave the page unchanged between a focused and a
+ *   blurred screenshot (2.4.7)
+ *
+ * @param {object} params
+ * @param {string} params.url
+ * @param {import('puppeteer').Page} params.page
+ * @param {number} params.timeoutMs
+ * @param {number} [params.maxTabStops=200] - Tab presses before giving up
+ * @param {boolean} [params.checkFocusIndicators=true]
+ * @param {boolean} [params.navigate=true] - Load `url` first; false walks the page as it is
+ * @param {import('../../../utils/RequestScheduler.js').RequestScheduler} [params.scheduler]
+ * @param {{ debug: (msg: string) => void }} params.log
+ * @returns {Promise<{ keyboard: KeyboardSummary, issues: any[], pageHtml: string }>}
+ */
+export async function runKeyboardAudit({
+  url,
+  page,
+  timeoutMs,
+  maxTabStops = 200,
+  checkFocusIndicators = true,
+  navigate = true,
+  scheduler,
+  log,
+}) {
+  if (navigate) {
+    const gotoOptions = { waitUntil: 'domcontentloaded', timeout: timeoutMs };
+    if (scheduler) await scheduler.goto(page, url, gotoOptions);
+    else await page.goto(url, gotoOptions);
+    await page.waitForNetworkIdle({ idleTime: 750, timeout: 10_000 }).catch(() => {});
+  }
+  const pageHtml = await page.content().catch(() => '');
+  const targets = await listKeyboardTargets(page);
+
+  /** @type {KeyboardFinding[]} */
+  const findings = [];
+  /** @type {string[]} */
+  const sequence = [];
+  /** @type {Map<string, number>} selector -> index in `sequence` */
+  const visited = new Map();
+  let indicatorChecks = 0;
+  let framePresses = 0;
+  /** Length of `sequence` when Escape released a cycle, or -1 */
+  let escapedAt = -1;
+  /** @type {KeyboardSummary['endedBy']} */
+  let endedBy = 'limit';
+
+  /** @param {import('../keyboard/focusProbe.js').FocusStop} stop */
+  const inspect = async (stop) => {
+    if (stop.isFrame) return;
+    if (stop.hidden) {
+      findings.push({
+        check: 'focus-hidden',
+        message: `Keyboard focus lands on an element that ${HIDDEN_REASONS[stop.hidden]}`,
+        selector: stop.selector,
+        html: stop.html,
+        detail: { hidden: stop.hidden },
+      });
+      return;
+    }
+    if (!checkFocusIndicators || indicatorChecks >= MAX_INDICATOR_CHECKS) return;
+    indicatorChecks += 1;
+    const visible = await hasFocusIndicator(page, stop).catch((err) => {
+      log.debug(`Focus indicator check failed for ${stop.selector}: ${err?.message || err}`);
+      return true;
+    });
+    if (!visible) {
+      findings.push({
+        check: 'focus-indicator-missing',
+        message: 'Focusing this element produces no visible change (no focus indicator)',
+        selector: stop.selector,
+        html: stop.html,
+      });
+    }
+  };
+
+  /**
+   * Record a stop. Returns false once the walk is over.
+   *
+   * @param {import('../keyboard/focusProbe.js').FocusStop|null} stop
+   */
+  const visit = async (stop) => {
+    if (!stop) {
+      if (sequence.length > 0) {
+        endedBy = 'end-of-page';
+        return false;
+      }
+      return true;
+    }
+
+    const previous = visited.get(stop.selector);
+    if (previous === undefined) {
+      framePresses = 0;
+      visited.set(stop.selector, sequence.length);
+      sequence.push(stop.selector);
+      await inspect(stop);
+      return true;
+    }
+    // Tab moves through an iframe's content, or a shadow root's, under one selector.
+    const nested = stop.isFrame || stop.inShadow;
+    if (nested && previous === sequence.length - 1 && framePresses < MAX_FRAME_PRESSES) {
+      framePresses += 1;
+      return true;
+    }
+    if (previous === 0) {
+      endedBy = 'wrapped';
+      return false;
+    }
+    // After an Escape, focus may return to elements already seen (a dialog's opener).
+    if (previous < escapedAt) return true;
+
+    const cycle = new Set(sequence.slice(previous));
+    const exit = escapedAt < 0 ? await tryEscape(page, cycle) : undefined;
+    if (exit !== undefined) {
+      // Escape is a standard way out (e.g. closing a modal); keep walking from there.
+      escapedAt = sequence.length;
+      return visit(exit);
+    }
+    findings.push({
+      check: 'keyboard-trap',
+      message: `Keyboard focus is trapped cycling through ${cycle.size} element(s); Tab and Escape do not move it out`,
+      selector: stop.selector,
+      html: stop.html,
+      detail: { cycle: [...cycle] },
+    });
+    endedBy = 'trap';
+    return false;
+  };
+
+  let presses = 0;
+  let walking = await visit(await readFocus(page));
+  while (walking && presses < maxTabStops) {
+    await page.keyboard.press('Tab');
+    presses += 1;
+    walking = await visit(await readFocus(page));
+  }
+
+  const complete = endedBy === 'end-of-page' || endedBy === 'wrapped';
+  // Elements missed by an interrupted walk may simply not have been reached yet.
+  if (complete) {
+    for (const target of targets.focusable) {
+      if (visited.has(target.selector)) continue;
+      findings.push({
+        check: 'keyboard-unreachable',
+        message: `Focusable element${target.label ? ` "${target.label}"` : ''} is never reached with Tab`,
+        selector: target.selector,
+        html: target.html,
+      });
+    }
+  }
+  for (const target of targets.clickOnly) {
+    findings.push({
+      check: 'keyboard-unreachable',
+      message: `Interactive element${target.label ? ` "${target.label}"` : ''} responds to clicks but is not in the tab order`,
+      selector: target.selector,
+      html: target.html,
+    });
+  }
+
+  log.debug(
+    `Keyboard walk for ${url}: ${sequence.length} tab stops, ended by ${endedBy}, ${findings.length} findings`
+  );
+
+  return {
+    keyboard: {
+      tabStops: sequence.length,
+      complete,
+      endedBy,
+      sequence: sequence.slice(0, MAX_SEQUENCE),
+      indicatorChecks,
+    },
+    issues: findings.map((finding) => SeverityMapper.normalizeKeyboardFinding(finding, url)),
+    pageHtml,
+  };
+}
+
+export default runKeyboardAudit;
@@ -1,15 +1,19 @@
 import lighthouse from 'lighthouse';
 import { SeverityMapper } from '../../../utils/SeverityMapper.js';
 import { withRetry } from '../shared/retry.js';
+import { toLighthouseEmulation } from '../viewports/viewportPresets.js';
+import { emulateMediaMode } from '../media/mediaModes.js';
 
 /**
  * @param {object} params
  * @param {string} params.url
- * @param {{ port: number }} params.instance
+ * @param {{ port: number, browser: import('puppeteer').Browser }} params.instance
  * @param {number} params.timeoutMs
  * @param {boolean} params.includeDetails
  * @param {Record<string, string>|undefined} params.headers
  * @param {boolean} params.hasAuth
+ * @param {import('../viewports/viewportPresets.js').ViewportSpec|null} [params.viewport] - Emulated screen; Lighthouse's mobile default when unset
+ * @param {import('../media/mediaModes.js').MediaMode|null} [params.mediaMode] - Media features emulated on the page Lighthouse loads
  * @param {number} params.maxRetries
  * @param {number} params.retryDelayMs
  * @param {{ debug: (msg: string) => void }} params.log
@@ -22,24 +26,36 @@ export async function runLighthouseAudit({
   includeDetails,
   headers,
   hasAuth,
+  viewport = null,
+  mediaMode = null,
   maxRetries,
   retryDelayMs,
   log,
 }) {
   return withRetry(
     async () => {
-      const lhRunner = await lighthouse(
-        url,
-        {
-          port: instance.port,
-          logLevel: 'silent',
-          onlyCategories: ['accessibility'],
-          maxWaitForLoad: timeoutMs,
-          disableStorageReset: Boolean(hasAuth),
-          extraHeaders: headers,
-        },
-        null
-      );
+      // Lighthouse has no media feature settings, so an emulating page is handed to it.
+      const page = mediaMode ? await instance.browser.newPage() : undefined;
+      let lhRunner;
+      try {
+        if (page) await emulateMediaMode(page, mediaMode);
+        lhRunner = await lighthouse(
+          url,
+          {
+            port: instance.port,
+            logLevel: 'silent',
+            onlyCategories: ['accessibility'],
+            maxWaitForLoad: timeoutMs,
+            disableStorageReset: Boolean(hasAuth),
+            extraHeaders: headers,
+            ...(viewport ? toLighthouseEmulation(viewport) : {}),
+          },
+          null,
+          page
+        );
+      } finally {
+        await page?.close().catch(() => {});
+      }
 
       const lhr = lhRunner?.lhr;
       const score = lhr?.categories?.accessibility?.score;
@@ -1,5 +1,6 @@
 import { SeverityMapper } from '../../../utils/SeverityMapper.js';
 import { withRetry } from '../shared/retry.js';
+import { emulateMediaMode } from '../media/mediaModes.js';
 
 /**
  * Pa11y (HTMLCS) only supports WCAG2A/AA/AAA. This tool accepts WCAG 2.1/2.2
@@ -43,6 +44,11 @@ function reducePa11yIssue(i) {
  * @param {number} params.maxRetries
  * @param {number} params.retryDelayMs
  * @param {{ debug: (msg: string) => void }} params.log
+ * @param {string[]} [params.actions] - Pa11y actions to run after load
+ * @param {number} [params.wait] - Milliseconds to wait after actions before testing
+ * @param {import('puppeteer').Viewport} [params.viewport] - Page size; Pa11y's 1280x1024 default when unset
+ * @param {(page: import('puppeteer').Page) => Promise<void>} [params.preparePage] - Set up Pa11y's page (auth storage) before it loads `url`
+ * @param {import('../media/mediaModes.js').MediaMode|null} [params.mediaMode] - Media features emulated on Pa11y's page
  * @returns {Promise<{ pa11yIssues: number, pa11y: any, issues: any[] }>}
  */
 export async function runPa11yAudit({
@@ -56,6 +62,11 @@ export async function runPa11yAudit({
   maxRetries,
   retryDelayMs,
   log,
+  actions = [],
+  wait = 0,
+  viewport,
+  preparePage,
+  mediaMode = null,
 }) {
   return withRetry(
     async () => {
@@ -63,16 +74,29 @@ export async function runPa11yAudit({
       const pa11y = pa11yMod.default || pa11yMod;
       const pa11yStandard = toPa11yStandard(standard);
 
-      const pa11yResults = await pa11y(url, {
-        browser: instance.browser,
-        timeout: timeoutMs,
-        standard: pa11yStandard,
-        headers,
-        cookies,
-        runners: ['htmlcs'],
-        includeNotices: false,
-        includeWarnings: true,
-      });
+      // Pa11y opens its own page unless given one; a prepared page is closed here.
+      const page = preparePage || mediaMode ? await instance.browser.newPage() : undefined;
+      let pa11yResults;
+      try {
+        if (mediaMode) await emulateMediaMode(page, mediaMode);
+        if (preparePage) await preparePage(page);
+        pa11yResults = await pa11y(url, {
+          browser: instance.browser,
+          page,
+          timeout: timeoutMs,
+          standard: pa11yStandard,
+          headers,
+          cookies,
+          runners: ['htmlcs'],
+          includeNotices: false,
+          includeWarnings: true,
+          actions,
+          wait,
+          ...(viewport ? { viewport } : {}),
+        });
+      } finally {
+        await page?.close().catch(() => {});
+      }
 
       const issues = pa11yResults?.issues || [];
       const pa11yIssues = issues.length;
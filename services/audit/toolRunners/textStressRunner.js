@@ -0,0 +1,199 @@
+import { SeverityMapper } from '../../../utils/SeverityMapper.js';
+import {
+  applyTextResize,
+  applyTextSpacing,
+  compareTextGeometry,
+  measureTextElements,
+  resetTextStress,
+  trackTextElements,
+} from '../textStress/textGeometry.js';
+
+/** Padding (px) around an offending element in its screenshots. */
+const SCREENSHOT_PADDING = 8;
+
+/** Largest screenshot area (CSS px); bigger elements are cropped to their top-left. */
+const MAX_SCREENSHOT = { width: 800, height: 600 };
+
+/** Time (ms) for transitions and late layout to settle after restyling the page. */
+const SETTLE_MS = 150;
+
+/** Adaptation applied for each mode. */
+const ADAPTATIONS = {
+  spacing: applyTextSpacing,
+  resize: applyTextResize,
+};
+
+/**
+ * Screenshot data kept across every page of a run.
+ *
+ * @typedef {Object} ScreenshotBudget
+ * @property {number} maxBytes - Data URI characters the run may keep
+ * @property {number} usedBytes - Kept so far
+ * @property {number} omitted - Screenshots dropped once the budget ran out
+ */
+
+/**
+ * @typedef {Object} TextStressModeSummary
+ * @property {number} findings - Offending elements found
+ * @property {number} reported - Of those, reported as issues (capped by `maxFindings`)
+ */
+
+/**
+ * @typedef {Object} TextStressSummary
+ * @property {number} textElements - Text containers measured
+ * @property {TextStressModeSummary|null} spacing - WCAG 1.4.12 spacing overrides, when run
+ * @property {TextStressModeSummary|null} resize - 200% text size (WCAG 1.4.4), when run
+ */
+
+const settle = () => new Promise((resolve) => setTimeout(resolve, SETTLE_MS));
+
+/**
+ * Share one screenshot budget between the pages of a run, so text stress
+ * images cannot grow the results, checkpoint and HTML report without bound.
+ *
+ * @param {number} maxBytes
+ * @returns {ScreenshotBudget}
+ */
+export function createScreenshotBudget(maxBytes) {
+  return { maxBytes, usedBytes: 0, omitted: 0 };
+}
+
+/**
+ * JPEG data URI of the area around `rect`, or null when the capture fails or
+ * would not fit in the run's screenshot budget.
+ *
+ * @param {import('puppeteer').Page} page
+ * @param {{ x: number, y: number, width: number, height: number }} rect - Document coordinates
+ * @param {ScreenshotBudget|null} budget
+ * @returns {Promise<string|null>}
+ */
+async function captureArea(page, rect, budget) {
+  const clip = {
+    x: Math.max(0, Math.floor(rect.x - SCREENSHOT_PADDING)),
+    y: Math.max(0, Math.floor(rect.y - SCREENSHOT_PADDING)),
+    width: Math.min(MAX_SCREENSHOT.width, Math.ceil(rect.width + SCREENSHOT_PADDING * 2)),
+    height: Math.min(MAX_SCREENSHOT.height, Math.ceil(rect.height + SCREENSHOT_PADDING * 2)),
+  };
+  if (clip.width < 1 || clip.height < 1) return null;
+  if (budget && budget.usedBytes >= budget.maxBytes) {
+    budget.omitted += 1;
+    return null;
+  }
+  try {
+    const data = await page.screenshot({
+      type: 'jpeg',
+      quality: 70,
+      encoding: 'base64',
+      clip,
+      captureBeyondViewport: true,
+    });
+    const uri = `data:image/jpeg;base64,${data}`;
+    if (budget) {
+      if (budget.usedBytes + uri.length > budget.maxBytes) {
+        budget.omitted += 1;
+        return null;
+      }
+      budget.usedBytes += uri.length;
+    }
+    return uri;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Stress-test a page's text (WCAG 1.4.12 Text Spacing and 1.4.4 Resize Text).
+ *
+ * Text containers are measured, then measured again with the 1.4.12 spacing
+ * overrides applied and, separately, with every font size doubled. Elements
+ * whose text became clipped or truncated by a box that hides overflow, or
+ * started overlapping other text, are reported with screenshots of the
+ * element as it was and as it is under the adaptation.
+ *
+ * @param {object} params
+ * @param {string} params.url
+ * @param {import('puppeteer').Page} params.page
+ * @param {number} params.timeoutMs
+ * @param {boolean} [params.spacing=true] - Apply the 1.4.12 spacing overrides
+ * @param {boolean} [params.resize=true] - Double text size
+ * @param {boolean} [params.screenshots=true] - Attach before/after screenshots to issues
+ * @param {number} [params.maxFindings=20] - Issues reported per adaptation
+ * @param {ScreenshotBudget|null} [params.screenshotBudget] - Shared by the run's pages; unlimited when null
+ * @param {boolean} [params.navigate=true] - Load `url` first; false tests the page as it is
+ * @param {import('../../../utils/RequestScheduler.js').RequestScheduler} [params.scheduler]
+ * @param {{ debug: (msg: string) => void }} params.log
+ * @returns {Promise<{ textStress: TextStressSummary, issues: any[], pageHtml: string }>}
+ */
+export async function runTextStressAudit({
+  url,
+  page,
+  timeoutMs,
+  spacing = true,
+  resize = true,
+  screenshots = true,
+  maxFindings = 20,
+  screenshotBudget = null,
+  navigate = true,
+  scheduler,
+  log,
+}) {
+  if (navigate) {
+    const gotoOptions = { waitUntil: 'domcontentloaded', timeout: timeoutMs };
+    if (scheduler) await scheduler.goto(page, url, gotoOptions);
+    else await page.goto(url, gotoOptions);
+    await page.waitForNetworkIdle({ idleTime: 750, timeout: 10_000 }).catch(() => {});
+  }
+  const pageHtml = await page.content().catch(() => '');
+  const textElements = await trackTextElements(page);
+  const baseline = await measureTextElements(page);
+
+  /** @type {TextStressSummary} */
+  const textStress = { textElements, spacing: null, resize: null };
+  const issues = [];
+
+  for (const [mode, enabled] of [
+    ['spacing', spacing],
+    ['resize', resize],
+  ]) {
+    if (!enabled) continue;
+    let findings;
+    const after = [];
+    await ADAPTATIONS[mode](page);
+    try {
+      await settle();
+      findings = compareTextGeometry(baseline, await measureTextElements(page));
+      if (screenshots) {
+        for (const finding of findings.slice(0, maxFindings)) {
+          after.push(await captureArea(page, finding.after, screenshotBudget));
+        }
+      }
+    } finally {
+      await resetTextStress(page);
+    }
+
+    const reported = findings.slice(0, maxFindings);
+    if (screenshots && reported.length > 0) await settle();
+    for (const [index, finding] of reported.entries()) {
+      const before = screenshots ? await captureArea(page, finding.before, screenshotBudget) : null;
+      issues.push(
+        SeverityMapper.normalizeTextStressFinding(
+          {
+            ...finding,
+            mode,
+            ...(screenshots ? { screenshots: { before, after: after[index] ?? null } } : {}),
+          },
+          url
+        )
+      );
+    }
+    textStress[mode] = { findings: findings.length, reported: reported.length };
+  }
+
+  log.debug(
+    `Text stress for ${url}: ${textElements} text elements, ${issues.length} issues reported`
+  );
+
+  return { textStress, issues, pageHtml };
+}
+
+export default runTextStressAudit;
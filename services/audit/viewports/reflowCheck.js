@@ -0,0 +1,121 @@
+import { SeverityMapper } from '../../../utils/SeverityMapper.js';
+
+/** Overflowing elements reported per page. */
+const MAX_OFFENDERS = 10;
+
+/**
+ * @typedef {Object} ReflowResult
+ * @property {number} width - Viewport width checked (CSS px)
+ * @property {number} scrollWidth - Document width at that viewport
+ * @property {boolean} overflows - The page scrolls horizontally
+ * @property {Array<{ selector: string, html: string, right: number }>} offenders - Outermost
+ *   elements extending past the viewport (outside horizontal scroll containers and
+ *   content exempt from reflow such as tables, media and code blocks)
+ */
+
+/**
+ * Load `url` at `width` CSS pixels and check for horizontal scrolling (WCAG
+ * 1.4.10 Reflow: content at 320 px must not need scrolling in two directions).
+ *
+ * @param {object} params
+ * @param {string} params.url
+ * @param {import('puppeteer').Page} params.page
+ * @param {number} params.timeoutMs
+ * @param {number} [params.width=320]
+ * @param {import('../../../utils/RequestScheduler.js').RequestScheduler} [params.scheduler]
+ * @returns {Promise<{ reflow: ReflowResult, issues: any[] }>}
+ */
+export async function runReflowCheck({ url, page, timeoutMs, width = 320, scheduler }) {
+  await page.setViewport({ width, height: 640 });
+  const gotoOptions = { waitUntil: 'domcontentloaded', timeout: timeoutMs };
+  if (scheduler) await scheduler.goto(page, url, gotoOptions);
+  else await page.goto(url, gotoOptions);
+  await page.waitForNetworkIdle({ idleTime: 750, timeout: 10_000 }).catch(() => {});
+
+  const measured = await page.evaluate((max) => {
+    /* global document, getComputedStyle, CSS */
+    const root = document.documentElement;
+    const viewportWidth = root.clientWidth;
+    const scrollWidth = Math.max(root.scrollWidth, document.body?.scrollWidth ?? 0);
+    if (scrollWidth <= viewportWidth + 1) return { scrollWidth, overflows: false, offenders: [] };
+
+    const EXEMPT = 'table, pre, code, img, picture, video, canvas, svg, iframe, object, embed, map';
+    const overflowsViewport = (el) => {
+      const rect = el.getBoundingClientRect();
+      return rect.width > 0 && (rect.right > viewportWidth + 1 || rect.left < -1);
+    };
+    // Content inside its own horizontal scroller, or clipped, does not scroll the page.
+    const contained = (el) => {
+      for (let node = el.parentElement; node && node !== document.body; node = node.parentElement) {
+        const overflowX = getComputedStyle(node).overflowX;
+        if (overflowX !== 'visible') return true;
+      }
+      return false;
+    };
+
+    const uniqueId = (el) =>
+      el.id && document.querySelectorAll(`#${CSS.escape(el.id)}`).length === 1
+        ? `#${CSS.escape(el.id)}`
+        : null;
+
+    const cssPath = (el) => {
+      const parts = [];
+      let current = el;
+      while (current && current !== document.documentElement) {
+        const id = uniqueId(current);
+        if (id) {
+          parts.unshift(id);
+          break;
+        }
+        const tag = current.tagName.toLowerCase();
+        const parent = current.parentElement;
+        if (!parent) {
+          parts.unshift(tag);
+          break;
+        }
+        const sameTag = Array.from(parent.children).filter((c) => c.tagName === current.tagName);
+        parts.unshift(
+          sameTag.length > 1 ? `${tag}:nth-of-type(${sameTag.indexOf(current) + 1})` : tag
+        );
+        current = parent;
+      }
+      return parts.join(' > ');
+    };
+
+    const offenders = [];
+    for (const el of document.body?.querySelectorAll('*') ?? []) {
+      if (offenders.length >= max) break;
+      if (!overflowsViewport(el) || el.closest(EXEMPT) || contained(el)) continue;
+      // Report where the overflow starts, not every descendant of a too-wide element.
+      if (el.parentElement !== document.body && overflowsViewport(el.parentElement)) continue;
+      offenders.push({
+        selector: cssPath(el),
+        html: el.outerHTML.slice(0, el.outerHTML.indexOf('>') + 1).slice(0, 200),
+        right: Math.round(el.getBoundingClientRect().right),
+      });
+    }
+    return { scrollWidth, overflows: true, offenders };
+  }, MAX_OFFENDERS);
+
+  const reflow = { width, ...measured };
+
+  const findings = !reflow.overflows
+    ? []
+    : reflow.offenders.length > 0
+      ? reflow.offenders.map((offender) => ({ ...offender, scrollWidth: reflow.scrollWidth }))
+      : [
+          {
+            selector: 'html',
+            html: '',
+            right: reflow.scrollWidth,
+            scrollWidth: reflow.scrollWidth,
+          },
+        ];
+
+  return {
+    reflow,
+    issues: findings.map((finding) => SeverityMapper.normalizeReflowFinding(finding, width, url)),
+  };
+}
+
+export default runReflowCheck;
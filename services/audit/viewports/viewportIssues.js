@@ -0,0 +1,107 @@
+import { DEFAULT_MEDIA_MODE } from '../media/mediaModes.js';
+
+/**
+ * @typedef {import('../../../utils/SeverityMapper.js').UnifiedIssue} UnifiedIssue
+ * @typedef {import('./viewportPresets.js').ViewportSpec} ViewportSpec
+ */
+
+/**
+ * @typedef {Object} ViewportRun
+ * @property {ViewportSpec|null} viewport - null when no viewports are configured
+ * @property {UnifiedIssue[]} issues
+ * @property {string[]} tools - Tools that completed at this viewport
+ * @property {Record<string, any>} summary - Tool scores and `errors` for this viewport
+ */
+
+/**
+ * @typedef {Object} ViewportSummary
+ * @property {string} name
+ * @property {number} width
+ * @property {number} height
+ * @property {number} deviceScaleFactor
+ * @property {boolean} isMobile
+ * @property {boolean} hasTouch
+ * @property {number|null} lhScore
+ * @property {number|null} axeViolations
+ * @property {number|null} pa11yIssues
+ * @property {number} totalIssues - Page issues found at this viewport
+ * @property {number} viewportSpecificIssues - Of those, issues not found at every viewport
+ * @property {Record<string, { message: string }>} errors
+ */
+
+/**
+ * @param {UnifiedIssue} issue
+ * @returns {string}
+ */
+function viewportIssueKey(issue) {
+  return `${issue.tool}|${issue.selector || ''}|${issue.message || ''}`;
+}
+
+/**
+ * Merge the issues found at each viewport. Every issue lists the `viewports`
+ * it was found at, and `viewportSpecific` is true when a viewport where its
+ * tool also ran did not report it.
+ *
+ * @param {ViewportRun[]} runs
+ * @returns {UnifiedIssue[]}
+ */
+export function mergeViewportIssues(runs) {
+  /** @type {Map<string, UnifiedIssue>} */
+  const merged = new Map();
+  for (const run of runs) {
+    for (const issue of run.issues) {
+      const key = viewportIssueKey(issue);
+      const existing = merged.get(key);
+      if (existing) {
+        if (!existing.viewports.includes(run.viewport.name)) {
+          existing.viewports.push(run.viewport.name);
+        }
+        continue;
+      }
+      merged.set(key, { ...issue, viewports: [run.viewport.name] });
+    }
+  }
+
+  return [...merged.values()].map((issue) => ({
+    ...issue,
+    // UI states, keyboard walks and media modes are only explored at the first viewport.
+    viewportSpecific:
+      !issue.statePath &&
+      (issue.mediaModes?.includes(DEFAULT_MEDIA_MODE) ?? true) &&
+      runs.some(
+        (run) => run.tools.includes(issue.tool) && !issue.viewports.includes(run.viewport.name)
+      ),
+  }));
+}
+
+/**
+ * Count each viewport's issues once the merged issues have been finalised
+ * (deduplication may combine issues found at different viewports).
+ *
+ * @param {ViewportRun[]} runs
+ * @param {UnifiedIssue[]} issues
+ * @returns {{ issues: UnifiedIssue[], viewports: ViewportSummary[] }}
+ */
+export function summarizeViewports(runs, issues) {
+  const names = runs.map((run) => run.viewport.name);
+  const finalIssues = issues.map((issue) =>
+    issue.viewportSpecific && names.every((name) => issue.viewports?.includes(name))
+      ? { ...issue, viewportSpecific: false }
+      : issue
+  );
+
+  const viewports = runs.map(({ viewport, summary }) => {
+    const found = finalIssues.filter((issue) => issue.viewports?.includes(viewport.name));
+    return {
+      ...viewport,
+      lhScore: summary.lhScore ?? null,
+      axeViolations: summary.axeViolations ?? null,
+      pa11yIssues: summary.pa11yIssues ?? null,
+      totalIssues: found.length,
+      viewportSpecificIssues: found.filter((issue) => issue.viewportSpecific).length,
+      errors: summary.errors,
+    };
+  });
+
+  return { issues: finalIssues, viewports };
+}
@@ -0,0 +1,132 @@
+/**
+ * Viewports pages are audited at (`viewports` config / `--viewports`).
+ *
+ * Entries are preset names or custom sizes:
+ *
+ * ```json
+ * ["desktop", "mobile", "390x844", { "name": "kiosk", "width": 1080, "height": 1920, "hasTouch": true }]
+ * ```
+ *
+ * A `WIDTHxHEIGHT` string is a desktop-style custom size named after itself.
+ */
+
+/**
+ * @typedef {Object} ViewportSpec
+ * @property {string} name
+ * @property {number} width - CSS pixels
+ * @property {number} height - CSS pixels
+ * @property {number} deviceScaleFactor
+ * @property {boolean} isMobile - Mobile meta-viewport handling
+ * @property {boolean} hasTouch - Touch events and `(pointer: coarse)`
+ */
+
+/** @type {Record<string, Omit<ViewportSpec, 'name'>>} */
+export const VIEWPORT_PRESETS = {
+  desktop: { width: 1280, height: 800, deviceScaleFactor: 1, isMobile: false, hasTouch: false },
+  laptop: { width: 1024, height: 768, deviceScaleFactor: 1, isMobile: false, hasTouch: false },
+  tablet: { width: 768, height: 1024, deviceScaleFactor: 2, isMobile: true, hasTouch: true },
+  mobile: { width: 375, height: 667, deviceScaleFactor: 2, isMobile: true, hasTouch: true },
+};
+
+/** Viewport used where none is configured (crawling, click-route discovery). */
+export const DEFAULT_VIEWPORT = {
+  width: VIEWPORT_PRESETS.desktop.width,
+  height: VIEWPORT_PRESETS.desktop.height,
+};
+
+/**
+ * @param {any} value
+ * @param {string} where
+ * @returns {number}
+ */
+function toSize(value, where) {
+  const size = Number(value);
+  if (!Number.isInteger(size) || size < 1) {
+    throw new Error(`${where} must be a positive whole number of CSS pixels`);
+  }
+  return size;
+}
+
+/**
+ * Validate `viewports` entries and expand preset names.
+ *
+ * @param {Array<string|Record<string, any>>|null|undefined} entries
+ * @returns {ViewportSpec[]} Empty when no viewports are configured
+ */
+export function resolveViewports(entries) {
+  if (!entries) return [];
+  if (!Array.isArray(entries)) {
+    throw new Error('viewports must be an array of preset names or { name, width, height } sizes');
+  }
+
+  const seen = new Set();
+  return entries.map((entry, index) => {
+    const where = `viewports[${index}]`;
+    let spec;
+    const size = typeof entry === 'string' ? /^(\d+)x(\d+)$/.exec(entry) : null;
+    if (size) {
+      spec = { name: entry, ...VIEWPORT_PRESETS.desktop, width: toSize(size[1], where) };
+      spec.height = toSize(size[2], where);
+    } else if (typeof entry === 'string') {
+      const preset = VIEWPORT_PRESETS[entry];
+      if (!preset) {
+        throw new Error(
+          `${where}: unknown viewport preset "${entry}" (use ${Object.keys(VIEWPORT_PRESETS).join(', ')}, WIDTHxHEIGHT or a { width, height } size)`
+        );
+      }
+      spec = { name: entry, ...preset };
+    } else if (entry && typeof entry === 'object') {
+      const width = toSize(entry.width, `${where}.width`);
+      const height = toSize(entry.height ?? 800, `${where}.height`);
+      const hasTouch = entry.hasTouch === true;
+      spec = {
+        name: String(entry.name || `${width}x${height}`),
+        width,
+        height,
+        deviceScaleFactor:
+          Number(entry.deviceScaleFactor) > 0 ? Number(entry.deviceScaleFactor) : 1,
+        isMobile: entry.isMobile ?? hasTouch,
+        hasTouch,
+      };
+    } else {
+      throw new Error(`${where} must be a preset name or a { width, height } size`);
+    }
+
+    if (seen.has(spec.name))
+      throw new Error(`${where}: viewport name "${spec.name}" is used twice`);
+    seen.add(spec.name);
+    return spec;
+  });
+}
+
+/**
+ * @param {ViewportSpec} spec
+ * @returns {import('puppeteer').Viewport}
+ */
+export function toPuppeteerViewport(spec) {
+  return {
+    width: spec.width,
+    height: spec.height,
+    deviceScaleFactor: spec.deviceScaleFactor,
+    isMobile: spec.isMobile,
+    hasTouch: spec.hasTouch,
+  };
+}
+
+/**
+ * Lighthouse settings emulating `spec` (Lighthouse otherwise emulates a phone).
+ *
+ * @param {ViewportSpec} spec
+ */
+export function toLighthouseEmulation(spec) {
+  return {
+    formFactor: spec.isMobile ? 'mobile' : 'desktop',
+    screenEmulation: {
+      mobile: spec.isMobile,
+      width: spec.width,
+      height: spec.height,
+      deviceScaleFactor: spec.deviceScaleFactor,
+      disabled: false,
+    },
+  };
+}
@@ -0,0 +1,232 @@
+/**
+ * Duplicate-page collapsing for the crawl.
+ *
+ * One page is often reachable under several URLs. After each page loads the
+ * crawler reads its identity and collapses it into an already-kept route when:
+ *
+ * - `<link rel="canonical">` names another in-scope URL (`canonical`),
+ * - its DOM content hash matches a page already visited (`duplicate-content`),
+ * - it is an `hreflang` alternate of a visited page, when locale collapsing
+ *   is on (`hreflang`).
+ *
+ * The collapsed URLs are kept as aliases of the surviving route so the
+ * report can list every address a result stands for.
+ */
+
+import { createHash } from 'node:crypto';
+
+/** @typedef {'canonical'|'duplicate-content'|'hreflang'} AliasReason */
+
+/**
+ * @typedef {Object} PageAlias
+ * @property {string} url
+ * @property {AliasReason} reason
+ */
+
+/**
+ * @typedef {Object} PageIdentity
+ * @property {string|null} canonical - `<link rel="canonical">` href as written
+ * @property {Array<{ hreflang: string, href: string }>} alternates - `hreflang` alternates
+ * @property {string} contentHash - SHA-1 of the page's element structure and visible text
+ */
+
+/**
+ * Read the canonical link, hreflang alternates and content hash of a loaded page.
+ *
+ * @param {import('puppeteer').Page} page
+ * @returns {Promise<PageIdentity>}
+ */
+export async function readPageIdentity(page) {
+  const { canonical, alternates, signature } = await page.evaluate(() => {
+    /* global document, NodeFilter */
+    const canonicalLink = document.querySelector('link[rel~="canonical" i][href]');
+    const alternateLinks = Array.from(
+      document.querySelectorAll('link[rel~="alternate" i][hreflang][href]')
+    );
+
+    // Tag names plus visible text: ignores attribute churn such as CSRF
+    // tokens or cache-busting asset URLs, but not real content changes.
+    const skip = new Set(['SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE']);
+    const parts = [];
+    if (document.body) {
+      const walker = document.createTreeWalker(
+        document.body,
+        NodeFilter.SHOW_ELEMENT | NodeFilter.SHOW_TEXT
+      );
+      for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+        if (node.nodeType === 1) {
+          if (skip.has(node.nodeName)) continue;
+          parts.push(`<${node.nodeName}>`);
+        } else if (!skip.has(node.parentNode?.nodeName)) {
+          const text = node.textContent.replace(/\s+/g, ' ').trim();
+          if (text) parts.push(text);
+        }
+      }
+    }
+
+    return {
+      canonical: canonicalLink?.getAttribute('href') || null,
+      alternates: alternateLinks.map((link) => ({
+        hreflang: link.getAttribute('hreflang'),
+        href: link.getAttribute('href'),
+      })),
+      signature: parts.join('\n'),
+    };
+  });
+
+  return {
+    canonical,
+    alternates,
+    contentHash: createHash('sha1').update(signature).digest('hex'),
+  };
+}
+
+export class DuplicateTracker {
+  constructor() {
+    /** @type {Map<string, PageAlias[]>} kept route -> collapsed aliases */
+    this.aliases = new Map();
+
+    /** @type {Map<string, string>} alias -> kept route */
+    this.owners = new Map();
+
+    /** @type {Map<string, string>} content hash -> first route with it */
+    this.contentHashes = new Map();
+  }
+
+  /**
+   * Record `url` as an alias of the kept route `owner`. A route that is itself
+   * collapsed later hands its aliases on to its new owner.
+   *
+   * @param {string} owner
+   * @param {string} url
+   * @param {AliasReason} reason
+   */
+  addAlias(owner, url, reason) {
+    const kept = this.owners.get(owner) ?? owner;
+    if (kept === url || this.owners.has(url)) return;
+
+    const list = this.aliases.get(kept) ?? [];
+    list.push({ url, reason });
+    this.owners.set(url, kept);
+
+    for (const alias of this.aliases.get(url) || []) {
+      this.owners.set(alias.url, kept);
+      list.push(alias);
+    }
+    this.aliases.delete(url);
+    this.aliases.set(kept, list);
+  }
+
+  /**
+   * @param {string} url
+   * @returns {string|null} The kept route `url` was collapsed into
+   */
+  ownerOf(url) {
+    return this.owners.get(url) ?? null;
+  }
+
+  /**
+   * Claim a content hash for `url`.
+   *
+   * @param {string} url
+   * @param {string} hash
+   * @returns {string|null} The earlier route with the same content, or null
+   */
+  claimContent(url, hash) {
+    const existing = this.contentHashes.get(hash);
+    if (existing && existing !== url) return existing;
+    this.contentHashes.set(hash, url);
+    return null;
+  }
+
+  /**
+   * Aliases of the given kept routes.
+   *
+   * @param {string[]} routes
+   * @returns {Record<string, PageAlias[]>}
+   */
+  aliasesFor(routes) {
+    /** @type {Record<string, PageAlias[]>} */
+    const result = {};
+    for (const route of routes) {
+      const aliases = this.aliases.get(route);
+      if (aliases?.length) result[route] = aliases.map((alias) => ({ ...alias }));
+    }
+    return result;
+  }
+
+  /**
+   * @returns {{ aliases: Array<[string, PageAlias[]]>, contentHashes: Array<[string, string]> }}
+   */
+  toJSON() {
+    return {
+      aliases: Array.from(this.aliases, ([owner, list]) => [owner, list.map((a) => ({ ...a }))]),
+      contentHashes: Array.from(this.contentHashes),
+    };
+  }
+
+  /**
+   * @param {ReturnType<DuplicateTracker['toJSON']>|null|undefined} state
+   */
+  restore(state) {
+    this.aliases = new Map();
+    this.owners = new Map();
+    for (const [owner, list] of state?.aliases || []) {
+      for (const alias of list) this.addAlias(owner, alias.url, alias.reason);
+    }
+    this.contentHashes = new Map(state?.contentHashes || []);
+  }
+}
+
+/**
+ * Decide which route a freshly loaded page stands for: itself, the in-scope
+ * URL its `rel=canonical` names, or null when it duplicates a visited page.
+ * Collapsed URLs are recorded as aliases of the route they fold into.
+ *
+ * @param {import('puppeteer').Page} page
+ * @param {string} canonical - Canonical URL the page was loaded from
+ * @param {object} params
+ * @param {{ canonical: boolean, contentHash: boolean, hreflang: boolean }} params.dedupe
+ * @param {DuplicateTracker} params.duplicates
+ * @param {Set<string>} params.visited - Routes already kept
+ * @param {(href: string) => string|null} params.resolve - Canonical in-scope URL of an href on the page
+ * @param {(url: string) => boolean} params.isCrawlable - robots.txt and pattern checks
+ * @returns {Promise<string|null>}
+ */
+export async function resolveRouteForPage(
+  page,
+  canonical,
+  { dedupe, duplicates, visited, resolve, isCrawlable }
+) {
+  if (!dedupe.canonical && !dedupe.contentHash && !dedupe.hreflang) return canonical;
+
+  const identity = await readPageIdentity(page).catch(() => null);
+  if (!identity) return canonical;
+
+  let route = canonical;
+  const declared = dedupe.canonical && identity.canonical ? resolve(identity.canonical) : null;
+  if (declared && declared !== canonical && isCrawlable(declared)) {
+    duplicates.addAlias(declared, canonical, 'canonical');
+    if (visited.has(declared) || duplicates.ownerOf(declared)) return null;
+    route = declared;
+  }
+
+  if (dedupe.contentHash) {
+    const original = duplicates.claimContent(route, identity.contentHash);
+    if (original) {
+      duplicates.addAlias(original, route, 'duplicate-content');
+      return null;
+    }
+  }
+
+  if (dedupe.hreflang) {
+    for (const alternate of identity.alternates) {
+      const url = resolve(alternate.href);
+      if (url && !visited.has(url)) duplicates.addAlias(route, url, 'hreflang');
+    }
+  }
+
+  return route;
+}
+
+export default DuplicateTracker;
@@ -1,3 +1,5 @@
+import { classifyPage, readPageSignals } from '../status/pageClassification.js';
+
 /**
  * Probe common page paths that many websites have.
  *
@@ -12,6 +14,8 @@
  * @param {(url: string) => string} params.canonicalUrl
  * @param {(url: string) => boolean} params.isDisallowed
  * @param {{ debug: (msg: string) => void }} params.log
+ * @param {import('../../../utils/RequestScheduler.js').RequestScheduler} [params.scheduler]
+ * @param {() => boolean} [params.pastDeadline] - Stop probing when true
  */
 export async function probeCommonPaths({
   browser,
@@ -24,12 +28,9 @@ export async function probeCommonPaths({
   canonicalUrl,
   isDisallowed,
   log,
+  scheduler,
+  pastDeadline = () => false,
 }) {
-  const isLikelyNotFoundText = (value) =>
-    /\b(404|not found|page not found|cannot be found|does not exist|doesn't exist|unavailable)\b/i.test(
-      String(value || '')
-    );
-
   const commonPaths = [
     '/about',
     '/about-us',
@@ -128,6 +129,7 @@ export async function probeCommonPaths({
     for (const path of commonPaths) {
       if (visited.size + queue.length >= limit * 2) break;
       if (discoveredCount >= maxDiscoveredCandidates) break;
+      if (pastDeadline()) break;
 
       const testUrl = `${baseOrigin}${path}`;
       const canonical = canonicalUrl(testUrl);
@@ -136,10 +138,10 @@ export async function probeCommonPaths({
       if (isDisallowed(canonical)) continue;
 
       try {
-        const response = await page.goto(testUrl, {
-          waitUntil: 'domcontentloaded',
-          timeout: 5000,
-        });
+        const gotoOptions = { waitUntil: 'domcontentloaded', timeout: 5000 };
+        const response = scheduler
+          ? await scheduler.goto(page, testUrl, gotoOptions)
+          : await page.goto(testUrl, gotoOptions);
 
         if (response && response.ok()) {
           const contentType = response.headers()['content-type'] || '';
@@ -147,30 +149,11 @@ export async function probeCommonPaths({
             const finalUrl = page.url();
             const finalCanonical = canonicalUrl(finalUrl);
 
-            const signals = await page
-              .evaluate(() => {
-                const title = globalThis.document.title || '';
-                const h1 = globalThis.document.querySelector('h1')?.textContent || '';
-                const bodyText = (globalThis.document.body?.innerText || '').replace(/\s+/g, ' ').trim();
-                return {
-                  title,
-                  h1,
-                  bodyText: bodyText.slice(0, 1200),
-                  bodyLength: bodyText.length,
-                };
-              })
-              .catch(() => null);
-
-            if (signals) {
-              const notFoundSignal =
-                isLikelyNotFoundText(signals.title) ||
-                isLikelyNotFoundText(signals.h1) ||
-                (signals.bodyLength < 1400 && isLikelyNotFoundText(signals.bodyText));
-
-              if (notFoundSignal) {
-                log.debug(`Skipping likely soft-404 common path: ${finalCanonical}`);
-                continue;
-              }
+            const signals = await readPageSignals(page).catch(() => null);
+            const { kind } = classifyPage({ status: response.status(), signals });
+            if (kind !== 'ok') {
+              log.debug(`Skipping likely ${kind} common path: ${finalCanonical}`);
+              continue;
             }
 
             if (finalCanonical !== canonicalUrl(baseHref) && !urlDepths.has(finalCanonical)) {
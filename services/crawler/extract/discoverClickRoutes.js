@@ -0,0 +1,289 @@
+/**
+ * Route discovery for navigation that is not an `<a href>`.
+ *
+ * React and Vue apps often navigate from `<button onClick>`, `router-link`,
+ * `data-href` or `role="link"` elements, which link extraction cannot see.
+ * Candidate controls are clicked one at a time in a sandbox page:
+ *
+ * - the SPA hook (`setupSpaDetection`) records any `pushState`/hash route,
+ * - full-page navigations are recorded and aborted before they load,
+ * - requests other than GET/HEAD/OPTIONS are aborted, and dialogs dismissed,
+ *   so clicks cannot submit or change data,
+ * - popups opened by a click are closed, and their URL recorded like a navigation,
+ * - the page is reloaded after any click that changed the URL, the DOM, cookies
+ *   or web storage, so an opened drawer or changed client state does not leak
+ *   into the next candidate's click.
+ */
+
+import { setupSpaDetection } from '../spa/setupSpaDetection.js';
+import { DEFAULT_VIEWPORT } from '../../audit/viewports/viewportPresets.js';
+import { isSafeRequest } from '../../audit/shared/requestGuard.js';
+
+/**
+ * @typedef {Object} ClickSandbox
+ * @property {import('puppeteer').Page} page
+ * @property {Set<string>} spaRoutes - Filled by the SPA hook
+ * @property {string[]} navigations - Main-frame navigations captured while clicking
+ * @property {boolean} capturing - True while a candidate click is in progress
+ */
+
+/**
+ * @typedef {Object} RouterLinkCandidate
+ * @property {string} selector - Unique CSS selector for the control
+ * @property {string} label - Accessible name or visible text (truncated)
+ * @property {'navigation'|'content'} region
+ */
+
+/**
+ * Open a page for click discovery, with the SPA hook and request guards installed.
+ *
+ * @param {import('puppeteer').Browser} browser
+ * @param {string} origin
+ * @param {(url: URL) => boolean} [isInScope]
+ * @returns {Promise<ClickSandbox>}
+ */
+export async function openClickSandbox(browser, origin, isInScope) {
+  const page = await browser.newPage();
+  await page.setViewport(DEFAULT_VIEWPORT);
+
+  /** @type {ClickSandbox} */
+  const sandbox = { page, spaRoutes: new Set(), navigations: [], capturing: false };
+
+  await page.setRequestInterception(true);
+  page.on('request', (request) => {
+    if (
+      sandbox.capturing &&
+      request.isNavigationRequest() &&
+      request.frame() === page.mainFrame()
+    ) {
+      sandbox.navigations.push(request.url());
+      request.abort().catch(() => {});
+      return;
+    }
+    if (isSafeRequest(request)) request.continue().catch(() => {});
+    else request.abort().catch(() => {});
+  });
+  page.on('dialog', (dialog) => dialog.dismiss().catch(() => {}));
+  page.on('popup', (popup) => {
+    if (!popup) return;
+    const popupUrl = popup.url();
+    if (sandbox.capturing && /^https?:/.test(popupUrl)) sandbox.navigations.push(popupUrl);
+    popup.close().catch(() => {});
+  });
+
+  await setupSpaDetection(page, sandbox.spaRoutes, origin, isInScope);
+  return sandbox;
+}
+
+/**
+ * Find visible controls that may navigate without being links.
+ *
+ * Disclosure, tab, popup and dialog triggers are left to state exploration,
+ * and controls whose text suggests a side effect (delete, sign out, pay, ...)
+ * are never clicked.
+ *
+ * @param {import('puppeteer').Page} page
+ * @param {number} [limit=20]
+ * @returns {Promise<RouterLinkCandidate[]>}
+ */
+export async function findRouterLinkCandidates(page, limit = 20) {
+  return page.evaluate((max) => {
+    /* global document, getComputedStyle, CSS */
+    const isVisible = (el) => {
+      const rect = el.getBoundingClientRect();
+      const style = getComputedStyle(el);
+      return rect.width > 0 && rect.height > 0 && style.visibility !== 'hidden';
+    };
+
+    const uniqueId = (el) =>
+      el.id && document.querySelectorAll(`#${CSS.escape(el.id)}`).length === 1
+        ? `#${CSS.escape(el.id)}`
+        : null;
+
+    const cssPath = (el) => {
+      const parts = [];
+      let current = el;
+      while (current && current !== document.documentElement) {
+        const id = uniqueId(current);
+        if (id) {
+          parts.unshift(id);
+          break;
+        }
+        const tag = current.tagName.toLowerCase();
+        const parent = current.parentElement;
+        if (!parent) {
+          parts.unshift(tag);
+          break;
+        }
+        const sameTag = Array.from(parent.children).filter((c) => c.tagName === current.tagName);
+        parts.unshift(
+          sameTag.length > 1 ? `${tag}:nth-of-type(${sameTag.indexOf(current) + 1})` : tag
+        );
+        current = parent;
+      }
+      return parts.join(' > ');
+    };
+
+    const labelOf = (el) =>
+      (el.getAttribute('aria-label') || el.textContent || el.getAttribute('title') || '')
+        .replace(/\s+/g, ' ')
+        .trim()
+        .slice(0, 60);
+
+    const sideEffect =
+      /\b(delete|remove|log ?out|sign ?out|unsubscribe|subscribe|cancel|close|dismiss|submit|send|save|buy|pay|order|checkout|reset|clear)\b/i;
+
+    const isStateControl = (el) =>
+      el.matches(
+        '[aria-expanded], [aria-haspopup], [aria-controls], [aria-pressed], [role="tab"], summary'
+      );
+
+    const candidates = [];
+    const seen = new Set();
+    const selector = [
+      'button:not([type="submit"]):not([type="reset"])',
+      '[role="button"]',
+      '[role="link"]',
+      '[role="menuitem"]',
+      'router-link',
+      '[routerlink]',
+      '[data-href]',
+      '[data-link]',
+      '[data-url]',
+      '[data-route]',
+      '[onclick]',
+    ].join(', ');
+
+    for (const el of document.querySelectorAll(selector)) {
+      if (candidates.length >= max) break;
+      if (el.closest('a[href]')) continue;
+      // A button without a type submits its form.
+      if (el.tagName === 'BUTTON' && !el.getAttribute('type') && el.closest('form')) continue;
+      if (el.disabled || el.getAttribute('aria-disabled') === 'true' || !isVisible(el)) continue;
+      if (isStateControl(el)) continue;
+
+      const label = labelOf(el);
+      if (sideEffect.test(label)) continue;
+
+      const path = cssPath(el);
+      if (!path || seen.has(path)) continue;
+      seen.add(path);
+
+      const inNavigation = Boolean(
+        el.closest(
+          'nav, header, footer, [role="navigation"], [role="banner"], [role="contentinfo"]'
+        )
+      );
+      candidates.push({
+        selector: path,
+        label,
+        region: inNavigation ? 'navigation' : 'content',
+      });
+    }
+
+    return candidates;
+  }, limit);
+}
+
+/**
+ * In-page: start (or restart) watching for changes a click leaves behind.
+ * Runs in the browser via `page.evaluate`.
+ */
+function watchPageChanges() {
+  /* global window, MutationObserver */
+  const storageState = () => {
+    try {
+      return JSON.stringify([
+        document.cookie,
+        Object.entries(localStorage),
+        Object.entries(sessionStorage),
+      ]);
+    } catch {
+      return document.cookie;
+    }
+  };
+  const watch = window.__a11yClickWatch || { changed: false, storageState };
+  if (!window.__a11yClickWatch) {
+    new MutationObserver(() => {
+      watch.changed = true;
+    }).observe(document, { subtree: true, childList: true, attributes: true, characterData: true });
+    window.__a11yClickWatch = watch;
+  }
+  watch.changed = false;
+  watch.storage = storageState();
+}
+
+/**
+ * In-page: whether the DOM, cookies or web storage changed since `watchPageChanges`.
+ *
+ * @returns {boolean}
+ */
+function readPageChanges() {
+  const watch = window.__a11yClickWatch;
+  return !watch || watch.changed || watch.storageState() !== watch.storage;
+}
+
+/**
+ * Click each router-link candidate on `url` and collect the routes they lead to.
+ *
+ * @param {ClickSandbox} sandbox
+ * @param {string} url - Page to explore
+ * @param {object} params
+ * @param {import('../../../utils/RequestScheduler.js').RequestScheduler} params.scheduler
+ * @param {number} params.timeoutMs
+ * @param {number} [params.maxCandidates=20]
+ * @param {number} [params.settleMs=300] - Wait after each click for the router to react
+ * @param {{ debug: (msg: string) => void }} [params.log]
+ * @returns {Promise<import('./extractLinksWithPriority.js').ExtractedLink[]>}
+ */
+export async function discoverClickRoutes(sandbox, url, params) {
+  const { scheduler, timeoutMs, maxCandidates = 20, settleMs = 300, log } = params;
+  const { page } = sandbox;
+
+  const load = async () => {
+    await scheduler.goto(page, url, { waitUntil: 'domcontentloaded', timeout: timeoutMs });
+    await page.waitForNetworkIdle({ idleTime: 500, timeout: 8_000 }).catch(() => {});
+  };
+
+  await load();
+  const candidates = await findRouterLinkCandidates(page, maxCandidates);
+
+  /** @type {Map<string, import('./extractLinksWithPriority.js').ExtractedLink>} */
+  const found = new Map();
+  let needsReload = false;
+
+  for (const candidate of candidates) {
+    try {
+      if (needsReload) {
+        await load();
+        needsReload = false;
+      }
+
+      const before = page.url();
+      await page.evaluate(watchPageChanges);
+      sandbox.spaRoutes.clear();
+      sandbox.navigations.length = 0;
+      sandbox.capturing = true;
+      try {
+        await page.click(candidate.selector);
+        await new Promise((resolve) => setTimeout(resolve, settleMs));
+      } finally {
+        sandbox.capturing = false;
+      }
+
+      const targets = [...sandbox.spaRoutes, ...sandbox.navigations];
+      for (const href of targets) {
+        if (href === before || found.has(href)) continue;
+        found.set(href, { href, text: candidate.label, region: candidate.region });
+      }
+      needsReload = page.url() !== before || (await page.evaluate(readPageChanges));
+    } catch (err) {
+      log?.debug(`Router-link click skipped (${candidate.selector}): ${err?.message || err}`);
+      needsReload = true;
+    }
+  }
+
+  return Array.from(found.values());
+}
+
+export default discoverClickRoutes;
@@ -1,15 +1,42 @@
+/**
+ * @typedef {Object} ExtractedLink
+ * @property {string} href - As written in the page
+ * @property {string} text - Link text or accessible name ('' for non-anchor sources)
+ * @property {'navigation'|'content'} region
+ */
+
 /**
  * Extract links with priority, separating navigation links from regular links.
+ * `links` describes each distinct href once, for the crawl's link graph.
  *
  * @param {import('puppeteer').Page} page
  * @param {boolean} pierceShadowDom
- * @returns {Promise<{ navigation: string[], regular: string[] }>}
+ * @param {boolean} [hashRoutes=false] - Keep `#/...` hrefs, resolved against the page URL
+ * @returns {Promise<{ navigation: string[], regular: string[], links: ExtractedLink[] }>}
  */
-export async function extractLinksWithPriority(page, pierceShadowDom) {
-  return page.evaluate((pierce) => {
+export async function extractLinksWithPriority(page, pierceShadowDom, hashRoutes = false) {
+  return page.evaluate((pierce, keepHashRoutes) => {
     /* global document */
     const navigationLinks = new Set();
     const regularLinks = new Set();
+    /** @type {Map<string, { text: string, region: 'navigation'|'content' }>} */
+    const linkDetails = new Map();
+
+    function describe(href, el, region) {
+      const text = el
+        ? (el.getAttribute('aria-label') || el.textContent || el.getAttribute('title') || '')
+            .replace(/\s+/g, ' ')
+            .trim()
+            .slice(0, 120)
+        : '';
+      const known = linkDetails.get(href);
+      if (!known) {
+        linkDetails.set(href, { text, region });
+      } else {
+        if (!known.text && text) known.text = text;
+        if (region === 'navigation') known.region = region;
+      }
+    }
 
     function isInNavigation(el) {
       let current = el;
@@ -44,9 +71,12 @@ export async function extractLinksWithPriority(page, pierceShadowDom) {
     function extractFromRoot(root) {
       const anchors = root.querySelectorAll('a[href]');
       anchors.forEach((a) => {
-        const href = a.getAttribute('href');
+        let href = a.getAttribute('href');
         if (!href) return;
 
+        // `#/route` names a view in hash-routed apps; resolve it against the page URL.
+        if (keepHashRoutes && /^#!?\//.test(href)) href = a.href;
+
         if (
           href.startsWith('javascript:') ||
           href.startsWith('mailto:') ||
@@ -56,8 +86,13 @@ export async function extractLinksWithPriority(page, pierceShadowDom) {
           return;
         }
 
-        if (isInNavigation(a)) navigationLinks.add(href);
-        else regularLinks.add(href);
+        if (isInNavigation(a)) {
+          navigationLinks.add(href);
+          describe(href, a, 'navigation');
+        } else {
+          regularLinks.add(href);
+          describe(href, a, 'content');
+        }
       });
 
       const linkElements = root.querySelectorAll(
@@ -133,7 +168,10 @@ export async function extractLinksWithPriority(page, pierceShadowDom) {
       );
       breadcrumbs.forEach((a) => {
         const href = a.getAttribute('href');
-        if (href) navigationLinks.add(href);
+        if (href) {
+          navigationLinks.add(href);
+          describe(href, a, 'navigation');
+        }
       });
 
       if (pierce) {
@@ -148,11 +186,16 @@ export async function extractLinksWithPriority(page, pierceShadowDom) {
 
     extractFromRoot(document);
 
+    for (const href of regularLinks) {
+      if (!linkDetails.has(href)) describe(href, null, 'content');
+    }
+
     return {
       navigation: Array.from(navigationLinks),
       regular: Array.from(regularLinks),
+      links: Array.from(linkDetails, ([href, details]) => ({ href, ...details })),
     };
-  }, pierceShadowDom);
+  }, pierceShadowDom, hashRoutes);
 }
 
 export default extractLinksWithPriority;
@@ -1,3 +1,8 @@
+import { isPathAllowed } from '../robots/robotsRules.js';
+import { stripFragment } from '../../../utils/Validation.js';
+
+/** @typedef {import('../robots/robotsRules.js').RobotsRule} RobotsRule */
+
 /**
  * @param {string} rule
  * @returns {RegExp}
@@ -8,31 +13,22 @@ export function wildcardRobotsRuleToRegex(rule) {
 }
 
 /**
+ * Check a URL against robots.txt rules (longest match wins, `Allow` on ties).
+ *
  * @param {string} urlStr
- * @param {Set<string>} disallowedPaths
+ * @param {RobotsRule[]|Iterable<string>} rules - Parsed rules, or bare Disallow paths
  * @returns {boolean}
  */
-export function isDisallowed(urlStr, disallowedPaths) {
+export function isDisallowed(urlStr, rules) {
   try {
     const url = new URL(urlStr);
-    const path = url.pathname;
-    const pathWithQuery = `${url.pathname}${url.search}`;
-
-    for (const disallowed of disallowedPaths) {
-      if (disallowed.includes('*')) {
-        const regex = wildcardRobotsRuleToRegex(disallowed);
-        if (regex.test(pathWithQuery)) return true;
-      } else if (disallowed.includes('?')) {
-        if (pathWithQuery.startsWith(disallowed)) return true;
-      } else if (path.startsWith(disallowed)) {
-        return true;
-      }
-    }
+    const normalized = Array.from(rules, (rule) =>
+      typeof rule === 'string' ? { allow: false, path: rule } : rule
+    );
+    return !isPathAllowed(`${url.pathname}${url.search}`, normalized);
   } catch {
-    // noop
+    return false;
   }
-
-  return false;
 }
 
 /**
@@ -73,15 +69,66 @@ export function matchesPatterns(urlStr, includePatterns, excludePatterns) {
   return true;
 }
 
+/**
+ * @typedef {Object} QueryParamRules
+ * @property {string[]} [strip] - Parameter names to drop; `*` is a wildcard (`utm_*`)
+ * @property {string[]} [allow] - When non-empty, only these parameters are kept
+ * @property {boolean} [sort] - Sort parameters by name so `?b=1&a=2` matches `?a=2&b=1`
+ */
+
+/**
+ * @param {string} name
+ * @param {string[]} patterns
+ * @returns {boolean}
+ */
+function paramMatches(name, patterns) {
+  return patterns.some((pattern) => {
+    const body = String(pattern)
+      .replace(/[.+?^${}()|[\]\\]/g, '\\$&')
+      .replace(/\*/g, '.*');
+    return new RegExp(`^${body}$`, 'i').test(name);
+  });
+}
+
+/**
+ * Apply query-parameter rules to an absolute URL. The query is only
+ * re-serialised when a parameter is dropped or reordered.
+ *
+ * @param {string} urlStr
+ * @param {QueryParamRules|null} [rules]
+ * @returns {string}
+ */
+export function applyQueryParamRules(urlStr, rules) {
+  const strip = rules?.strip || [];
+  const allow = rules?.allow || [];
+  if (strip.length === 0 && allow.length === 0 && !rules?.sort) return urlStr;
+
+  const url = new URL(urlStr);
+  if (!url.search) return urlStr;
+
+  const params = Array.from(url.searchParams);
+  const kept = params.filter(
+    ([name]) => !paramMatches(name, strip) && (allow.length === 0 || paramMatches(name, allow))
+  );
+  if (rules?.sort) kept.sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0));
+
+  if (kept.length === params.length && kept.every((entry, i) => entry === params[i])) {
+    return urlStr;
+  }
+  url.search = new URLSearchParams(kept).toString();
+  return url.href;
+}
+
 /**
  * @param {string} origin
  * @param {boolean} includeQuery
  * @param {string} urlStr
+ * @param {boolean} [keepHashRoutes=false] - Keep `#/...` route fragments
  * @returns {string}
  */
-export function canonicalUrl(origin, includeQuery, urlStr) {
+export function canonicalUrl(origin, includeQuery, urlStr, keepHashRoutes = false) {
   const u = new URL(urlStr, origin);
-  u.hash = '';
+  stripFragment(u, keepHashRoutes);
   if (!includeQuery) u.search = '';
   if (u.pathname !== '/' && u.pathname.endsWith('/')) {
     u.pathname = u.pathname.replace(/\/+$/, '');
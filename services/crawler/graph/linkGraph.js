@@ -0,0 +1,149 @@
+/**
+ * Internal link graph recorded while crawling.
+ *
+ * Each edge is one distinct source -> target link with the text and page
+ * region (site navigation vs content) of the first link seen between them.
+ * The graph answers two questions the audit list alone cannot: which pages
+ * nobody links to (sitemap-only "orphans"), and how many clicks it takes to
+ * reach each audited page from the start URL. A page only counts as an
+ * orphan when the crawl was complete; after a partial crawl (stopped by
+ * `--limit`, depth or time) the graph can only say which sitemap URLs the
+ * scanned pages do not link to.
+ */
+
+/**
+ * @typedef {Object} LinkEdge
+ * @property {string} source - Canonical URL of the linking page
+ * @property {string} target - Canonical URL linked to
+ * @property {string} text - Link text or accessible name ('' for non-anchor links)
+ * @property {'navigation'|'content'} region
+ */
+
+/**
+ * @typedef {Object} ClickPath
+ * @property {string} url
+ * @property {number} depth - Clicks from the start URL
+ * @property {string[]} path - URLs from the start URL to `url`, inclusive
+ */
+
+/**
+ * @typedef {Object} LinkGraphSummary
+ * @property {string} startUrl
+ * @property {number} pagesScanned - Pages whose links were recorded
+ * @property {number} totalLinks - Distinct source -> target links
+ * @property {boolean} crawlComplete - Every discovered page was scanned for links
+ * @property {string[]} orphans - Sitemap URLs no page links to (complete crawls only)
+ * @property {string[]} unlinkedSitemapUrls - Sitemap URLs none of the scanned pages link to
+ *   (partial crawls only; they may be linked from pages that were not scanned)
+ * @property {string[]} unreachable - Audited URLs with no click path from the start URL
+ * @property {ClickPath[]} clickPaths - Shortest click path to each reachable audited URL
+ */
+
+export class LinkGraph {
+  constructor() {
+    /** @type {Map<string, LinkEdge>} */
+    this.edges = new Map();
+
+    /** @type {Set<string>} */
+    this.scannedPages = new Set();
+  }
+
+  /**
+   * @param {string} source
+   */
+  recordPage(source) {
+    this.scannedPages.add(source);
+  }
+
+  /**
+   * Record a link; repeated links between the same pages keep the first one.
+   *
+   * @param {LinkEdge} edge
+   */
+  addEdge(edge) {
+    if (edge.source === edge.target) return;
+    const key = `${edge.source}\n${edge.target}`;
+    if (!this.edges.has(key)) this.edges.set(key, { ...edge });
+  }
+
+  /**
+   * @returns {{ scannedPages: string[], edges: LinkEdge[] }}
+   */
+  toJSON() {
+    return { scannedPages: Array.from(this.scannedPages), edges: Array.from(this.edges.values()) };
+  }
+
+  /**
+   * @param {{ scannedPages?: string[], edges?: LinkEdge[] }|null|undefined} state
+   */
+  restore(state) {
+    this.scannedPages = new Set(state?.scannedPages || []);
+    this.edges = new Map();
+    for (const edge of state?.edges || []) this.addEdge(edge);
+  }
+
+  /**
+   * Breadth-first shortest click paths from `startUrl`.
+   *
+   * @param {string} startUrl
+   * @returns {Map<string, string[]>}
+   */
+  shortestPaths(startUrl) {
+    /** @type {Map<string, string[]>} */
+    const outgoing = new Map();
+    for (const { source, target } of this.edges.values()) {
+      if (!outgoing.has(source)) outgoing.set(source, []);
+      outgoing.get(source).push(target);
+    }
+
+    const paths = new Map([[startUrl, [startUrl]]]);
+    const queue = [startUrl];
+    while (queue.length > 0) {
+      const current = queue.shift();
+      for (const next of outgoing.get(current) || []) {
+        if (paths.has(next)) continue;
+        paths.set(next, [...paths.get(current), next]);
+        queue.push(next);
+      }
+    }
+    return paths;
+  }
+
+  /**
+   * @param {object} params
+   * @param {string} params.startUrl - Canonical start URL
+   * @param {string[]} params.auditedUrls - Canonical URLs handed to the audit phase
+   * @param {Iterable<string>} params.sitemapUrls - Canonical, in-scope sitemap URLs
+   * @param {boolean} [params.complete=false] - Every discovered page was scanned for links
+   * @returns {LinkGraphSummary}
+   */
+  summarize({ startUrl, auditedUrls, sitemapUrls, complete = false }) {
+    const linkedTo = new Set(Array.from(this.edges.values(), (edge) => edge.target));
+    const paths = this.shortestPaths(startUrl);
+
+    /** @type {ClickPath[]} */
+    const clickPaths = [];
+    const unreachable = [];
+    for (const url of auditedUrls) {
+      const path = paths.get(url);
+      if (path) clickPaths.push({ url, depth: path.length - 1, path });
+      else unreachable.push(url);
+    }
+
+    const unlinked = Array.from(new Set(sitemapUrls)).filter(
+      (url) => url !== startUrl && !linkedTo.has(url)
+    );
+    return {
+      startUrl,
+      pagesScanned: this.scannedPages.size,
+      totalLinks: this.edges.size,
+      crawlComplete: complete,
+      orphans: complete ? unlinked : [],
+      unlinkedSitemapUrls: complete ? [] : unlinked,
+      unreachable,
+      clickPaths,
+    };
+  }
+}
+
+export default LinkGraph;
@@ -0,0 +1,60 @@
+import { extractLinksWithPriority } from '../extract/extractLinksWithPriority.js';
+import { DEFAULT_VIEWPORT } from '../../audit/viewports/viewportPresets.js';
+
+/**
+ * @typedef {Awaited<ReturnType<typeof extractLinksWithPriority>>} PageLinks
+ */
+
+/**
+ * Load pages only to read their links: the start page that primes the crawl
+ * queue, and pages chosen without being crawled (the sitemap alone filled
+ * `--limit`), so the link graph and click paths still cover them.
+ *
+ * @param {object} params
+ * @param {import('puppeteer').Browser} params.browser
+ * @param {string[]} params.urls
+ * @param {import('../../../utils/RequestScheduler.js').RequestScheduler} params.scheduler
+ * @param {number} params.timeoutMs
+ * @param {boolean} params.pierceShadowDom
+ * @param {boolean} params.hashRoutes
+ * @param {{ idleTime: number, timeout: number }|null} [params.settle] - Wait for network idle before reading links
+ * @param {() => boolean} [params.pastDeadline] - Stop before the next page when true
+ * @param {(url: string, result: { response?: import('puppeteer').HTTPResponse|null, links?: PageLinks, error?: unknown }) => void} params.onPage
+ * @returns {Promise<void>}
+ */
+export async function scanPageLinks({
+  browser,
+  urls,
+  scheduler,
+  timeoutMs,
+  pierceShadowDom,
+  hashRoutes,
+  settle = null,
+  pastDeadline = () => false,
+  onPage,
+}) {
+  const page = await browser.newPage();
+  await page.setCacheEnabled(true);
+  await page.setViewport(DEFAULT_VIEWPORT);
+
+  try {
+    for (const url of urls) {
+      if (pastDeadline()) break;
+      try {
+        const response = await scheduler.goto(page, url, {
+          waitUntil: 'domcontentloaded',
+          timeout: timeoutMs,
+        });
+        if (settle) await page.waitForNetworkIdle(settle).catch(() => {});
+        const links = await extractLinksWithPriority(page, pierceShadowDom, hashRoutes);
+        onPage(url, { response, links });
+      } catch (error) {
+        onPage(url, { error });
+      }
+    }
+  } finally {
+    await page.close().catch(() => {});
+  }
+}
+
+export default scanPageLinks;
@@ -0,0 +1,275 @@
+/**
+ * URL lists audited in place of crawl discovery (`--urls-file`).
+ *
+ * Three formats are accepted, chosen by `--urls-format`, the file extension
+ * or, for stdin and unknown extensions, by sniffing the content:
+ *
+ * - plain text: one URL per line; blank lines and `#` comments are ignored
+ * - CSV: the `url` column when the header has one, otherwise the first column;
+ *   sniffed only when the first line is not itself a URL, since URLs may contain commas
+ * - JSON: an array of URL strings or `{ "url": ... }` objects, or `{ "urls": [...] }`
+ *
+ * Entries may be relative to the base URL. Each is normalised with
+ * `normaliseCrawlTarget`, so the list obeys the same scope and hash/slash
+ * rules as crawled links.
+ */
+
+import fs from 'fs-extra';
+import path from 'node:path';
+
+import { normaliseCrawlTarget } from '../../../utils/Validation.js';
+
+/** @typedef {'text'|'csv'|'json'} UrlListFormat */
+
+const FORMATS = ['text', 'csv', 'json'];
+const MAX_REPORTED_REJECTIONS = 5;
+
+/**
+ * Whether a line reads as one URL-list entry: an absolute http(s) URL or a
+ * root-relative path, without whitespace.
+ *
+ * @param {string} line
+ * @returns {boolean}
+ */
+function isUrlLine(line) {
+  const value = line.trim();
+  if (value === '' || /\s/.test(value)) return false;
+  if (value.startsWith('/')) return true;
+  try {
+    return /^https?:$/.test(new URL(value).protocol);
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * @param {string} source - File path, or `-` for stdin
+ * @param {string} content
+ * @param {string|null} [explicit] - Format named by `--urls-format`
+ * @returns {UrlListFormat}
+ */
+export function detectUrlListFormat(source, content, explicit = null) {
+  if (explicit) {
+    const format = String(explicit).toLowerCase();
+    if (!FORMATS.includes(format)) {
+      throw new Error(`Unknown URL list format "${explicit}" (expected ${FORMATS.join(', ')})`);
+    }
+    return /** @type {UrlListFormat} */ (format);
+  }
+
+  const ext = source === '-' ? '' : path.extname(source).toLowerCase();
+  if (ext === '.json') return 'json';
+  if (ext === '.csv') return 'csv';
+  if (ext === '.txt') return 'text';
+
+  const trimmed = content.trimStart();
+  if (trimmed.startsWith('[') || trimmed.startsWith('{')) return 'json';
+  const firstLine = trimmed.split(/\r?\n/, 1)[0] || '';
+  return firstLine.includes(',') && !isUrlLine(firstLine) ? 'csv' : 'text';
+}
+
+/**
+ * Split one CSV line, honouring double-quoted fields.
+ *
+ * @param {string} line
+ * @returns {string[]}
+ */
+function splitCsvLine(line) {
+  const fields = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      fields.push(field);
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  fields.push(field);
+  return fields.map((value) => value.trim());
+}
+
+/**
+ * @param {string} content
+ * @returns {Array<{ entry: string, where: string }>}
+ */
+function readCsvEntries(content) {
+  const lines = content.split(/\r?\n/).map((line, index) => ({ line, number: index + 1 }));
+  const rows = lines.filter(({ line }) => line.trim() !== '');
+  if (rows.length === 0) return [];
+
+  const header = splitCsvLine(rows[0].line).map((name) => name.toLowerCase());
+  const urlColumn = header.indexOf('url');
+  const column = urlColumn === -1 ? 0 : urlColumn;
+  const dataRows = urlColumn === -1 ? rows : rows.slice(1);
+
+  return dataRows.map(({ line, number }) => ({
+    entry: splitCsvLine(line)[column] || '',
+    where: `line ${number}`,
+  }));
+}
+
+/**
+ * @param {string} content
+ * @returns {Array<{ entry: string, where: string }>}
+ */
+function readJsonEntries(content) {
+  let data;
+  try {
+    data = JSON.parse(content);
+  } catch (err) {
+    throw new Error(`URL list is not valid JSON: ${/** @type {any} */ (err)?.message || err}`);
+  }
+
+  const items = Array.isArray(data) ? data : data?.urls;
+  if (!Array.isArray(items)) {
+    throw new Error('JSON URL list must be an array or an object with a "urls" array');
+  }
+
+  return items.map((item, index) => ({
+    entry: typeof item === 'string' ? item : String(item?.url ?? ''),
+    where: `entry ${index + 1}`,
+  }));
+}
+
+/**
+ * Parse and validate a URL list.
+ *
+ * @param {string} content
+ * @param {object} params
+ * @param {UrlListFormat} params.format
+ * @param {string} params.baseUrl - Resolves relative entries; its origin is always in scope
+ * @param {(url: URL) => boolean} [params.isInScope] - Crawl scope check; same-origin when omitted
+ * @param {boolean} [params.hashRoutes=false] - Keep `#/...` route fragments
+ * @returns {string[]} Normalised, de-duplicated URLs in list order
+ * @throws {Error} When an entry is invalid or out of scope, or the list is empty
+ */
+export function parseUrlList(content, { format, baseUrl, isInScope, hashRoutes = false }) {
+  const text = String(content || '').replace(/^\uFEFF/, '');
+
+  /** @type {Array<{ entry: string, where: string }>} */
+  let entries;
+  if (format === 'json') {
+    entries = readJsonEntries(text);
+  } else if (format === 'csv') {
+    entries = readCsvEntries(text);
+  } else {
+    entries = text.split(/\r?\n/).map((line, index) => ({
+      entry: line.replace(/\s+#.*$/, '').trim(),
+      where: `line ${index + 1}`,
+    }));
+    entries = entries.filter(({ entry }) => entry !== '' && !entry.startsWith('#'));
+  }
+
+  const origin = new URL(baseUrl).origin;
+  const urls = new Set();
+  const rejected = [];
+
+  for (const { entry, where } of entries) {
+    if (entry.trim() === '') continue;
+    const normalised = normaliseCrawlTarget(origin, entry.trim(), isInScope, hashRoutes);
+    if (normalised) urls.add(normalised);
+    else rejected.push(`${where}: "${entry}"`);
+  }
+
+  if (rejected.length > 0) {
+    const shown = rejected.slice(0, MAX_REPORTED_REJECTIONS).join('; ');
+    const more =
+      rejected.length > MAX_REPORTED_REJECTIONS
+        ? ` (and ${rejected.length - MAX_REPORTED_REJECTIONS} more)`
+        : '';
+    throw new Error(
+      `URL list has ${rejected.length} invalid or out-of-scope entr${rejected.length === 1 ? 'y' : 'ies'} (${shown}${more}). ` +
+        `Entries must be http(s) URLs on ${origin}; use --allowed-hosts / --path-prefixes to widen the scope`
+    );
+  }
+  if (urls.size === 0) throw new Error('URL list is empty');
+
+  return Array.from(urls);
+}
+
+/**
+ * @param {NodeJS.ReadableStream} stream
+ * @returns {Promise<string>}
+ */
+async function readStream(stream) {
+  let content = '';
+  stream.setEncoding('utf8');
+  for await (const chunk of stream) content += chunk;
+  return content;
+}
+
+/**
+ * Read a URL list from a file, or from stdin when `source` is `-`.
+ *
+ * @param {string} source
+ * @param {object} params
+ * @param {string} [params.baseUrl] - Defaults to the first absolute entry
+ * @param {(baseUrl: string) => (url: URL) => boolean} [params.scopeFor] - Builds the scope check for the base URL
+ * @param {boolean} [params.hashRoutes=false] - Keep `#/...` route fragments
+ * @param {string|null} [params.format] - Format named by `--urls-format`; detected when omitted
+ * @param {NodeJS.ReadableStream} [params.stdin=process.stdin]
+ * @returns {Promise<{ urls: string[], baseUrl: string, format: UrlListFormat }>}
+ */
+export async function loadUrlList(
+  source,
+  {
+    baseUrl,
+    scopeFor,
+    hashRoutes = false,
+    format: explicitFormat = null,
+    stdin = process.stdin,
+  } = {}
+) {
+  let content;
+  if (source === '-') {
+    content = await readStream(stdin);
+  } else {
+    try {
+      content = await fs.readFile(source, 'utf8');
+    } catch (err) {
+      throw new Error(
+        `Cannot read URL list ${source}: ${/** @type {any} */ (err)?.message || err}`
+      );
+    }
+  }
+
+  const format = detectUrlListFormat(source, content, explicitFormat);
+  const resolvedBase = baseUrl || firstAbsoluteUrl(content);
+  if (!resolvedBase) {
+    throw new Error('URL list has no absolute URLs; pass --url to resolve relative entries');
+  }
+
+  const urls = parseUrlList(content, {
+    format,
+    baseUrl: resolvedBase,
+    isInScope: scopeFor?.(resolvedBase),
+    hashRoutes,
+  });
+  return { urls, baseUrl: resolvedBase, format };
+}
+
+/**
+ * @param {string} content
+ * @returns {string|null}
+ */
+function firstAbsoluteUrl(content) {
+  const match = /https?:\/\/[^\s,"'\]}]+/i.exec(content);
+  return match ? match[0] : null;
+}
+
+export default loadUrlList;
@@ -20,3 +20,27 @@ export function popNext(queue) {
 export function pushCandidate(queue, candidate) {
   queue.push(candidate);
 }
+
+/**
+ * Canonical URLs still waiting in the queue, in the order they would be
+ * visited: within `maxDepth`, not yet settled (visited or collapsed into a
+ * visited page) and passing the crawl's scope, robots.txt and URL patterns.
+ *
+ * @param {Array<{ url: string, priority: number, depth: number }>} queue
+ * @param {object} params
+ * @param {number} params.maxDepth
+ * @param {(url: string) => string} params.toCanonical
+ * @param {(canonical: string) => boolean} params.isSettled
+ * @param {(canonical: string) => boolean} params.isCrawlable
+ * @returns {string[]}
+ */
+export function pendingQueueUrls(queue, { maxDepth, toCanonical, isSettled, isCrawlable }) {
+  const pending = new Set();
+  for (const { url, depth } of [...queue].sort((a, b) => a.priority - b.priority)) {
+    if (depth > maxDepth) continue;
+    const canonical = toCanonical(url);
+    if (isSettled(canonical) || !isCrawlable(canonical)) continue;
+    pending.add(canonical);
+  }
+  return Array.from(pending);
+}
@@ -1,32 +1,75 @@
-import { parseRobotsTxt } from './robotsRules.js';
+import { DEFAULT_ROBOTS_USER_AGENT, parseRobotsTxt } from './robotsRules.js';
+
+/**
+ * Rules when robots.txt is missing (RFC 9309 §2.3.1.3: a 4xx means no restrictions).
+ *
+ * @returns {import('./robotsRules.js').ParsedRobots}
+ */
+function allowAll() {
+  return { rules: [], disallowedPaths: new Set(), sitemapUrls: new Set(), crawlDelay: null };
+}
+
+/**
+ * Rules when robots.txt is unreachable (RFC 9309 §2.3.1.4: a 5xx or network
+ * error means the whole site is disallowed).
+ *
+ * @returns {import('./robotsRules.js').ParsedRobots}
+ */
+function disallowAll() {
+  return {
+    rules: [{ allow: false, path: '/' }],
+    disallowedPaths: new Set(['/']),
+    sitemapUrls: new Set(),
+    crawlDelay: null,
+  };
+}
 
 /**
  * Load and parse robots.txt for a site origin.
  *
  * @param {import('puppeteer').Browser} browser
  * @param {string} origin
- * @param {{ debug: (msg: string) => void }} log
- * @returns {Promise<{ disallowedPaths: Set<string>, sitemapUrls: Set<string> }>}
+ * @param {{ debug: (msg: string) => void, warn: (msg: string) => void }} log
+ * @param {object} [opts]
+ * @param {import('../../../utils/RequestScheduler.js').RequestScheduler} [opts.scheduler]
+ * @param {string} [opts.userAgent] - Product token matched against `User-agent` groups
+ * @returns {Promise<import('./robotsRules.js').ParsedRobots>}
  */
-export async function loadRobotsTxt(browser, origin, log) {
+export async function loadRobotsTxt(browser, origin, log, opts = {}) {
+  const { scheduler, userAgent = DEFAULT_ROBOTS_USER_AGENT } = opts;
   const robotsUrl = `${origin}/robots.txt`;
   const page = await browser.newPage();
 
+  let unreachable;
   try {
-    const response = await page.goto(robotsUrl, { timeout: 10_000 });
+    const response = scheduler
+      ? await scheduler.goto(page, robotsUrl, { timeout: 10_000 })
+      : await page.goto(robotsUrl, { timeout: 10_000 });
+    const status = response?.status() ?? 0;
     if (response && response.ok()) {
       const content = await response.text();
-      const parsed = parseRobotsTxt(content);
-      log.debug(`Loaded robots.txt with ${parsed.disallowedPaths.size} disallow rules`);
+      const parsed = parseRobotsTxt(content, userAgent);
+      log.debug(
+        `Loaded robots.txt for ${origin} with ${parsed.rules.length} rule(s) for user-agent ${userAgent}`
+      );
       return parsed;
     }
+    // 429 is a 4xx, but like a 5xx it says the server could not answer.
+    if (status >= 400 && status < 500 && status !== 429) {
+      log.debug(`No robots.txt for ${origin} (HTTP ${status}); crawling without restrictions`);
+      return allowAll();
+    }
+    unreachable = status ? `HTTP ${status}` : 'no response';
   } catch (err) {
-    log.debug(`Could not load robots.txt: ${err?.message || err}`);
+    unreachable = err?.message || String(err);
   } finally {
     await page.close().catch(() => {});
   }
 
-  return { disallowedPaths: new Set(), sitemapUrls: new Set() };
+  log.warn(
+    `robots.txt for ${origin} is unreachable (${unreachable}); treating the whole origin as disallowed per RFC 9309. Set crawler.respectRobotsTxt to false to crawl it anyway.`
+  );
+  return disallowAll();
 }
 
 export default loadRobotsTxt;
@@ -1,37 +1,169 @@
 /**
- * Parse robots.txt content.
+ * robots.txt parsing and matching per RFC 9309.
+ *
+ * - Rules are grouped by `User-agent`; consecutive user-agent lines share one
+ *   group. The crawler obeys every group naming its product token
+ *   (case-insensitive), or the `*` groups when none does.
+ * - The longest matching `Allow`/`Disallow` path wins; on a tie `Allow` wins.
+ * - `*` matches any sequence of characters and a trailing `$` anchors the end.
+ * - `Sitemap` lines apply to the whole file; `Crawl-delay` (non-standard) is
+ *   read from the obeyed groups.
+ */
+
+export const DEFAULT_ROBOTS_USER_AGENT = 'a11y-audit-pro';
+
+/**
+ * @typedef {Object} RobotsRule
+ * @property {boolean} allow
+ * @property {string} path - Rule path, percent-encoded
+ */
+
+/**
+ * @typedef {Object} ParsedRobots
+ * @property {RobotsRule[]} rules - Rules of the groups obeyed by the user-agent
+ * @property {Set<string>} disallowedPaths - Disallow paths among `rules`
+ * @property {Set<string>} sitemapUrls
+ * @property {number|null} crawlDelay - Seconds
+ */
+
+/**
+ * Reduce a user-agent value to its product token, e.g. `A11y-Audit-Pro/2.0` -> `a11y-audit-pro`.
+ *
+ * @param {string} value
+ * @returns {string}
+ */
+function productToken(value) {
+  const match = /^[A-Za-z0-9_-]+|^\*/.exec(value.trim());
+  return match ? match[0].toLowerCase() : '';
+}
+
+/**
+ * Percent-encode characters outside printable ASCII so rule paths compare
+ * like the already-encoded URL paths they are matched against.
+ *
+ * @param {string} path
+ * @returns {string}
+ */
+function encodeRulePath(path) {
+  return path.replace(/[^\x21-\x7e]+/g, (chars) => encodeURIComponent(chars));
+}
+
+/**
+ * Parse robots.txt content for one crawler.
  *
  * @param {string} content
- * @returns {{ disallowedPaths: Set<string>, sitemapUrls: Set<string> }}
+ * @param {string} [userAgent=DEFAULT_ROBOTS_USER_AGENT] - Product token the crawler identifies as
+ * @returns {ParsedRobots}
  */
-export function parseRobotsTxt(content) {
-  const disallowedPaths = new Set();
+export function parseRobotsTxt(content, userAgent = DEFAULT_ROBOTS_USER_AGENT) {
+  const ownToken = productToken(userAgent);
   const sitemapUrls = new Set();
 
-  const lines = content.split('\n');
-  let relevantSection = false;
+  /** @type {Array<{ agents: string[], rules: RobotsRule[], crawlDelay: number|null }>} */
+  const groups = [];
+  let current = null;
+  let lastWasAgent = false;
+
+  for (const rawLine of String(content || '').split(/\r\n|\r|\n/)) {
+    const line = rawLine.replace(/#.*$/, '').trim();
+    const separator = line.indexOf(':');
+    if (separator === -1) continue;
 
-  for (const line of lines) {
-    const trimmed = line.trim().toLowerCase();
+    const key = line.slice(0, separator).trim().toLowerCase();
+    const value = line.slice(separator + 1).trim();
 
-    if (trimmed.startsWith('user-agent:')) {
-      const agent = trimmed.substring('user-agent:'.length).trim();
-      relevantSection = agent === '*' || agent.includes('a11y');
+    if (key === 'user-agent') {
+      if (!current || !lastWasAgent) {
+        current = { agents: [], rules: [], crawlDelay: null };
+        groups.push(current);
+      }
+      current.agents.push(productToken(value));
+      lastWasAgent = true;
       continue;
     }
+    lastWasAgent = false;
 
-    if (relevantSection && trimmed.startsWith('disallow:')) {
-      const path = line.substring(line.indexOf(':') + 1).trim();
-      if (path) disallowedPaths.add(path);
+    if (key === 'sitemap') {
+      if (value) sitemapUrls.add(value);
+      continue;
+    }
+
+    // Rules before the first user-agent line belong to no group.
+    if (!current) continue;
+
+    if ((key === 'allow' || key === 'disallow') && value) {
+      current.rules.push({ allow: key === 'allow', path: encodeRulePath(value) });
+    } else if (key === 'crawl-delay') {
+      const seconds = Number(value);
+      if (Number.isFinite(seconds) && seconds >= 0) {
+        current.crawlDelay = Math.max(current.crawlDelay ?? 0, seconds);
+      }
     }
+  }
+
+  let obeyed = groups.filter((group) => group.agents.includes(ownToken));
+  if (obeyed.length === 0) obeyed = groups.filter((group) => group.agents.includes('*'));
+
+  const rules = obeyed.flatMap((group) => group.rules);
+  const delays = obeyed.map((group) => group.crawlDelay).filter((delay) => delay !== null);
+
+  return {
+    rules,
+    disallowedPaths: new Set(rules.filter((rule) => !rule.allow).map((rule) => rule.path)),
+    sitemapUrls,
+    crawlDelay: delays.length > 0 ? Math.max(...delays) : null,
+  };
+}
+
+/**
+ * @param {string} rulePath
+ * @returns {RegExp}
+ */
+function rulePathToRegex(rulePath) {
+  const anchored = rulePath.endsWith('$');
+  const body = (anchored ? rulePath.slice(0, -1) : rulePath)
+    .replace(/[.+?^${}()|[\]\\]/g, '\\$&')
+    .replace(/\*/g, '.*');
+  return new RegExp(`^${body}${anchored ? '$' : ''}`);
+}
+
+/**
+ * @param {string} pathWithQuery
+ * @param {string} rulePath
+ * @returns {boolean}
+ */
+export function robotsRuleMatches(pathWithQuery, rulePath) {
+  if (!rulePath.includes('*') && !rulePath.endsWith('$')) {
+    return pathWithQuery.startsWith(rulePath);
+  }
+  return rulePathToRegex(rulePath).test(pathWithQuery);
+}
+
+/**
+ * Decide whether a URL path may be crawled: the longest matching rule wins,
+ * `Allow` wins ties, and `/robots.txt` itself is always allowed.
+ *
+ * @param {string} pathWithQuery - Percent-encoded path plus query, e.g. `/a/b?c=1`
+ * @param {RobotsRule[]} rules
+ * @returns {boolean}
+ */
+export function isPathAllowed(pathWithQuery, rules) {
+  if (pathWithQuery === '/robots.txt') return true;
 
-    if (trimmed.startsWith('sitemap:')) {
-      const sitemapUrl = line.substring(line.indexOf(':') + 1).trim();
-      if (sitemapUrl) sitemapUrls.add(sitemapUrl);
+  /** @type {RobotsRule|null} */
+  let winner = null;
+  for (const rule of rules) {
+    if (!robotsRuleMatches(pathWithQuery, rule.path)) continue;
+    if (
+      !winner ||
+      rule.path.length > winner.path.length ||
+      (rule.path.length === winner.path.length && rule.allow)
+    ) {
+      winner = rule;
     }
   }
 
-  return { disallowedPaths, sitemapUrls };
+  return winner ? winner.allow : true;
 }
 
 export default parseRobotsTxt;
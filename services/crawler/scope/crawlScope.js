@@ -0,0 +1,103 @@
+/**
+ * Crawl scope: which hosts and paths a single run may cover.
+ *
+ * The start URL's host is always in scope. `allowedHosts` adds further hosts,
+ * either exact (`shop.example.com`, optionally with a port) or wildcard
+ * (`*.example.com`, which matches any subdomain but not the apex itself).
+ * `pathPrefixes`, when set, restricts every in-scope host to those paths.
+ */
+
+/**
+ * @typedef {Object} CrawlScopeConfig
+ * @property {string[]} [allowedHosts]
+ * @property {string[]} [pathPrefixes]
+ */
+
+/**
+ * @typedef {Object} CrawlScope
+ * @property {string} baseOrigin
+ * @property {string[]} seedOrigins - Base origin plus every exact allowed host
+ * @property {boolean} multiOrigin - True when more than the base host is in scope
+ * @property {(url: string|URL) => boolean} isInScope
+ */
+
+/**
+ * @param {string} host - `hostname` or `hostname:port`
+ * @param {string} pattern
+ * @returns {boolean}
+ */
+export function hostMatches(host, pattern) {
+  const normalisedPattern = String(pattern || '').trim().toLowerCase();
+  if (!normalisedPattern) return false;
+
+  const normalisedHost = host.toLowerCase();
+  if (normalisedPattern.startsWith('*.')) {
+    const hostname = normalisedHost.replace(/:\d+$/, '');
+    return hostname.endsWith(normalisedPattern.slice(1));
+  }
+
+  if (normalisedPattern.includes(':')) return normalisedHost === normalisedPattern;
+  return normalisedHost.replace(/:\d+$/, '') === normalisedPattern;
+}
+
+/**
+ * @param {string} pathname
+ * @param {string[]} prefixes
+ * @returns {boolean}
+ */
+export function pathMatchesPrefixes(pathname, prefixes) {
+  if (!prefixes || prefixes.length === 0) return true;
+
+  return prefixes.some((prefix) => {
+    const normalised = `/${String(prefix).trim().replace(/^\/+/, '')}`;
+    if (normalised === '/') return true;
+    const bare = normalised.replace(/\/+$/, '');
+    return pathname === bare || pathname.startsWith(`${bare}/`);
+  });
+}
+
+/**
+ * Build the crawl scope for a start URL.
+ *
+ * @param {URL|string} baseUrl
+ * @param {CrawlScopeConfig|null} [config]
+ * @returns {CrawlScope}
+ */
+export function createCrawlScope(baseUrl, config = {}) {
+  const base = new URL(String(baseUrl));
+  const allowedHosts = (config?.allowedHosts || []).map((h) => String(h).trim()).filter(Boolean);
+  const pathPrefixes = (config?.pathPrefixes || []).map((p) => String(p).trim()).filter(Boolean);
+
+  const seedOrigins = [base.origin];
+  for (const host of allowedHosts) {
+    if (host.includes('*')) continue;
+    const origin = `${base.protocol}//${host.toLowerCase()}`;
+    if (!seedOrigins.includes(origin)) seedOrigins.push(origin);
+  }
+
+  const isInScope = (url) => {
+    let parsed;
+    try {
+      parsed = url instanceof URL ? url : new URL(url);
+    } catch {
+      return false;
+    }
+
+    if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') return false;
+
+    const hostAllowed =
+      parsed.origin === base.origin || allowedHosts.some((pattern) => hostMatches(parsed.host, pattern));
+    if (!hostAllowed) return false;
+
+    return pathMatchesPrefixes(parsed.pathname, pathPrefixes);
+  };
+
+  return {
+    baseOrigin: base.origin,
+    seedOrigins,
+    multiOrigin: allowedHosts.length > 0,
+    isInScope,
+  };
+}
+
+export default createCrawlScope;
@@ -1,17 +1,38 @@
 import { parseSitemapUrl } from './parseSitemapUrl.js';
+import { orderSitemapEntries } from './sitemapEntries.js';
 
 /**
- * Load sitemaps from common locations plus robots references.
+ * Most URLs read from an origin's sitemaps. Generous, so the priority and
+ * lastmod ordering sees (nearly) the whole sitemap before `--limit` applies.
+ */
+export const MAX_SITEMAP_URLS = 100000;
+
+/**
+ * Load sitemaps from common locations plus robots references. URLs come back
+ * ordered by `<priority>` then `<lastmod>`, so the most important and most
+ * recently edited pages are crawled first. Every sitemap is read, up to
+ * `maxUrls`, before ordering; the caller applies `--limit` to the result.
  *
  * @param {object} params
  * @param {string} params.baseOrigin
- * @param {number} params.limit
+ * @param {number} [params.maxUrls=MAX_SITEMAP_URLS]
  * @param {Set<string>} params.robotsSitemapUrls
  * @param {{ debug: (msg: string) => void }} params.log
+ * @param {import('../../../utils/RequestScheduler.js').RequestScheduler} [params.scheduler]
+ * @param {Date|null} [params.changedSince] - Keep only URLs with a `<lastmod>` on or after this
  * @returns {Promise<Set<string>>}
  */
-export async function loadSitemap({ baseOrigin, limit, robotsSitemapUrls, log }) {
+export async function loadSitemap({
+  baseOrigin,
+  maxUrls = MAX_SITEMAP_URLS,
+  robotsSitemapUrls,
+  log,
+  scheduler,
+  changedSince = null,
+}) {
   const sitemapUrls = new Set();
+  /** @type {Map<string, import('./sitemapEntries.js').SitemapEntry>} */
+  const sitemapEntries = new Map();
   const visitedSitemaps = new Set();
 
   const sitemapLocations = [
@@ -23,6 +44,8 @@ export async function loadSitemap({ baseOrigin, limit, robotsSitemapUrls, log })
     `${baseOrigin}/wp-sitemap.xml`,
     `${baseOrigin}/page-sitemap.xml`,
     `${baseOrigin}/post-sitemap.xml`,
+    `${baseOrigin}/sitemap.xml.gz`,
+    `${baseOrigin}/sitemap.txt`,
   ];
 
   if (robotsSitemapUrls && robotsSitemapUrls.size > 0) {
@@ -35,8 +58,8 @@ export async function loadSitemap({ baseOrigin, limit, robotsSitemapUrls, log })
   }
 
   for (const sitemapUrl of sitemapLocations) {
-    if (sitemapUrls.size >= limit * 2) {
-      log.debug(`Already have ${sitemapUrls.size} URLs, stopping sitemap parsing`);
+    if (sitemapUrls.size >= maxUrls) {
+      log.debug(`Read the maximum of ${maxUrls} sitemap URLs, stopping sitemap parsing`);
       break;
     }
 
@@ -45,14 +68,23 @@ export async function loadSitemap({ baseOrigin, limit, robotsSitemapUrls, log })
       baseOrigin,
       sitemapUrl,
       sitemapUrls,
+      sitemapEntries,
       visitedSitemaps,
+      maxUrls,
+      changedSince,
       log,
+      scheduler,
       depth: 0,
     });
   }
 
-  log.debug(`Loaded sitemaps with total ${sitemapUrls.size} URLs`);
-  return sitemapUrls;
+  const ordered = orderSitemapEntries(sitemapEntries.values(), { changedSince });
+  log.debug(
+    changedSince
+      ? `Loaded sitemaps: ${ordered.length} of ${sitemapUrls.size} URLs changed since ${changedSince.toISOString()}`
+      : `Loaded sitemaps with total ${sitemapUrls.size} URLs`
+  );
+  return new Set(ordered.map((entry) => entry.loc));
 }
 
 export default loadSitemap;
@@ -1,12 +1,21 @@
+import { decodeSitemapBody, parseSitemapContent } from './sitemapEntries.js';
+
+const SITEMAP_USER_AGENT = 'A11Y-Audit-Pro/2.0 Sitemap Parser';
+
 /**
- * Parse a sitemap URL (including nested sitemap indexes).
+ * Parse a sitemap URL (including nested sitemap indexes, gzipped and
+ * plain-text sitemaps).
  *
  * @param {object} params
  * @param {string} params.baseOrigin
  * @param {string} params.sitemapUrl
  * @param {Set<string>} params.sitemapUrls
+ * @param {Map<string, import('./sitemapEntries.js').SitemapEntry>} [params.sitemapEntries] - Filled with each URL's lastmod and priority
  * @param {Set<string>} params.visitedSitemaps
+ * @param {number} [params.maxUrls=Infinity] - Stop adding URLs once `sitemapUrls` holds this many
+ * @param {Date|null} [params.changedSince] - Skip nested sitemaps last modified before this
  * @param {{ debug: (msg: string) => void }} params.log
+ * @param {import('../../../utils/RequestScheduler.js').RequestScheduler} [params.scheduler]
  * @param {number} [params.depth=0]
  * @returns {Promise<void>}
  */
@@ -14,22 +23,28 @@ export async function parseSitemapUrl({
   baseOrigin,
   sitemapUrl,
   sitemapUrls,
+  sitemapEntries,
   visitedSitemaps,
+  maxUrls = Infinity,
+  changedSince = null,
   log,
+  scheduler,
   depth = 0,
 }) {
-  if (depth > 5) return;
+  if (depth > 5 || sitemapUrls.size >= maxUrls) return;
   if (visitedSitemaps.has(sitemapUrl)) return;
   visitedSitemaps.add(sitemapUrl);
 
   try {
-    const response = await fetch(sitemapUrl, {
-      headers: {
-        Accept: 'application/xml, text/xml, */*',
-        'User-Agent': 'A11Y-Audit-Pro/2.0 Sitemap Parser',
-      },
-      redirect: 'follow',
-    });
+    const request = () =>
+      fetch(sitemapUrl, {
+        headers: {
+          Accept: 'application/xml, text/xml, text/plain, application/gzip, */*',
+          'User-Agent': scheduler?.userAgent(SITEMAP_USER_AGENT) ?? SITEMAP_USER_AGENT,
+        },
+        redirect: 'follow',
+      });
+    const response = scheduler ? await scheduler.fetch(sitemapUrl, request) : await request();
 
     if (response.url !== sitemapUrl) {
       visitedSitemaps.add(response.url);
@@ -42,47 +57,48 @@ export async function parseSitemapUrl({
     }
 
     const contentType = response.headers.get('content-type') || '';
-    const content = await response.text();
+    const content = decodeSitemapBody(await response.arrayBuffer());
     log.debug(`Fetched sitemap ${sitemapUrl}: ${content.length} bytes`);
 
-    const isXmlLike =
-      contentType.includes('xml') ||
-      content.trim().startsWith('<?xml') ||
-      content.includes('<urlset') ||
-      content.includes('<sitemapindex');
-
-    if (!isXmlLike) return;
+    const { kind, entries } = parseSitemapContent(content, {
+      contentType,
+      url: response.url || sitemapUrl,
+    });
+    if (!kind) return;
 
-    if (content.includes('<sitemapindex')) {
-      const sitemapMatches = [
-        ...content.matchAll(/<sitemap>[\s\S]*?<loc>([^<]+)<\/loc>[\s\S]*?<\/sitemap>/g),
-      ];
-      log.debug(`Found ${sitemapMatches.length} nested sitemaps in ${sitemapUrl}`);
-      for (const match of sitemapMatches) {
-        const nestedUrl = match[1].trim();
+    if (kind === 'index') {
+      log.debug(`Found ${entries.length} nested sitemaps in ${sitemapUrl}`);
+      for (const entry of entries) {
+        // A sitemap file changes whenever a URL in it does, so an older one can be skipped.
+        if (changedSince && entry.lastmod !== null && entry.lastmod < changedSince.getTime()) {
+          log.debug(`Skipping sitemap unchanged since ${changedSince.toISOString()}: ${entry.loc}`);
+          continue;
+        }
         await parseSitemapUrl({
           baseOrigin,
-          sitemapUrl: nestedUrl,
+          sitemapUrl: entry.loc,
           sitemapUrls,
+          sitemapEntries,
           visitedSitemaps,
+          maxUrls,
+          changedSince,
           log,
+          scheduler,
           depth: depth + 1,
         });
       }
       return;
     }
 
-    if (!content.includes('<urlset')) return;
-
-    const urlMatches = [...content.matchAll(/<url>[\s\S]*?<loc>([^<]+)<\/loc>[\s\S]*?<\/url>/g)];
-    log.debug(`Found ${urlMatches.length} URLs in ${sitemapUrl}`);
+    log.debug(`Found ${entries.length} URLs in ${sitemapUrl}`);
 
-    for (const match of urlMatches) {
-      const url = match[1].trim();
+    for (const entry of entries) {
+      if (sitemapUrls.size >= maxUrls) break;
       try {
-        const parsed = new URL(url);
-        if (parsed.origin === baseOrigin && !url.match(/sitemap.*\.xml$/i)) {
-          sitemapUrls.add(url);
+        const parsed = new URL(entry.loc);
+        if (parsed.origin === baseOrigin && !/sitemap.*\.(xml|txt)(\.gz)?$/i.test(entry.loc)) {
+          sitemapUrls.add(entry.loc);
+          if (!sitemapEntries?.has(entry.loc)) sitemapEntries?.set(entry.loc, entry);
         }
       } catch {
         // ignore invalid urls
@@ -0,0 +1,45 @@
+/**
+ * Pick the routes of a run that audits sitemap URLs without crawling for
+ * them: the start URL (unless `includeStart` is false), then crawlable
+ * sitemap URLs in sitemap order, up to `limit`.
+ *
+ * @param {object} params
+ * @param {string} params.start
+ * @param {Iterable<string>} params.sitemapUrls - Ordered by priority and lastmod
+ * @param {number} params.limit
+ * @param {boolean} params.includeStart
+ * @param {(url: string) => string} params.toCanonical
+ * @param {(url: string) => boolean} params.isCrawlable - Scope, robots.txt and pattern checks
+ * @param {import('../templates/routeTemplates.js').RouteTemplateClusterer|null} params.templates
+ * @returns {string[]}
+ */
+export function selectSitemapRoutes({
+  start,
+  sitemapUrls,
+  limit,
+  includeStart,
+  toCanonical,
+  isCrawlable,
+  templates,
+}) {
+  const results = includeStart ? [start] : [];
+  const seen = new Set(results.map(toCanonical));
+  // Observe every URL first so slug patterns do not shift while samples are claimed.
+  for (const url of [start, ...sitemapUrls]) templates?.observe(toCanonical(url));
+  for (const url of seen) templates?.claimSample(url);
+
+  for (const url of sitemapUrls) {
+    if (results.length >= limit) break;
+
+    const canonical = toCanonical(url);
+    if (seen.has(canonical)) continue;
+    if (!isCrawlable(canonical)) continue;
+    if (templates && !templates.claimSample(canonical)) continue;
+
+    results.push(canonical);
+    seen.add(canonical);
+  }
+  return results;
+}
+
+export default selectSitemapRoutes;
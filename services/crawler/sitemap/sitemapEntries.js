@@ -0,0 +1,154 @@
+/**
+ * Sitemap content parsing and ordering.
+ *
+ * Handles XML urlsets and sitemap indexes, plain-text sitemaps (one URL per
+ * line) and gzip-compressed files of either kind. `<lastmod>` and `<priority>`
+ * are kept so discovery can order URLs and skip pages unchanged since a date.
+ */
+
+import { gunzipSync } from 'node:zlib';
+
+/**
+ * @typedef {Object} SitemapEntry
+ * @property {string} loc
+ * @property {number|null} lastmod - Epoch milliseconds, or null when absent or unparseable
+ * @property {number|null} priority - 0.0 to 1.0, or null when absent
+ */
+
+/**
+ * @typedef {Object} ParsedSitemap
+ * @property {'index'|'urlset'|'text'|null} kind - null when the content is not a sitemap
+ * @property {SitemapEntry[]} entries - Nested sitemaps for an index, page URLs otherwise
+ */
+
+const DEFAULT_PRIORITY = 0.5;
+
+/**
+ * Decode a sitemap response body, gunzipping it when it starts with the gzip
+ * magic bytes. Servers often send `.xml.gz` files without `Content-Encoding`,
+ * so `fetch` leaves them compressed.
+ *
+ * @param {ArrayBuffer|Uint8Array} body
+ * @returns {string}
+ */
+export function decodeSitemapBody(body) {
+  const bytes = body instanceof Uint8Array ? body : new Uint8Array(body);
+  const raw = bytes[0] === 0x1f && bytes[1] === 0x8b ? gunzipSync(bytes) : bytes;
+  return new TextDecoder('utf-8').decode(raw);
+}
+
+/**
+ * @param {string} block
+ * @param {string} tag
+ * @returns {string|null}
+ */
+function tagText(block, tag) {
+  const match = block.match(new RegExp(`<${tag}>\\s*(?:<!\\[CDATA\\[)?([^<\\]]*)`, 'i'));
+  const text = match?.[1].trim();
+  return text ? text.replace(/&amp;/g, '&') : null;
+}
+
+/**
+ * @param {string|null} value - W3C datetime (`2024-05-01`, `2024-05-01T10:00:00+00:00`)
+ * @returns {number|null}
+ */
+export function parseLastmod(value) {
+  if (!value) return null;
+  const time = Date.parse(value);
+  return Number.isNaN(time) ? null : time;
+}
+
+/**
+ * @param {string} block
+ * @returns {SitemapEntry|null}
+ */
+function entryFromBlock(block) {
+  const loc = tagText(block, 'loc');
+  if (!loc) return null;
+  const priority = Number.parseFloat(tagText(block, 'priority') ?? '');
+  return {
+    loc,
+    lastmod: parseLastmod(tagText(block, 'lastmod')),
+    priority: Number.isFinite(priority) ? priority : null,
+  };
+}
+
+/**
+ * Parse sitemap content of any supported kind.
+ *
+ * @param {string} content
+ * @param {object} [hints]
+ * @param {string} [hints.contentType]
+ * @param {string} [hints.url] - Sitemap URL; a `.txt` path marks a text sitemap
+ * @returns {ParsedSitemap}
+ */
+export function parseSitemapContent(content, { contentType = '', url = '' } = {}) {
+  if (content.includes('<sitemapindex')) {
+    const blocks = content.match(/<sitemap>[\s\S]*?<\/sitemap>/g) || [];
+    return { kind: 'index', entries: blocks.map(entryFromBlock).filter(Boolean) };
+  }
+  if (content.includes('<urlset')) {
+    const blocks = content.match(/<url>[\s\S]*?<\/url>/g) || [];
+    return { kind: 'urlset', entries: blocks.map(entryFromBlock).filter(Boolean) };
+  }
+
+  const isText = contentType.includes('text/plain') || /\.txt(\.gz)?$/i.test(url.split(/[?#]/)[0]);
+  if (!isText) return { kind: null, entries: [] };
+
+  const entries = content
+    .split(/\r?\n/)
+    .map((line) => line.trim())
+    .filter((line) => /^https?:\/\//i.test(line))
+    .map((loc) => ({ loc, lastmod: null, priority: null }));
+  return { kind: 'text', entries };
+}
+
+/**
+ * Parse a `--changed-since` value: an ISO date or datetime, or a relative age
+ * such as `24h` or `7d`.
+ *
+ * @param {string|Date} value
+ * @param {Date} [now]
+ * @returns {Date}
+ */
+export function parseChangedSince(value, now = new Date()) {
+  if (value instanceof Date && !Number.isNaN(value.getTime())) return value;
+
+  const text = String(value ?? '').trim();
+  const relative = text.match(/^(\d+)\s*([hd])$/i);
+  if (relative) {
+    const hours = Number(relative[1]) * (relative[2].toLowerCase() === 'd' ? 24 : 1);
+    return new Date(now.getTime() - hours * 3_600_000);
+  }
+
+  const time = /^\d{4}-\d{2}-\d{2}/.test(text) ? Date.parse(text) : Number.NaN;
+  if (Number.isNaN(time)) {
+    throw new Error(
+      `Invalid --changed-since "${text}": use an ISO date (2024-05-01) or an age such as 7d or 24h`
+    );
+  }
+  return new Date(time);
+}
+
+/**
+ * Order sitemap entries by `<priority>` (highest first, 0.5 when absent), then
+ * `<lastmod>` (newest first), keeping document order for ties. With
+ * `changedSince`, entries without a `<lastmod>` on or after it are dropped.
+ *
+ * @param {Iterable<SitemapEntry>} entries
+ * @param {{ changedSince?: Date|null }} [opts]
+ * @returns {SitemapEntry[]}
+ */
+export function orderSitemapEntries(entries, { changedSince = null } = {}) {
+  const since = changedSince?.getTime() ?? null;
+  return Array.from(entries)
+    .filter((entry) => since === null || (entry.lastmod !== null && entry.lastmod >= since))
+    .map((entry, index) => ({ entry, index }))
+    .sort(
+      (a, b) =>
+        (b.entry.priority ?? DEFAULT_PRIORITY) - (a.entry.priority ?? DEFAULT_PRIORITY) ||
+        (b.entry.lastmod ?? -Infinity) - (a.entry.lastmod ?? -Infinity) ||
+        a.index - b.index
+    )
+    .map(({ entry }) => entry);
+}
@@ -1,15 +1,23 @@
 /**
- * Set up SPA route detection by intercepting history API calls.
+ * Set up SPA route detection by intercepting history API calls and hash
+ * changes. Detected URLs keep their fragment; the crawler decides whether it
+ * names a route (hash routing) or is dropped.
  *
  * @param {import('puppeteer').Page} page
  * @param {Set<string>} spaRoutes
  * @param {string} origin
+ * @param {(url: URL) => boolean} [isInScope] - Scope check; defaults to same-origin only
  */
-export async function setupSpaDetection(page, spaRoutes, origin) {
+export async function setupSpaDetection(
+  page,
+  spaRoutes,
+  origin,
+  isInScope = (url) => url.origin === origin
+) {
   await page.exposeFunction('__a11ySpaRouteDetected', (url) => {
     try {
       const parsed = new URL(url, origin);
-      if (parsed.origin === origin) {
+      if (isInScope(parsed)) {
         spaRoutes.add(parsed.href);
       }
     } catch {
@@ -18,13 +26,22 @@ export async function setupSpaDetection(page, spaRoutes, origin) {
   });
 
   await page.evaluateOnNewDocument(() => {
-    /* global history, window */
+    /* global history, window, location */
+    // Resolve against the current page so relative routes keep their own origin.
+    const toAbsolute = (url) => {
+      try {
+        return new URL(url.toString(), location.href).href;
+      } catch {
+        return url.toString();
+      }
+    };
+
     const originalPushState = history.pushState;
     history.pushState = function (...args) {
       const url = args[2];
       if (url) {
         // @ts-ignore
-        window.__a11ySpaRouteDetected(url.toString());
+        window.__a11ySpaRouteDetected(toAbsolute(url));
       }
       return originalPushState.apply(this, args);
     };
@@ -34,7 +51,7 @@ export async function setupSpaDetection(page, spaRoutes, origin) {
       const url = args[2];
       if (url) {
         // @ts-ignore
-        window.__a11ySpaRouteDetected(url.toString());
+        window.__a11ySpaRouteDetected(toAbsolute(url));
       }
       return originalReplaceState.apply(this, args);
     };
@@ -43,6 +60,11 @@ export async function setupSpaDetection(page, spaRoutes, origin) {
       // @ts-ignore
       window.__a11ySpaRouteDetected(window.location.href);
     });
+
+    window.addEventListener('hashchange', () => {
+      // @ts-ignore
+      window.__a11ySpaRouteDetected(window.location.href);
+    });
   });
 }
 
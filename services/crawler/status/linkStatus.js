@@ -0,0 +1,238 @@
+/**
+ * HTTP status, redirect chain and final URL for internal links.
+ *
+ * Pages the crawler navigates are described from their Puppeteer response;
+ * links it discovers but never visits are checked with a lightweight
+ * HEAD request (GET when HEAD is refused), following redirects by hand so
+ * every hop is recorded.
+ */
+
+const MAX_REDIRECTS = 10;
+const LINK_CHECK_USER_AGENT = 'A11Y-Audit-Pro/2.0 Link Checker';
+
+/**
+ * @typedef {Object} RedirectHop
+ * @property {string} url
+ * @property {number|null} status
+ */
+
+/**
+ * @typedef {Object} LinkStatus
+ * @property {string} url - Requested URL
+ * @property {number|null} status - Final HTTP status (null when the request failed)
+ * @property {string} finalUrl
+ * @property {RedirectHop[]} redirectChain - Hops before the final response
+ * @property {string|null} error
+ * @property {'navigated'|'checked'} source - Crawled page, or discovered link checked over HTTP
+ */
+
+/**
+ * @param {LinkStatus} record
+ * @returns {'ok'|'redirected'|'broken'}
+ */
+export function classifyLinkStatus(record) {
+  if (record.error || record.status === null || record.status >= 400) return 'broken';
+  if (record.redirectChain.length > 0) return 'redirected';
+  return 'ok';
+}
+
+/**
+ * Describe a navigation from the response Puppeteer returned.
+ *
+ * @param {string} url - Requested URL
+ * @param {import('puppeteer').HTTPResponse|null} response
+ * @returns {LinkStatus}
+ */
+export function describeNavigation(url, response) {
+  if (!response) {
+    return {
+      url,
+      status: null,
+      finalUrl: url,
+      redirectChain: [],
+      error: 'No response',
+      source: 'navigated',
+    };
+  }
+
+  const redirectChain = response
+    .request()
+    .redirectChain()
+    .map((request) => ({ url: request.url(), status: request.response()?.status() ?? null }));
+
+  return {
+    url,
+    status: response.status(),
+    finalUrl: response.url(),
+    redirectChain,
+    error: null,
+    source: 'navigated',
+  };
+}
+
+/**
+ * Describe a navigation that threw before a response arrived.
+ *
+ * @param {string} url
+ * @param {unknown} err
+ * @returns {LinkStatus}
+ */
+export function describeFailedNavigation(url, err) {
+  return {
+    url,
+    status: null,
+    finalUrl: url,
+    redirectChain: [],
+    error: /** @type {any} */ (err)?.message || String(err),
+    source: 'navigated',
+  };
+}
+
+/**
+ * Check a URL over HTTP without rendering it.
+ *
+ * @param {string} url
+ * @param {object} [opts]
+ * @param {import('../../../utils/RequestScheduler.js').RequestScheduler} [opts.scheduler]
+ * @param {number} [opts.timeoutMs=10000]
+ * @param {typeof fetch} [opts.fetchImpl=fetch]
+ * @returns {Promise<LinkStatus>}
+ */
+export async function checkLinkStatus(url, opts = {}) {
+  const { scheduler, timeoutMs = 10_000, fetchImpl = fetch } = opts;
+
+  /** @type {RedirectHop[]} */
+  const redirectChain = [];
+  let current = url;
+
+  const request = async (target, method) => {
+    const send = () =>
+      fetchImpl(target, {
+        method,
+        redirect: 'manual',
+        headers: {
+          'User-Agent': scheduler?.userAgent(LINK_CHECK_USER_AGENT) ?? LINK_CHECK_USER_AGENT,
+        },
+        signal: AbortSignal.timeout(timeoutMs),
+      });
+    return scheduler ? scheduler.fetch(target, send) : send();
+  };
+
+  try {
+    for (let hop = 0; hop <= MAX_REDIRECTS; hop++) {
+      let response = await request(current, 'HEAD');
+      if (response.status === 405 || response.status === 501) {
+        response = await request(current, 'GET');
+      }
+
+      const location = response.headers.get('location');
+      if (response.status >= 300 && response.status < 400 && location) {
+        redirectChain.push({ url: current, status: response.status });
+        current = new URL(location, current).href;
+        continue;
+      }
+
+      return {
+        url,
+        status: response.status,
+        finalUrl: current,
+        redirectChain,
+        error: null,
+        source: 'checked',
+      };
+    }
+
+    return {
+      url,
+      status: null,
+      finalUrl: current,
+      redirectChain,
+      error: `More than ${MAX_REDIRECTS} redirects`,
+      source: 'checked',
+    };
+  } catch (err) {
+    return {
+      url,
+      status: null,
+      finalUrl: current,
+      redirectChain,
+      error: /** @type {any} */ (err)?.message || String(err),
+      source: 'checked',
+    };
+  }
+}
+
+/**
+ * Check link targets that have no status yet, in the order given, up to
+ * `maxChecks`. Checking stops once `pastDeadline` returns true, since each
+ * check may wait for its timeout.
+ *
+ * @param {object} params
+ * @param {Iterable<string>} params.targets - Link targets, duplicates allowed
+ * @param {Map<string, LinkStatus>} params.linkStatuses - Read to skip known URLs; filled with each result
+ * @param {number} params.maxChecks
+ * @param {(url: string) => boolean} params.isBlocked - robots.txt check
+ * @param {import('../../../utils/RequestScheduler.js').RequestScheduler} [params.scheduler]
+ * @param {() => boolean} [params.pastDeadline]
+ * @param {(message: string) => void} [params.onMsg]
+ * @returns {Promise<number>} Links left unchecked because the deadline passed
+ */
+export async function checkPendingLinks({
+  targets,
+  linkStatuses,
+  maxChecks,
+  isBlocked,
+  scheduler,
+  pastDeadline = () => false,
+  onMsg,
+}) {
+  const pending = new Set();
+  for (const target of targets) {
+    if (pending.size >= maxChecks) break;
+    if (!linkStatuses.has(target) && !isBlocked(target)) pending.add(target);
+  }
+  if (pending.size === 0) return 0;
+
+  onMsg?.(`Checking ${pending.size} discovered link(s)...`);
+  let checked = 0;
+  for (const url of pending) {
+    if (pastDeadline()) break;
+    linkStatuses.set(url, await checkLinkStatus(url, { scheduler }));
+    checked += 1;
+  }
+  return pending.size - checked;
+}
+
+/**
+ * Group link statuses for the report, attaching the pages that link to each
+ * broken or redirected URL.
+ *
+ * @param {LinkStatus[]} records
+ * @param {Array<{ source: string, target: string, text: string }>} edges - Link graph edges
+ * @param {number} [maxReferrers=10]
+ */
+export function summarizeLinkStatuses(records, edges, maxReferrers = 10) {
+  /** @type {Map<string, Array<{ source: string, text: string }>>} */
+  const referrers = new Map();
+  for (const edge of edges) {
+    if (!referrers.has(edge.target)) referrers.set(edge.target, []);
+    referrers.get(edge.target).push({ source: edge.source, text: edge.text });
+  }
+
+  const withReferrers = (record) => ({
+    ...record,
+    referrers: (referrers.get(record.url) || []).slice(0, maxReferrers),
+  });
+
+  const broken = records.filter((record) => classifyLinkStatus(record) === 'broken');
+  const redirected = records.filter((record) => classifyLinkStatus(record) === 'redirected');
+
+  return {
+    checked: records.length,
+    ok: records.length - broken.length - redirected.length,
+    broken: broken.map(withReferrers),
+    redirected: redirected.map(withReferrers),
+  };
+}
+
+export default checkLinkStatus;
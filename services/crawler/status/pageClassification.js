@@ -0,0 +1,253 @@
+/**
+ * Soft-404 and error-page classification.
+ *
+ * A route can load with a 200 status and still be an error page: a "not
+ * found" template served for any unknown path, or a generic "something went
+ * wrong" page. Pages are classified from their HTTP status and how closely
+ * their text matches the page the origin serves for a deliberately random URL.
+ * The wording of the title, main heading and (short) body only counts when
+ * one of those already points at an error page: ordinary pages mention "not
+ * found" or "server error" often enough that wording alone would drop them
+ * from the audit.
+ */
+
+import { randomBytes } from 'node:crypto';
+
+import { RateLimitedError } from '../../../utils/RequestScheduler.js';
+
+/** Wording of "not found" pages in titles, headings and short bodies. */
+export const NOT_FOUND_TEXT =
+  /\b(not found|page not found|cannot be found|does not exist|doesn't exist)\b/i;
+
+/** Wording of generic server-error pages. */
+const ERROR_TEXT =
+  /\b(internal server error|server error|something went wrong|an error (?:has )?occurred|bad gateway|service unavailable)\b/i;
+
+/** Similarity to the origin's not-found page at which error wording is trusted. */
+const SUPPORTING_SIMILARITY = 0.5;
+
+/** Bodies shorter than this are checked for error wording; longer pages by title and heading only. */
+const SHORT_BODY_CHARS = 1400;
+
+/**
+ * @typedef {Object} PageSignals
+ * @property {string} title
+ * @property {string} h1
+ * @property {string} bodyText - Visible text, whitespace collapsed, truncated
+ * @property {number} bodyLength - Length of the full visible text
+ * @property {string} mainText - Visible text of `<main>` (the body when there is none), truncated
+ */
+
+/**
+ * @typedef {Object} PageClassification
+ * @property {'ok'|'http-error'|'soft-404'|'soft-error'} kind
+ * @property {'http-status'|'not-found-text'|'error-text'|'matches-not-found-page'|null} reason
+ * @property {number|null} status
+ * @property {number} [similarity] - Text similarity (0-1) to the origin's not-found page
+ */
+
+/**
+ * @typedef {Object} NotFoundPage
+ * @property {string} url - Random URL that was requested
+ * @property {number|null} status
+ * @property {PageSignals} signals
+ */
+
+/**
+ * Read the title, first heading and visible text of a loaded page.
+ *
+ * @param {import('puppeteer').Page} page
+ * @returns {Promise<PageSignals>}
+ */
+export async function readPageSignals(page) {
+  return page.evaluate(() => {
+    const title = globalThis.document.title || '';
+    const h1 = globalThis.document.querySelector('h1')?.textContent || '';
+    const visibleText = (el) => (el?.innerText || '').replace(/\s+/g, ' ').trim();
+    const bodyText = visibleText(globalThis.document.body);
+    const main = globalThis.document.querySelector('main, [role="main"]');
+    return {
+      title,
+      h1,
+      bodyText: bodyText.slice(0, 4000),
+      bodyLength: bodyText.length,
+      mainText: main ? visibleText(main).slice(0, 4000) : bodyText.slice(0, 4000),
+    };
+  });
+}
+
+/**
+ * @param {string} text
+ * @returns {Set<string>} Word trigrams (single words for very short text)
+ */
+function shingles(text) {
+  const words = String(text || '')
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(Boolean);
+  if (words.length < 3) return new Set(words);
+  const result = new Set();
+  for (let i = 0; i + 2 < words.length; i++) result.add(words.slice(i, i + 3).join(' '));
+  return result;
+}
+
+/**
+ * Jaccard similarity of two texts' word trigrams.
+ *
+ * @param {string} a
+ * @param {string} b
+ * @returns {number} 0 (nothing shared) to 1 (same text)
+ */
+export function textSimilarity(a, b) {
+  const left = shingles(a);
+  const right = shingles(b);
+  if (left.size === 0 && right.size === 0) return 1;
+  let shared = 0;
+  for (const item of left) if (right.has(item)) shared += 1;
+  return shared / (left.size + right.size - shared);
+}
+
+/**
+ * Classify a loaded page.
+ *
+ * @param {object} params
+ * @param {number|null} [params.status] - HTTP status of the navigation
+ * @param {PageSignals|null} [params.signals]
+ * @param {NotFoundPage|null} [params.notFound] - The origin's response to a random URL
+ * @param {number} [params.similarityThreshold=0.9]
+ * @returns {PageClassification}
+ */
+export function classifyPage({
+  status = null,
+  signals = null,
+  notFound = null,
+  similarityThreshold = 0.9,
+}) {
+  if (status !== null && status >= 400)
+    return { kind: 'http-error', reason: 'http-status', status };
+  if (!signals) return { kind: 'ok', reason: null, status };
+
+  // Main content only: shared navigation and footers would make every page look alike.
+  const similarity = notFound?.signals.mainText
+    ? textSimilarity(signals.mainText, notFound.signals.mainText)
+    : 0;
+  if (similarity >= similarityThreshold) {
+    return {
+      kind: 'soft-404',
+      reason: 'matches-not-found-page',
+      status,
+      similarity: Math.round(similarity * 100) / 100,
+    };
+  }
+
+  const nonSuccessStatus = status !== null && (status < 200 || status >= 300);
+  if (!nonSuccessStatus && similarity < SUPPORTING_SIMILARITY) {
+    return { kind: 'ok', reason: null, status };
+  }
+
+  const matches = (pattern) =>
+    pattern.test(signals.title) ||
+    pattern.test(signals.h1) ||
+    (signals.bodyLength < SHORT_BODY_CHARS && pattern.test(signals.bodyText));
+
+  if (matches(NOT_FOUND_TEXT)) return { kind: 'soft-404', reason: 'not-found-text', status };
+  if (matches(ERROR_TEXT)) return { kind: 'soft-error', reason: 'error-text', status };
+  return { kind: 'ok', reason: null, status };
+}
+
+/**
+ * Classifies audited routes, requesting one random URL per origin to learn
+ * what that origin's "not found" page looks like. The random URL is loaded in
+ * the page being classified, so it carries the same authentication.
+ */
+export class PageClassifier {
+  /**
+   * @param {object} opts
+   * @param {import('../../../utils/RequestScheduler.js').RequestScheduler} opts.scheduler
+   * @param {number} [opts.timeoutMs=30000]
+   * @param {boolean} [opts.compareToNotFound=true] - Compare pages with the origin's not-found page
+   * @param {number} [opts.similarityThreshold=0.9]
+   * @param {{ debug: (msg: string) => void }} opts.log
+   */
+  constructor(opts) {
+    this.scheduler = opts.scheduler;
+    this.timeoutMs = opts.timeoutMs ?? 30_000;
+    this.compareToNotFound = opts.compareToNotFound ?? true;
+    this.similarityThreshold = opts.similarityThreshold ?? 0.9;
+    this.log = opts.log;
+
+    /** @type {Map<string, Promise<NotFoundPage|null>>} origin -> not-found page */
+    this.notFoundPages = new Map();
+  }
+
+  /**
+   * Load `url`. A host that still answers 429/503 after the scheduler's
+   * retries yields that status, so the page is classified as an HTTP error.
+   *
+   * @param {import('puppeteer').Page} page
+   * @param {string} url
+   * @returns {Promise<{ status: number|null, signals: PageSignals|null }>}
+   */
+  async #load(page, url) {
+    let response;
+    try {
+      response = await this.scheduler.goto(page, url, {
+        waitUntil: 'domcontentloaded',
+        timeout: this.timeoutMs,
+      });
+    } catch (err) {
+      if (err instanceof RateLimitedError) return { status: err.status, signals: null };
+      throw err;
+    }
+    await page.waitForNetworkIdle({ idleTime: 500, timeout: 5_000 }).catch(() => {});
+    const signals = await readPageSignals(page).catch(() => null);
+    return { status: response?.status() ?? null, signals };
+  }
+
+  /**
+   * The origin's response to a random URL, or null when it redirects
+   * elsewhere (often to the home page, which must not be matched against).
+   *
+   * @param {import('puppeteer').Page} page
+   * @param {string} origin
+   * @returns {Promise<NotFoundPage|null>}
+   */
+  notFoundPage(page, origin) {
+    if (!this.notFoundPages.has(origin)) {
+      const url = `${origin}/a11y-audit-pro-${randomBytes(6).toString('hex')}`;
+      const lookup = async () => {
+        const { status, signals } = await this.#load(page, url);
+        if (!signals || new URL(page.url()).pathname !== new URL(url).pathname) return null;
+        return { url, status, signals };
+      };
+      this.notFoundPages.set(
+        origin,
+        lookup().catch((err) => {
+          this.log.debug(`Not-found page probe failed for ${origin}: ${err?.message || err}`);
+          return null;
+        })
+      );
+    }
+    return this.notFoundPages.get(origin);
+  }
+
+  /**
+   * Load `url` in `page` and classify it.
+   *
+   * @param {import('puppeteer').Page} page
+   * @param {string} url
+   * @returns {Promise<PageClassification>}
+   */
+  async classify(page, url) {
+    const notFound = this.compareToNotFound
+      ? await this.notFoundPage(page, new URL(url).origin)
+      : null;
+    const { status, signals } = await this.#load(page, url);
+    return classifyPage({
+      status,
+      signals,
+      notFound,
+      similarityThreshold: this.similarityThreshold,
+    });
+  }
+}
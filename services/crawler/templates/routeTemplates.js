@@ -0,0 +1,295 @@
+/**
+ * Route-template clustering so large sites are sampled instead of exhaustively
+ * crawled.
+ *
+ * URLs are first grouped by a path pattern: ID-like segments (numbers, UUIDs,
+ * hashes, slugs ending in digits) become `:id`, and once a parent path has
+ * `siblingThreshold` distinct children its last segment becomes `:slug`.
+ * Visited pages are then split by DOM-structure similarity, so one path
+ * pattern that serves two different layouts gets a sample budget per layout.
+ */
+
+const UUID_SEGMENT = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const HEX_SEGMENT = /^[0-9a-f]{12,}$/i;
+
+/**
+ * @param {string} segment
+ * @returns {boolean}
+ */
+export function isIdLikeSegment(segment) {
+  if (/^\d+$/.test(segment)) return true;
+  if (UUID_SEGMENT.test(segment)) return true;
+  if (HEX_SEGMENT.test(segment) && /\d/.test(segment)) return true;
+  if (/^[a-z0-9_-]+[-_]\d{2,}$/i.test(segment)) return true;
+  return false;
+}
+
+/**
+ * Jaccard similarity between two DOM structure signatures.
+ *
+ * @param {string[]} a
+ * @param {string[]} b
+ * @returns {number}
+ */
+export function signatureSimilarity(a, b) {
+  const setA = new Set(a || []);
+  const setB = new Set(b || []);
+  if (setA.size === 0 && setB.size === 0) return 1;
+
+  let intersection = 0;
+  for (const item of setA) {
+    if (setB.has(item)) intersection++;
+  }
+  const union = setA.size + setB.size - intersection;
+  return union === 0 ? 0 : intersection / union;
+}
+
+/**
+ * Capture a DOM structure signature: the set of distinct tag paths (up to
+ * four ancestors deep) found in the page body.
+ *
+ * @param {import('puppeteer').Page} page
+ * @returns {Promise<string[]>}
+ */
+export async function captureDomSignature(page) {
+  return page
+    .evaluate(() => {
+      /* global document */
+      const paths = new Set();
+      const elements = document.body ? document.body.querySelectorAll('*') : [];
+      const max = Math.min(elements.length, 3000);
+
+      for (let i = 0; i < max; i++) {
+        const parts = [];
+        let current = elements[i];
+        for (let depth = 0; current && current !== document.body && depth < 4; depth++) {
+          parts.unshift(current.tagName.toLowerCase());
+          current = current.parentElement;
+        }
+        paths.add(parts.join('>'));
+        if (paths.size >= 500) break;
+      }
+
+      return Array.from(paths).sort();
+    })
+    .catch(() => []);
+}
+
+/**
+ * @typedef {Object} RouteTemplateOptions
+ * @property {number} [samplesPerTemplate=3] - Pages audited per template (per DOM variant)
+ * @property {number} [similarityThreshold=0.8] - Min DOM similarity for two pages to share a variant
+ * @property {number} [siblingThreshold=5] - Distinct children after which a path segment becomes `:slug`
+ */
+
+/**
+ * @typedef {Object} RouteTemplateSummary
+ * @property {string} id
+ * @property {string} pattern
+ * @property {number} domVariants
+ * @property {string[]} sampledUrls
+ * @property {string[]} representedUrls
+ */
+
+export class RouteTemplateClusterer {
+  /**
+   * @param {RouteTemplateOptions} [opts]
+   */
+  constructor(opts = {}) {
+    this.samplesPerTemplate = Math.max(1, opts.samplesPerTemplate ?? 3);
+    this.similarityThreshold = opts.similarityThreshold ?? 0.8;
+    this.siblingThreshold = Math.max(2, opts.siblingThreshold ?? 5);
+
+    /** @type {Map<string, Set<string>>} parent pattern -> distinct child segments */
+    this.children = new Map();
+
+    /** @type {Map<string, { sampled: string[], represented: string[], variants: string[][] }>} */
+    this.templates = new Map();
+  }
+
+  /**
+   * Path pattern for a URL given the siblings observed so far.
+   *
+   * @param {string} url
+   * @returns {string}
+   */
+  patternFor(url) {
+    let pathname;
+    try {
+      pathname = new URL(url).pathname;
+    } catch {
+      return '/';
+    }
+
+    const segments = pathname.split('/').filter(Boolean);
+    if (segments.length === 0) return '/';
+
+    const pattern = segments.map((segment) => (isIdLikeSegment(segment) ? ':id' : segment));
+    const parent = `/${pattern.slice(0, -1).join('/')}`;
+    const last = pattern[pattern.length - 1];
+
+    if (last !== ':id' && (this.children.get(parent)?.size ?? 0) >= this.siblingThreshold) {
+      pattern[pattern.length - 1] = ':slug';
+    }
+
+    return `/${pattern.join('/')}`;
+  }
+
+  /**
+   * Record a URL's path so sibling counts can generalise slug segments.
+   *
+   * @param {string} url
+   */
+  observe(url) {
+    let segments;
+    try {
+      segments = new URL(url).pathname.split('/').filter(Boolean);
+    } catch {
+      return;
+    }
+    if (segments.length === 0) return;
+
+    const pattern = segments.map((segment) => (isIdLikeSegment(segment) ? ':id' : segment));
+    const parent = `/${pattern.slice(0, -1).join('/')}`;
+    if (!this.children.has(parent)) this.children.set(parent, new Set());
+    this.children.get(parent).add(pattern[pattern.length - 1]);
+  }
+
+  /**
+   * Claim a template sample slot for a URL that will be audited without being
+   * crawled first (URLs picked straight from the sitemap). URLs that are not
+   * sampled are recorded as represented by their template.
+   *
+   * @param {string} url
+   * @returns {boolean}
+   */
+  claimSample(url) {
+    this.observe(url);
+    const entry = this.#entryFor(this.patternFor(url));
+
+    if (entry.sampled.includes(url) || entry.represented.includes(url)) {
+      return entry.sampled.includes(url);
+    }
+
+    const budget = this.samplesPerTemplate * Math.max(1, entry.variants.length);
+    if (entry.sampled.length < budget) {
+      entry.sampled.push(url);
+      return true;
+    }
+
+    entry.represented.push(url);
+    return false;
+  }
+
+  /**
+   * Decide whether a URL about to be crawled still fits its template's sample
+   * budget. No slot is claimed: `recordPage` takes it once the page has
+   * loaded, so unreachable and duplicate pages do not use up the budget. URLs
+   * over budget are recorded as represented.
+   *
+   * @param {string} url
+   * @returns {boolean}
+   */
+  hasSampleSlot(url) {
+    this.observe(url);
+    const entry = this.#entryFor(this.patternFor(url));
+    if (entry.sampled.includes(url)) return true;
+
+    const budget = this.samplesPerTemplate * Math.max(1, entry.variants.length);
+    if (entry.sampled.length < budget) return true;
+
+    if (!entry.represented.includes(url)) entry.represented.push(url);
+    return false;
+  }
+
+  /**
+   * Assign a visited page to a DOM variant of its template.
+   *
+   * @param {string} url
+   * @param {string[]} signature
+   */
+  recordPage(url, signature) {
+    const entry = this.#entryFor(this.patternFor(url));
+    if (!entry.sampled.includes(url)) entry.sampled.push(url);
+    if (!Array.isArray(signature) || signature.length === 0) return;
+
+    const matches = entry.variants.some(
+      (variant) => signatureSimilarity(variant, signature) >= this.similarityThreshold
+    );
+    if (!matches) entry.variants.push(signature);
+  }
+
+  /**
+   * Summarise templates using the final sibling counts, merging groups that
+   * were only generalised to `:slug` partway through the crawl.
+   *
+   * @param {string[]} [auditedUrls] - Restrict sampled URLs to those actually audited
+   * @returns {RouteTemplateSummary[]}
+   */
+  summary(auditedUrls) {
+    const audited = auditedUrls ? new Set(auditedUrls) : null;
+    /** @type {Map<string, { sampled: Set<string>, represented: Set<string>, variants: number }>} */
+    const merged = new Map();
+
+    for (const entry of this.templates.values()) {
+      for (const url of [...entry.sampled, ...entry.represented]) {
+        const pattern = this.patternFor(url);
+        if (!merged.has(pattern)) {
+          merged.set(pattern, { sampled: new Set(), represented: new Set(), variants: 0 });
+        }
+        const target = merged.get(pattern);
+        if (entry.sampled.includes(url) && (!audited || audited.has(url))) {
+          target.sampled.add(url);
+        } else {
+          target.represented.add(url);
+        }
+      }
+    }
+
+    for (const [pattern, entry] of this.templates) {
+      const target = merged.get(pattern);
+      if (target) target.variants = Math.max(target.variants, entry.variants.length);
+    }
+
+    return Array.from(merged.entries())
+      .sort((a, b) => a[0].localeCompare(b[0]))
+      .map(([pattern, entry], index) => ({
+        id: `tpl-${index + 1}`,
+        pattern,
+        domVariants: Math.max(1, entry.variants),
+        sampledUrls: Array.from(entry.sampled),
+        representedUrls: Array.from(entry.represented).filter((url) => !entry.sampled.has(url)),
+      }));
+  }
+
+  /**
+   * @returns {{ children: Array<[string, string[]]>, templates: Array<[string, { sampled: string[], represented: string[], variants: string[][] }]> }}
+   */
+  toJSON() {
+    return {
+      children: Array.from(this.children.entries()).map(([parent, set]) => [parent, Array.from(set)]),
+      templates: Array.from(this.templates.entries()),
+    };
+  }
+
+  /**
+   * @param {ReturnType<RouteTemplateClusterer['toJSON']>|null|undefined} state
+   */
+  restore(state) {
+    if (!state) return;
+    this.children = new Map((state.children || []).map(([parent, list]) => [parent, new Set(list)]));
+    this.templates = new Map(state.templates || []);
+  }
+
+  /**
+   * @param {string} pattern
+   */
+  #entryFor(pattern) {
+    if (!this.templates.has(pattern)) {
+      this.templates.set(pattern, { sampled: [], represented: [], variants: [] });
+    }
+    return this.templates.get(pattern);
+  }
+}
+
+export default RouteTemplateClusterer;
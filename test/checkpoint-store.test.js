@@ -0,0 +1,179 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'node:os';
+import path from 'node:path';
+import { mkdtemp, readdir, readFile, rm, stat, writeFile } from 'node:fs/promises';
+
+import { CheckpointStore } from '../utils/CheckpointStore.js';
+import { CrawlerService } from '../services/CrawlerService.js';
+import { loadMergedConfig } from '../cli/configMerge.js';
+import { parseArgs } from '../cli/parseArgs.js';
+import { resolveResumedConfig } from '../cli/resumeConfig.js';
+
+async function withTempDir(fn) {
+  const dir = await mkdtemp(path.join(os.tmpdir(), 'a11y-checkpoint-test-'));
+  try {
+    return await fn(dir);
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+}
+
+const inputs = {
+  url: 'https://example.com/',
+  limit: 5,
+  timeoutMs: 60000,
+  standard: 'WCAG2AA',
+  tools: ['axe'],
+};
+
+test('CheckpointStore round-trips inputs, crawl state and route results', async () => {
+  await withTempDir(async (dir) => {
+    const store = await CheckpointStore.create(dir, inputs);
+    await store.saveCrawlState({
+      visited: ['https://example.com/'],
+      urlDepths: [['https://example.com/', 0], ['https://example.com/about', 1]],
+      queue: [{ url: 'https://example.com/about', priority: 2, depth: 1 }],
+    });
+    await store.saveRouteResult({ url: 'https://example.com/', totalIssues: 2 });
+
+    const reopened = await CheckpointStore.open(dir);
+    assert.deepEqual(reopened.inputs, inputs);
+    assert.equal(reopened.crawlComplete, false);
+
+    const state = await reopened.loadCrawlState();
+    assert.deepEqual(state.visited, ['https://example.com/']);
+    assert.equal(state.queue[0].url, 'https://example.com/about');
+
+    const routes = ['https://example.com/', 'https://example.com/about'];
+    const results = await reopened.loadRouteResults(routes);
+    assert.equal(results.size, 1);
+    assert.equal(results.get('https://example.com/').totalIssues, 2);
+  });
+});
+
+test('CheckpointStore records the final route list when the crawl completes', async () => {
+  await withTempDir(async (dir) => {
+    const store = await CheckpointStore.create(dir, inputs);
+    await store.completeCrawl(['https://example.com/', 'https://example.com/contact']);
+
+    const reopened = await CheckpointStore.open(dir);
+    assert.equal(reopened.crawlComplete, true);
+    assert.deepEqual(reopened.routes, ['https://example.com/', 'https://example.com/contact']);
+  });
+});
+
+test('CheckpointStore refuses to overwrite an existing run and requires one to resume', async () => {
+  await withTempDir(async (dir) => {
+    await CheckpointStore.create(dir, inputs);
+    await assert.rejects(() => CheckpointStore.create(dir, inputs), /already contains a run/);
+
+    const emptyDir = path.join(dir, 'empty');
+    await assert.rejects(() => CheckpointStore.open(emptyDir), /No checkpoint found/);
+  });
+});
+
+test('CheckpointStore ignores unreadable route results so they are audited again', async () => {
+  await withTempDir(async (dir) => {
+    const store = await CheckpointStore.create(dir, inputs);
+    await store.saveRouteResult({ url: 'https://example.com/', totalIssues: 0 });
+
+    const [fileName] = await readdir(path.join(dir, 'results'));
+    await writeFile(path.join(dir, 'results', fileName), '{"url": "https://exa');
+
+    const results = await store.loadRouteResults(['https://example.com/']);
+    assert.equal(results.size, 0);
+  });
+});
+
+test('--resume reuses the checkpointed config and rejects flags that change it', async () => {
+  await withTempDir(async (dir) => {
+    const original = await loadMergedConfig(
+      dir,
+      parseArgs(['--format', 'json,html', '--max-duration', '20m']),
+      'https://example.com/'
+    );
+    await CheckpointStore.create(path.join(dir, 'run'), inputs, original);
+    const checkpoint = await CheckpointStore.open(path.join(dir, 'run'));
+
+    const resumeArgs = parseArgs(['--resume', path.join(dir, 'run')]);
+    const resumed = await resolveResumedConfig({
+      cwd: dir,
+      config: await loadMergedConfig(dir, resumeArgs, undefined),
+      checkpoint,
+    });
+    assert.deepEqual(resumed.formats, ['json', 'html']);
+    assert.equal(resumed.budget.maxDuration, '20m');
+    assert.equal(resumed.thresholds.maxViolations, Infinity);
+    assert.deepEqual(resumed.__meta, original.__meta);
+
+    // Repeating an original flag is fine; changing a setting is not.
+    const sameArgs = parseArgs(['--resume', path.join(dir, 'run'), '--format', 'json,html']);
+    await resolveResumedConfig({
+      cwd: dir,
+      config: await loadMergedConfig(dir, sameArgs, undefined),
+      checkpoint,
+    });
+    const changedArgs = parseArgs(['--resume', path.join(dir, 'run'), '--format', 'csv']);
+    await assert.rejects(
+      async () =>
+        resolveResumedConfig({
+          cwd: dir,
+          config: await loadMergedConfig(dir, changedArgs, undefined),
+          checkpoint,
+        }),
+      /these flags change them: formats/
+    );
+  });
+});
+
+test('CrawlerService snapshot restores visited set, depths and pending queue', () => {
+  const crawler = new CrawlerService('https://example.com/');
+  crawler.visited.add('https://example.com/');
+  crawler.urlDepths.set('https://example.com/', 0);
+  crawler.urlDepths.set('https://example.com/about', 1);
+  const snapshot = crawler.snapshotState([
+    { url: 'https://example.com/about', priority: 2, depth: 1 },
+  ]);
+
+  const resumed = new CrawlerService('https://example.com/', {
+    resumeState: JSON.parse(JSON.stringify(snapshot)),
+  });
+  const queue = resumed.restoreState(resumed.resumeState);
+
+  assert.deepEqual(Array.from(resumed.visited), ['https://example.com/']);
+  assert.equal(resumed.urlDepths.get('https://example.com/about'), 1);
+  assert.deepEqual(queue, [{ url: 'https://example.com/about', priority: 2, depth: 1 }]);
+});
+
+test('the checkpoint manifest holds no auth secrets and --resume takes auth from the command line', async () => {
+  await withTempDir(async (dir) => {
+    const authArgs = ['--headers', '{"Authorization":"Bearer s3cret-token"}'];
+    const original = await loadMergedConfig(dir, parseArgs(authArgs), 'https://example.com/');
+    await CheckpointStore.create(path.join(dir, 'run'), inputs, original);
+
+    const manifestPath = path.join(dir, 'run', 'manifest.json');
+    const manifest = await readFile(manifestPath, 'utf8');
+    assert.doesNotMatch(manifest, /s3cret-token|Authorization/);
+    assert.equal((await stat(manifestPath)).mode & 0o777, 0o600);
+
+    const checkpoint = await CheckpointStore.open(path.join(dir, 'run'));
+    const resumeArgs = ['--resume', path.join(dir, 'run')];
+    await assert.rejects(
+      async () =>
+        resolveResumedConfig({
+          cwd: dir,
+          config: await loadMergedConfig(dir, parseArgs(resumeArgs), undefined),
+          checkpoint,
+        }),
+      /signed in with auth.type "headers"/
+    );
+
+    const resumed = await resolveResumedConfig({
+      cwd: dir,
+      config: await loadMergedConfig(dir, parseArgs([...resumeArgs, ...authArgs]), undefined),
+      checkpoint,
+    });
+    assert.deepEqual(resumed.auth.headers, { Authorization: 'Bearer s3cret-token' });
+  });
+});
@@ -0,0 +1,162 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  discoverClickRoutes,
+  openClickSandbox,
+} from '../services/crawler/extract/discoverClickRoutes.js';
+import { RequestScheduler } from '../utils/RequestScheduler.js';
+
+const ORIGIN = 'https://app.example.com';
+
+/**
+ * Minimal Puppeteer page double: records listeners and lets each click run a
+ * scripted effect against the sandbox.
+ */
+function fakePage({ candidates = [], onClick = () => {} } = {}) {
+  const listeners = {};
+  const mainFrame = {};
+  const page = {
+    currentUrl: 'about:blank',
+    loads: [],
+    // What the in-page change watch reports after the next click.
+    changed: false,
+    listeners,
+    url: () => page.currentUrl,
+    setViewport: async () => {},
+    setRequestInterception: async () => {},
+    exposeFunction: async () => {},
+    evaluateOnNewDocument: async () => {},
+    on: (event, handler) => {
+      listeners[event] = handler;
+    },
+    mainFrame: () => mainFrame,
+    goto: async (url) => {
+      page.loads.push(url);
+      page.currentUrl = url;
+      return { status: () => 200, headers: () => ({}) };
+    },
+    waitForNetworkIdle: async () => {},
+    evaluate: async (fn) => {
+      if (fn.name === 'watchPageChanges') {
+        page.changed = false;
+        return undefined;
+      }
+      if (fn.name === 'readPageChanges') return page.changed;
+      return candidates;
+    },
+    click: async (selector) => onClick(selector, page),
+  };
+  return page;
+}
+
+function fakeRequest(url, { method = 'GET', navigation = false, frame } = {}) {
+  const request = {
+    outcome: null,
+    url: () => url,
+    method: () => method,
+    isNavigationRequest: () => navigation,
+    frame: () => frame,
+    continue: async () => {
+      request.outcome = 'continued';
+    },
+    abort: async () => {
+      request.outcome = 'aborted';
+    },
+  };
+  return request;
+}
+
+test('openClickSandbox aborts unsafe requests and captures navigations while clicking', async () => {
+  const page = fakePage();
+  const sandbox = await openClickSandbox({ newPage: async () => page }, ORIGIN);
+  const onRequest = page.listeners.request;
+
+  const post = fakeRequest(`${ORIGIN}/api/cart`, { method: 'POST' });
+  onRequest(post);
+  assert.equal(post.outcome, 'aborted');
+
+  const asset = fakeRequest(`${ORIGIN}/app.js`);
+  onRequest(asset);
+  assert.equal(asset.outcome, 'continued');
+
+  sandbox.capturing = true;
+  const nav = fakeRequest(`${ORIGIN}/reports`, { navigation: true, frame: page.mainFrame() });
+  onRequest(nav);
+  assert.equal(nav.outcome, 'aborted');
+  assert.deepEqual(sandbox.navigations, [`${ORIGIN}/reports`]);
+});
+
+test('discoverClickRoutes collects pushState routes and reloads after URL changes', async () => {
+  const candidates = [
+    { selector: '#nav-reports', label: 'Reports', region: 'navigation' },
+    { selector: '#help', label: 'Help', region: 'content' },
+    { selector: '#noop', label: 'Like', region: 'content' },
+    { selector: '#gone', label: 'Gone', region: 'content' },
+  ];
+  let sandbox;
+  const page = fakePage({
+    candidates,
+    onClick: (selector, self) => {
+      if (selector === '#nav-reports') {
+        self.currentUrl = `${ORIGIN}/reports`;
+        sandbox.spaRoutes.add(`${ORIGIN}/reports`);
+      } else if (selector === '#help') {
+        sandbox.navigations.push(`${ORIGIN}/help`);
+      } else if (selector === '#gone') {
+        throw new Error('No element found for selector: #gone');
+      }
+    },
+  });
+  sandbox = await openClickSandbox({ newPage: async () => page }, ORIGIN);
+
+  const links = await discoverClickRoutes(sandbox, `${ORIGIN}/`, {
+    scheduler: new RequestScheduler(),
+    timeoutMs: 5000,
+    settleMs: 0,
+  });
+
+  assert.deepEqual(links, [
+    { href: `${ORIGIN}/reports`, text: 'Reports', region: 'navigation' },
+    { href: `${ORIGIN}/help`, text: 'Help', region: 'content' },
+  ]);
+  assert.deepEqual(page.loads, [`${ORIGIN}/`, `${ORIGIN}/`]);
+  assert.equal(sandbox.capturing, false);
+});
+
+test('discoverClickRoutes reloads after clicks that change the page and closes popups', async () => {
+  const candidates = [
+    { selector: '#drawer', label: 'Menu', region: 'navigation' },
+    { selector: '#open', label: 'Open report', region: 'content' },
+    { selector: '#noop', label: 'Like', region: 'content' },
+    { selector: '#last', label: 'Last', region: 'content' },
+  ];
+  const popup = {
+    closed: false,
+    url: () => `${ORIGIN}/reports/42`,
+    close: async () => {
+      popup.closed = true;
+    },
+  };
+  const page = fakePage({
+    candidates,
+    onClick: (selector, self) => {
+      if (selector === '#drawer') self.changed = true;
+      else if (selector === '#open') self.listeners.popup(popup);
+    },
+  });
+  const sandbox = await openClickSandbox({ newPage: async () => page }, ORIGIN);
+
+  const links = await discoverClickRoutes(sandbox, `${ORIGIN}/`, {
+    scheduler: new RequestScheduler(),
+    timeoutMs: 5000,
+    settleMs: 0,
+  });
+
+  assert.deepEqual(links, [
+    { href: `${ORIGIN}/reports/42`, text: 'Open report', region: 'content' },
+  ]);
+  assert.equal(popup.closed, true);
+  // The drawer click changed the DOM without changing the URL; only it forces a reload.
+  assert.deepEqual(page.loads, [`${ORIGIN}/`, `${ORIGIN}/`]);
+});
@@ -5,6 +5,7 @@ import path from 'node:path';
 import { mkdtemp, writeFile, rm } from 'node:fs/promises';
 
 import { Config } from '../utils/Config.js';
+import { loadMergedConfig } from '../cli/configMerge.js';
 import { TOOL_SELECTION_ERROR_CODES, ToolSelectionError } from '../utils/toolSelection.js';
 
 async function withTempDir(fn) {
@@ -186,3 +187,16 @@ test('Config.load throws for invalid tool names in config file', async () => {
     });
   });
 });
+
+test('an auth section in the config file survives a CLI run without auth flags', async () => {
+  await withTempDir(async (dir) => {
+    await writeFile(
+      path.join(dir, '.a11yrc.json'),
+      JSON.stringify({ auth: { type: 'headers', headers: { Authorization: 'Bearer abc' } } })
+    );
+
+    const config = await loadMergedConfig(dir, {}, 'https://example.com');
+    assert.equal(config.auth.type, 'headers');
+    assert.deepEqual(config.auth.headers, { Authorization: 'Bearer abc' });
+  });
+});
@@ -0,0 +1,112 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  createCrawlScope,
+  hostMatches,
+  pathMatchesPrefixes,
+} from '../services/crawler/scope/crawlScope.js';
+import { normaliseCrawlTarget } from '../utils/Validation.js';
+import { coerceCrawlScope } from '../utils/config/coerceSections.js';
+import { WCAGCompliance } from '../utils/WCAGCompliance.js';
+import { CrawlerService } from '../services/CrawlerService.js';
+
+test('hostMatches supports exact hosts, ports and wildcard subdomains', () => {
+  assert.equal(hostMatches('shop.example.com', 'shop.example.com'), true);
+  assert.equal(hostMatches('shop.example.com:8443', 'shop.example.com'), true);
+  assert.equal(hostMatches('shop.example.com:8443', 'shop.example.com:443'), false);
+  assert.equal(hostMatches('a.b.example.com', '*.example.com'), true);
+  assert.equal(hostMatches('example.com', '*.example.com'), false);
+  assert.equal(hostMatches('badexample.com', '*.example.com'), false);
+});
+
+test('pathMatchesPrefixes matches whole path segments', () => {
+  assert.equal(pathMatchesPrefixes('/docs', ['/docs']), true);
+  assert.equal(pathMatchesPrefixes('/docs/intro', ['docs/']), true);
+  assert.equal(pathMatchesPrefixes('/docsearch', ['/docs']), false);
+  assert.equal(pathMatchesPrefixes('/anything', []), true);
+});
+
+test('createCrawlScope always includes the start host and seeds exact allowed hosts', () => {
+  const scope = createCrawlScope('https://www.example.com/', {
+    allowedHosts: ['shop.example.com', '*.help.example.com'],
+    pathPrefixes: [],
+  });
+
+  assert.deepEqual(scope.seedOrigins, ['https://www.example.com', 'https://shop.example.com']);
+  assert.equal(scope.multiOrigin, true);
+  assert.equal(scope.isInScope('https://www.example.com/about'), true);
+  assert.equal(scope.isInScope('https://shop.example.com/cart'), true);
+  assert.equal(scope.isInScope('https://eu.help.example.com/faq'), true);
+  assert.equal(scope.isInScope('https://other.example.org/'), false);
+  assert.equal(scope.isInScope('mailto:team@example.com'), false);
+});
+
+test('path prefixes restrict every in-scope host', () => {
+  const scope = createCrawlScope('https://example.com/docs', {
+    allowedHosts: ['*.example.com'],
+    pathPrefixes: ['/docs'],
+  });
+
+  assert.equal(scope.isInScope('https://example.com/docs/setup'), true);
+  assert.equal(scope.isInScope('https://api.example.com/docs'), true);
+  assert.equal(scope.isInScope('https://example.com/blog'), false);
+});
+
+test('normaliseCrawlTarget accepts cross-origin links only when the scope allows them', () => {
+  const scope = createCrawlScope('https://www.example.com/', { allowedHosts: ['shop.example.com'] });
+
+  assert.equal(normaliseCrawlTarget('https://www.example.com', 'https://shop.example.com/cart'), null);
+  assert.equal(
+    normaliseCrawlTarget('https://www.example.com', 'https://shop.example.com/cart/', scope.isInScope),
+    'https://shop.example.com/cart'
+  );
+  assert.equal(
+    normaliseCrawlTarget('https://shop.example.com', '/checkout#top', scope.isInScope),
+    'https://shop.example.com/checkout'
+  );
+  assert.equal(normaliseCrawlTarget('https://www.example.com', 'https://evil.test/', scope.isInScope), null);
+});
+
+test('coerceCrawlScope accepts comma-separated strings from config files', () => {
+  assert.deepEqual(coerceCrawlScope({ allowedHosts: 'a.example.com, *.b.example.com', pathPrefixes: [] }), {
+    allowedHosts: ['a.example.com', '*.b.example.com'],
+    pathPrefixes: [],
+  });
+});
+
+test('CrawlerService keeps robots.txt rules per origin', () => {
+  const crawler = new CrawlerService('https://www.example.com/', {
+    config: { scope: { allowedHosts: ['shop.example.com'] } },
+  });
+
+  assert.deepEqual(crawler.scope.seedOrigins, ['https://www.example.com', 'https://shop.example.com']);
+  assert.equal(crawler.robotsRulesByOrigin.size, 0);
+});
+
+test('calculateByOrigin breaks compliance down per origin and skips single-origin runs', () => {
+  const issue = (url) => ({
+    url,
+    tool: 'axe',
+    message: 'Images must have alternate text',
+    severity: 1,
+    severityLabel: 'critical',
+    wcagCriteria: [{ id: '1.1.1', level: 'A', name: 'Non-text Content' }],
+    countsTowardCompliance: true,
+  });
+  const results = [
+    { url: 'https://www.example.com/', unifiedIssues: [] },
+    { url: 'https://www.example.com/about', unifiedIssues: [] },
+    { url: 'https://shop.example.com/', unifiedIssues: [issue('https://shop.example.com/')] },
+  ];
+
+  const byOrigin = WCAGCompliance.calculateByOrigin(results, 'WCAG2AA');
+  assert.deepEqual(
+    byOrigin.map((entry) => [entry.origin, entry.routes, entry.level]),
+    [
+      ['https://www.example.com', 2, 'AAA'],
+      ['https://shop.example.com', 1, 'Non-Conformant'],
+    ]
+  );
+  assert.equal(WCAGCompliance.calculateByOrigin(results.slice(0, 2), 'WCAG2AA'), null);
+});
@@ -0,0 +1,169 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'node:os';
+import path from 'node:path';
+import { mkdtemp, rm } from 'node:fs/promises';
+
+import { applyQueryParamRules } from '../services/crawler/filters/urlFilters.js';
+import { DuplicateTracker } from '../services/crawler/dedupe/duplicatePages.js';
+import { CrawlerService } from '../services/CrawlerService.js';
+import { loadMergedConfig } from '../cli/configMerge.js';
+import { parseArgs } from '../cli/parseArgs.js';
+
+const ORIGIN = 'https://example.com';
+
+/** Page double whose in-page identity read returns the given values. */
+function fakePage({ canonical = null, alternates = [], signature = '' } = {}) {
+  return { evaluate: async () => ({ canonical, alternates, signature }) };
+}
+
+test('applyQueryParamRules strips wildcard matches, honours the allowlist and sorts', () => {
+  const rules = { strip: ['utm_*', 'gclid'], allow: [], sort: false };
+  assert.equal(
+    applyQueryParamRules(`${ORIGIN}/p?id=4&utm_source=x&UTM_Medium=y&gclid=z`, rules),
+    `${ORIGIN}/p?id=4`
+  );
+  assert.equal(applyQueryParamRules(`${ORIGIN}/p?utm_source=x`, rules), `${ORIGIN}/p`);
+
+  const untouched = `${ORIGIN}/search?q=a%20b`;
+  assert.equal(applyQueryParamRules(untouched, rules), untouched);
+  assert.equal(applyQueryParamRules(untouched, null), untouched);
+
+  assert.equal(
+    applyQueryParamRules(`${ORIGIN}/p?page=2&sessionid=9&id=4`, { allow: ['id', 'page'] }),
+    `${ORIGIN}/p?page=2&id=4`
+  );
+  assert.equal(applyQueryParamRules(`${ORIGIN}/p?b=1&a=2`, { sort: true }), `${ORIGIN}/p?a=2&b=1`);
+});
+
+test('DuplicateTracker records aliases and hands them on when their route collapses', () => {
+  const tracker = new DuplicateTracker();
+  tracker.addAlias(`${ORIGIN}/b`, `${ORIGIN}/b?ref=1`, 'duplicate-content');
+  tracker.addAlias(`${ORIGIN}/a`, `${ORIGIN}/b`, 'canonical');
+  tracker.addAlias(`${ORIGIN}/b`, `${ORIGIN}/b2`, 'hreflang');
+  tracker.addAlias(`${ORIGIN}/a`, `${ORIGIN}/a`, 'canonical');
+
+  assert.equal(tracker.ownerOf(`${ORIGIN}/b?ref=1`), `${ORIGIN}/a`);
+  assert.equal(tracker.ownerOf(`${ORIGIN}/b2`), `${ORIGIN}/a`);
+  assert.equal(tracker.ownerOf(`${ORIGIN}/a`), null);
+  assert.deepEqual(tracker.aliasesFor([`${ORIGIN}/a`, `${ORIGIN}/b`]), {
+    [`${ORIGIN}/a`]: [
+      { url: `${ORIGIN}/b`, reason: 'canonical' },
+      { url: `${ORIGIN}/b?ref=1`, reason: 'duplicate-content' },
+      { url: `${ORIGIN}/b2`, reason: 'hreflang' },
+    ],
+  });
+
+  assert.equal(tracker.claimContent(`${ORIGIN}/a`, 'h1'), null);
+  assert.equal(tracker.claimContent(`${ORIGIN}/a`, 'h1'), null);
+  assert.equal(tracker.claimContent(`${ORIGIN}/c`, 'h1'), `${ORIGIN}/a`);
+
+  const restored = new DuplicateTracker();
+  restored.restore(JSON.parse(JSON.stringify(tracker)));
+  assert.deepEqual(restored.aliasesFor([`${ORIGIN}/a`]), tracker.aliasesFor([`${ORIGIN}/a`]));
+  assert.equal(restored.ownerOf(`${ORIGIN}/b2`), `${ORIGIN}/a`);
+  assert.equal(restored.claimContent(`${ORIGIN}/d`, 'h1'), `${ORIGIN}/a`);
+});
+
+test('CrawlerService canonicalises URLs with the configured query-parameter rules', () => {
+  const crawler = new CrawlerService(ORIGIN, {
+    config: { queryParams: { strip: ['utm_*'], sort: true } },
+  });
+  assert.equal(
+    crawler.toCanonical(`${ORIGIN}/p/?z=1&utm_campaign=x&a=2#top`),
+    `${ORIGIN}/p?a=2&z=1`
+  );
+  assert.equal(
+    new CrawlerService(ORIGIN).toCanonical(`${ORIGIN}/p?utm_x=1`),
+    `${ORIGIN}/p?utm_x=1`
+  );
+});
+
+test('resolvePageRoute follows rel=canonical and drops duplicate-content pages', async () => {
+  const crawler = new CrawlerService(ORIGIN, { config: { dedupe: { contentHash: true } } });
+  const params = { pageOrigin: ORIGIN, isCrawlable: () => true };
+
+  const home = await crawler.resolvePageRoute(
+    fakePage({ signature: 'home' }),
+    `${ORIGIN}/`,
+    params
+  );
+  assert.equal(home, `${ORIGIN}/`);
+  crawler.visited.add(home);
+
+  const variant = fakePage({ canonical: '/shoes', signature: 'shoes' });
+  assert.equal(
+    await crawler.resolvePageRoute(variant, `${ORIGIN}/shoes?color=red`, params),
+    `${ORIGIN}/shoes`
+  );
+  crawler.visited.add(`${ORIGIN}/shoes`);
+
+  const copy = fakePage({ signature: 'home' });
+  assert.equal(await crawler.resolvePageRoute(copy, `${ORIGIN}/index.html`, params), null);
+
+  const declaredVisited = fakePage({ canonical: `${ORIGIN}/`, signature: 'other' });
+  assert.equal(await crawler.resolvePageRoute(declaredVisited, `${ORIGIN}/?s=1`, params), null);
+
+  assert.deepEqual(crawler.getAliases([`${ORIGIN}/`, `${ORIGIN}/shoes`]), {
+    [`${ORIGIN}/`]: [
+      { url: `${ORIGIN}/index.html`, reason: 'duplicate-content' },
+      { url: `${ORIGIN}/?s=1`, reason: 'canonical' },
+    ],
+    [`${ORIGIN}/shoes`]: [{ url: `${ORIGIN}/shoes?color=red`, reason: 'canonical' }],
+  });
+});
+
+test('resolvePageRoute collapses hreflang alternates only when enabled', async () => {
+  const page = fakePage({
+    signature: 'en',
+    alternates: [
+      { hreflang: 'de', href: '/de/' },
+      { hreflang: 'x-default', href: 'https://other.example.org/' },
+    ],
+  });
+  const params = { pageOrigin: ORIGIN, isCrawlable: () => true };
+
+  const off = new CrawlerService(ORIGIN);
+  await off.resolvePageRoute(page, `${ORIGIN}/en`, params);
+  assert.equal(off.duplicates.ownerOf(`${ORIGIN}/de`), null);
+
+  const on = new CrawlerService(ORIGIN, { config: { dedupe: { hreflang: true } } });
+  assert.equal(await on.resolvePageRoute(page, `${ORIGIN}/en`, params), `${ORIGIN}/en`);
+  assert.equal(on.duplicates.ownerOf(`${ORIGIN}/de`), `${ORIGIN}/en`);
+  assert.deepEqual(on.getAliases([`${ORIGIN}/en`])[`${ORIGIN}/en`], [
+    { url: `${ORIGIN}/de`, reason: 'hreflang' },
+  ]);
+});
+
+test('parameter stripping and content collapsing are opt-in', async () => {
+  const dir = await mkdtemp(path.join(os.tmpdir(), 'a11y-dedupe-test-'));
+  try {
+    const defaults = await loadMergedConfig(dir, parseArgs([]), ORIGIN);
+    assert.deepEqual(defaults.crawler.queryParams.strip, []);
+    assert.deepEqual(defaults.crawler.dedupe, {
+      canonical: true,
+      contentHash: false,
+      hreflang: false,
+    });
+
+    const optedIn = await loadMergedConfig(
+      dir,
+      parseArgs(['--strip-params', 'utm_*,gclid', '--collapse-duplicates']),
+      ORIGIN
+    );
+    assert.deepEqual(optedIn.crawler.queryParams.strip, ['utm_*', 'gclid']);
+    assert.equal(optedIn.crawler.dedupe.contentHash, true);
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+
+  const crawler = new CrawlerService(ORIGIN);
+  const params = { pageOrigin: ORIGIN, isCrawlable: () => true };
+  crawler.visited.add(
+    await crawler.resolvePageRoute(fakePage({ signature: 'a' }), `${ORIGIN}/`, params)
+  );
+  assert.equal(
+    await crawler.resolvePageRoute(fakePage({ signature: 'a' }), `${ORIGIN}/?page=2`, params),
+    `${ORIGIN}/?page=2`
+  );
+});
@@ -0,0 +1,135 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { applyAuthentication } from '../services/audit/auth/applyAuth.js';
+import { resolveFormLogin } from '../services/audit/auth/formLogin.js';
+import { buildToolAuthOptions } from '../services/audit/auth/toolAuthOptions.js';
+
+const log = { debug: () => {}, warn: () => {} };
+
+const form = (overrides = {}) => ({
+  loginUrl: 'https://example.com/login',
+  fields: [
+    { selector: '#email', value: 'qa@example.com' },
+    { selector: '#password', value: 'env:A11Y_TEST_PASSWORD' },
+  ],
+  submitSelector: 'button[type=submit]',
+  success: { cookie: 'session' },
+  ...overrides,
+});
+
+/**
+ * Page double for a login form: submitting sets a `session` cookie (a new
+ * value per login) when the password typed matches `password`.
+ */
+function fakeLoginPage({ password, logins }) {
+  const typed = {};
+  let jar = [];
+  return {
+    typed,
+    get jar() {
+      return jar;
+    },
+    goto: async () => {},
+    waitForSelector: async () => {},
+    $eval: async (selector) => {
+      typed[selector] = '';
+    },
+    type: async (selector, value) => {
+      typed[selector] += value;
+    },
+    waitForNavigation: async () => {},
+    click: async () => {
+      if (typed['#password'] === password) {
+        logins.count += 1;
+        jar = [{ name: 'session', value: `s${logins.count}`, domain: 'example.com', path: '/' }];
+      }
+    },
+    cookies: async () => jar,
+    setCookie: async (...cookies) => {
+      jar = cookies;
+    },
+  };
+}
+
+test('resolveFormLogin reads env: credentials and rejects incomplete forms', () => {
+  process.env.A11Y_TEST_PASSWORD = 'hunter2';
+  try {
+    const resolved = resolveFormLogin(form({ success: { url: '/dashboard' } }));
+    assert.equal(resolved.fields[1].value, 'hunter2');
+    assert.equal(resolved.success.url, 'https://example.com/dashboard');
+    assert.equal(resolved.timeoutMs, 30000);
+
+    assert.throws(
+      () => resolveFormLogin(form({ loginUrl: '/login' })),
+      /loginUrl must be an absolute URL/
+    );
+    assert.throws(() => resolveFormLogin(form({ success: {} })), /"url", "selector" or "cookie"/);
+    assert.throws(() => resolveFormLogin(form({ submitSelector: '' })), /submitSelector/);
+  } finally {
+    delete process.env.A11Y_TEST_PASSWORD;
+  }
+  assert.throws(
+    () => resolveFormLogin(form()),
+    /auth\.form\.fields\[1\] reads environment variable A11Y_TEST_PASSWORD, which is not set/
+  );
+});
+
+test('form login runs once per run and feeds its cookies to Pa11y and Lighthouse options', async () => {
+  process.env.A11Y_TEST_PASSWORD = 'hunter2';
+  try {
+    const auth = { type: 'form', form: form() };
+    const logins = { count: 0 };
+    const first = fakeLoginPage({ password: 'hunter2', logins });
+    const second = fakeLoginPage({ password: 'hunter2', logins });
+
+    assert.equal(buildToolAuthOptions(auth, 'https://example.com/').cookies, undefined);
+    await applyAuthentication(first, auth, 'https://example.com/a', log);
+    await applyAuthentication(second, auth, 'https://example.com/b', log);
+
+    assert.equal(logins.count, 1);
+    assert.equal(first.typed['#email'], 'qa@example.com');
+    assert.deepEqual(
+      second.jar.map((c) => c.value),
+      ['s1']
+    );
+    assert.deepEqual(
+      buildToolAuthOptions(auth, 'https://example.com/').cookies.map((c) => c.name),
+      ['session']
+    );
+
+    // A login wall asks for a fresh session.
+    await applyAuthentication(second, auth, 'https://example.com/b', log, { refresh: true });
+    assert.equal(logins.count, 2);
+    assert.equal(buildToolAuthOptions(auth, 'https://example.com/').cookies[0].value, 's2');
+  } finally {
+    delete process.env.A11Y_TEST_PASSWORD;
+  }
+});
+
+test('a failed form login warns once per route without resubmitting the form', async () => {
+  process.env.A11Y_TEST_PASSWORD = 'wrong';
+  try {
+    const auth = { type: 'form', form: form({ timeoutMs: 300 }) };
+    const logins = { count: 0 };
+    const warnings = [];
+    const warnLog = { debug: () => {}, warn: (msg) => warnings.push(msg) };
+    let submits = 0;
+    const page = fakeLoginPage({ password: 'hunter2', logins });
+    const click = page.click;
+    page.click = async () => {
+      submits += 1;
+      await click();
+    };
+
+    await applyAuthentication(page, auth, 'https://example.com/a', warnLog);
+    await applyAuthentication(page, auth, 'https://example.com/b', warnLog);
+
+    assert.equal(submits, 1);
+    assert.equal(warnings.length, 2);
+    assert.match(warnings[0], /Form login at https:\/\/example\.com\/login did not succeed/);
+    assert.equal(buildToolAuthOptions(auth, 'https://example.com/').cookies, undefined);
+  } finally {
+    delete process.env.A11Y_TEST_PASSWORD;
+  }
+});
@@ -0,0 +1,137 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { frameExclusions, listFrames } from '../services/audit/frames/frameInventory.js';
+import { deduplicateIssues } from '../services/audit/dedupe/issueDedupe.js';
+import { SeverityMapper } from '../utils/SeverityMapper.js';
+import { CodeEvidenceExtractor } from '../utils/CodeEvidenceExtractor.js';
+import { getStableFingerprint } from '../utils/wcag/fingerprint/stableFingerprint.js';
+
+/** Frame double: its `<iframe>` element reports `selector` and `sameOrigin` in the parent. */
+function fakeFrame({ selector, url, sameOrigin = true, children = [] }) {
+  return {
+    detached: false,
+    url: () => url,
+    childFrames: () => children,
+    frameElement: async () => ({
+      evaluate: async () => ({ selector, sameOrigin }),
+      dispose: async () => {},
+    }),
+  };
+}
+
+/** Page double whose documents are looked up by frame path. */
+function fakeDocumentPage(documents) {
+  const frameFor = (path) => ({
+    $: async (selector) => {
+      const childPath = [...path, selector].join(' >>> ');
+      if (!(childPath in documents)) return null;
+      return { contentFrame: async () => frameFor([...path, selector]), dispose: async () => {} };
+    },
+    content: async () => documents[path.join(' >>> ')].html,
+    evaluate: async (_fn, selector) =>
+      documents[path.join(' >>> ')].nodes[selector] ?? { found: false },
+  });
+  const main = frameFor([]);
+  return { ...main, mainFrame: () => main };
+}
+
+test('normalizeAxeViolation splits iframe targets into a frame path and a selector', () => {
+  const violation = {
+    id: 'label',
+    impact: 'critical',
+    description: 'Form elements must have labels',
+    nodes: [
+      { target: ['#checkout', 'iframe.help', 'input[name="q"]'], html: '<input name="q">' },
+      { target: ['main > input'], html: '<input>' },
+    ],
+  };
+  const [framed, top] = SeverityMapper.normalizeAxeViolation(violation, 'https://example.com/');
+  assert.deepEqual(framed.framePath, ['#checkout', 'iframe.help']);
+  assert.equal(framed.selector, 'input[name="q"]');
+  assert.equal(top.selector, 'main > input');
+  assert.equal('framePath' in top, false);
+});
+
+test('listFrames walks same-origin frames and stops at cross-origin ones', async () => {
+  const page = {
+    mainFrame: () => ({
+      childFrames: () => [
+        fakeFrame({
+          selector: '#help',
+          url: 'https://example.com/help',
+          children: [fakeFrame({ selector: 'iframe', url: 'about:srcdoc' })],
+        }),
+        fakeFrame({
+          selector: 'form > iframe',
+          url: 'https://pay.example.net/card',
+          sameOrigin: false,
+          children: [fakeFrame({ selector: 'iframe', url: 'https://pay.example.net/inner' })],
+        }),
+      ],
+    }),
+  };
+
+  const frames = await listFrames(page);
+  assert.deepEqual(frames, [
+    { path: ['#help'], url: 'https://example.com/help', auditable: true, reason: null },
+    { path: ['#help', 'iframe'], url: 'about:srcdoc', auditable: true, reason: null },
+    {
+      path: ['form > iframe'],
+      url: 'https://pay.example.net/card',
+      auditable: false,
+      reason: 'cross-origin',
+    },
+  ]);
+  assert.deepEqual(frameExclusions(frames), [['form > iframe']]);
+});
+
+test('code evidence for framed issues is resolved inside the frame document', async () => {
+  const page = fakeDocumentPage({
+    '': {
+      html: '<main><iframe id="help"></iframe><input></main>',
+      nodes: { input: { found: true, snippet: '<input>', xpath: '/html[1]/body[1]/input[1]' } },
+    },
+    '#help': {
+      html: '<form>\n<input name="q">\n</form>',
+      nodes: {
+        input: {
+          found: true,
+          snippet: '<input name="q">',
+          xpath: '/html[1]/body[1]/form[1]/input[1]',
+        },
+      },
+    },
+  });
+
+  const [framed, top, missing] = await CodeEvidenceExtractor.enrichIssues(
+    [
+      { tool: 'axe', selector: 'input', framePath: ['#help'], html: '<input name="q">' },
+      { tool: 'axe', selector: 'input', html: '<input>' },
+      { tool: 'axe', selector: 'input', framePath: ['#gone'], html: '<input>' },
+    ],
+    { page }
+  );
+
+  assert.equal(framed.evidence.snippet, '<input name="q">');
+  assert.equal(framed.evidence.locator.line, 2);
+  assert.deepEqual(framed.evidence.locator.framePath, ['#help']);
+  assert.equal(top.evidence.locator.xpath, '/html[1]/body[1]/input[1]');
+  assert.equal('framePath' in top.evidence.locator, false);
+  assert.match(missing.evidence.captureError, /Frame not found: #gone/);
+});
+
+test('issues in different frames keep distinct fingerprints and survive dedupe', () => {
+  const base = {
+    tool: 'axe',
+    url: 'https://example.com/',
+    message: 'Form elements must have labels',
+    selector: 'input',
+    wcagCriteria: [{ id: '4.1.2' }],
+  };
+  const framed = { ...base, framePath: ['#help'] };
+
+  assert.equal(getStableFingerprint({ ...base, framePath: [] }), getStableFingerprint(base));
+  assert.notEqual(getStableFingerprint(framed), getStableFingerprint(base));
+  assert.equal(deduplicateIssues([base, framed]).length, 2);
+});
@@ -0,0 +1,65 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { isHashRoute, normaliseCrawlTarget } from '../utils/Validation.js';
+import { canonicalUrl } from '../services/crawler/filters/urlFilters.js';
+import { parseUrlList } from '../services/crawler/input/urlList.js';
+import { RequestScheduler } from '../utils/RequestScheduler.js';
+
+const ORIGIN = 'https://app.example.com';
+
+test('isHashRoute recognises #/ and #!/ fragments but not in-page anchors', () => {
+  assert.equal(isHashRoute('#/settings'), true);
+  assert.equal(isHashRoute('#!/settings'), true);
+  assert.equal(isHashRoute('#main'), false);
+  assert.equal(isHashRoute(''), false);
+});
+
+test('normaliseCrawlTarget keeps hash routes only when hash routing is on', () => {
+  assert.equal(normaliseCrawlTarget(ORIGIN, '#/settings'), null);
+  assert.equal(normaliseCrawlTarget(ORIGIN, '/#/settings'), `${ORIGIN}/`);
+
+  assert.equal(
+    normaliseCrawlTarget(ORIGIN, '#/settings/', undefined, true),
+    `${ORIGIN}/#/settings`
+  );
+  assert.equal(normaliseCrawlTarget(ORIGIN, '#main', undefined, true), null);
+  assert.equal(normaliseCrawlTarget(ORIGIN, '/docs#install', undefined, true), `${ORIGIN}/docs`);
+  assert.equal(normaliseCrawlTarget(ORIGIN, '/#/', undefined, true), `${ORIGIN}/`);
+});
+
+test('canonicalUrl keeps route fragments so each hash route is a distinct page', () => {
+  assert.equal(canonicalUrl(ORIGIN, true, '/#!/users/42/'), `${ORIGIN}/`);
+  assert.equal(canonicalUrl(ORIGIN, true, '/#!/users/42/', true), `${ORIGIN}/#!/users/42`);
+  assert.equal(canonicalUrl(ORIGIN, false, '/app/?tab=1#/inbox', true), `${ORIGIN}/app#/inbox`);
+});
+
+test('URL lists keep hash routes when hash routing is on', () => {
+  const content = '/#/inbox\n/#/inbox/\n/#/sent';
+  assert.deepEqual(parseUrlList(content, { format: 'text', baseUrl: ORIGIN }), [`${ORIGIN}/`]);
+  assert.deepEqual(parseUrlList(content, { format: 'text', baseUrl: ORIGIN, hashRoutes: true }), [
+    `${ORIGIN}/#/inbox`,
+    `${ORIGIN}/#/sent`,
+  ]);
+});
+
+test('scheduler goto loads a fresh document when only the fragment changes', async () => {
+  const scheduler = new RequestScheduler();
+  const visits = [];
+  let current = `${ORIGIN}/#/inbox`;
+  const page = {
+    url: () => current,
+    goto: async (url) => {
+      visits.push(url);
+      current = url;
+      return { status: () => 200, headers: () => ({}) };
+    },
+  };
+
+  await scheduler.goto(page, `${ORIGIN}/#/sent`, {});
+  assert.deepEqual(visits, ['about:blank', `${ORIGIN}/#/sent`]);
+
+  visits.length = 0;
+  await scheduler.goto(page, `${ORIGIN}/about`, {});
+  assert.deepEqual(visits, [`${ORIGIN}/about`]);
+});
@@ -0,0 +1,197 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { runKeyboardAudit } from '../services/audit/toolRunners/keyboardRunner.js';
+import { parseArgs } from '../cli/parseArgs.js';
+import { coerceKeyboard } from '../utils/config/coerceSections.js';
+
+const log = { debug: () => {} };
+
+const stop = (selector, overrides = {}) => ({
+  selector,
+  label: selector,
+  html: `<button id="${selector.slice(1)}">`,
+  isFrame: false,
+  inShadow: false,
+  hidden: null,
+  rect: { x: 10, y: 10, width: 80, height: 20 },
+  ...overrides,
+});
+
+/**
+ * Page double driven by a tab order. `onKey(key, current)` returns the index
+ * of the next stop, or -1 when focus moves to the body. Screenshots differ
+ * between focused and blurred states only for stops listed in `indicators`.
+ */
+function fakeKeyboardPage({ stops, onKey, targets, indicators = [] }) {
+  let current = -1;
+  let blurred = false;
+  const presses = [];
+  return {
+    presses,
+    goto: async () => {},
+    waitForNetworkIdle: async () => {},
+    content: async () => '<html></html>',
+    keyboard: {
+      press: async (key) => {
+        presses.push(key);
+        blurred = false;
+        current = onKey(key, current);
+      },
+    },
+    // listKeyboardTargets passes a limit; readFocus passes nothing.
+    evaluate: async (fn, arg) => (arg === undefined ? (stops[current] ?? null) : targets),
+    evaluateHandle: async () => ({
+      evaluate: async (fn) =>
+        fn({
+          blur: () => {
+            blurred = true;
+          },
+          focus: () => {
+            blurred = false;
+          },
+        }),
+      dispose: async () => {},
+    }),
+    screenshot: async () => {
+      const visible = !blurred && indicators.includes(stops[current].selector);
+      return Buffer.from(visible ? 'focus-ring' : 'plain');
+    },
+  };
+}
+
+/** Tab through `stops` in order, then onto the body. */
+const linear = (count) => (key, current) =>
+  key === 'Tab' && current + 1 < count ? current + 1 : -1;
+
+test('keyboard walk reports hidden focus, missing indicators and unreachable controls', async () => {
+  const stops = [stop('#a'), stop('#b'), stop('#skip', { hidden: 'off-screen' })];
+  const page = fakeKeyboardPage({
+    stops,
+    onKey: linear(stops.length),
+    indicators: ['#a'],
+    targets: {
+      focusable: [stop('#a'), stop('#b'), stop('#skip'), stop('#later')],
+      clickOnly: [stop('div.card', { label: 'Open card' })],
+    },
+  });
+
+  const result = await runKeyboardAudit({
+    url: 'https://example.com/',
+    page,
+    timeoutMs: 1000,
+    log,
+  });
+
+  assert.deepEqual(result.keyboard, {
+    tabStops: 3,
+    complete: true,
+    endedBy: 'end-of-page',
+    sequence: ['#a', '#b', '#skip'],
+    indicatorChecks: 2,
+  });
+  assert.deepEqual(
+    result.issues.map((issue) => [issue.engineMeta.checkId, issue.selector]),
+    [
+      ['focus-indicator-missing', '#b'],
+      ['focus-hidden', '#skip'],
+      ['keyboard-unreachable', '#later'],
+      ['keyboard-unreachable', 'div.card'],
+    ]
+  );
+
+  const [indicator, hidden, unreachable] = result.issues;
+  assert.equal(indicator.tool, 'keyboard');
+  assert.equal(indicator.severityLabel, 'serious');
+  assert.deepEqual(
+    indicator.wcagCriteria.map((c) => c.id),
+    ['2.4.7']
+  );
+  assert.match(hidden.message, /positioned off-screen/);
+  assert.deepEqual(
+    hidden.wcagCriteria.map((c) => c.id),
+    ['2.4.3', '2.4.7']
+  );
+  assert.deepEqual(
+    unreachable.wcagCriteria.map((c) => c.id),
+    ['2.1.1']
+  );
+  assert.match(result.issues[3].message, /"Open card" responds to clicks/);
+});
+
+test('focus cycling inside a widget that Escape cannot leave is a keyboard trap', async () => {
+  const stops = [stop('#a'), stop('#editor'), stop('#toolbar')];
+  const page = fakeKeyboardPage({
+    stops,
+    // Once inside the editor, Tab alternates between it and its toolbar.
+    onKey: (key, current) => (current <= 0 ? current + 1 : current === 1 ? 2 : 1),
+    indicators: ['#a', '#editor', '#toolbar'],
+    targets: {
+      focusable: [stop('#a'), stop('#editor'), stop('#toolbar'), stop('#b')],
+      clickOnly: [],
+    },
+  });
+
+  const result = await runKeyboardAudit({
+    url: 'https://example.com/',
+    page,
+    timeoutMs: 1000,
+    log,
+  });
+
+  assert.equal(result.keyboard.endedBy, 'trap');
+  assert.equal(result.keyboard.complete, false);
+  assert.deepEqual(page.presses.slice(-2), ['Escape', 'Tab']);
+  // Unvisited elements are not reported after an interrupted walk.
+  assert.deepEqual(
+    result.issues.map((issue) => issue.engineMeta.checkId),
+    ['keyboard-trap']
+  );
+  assert.equal(result.issues[0].severityLabel, 'critical');
+  assert.deepEqual(result.issues[0].engineMeta.detail.cycle, ['#editor', '#toolbar']);
+  assert.deepEqual(
+    result.issues[0].wcagCriteria.map((c) => c.id),
+    ['2.1.2']
+  );
+});
+
+test('a focus cycle that Escape releases is not a trap', async () => {
+  const stops = [stop('#a'), stop('#dialog-close'), stop('#dialog-ok'), stop('#footer')];
+  let dialogOpen = true;
+  const page = fakeKeyboardPage({
+    stops,
+    onKey: (key, current) => {
+      if (key === 'Escape') {
+        dialogOpen = false;
+        return 0;
+      }
+      if (current === -1) return 0;
+      if (current === 3) return -1;
+      if (dialogOpen) return current === 1 ? 2 : 1;
+      return current === 0 ? 3 : current + 1;
+    },
+    indicators: stops.map((s) => s.selector),
+    targets: { focusable: stops, clickOnly: [] },
+  });
+
+  const result = await runKeyboardAudit({
+    url: 'https://example.com/',
+    page,
+    timeoutMs: 1000,
+    checkFocusIndicators: false,
+    log,
+  });
+
+  assert.equal(result.keyboard.endedBy, 'end-of-page');
+  assert.equal(result.keyboard.indicatorChecks, 0);
+  assert.deepEqual(result.keyboard.sequence, ['#a', '#dialog-close', '#dialog-ok', '#footer']);
+  assert.deepEqual(result.issues, []);
+});
+
+test('--keyboard enables the audit and config values are coerced', () => {
+  assert.equal(parseArgs(['--keyboard']).keyboard, true);
+  assert.deepEqual(
+    coerceKeyboard({ enabled: 'true', maxTabStops: '50', checkFocusIndicators: 'false' }),
+    { enabled: true, maxTabStops: 50, checkFocusIndicators: false }
+  );
+});
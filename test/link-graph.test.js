@@ -0,0 +1,189 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { LinkGraph } from '../services/crawler/graph/linkGraph.js';
+import { CrawlerService } from '../services/CrawlerService.js';
+import { summarizeLinkGraph } from '../utils/report/shared/linkGraphSummary.js';
+import { generateLinkGraphHtml } from '../utils/report/html/crawlSections.js';
+
+const HOME = 'https://example.com/';
+const ABOUT = 'https://example.com/about';
+const TEAM = 'https://example.com/about/team';
+const LEGACY = 'https://example.com/legacy';
+
+function buildGraph() {
+  const graph = new LinkGraph();
+  graph.recordPage(HOME);
+  graph.addEdge({ source: HOME, target: ABOUT, text: 'About us', region: 'navigation' });
+  graph.addEdge({ source: HOME, target: ABOUT, text: 'Read more', region: 'content' });
+  graph.addEdge({ source: HOME, target: HOME, text: 'Home', region: 'navigation' });
+  graph.recordPage(ABOUT);
+  graph.addEdge({ source: ABOUT, target: TEAM, text: 'Our team', region: 'content' });
+  return graph;
+}
+
+test('LinkGraph keeps the first link between two pages and ignores self-links', () => {
+  const { edges } = buildGraph().toJSON();
+  assert.deepEqual(edges, [
+    { source: HOME, target: ABOUT, text: 'About us', region: 'navigation' },
+    { source: ABOUT, target: TEAM, text: 'Our team', region: 'content' },
+  ]);
+});
+
+test('LinkGraph finds shortest click paths, orphans and unreachable pages', () => {
+  const graph = buildGraph();
+  graph.addEdge({ source: HOME, target: TEAM, text: 'Team', region: 'content' });
+
+  const summary = graph.summarize({
+    startUrl: HOME,
+    auditedUrls: [HOME, ABOUT, TEAM, LEGACY],
+    sitemapUrls: [HOME, ABOUT, LEGACY],
+    complete: true,
+  });
+
+  assert.equal(summary.pagesScanned, 2);
+  assert.equal(summary.totalLinks, 3);
+  assert.deepEqual(summary.orphans, [LEGACY]);
+  assert.deepEqual(summary.unreachable, [LEGACY]);
+  assert.deepEqual(summary.clickPaths, [
+    { url: HOME, depth: 0, path: [HOME] },
+    { url: ABOUT, depth: 1, path: [HOME, ABOUT] },
+    { url: TEAM, depth: 1, path: [HOME, TEAM] },
+  ]);
+});
+
+test('LinkGraph round-trips through checkpoint state', () => {
+  const restored = new LinkGraph();
+  restored.restore(JSON.parse(JSON.stringify(buildGraph().toJSON())));
+  assert.deepEqual(restored.toJSON(), buildGraph().toJSON());
+});
+
+test('CrawlerService records resolved in-scope links and reports the graph', () => {
+  const crawler = new CrawlerService(HOME);
+  assert.equal(crawler.getLinkGraph([HOME]), null);
+
+  crawler.sitemapUrls.add(LEGACY);
+  crawler.recordLinks(
+    HOME,
+    [
+      { href: '/about/', text: 'About', region: 'navigation' },
+      { href: 'https://other.example.org/', text: 'Partner', region: 'content' },
+    ],
+    (href) => {
+      const url = new URL(href, HOME);
+      return url.origin === 'https://example.com' ? url.href.replace(/\/$/, '') : null;
+    }
+  );
+
+  const partial = crawler.getLinkGraph([HOME, ABOUT]);
+  assert.equal(partial.crawlComplete, false);
+  assert.deepEqual(partial.orphans, []);
+  assert.deepEqual(partial.unlinkedSitemapUrls, [LEGACY]);
+
+  crawler.crawlComplete = true;
+  const graph = crawler.getLinkGraph([HOME, ABOUT]);
+  assert.deepEqual(graph.edges, [
+    { source: HOME, target: ABOUT, text: 'About', region: 'navigation' },
+  ]);
+  assert.deepEqual(graph.orphans, [LEGACY]);
+  assert.deepEqual(graph.unlinkedSitemapUrls, []);
+  assert.deepEqual(
+    graph.clickPaths.map((p) => p.depth),
+    [0, 1]
+  );
+  assert.deepEqual(crawler.snapshotState([]).linkGraph, crawler.linkGraph.toJSON());
+});
+
+test('summarizeLinkGraph drops the edge list and counts links by region', () => {
+  const graph = buildGraph();
+  const summary = summarizeLinkGraph({
+    ...graph.summarize({ startUrl: HOME, auditedUrls: [HOME], sitemapUrls: [] }),
+    edges: graph.toJSON().edges,
+  });
+
+  assert.equal('edges' in summary, false);
+  assert.equal(summary.navigationLinks, 1);
+  assert.equal(summary.contentLinks, 1);
+});
+
+test('a partial crawl reports unlinked sitemap URLs rather than orphans', () => {
+  const summary = buildGraph().summarize({
+    startUrl: HOME,
+    auditedUrls: [HOME, ABOUT],
+    sitemapUrls: [HOME, ABOUT, LEGACY],
+  });
+  assert.equal(summary.crawlComplete, false);
+  assert.deepEqual(summary.orphans, []);
+  assert.deepEqual(summary.unlinkedSitemapUrls, [LEGACY]);
+
+  const html = generateLinkGraphHtml(summary);
+  assert.match(html, /not linked from the 2 scanned pages \(partial crawl\) \(1\)/);
+  assert.doesNotMatch(html, /Orphan/);
+});
+
+/**
+ * Page double that answers 200 and reports `linksByUrl[url]` as its links,
+ * counting navigations in `loads`.
+ */
+function fakeLinkPage(linksByUrl, loads = []) {
+  let current = '';
+  return {
+    setCacheEnabled: async () => {},
+    setViewport: async () => {},
+    url: () => current,
+    goto: async (url) => {
+      current = url;
+      loads.push(url);
+      return {
+        status: () => 200,
+        headers: () => ({}),
+        url: () => url,
+        request: () => ({ redirectChain: () => [] }),
+      };
+    },
+    waitForNetworkIdle: async () => {},
+    evaluate: async () => ({ navigation: [], regular: [], links: linksByUrl[current] }),
+    close: async () => {},
+  };
+}
+
+test('pages picked from the sitemap are not loaded for links unless asked to', async () => {
+  const loads = [];
+  const page = fakeLinkPage({}, loads);
+  const crawler = new CrawlerService(HOME, { limit: 3, config: { respectRobotsTxt: false } });
+  crawler.prepareOrigin = async () => new Set([ABOUT, LEGACY, TEAM]);
+
+  const routes = await crawler.discoverRoutes({ browser: { newPage: async () => page } });
+  assert.deepEqual(routes, [HOME, ABOUT, LEGACY]);
+  assert.deepEqual(loads, []);
+  assert.equal(crawler.getLinkGraph(routes), null);
+});
+
+test('--scan-sitemap-pages scans pages picked from the sitemap so the graph still exists', async () => {
+  const page = fakeLinkPage({
+    [HOME]: [{ href: ABOUT, text: 'About', region: 'navigation' }],
+    [ABOUT]: [{ href: TEAM, text: 'Team', region: 'content' }],
+    [LEGACY]: [],
+  });
+  const crawler = new CrawlerService(HOME, {
+    limit: 3,
+    config: { respectRobotsTxt: false, checkLinks: false, scanSitemapPages: true },
+  });
+  crawler.prepareOrigin = async () => new Set([ABOUT, LEGACY, TEAM]);
+
+  const routes = await crawler.discoverRoutes({ browser: { newPage: async () => page } });
+  assert.deepEqual(routes, [HOME, ABOUT, LEGACY]);
+
+  const graph = crawler.getLinkGraph(routes);
+  assert.equal(graph.pagesScanned, 3);
+  assert.equal(graph.crawlComplete, false);
+  assert.deepEqual(graph.unlinkedSitemapUrls, [LEGACY]);
+  assert.deepEqual(
+    graph.clickPaths.map((p) => [p.url, p.depth]),
+    [
+      [HOME, 0],
+      [ABOUT, 1],
+    ]
+  );
+  assert.deepEqual(graph.unreachable, [LEGACY]);
+});
@@ -0,0 +1,175 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  checkLinkStatus,
+  checkPendingLinks,
+  classifyLinkStatus,
+  describeFailedNavigation,
+  describeNavigation,
+  summarizeLinkStatuses,
+} from '../services/crawler/status/linkStatus.js';
+import { CrawlerService } from '../services/CrawlerService.js';
+import { RequestScheduler } from '../utils/RequestScheduler.js';
+
+const HOME = 'https://example.com/';
+
+/**
+ * Fake fetch answering from a `{ 'METHOD url': { status, location } }` table.
+ */
+function fakeFetch(table) {
+  const calls = [];
+  const fetchImpl = async (url, init) => {
+    calls.push(`${init.method} ${url}`);
+    const entry = table[`${init.method} ${url}`];
+    if (!entry) throw new Error(`getaddrinfo ENOTFOUND ${new URL(url).host}`);
+    return {
+      status: entry.status,
+      headers: new Headers(entry.location ? { location: entry.location } : {}),
+    };
+  };
+  return { fetchImpl, calls };
+}
+
+test('classifyLinkStatus separates ok, redirected and broken links', () => {
+  const base = { url: HOME, finalUrl: HOME, redirectChain: [], error: null, source: 'checked' };
+  assert.equal(classifyLinkStatus({ ...base, status: 200 }), 'ok');
+  assert.equal(
+    classifyLinkStatus({ ...base, status: 200, redirectChain: [{ url: HOME, status: 301 }] }),
+    'redirected'
+  );
+  assert.equal(classifyLinkStatus({ ...base, status: 404 }), 'broken');
+  assert.equal(classifyLinkStatus({ ...base, status: null, error: 'timeout' }), 'broken');
+});
+
+test('describeNavigation reads the redirect chain from the Puppeteer response', () => {
+  const hop = { url: () => 'https://example.com/old', response: () => ({ status: () => 301 }) };
+  const response = {
+    status: () => 200,
+    url: () => 'https://example.com/new',
+    request: () => ({ redirectChain: () => [hop] }),
+  };
+
+  assert.deepEqual(describeNavigation('https://example.com/old', response), {
+    url: 'https://example.com/old',
+    status: 200,
+    finalUrl: 'https://example.com/new',
+    redirectChain: [{ url: 'https://example.com/old', status: 301 }],
+    error: null,
+    source: 'navigated',
+  });
+  assert.equal(describeNavigation(HOME, null).error, 'No response');
+  assert.equal(
+    describeFailedNavigation(HOME, new Error('net::ERR_NAME_NOT_RESOLVED')).status,
+    null
+  );
+});
+
+test('checkLinkStatus follows redirects and falls back to GET when HEAD is refused', async () => {
+  const { fetchImpl, calls } = fakeFetch({
+    'HEAD https://example.com/old': { status: 301, location: '/moved' },
+    'HEAD https://example.com/moved': { status: 405 },
+    'GET https://example.com/moved': { status: 200 },
+  });
+
+  const record = await checkLinkStatus('https://example.com/old', { fetchImpl });
+  assert.deepEqual(calls, [
+    'HEAD https://example.com/old',
+    'HEAD https://example.com/moved',
+    'GET https://example.com/moved',
+  ]);
+  assert.equal(record.status, 200);
+  assert.equal(record.finalUrl, 'https://example.com/moved');
+  assert.deepEqual(record.redirectChain, [{ url: 'https://example.com/old', status: 301 }]);
+  assert.equal(record.source, 'checked');
+});
+
+test('checkLinkStatus records request failures instead of throwing', async () => {
+  const { fetchImpl } = fakeFetch({});
+  const record = await checkLinkStatus('https://gone.example.com/', { fetchImpl });
+  assert.equal(record.status, null);
+  assert.match(record.error, /ENOTFOUND/);
+});
+
+test('checkLinkStatus retries a rate-limited link instead of reporting it broken', async () => {
+  const scheduler = new RequestScheduler({ maxBackoffMs: 10, log: { debug() {}, warn() {} } });
+  const statuses = [429, 200];
+  let calls = 0;
+  const fetchImpl = async () => {
+    calls++;
+    return { status: statuses.shift(), headers: new Headers({ 'retry-after': '0' }) };
+  };
+
+  const record = await checkLinkStatus('https://example.com/busy', { fetchImpl, scheduler });
+  assert.equal(calls, 2);
+  assert.equal(record.status, 200);
+  assert.equal(classifyLinkStatus(record), 'ok');
+
+  const alwaysBusy = async () => ({ status: 503, headers: new Headers() });
+  const busy = await checkLinkStatus('https://example.com/busy', {
+    fetchImpl: alwaysBusy,
+    scheduler: new RequestScheduler({ maxRetries: 1, maxBackoffMs: 10, log: { warn() {} } }),
+  });
+  assert.match(busy.error, /kept answering HTTP 503 .* after 2 attempt\(s\)/);
+});
+
+test('checkPendingLinks checks unknown targets once, up to the cap and the deadline', async () => {
+  const [a, b, c, d] = ['a', 'b', 'c', 'd'].map((p) => `https://example.com/${p}`);
+  const blocked = 'https://example.com/admin';
+  const requested = [];
+  const scheduler = {
+    fetch: async (url) => {
+      requested.push(url);
+      return { status: 200, headers: new Headers() };
+    },
+  };
+  const known = { url: HOME, status: 200, finalUrl: HOME, redirectChain: [], error: null };
+  const linkStatuses = new Map([[HOME, known]]);
+
+  const unchecked = await checkPendingLinks({
+    targets: [HOME, a, a, blocked, b, c, d],
+    linkStatuses,
+    maxChecks: 3,
+    isBlocked: (url) => url === blocked,
+    scheduler,
+    pastDeadline: () => requested.length >= 2,
+  });
+
+  assert.deepEqual(requested, [a, b]);
+  assert.equal(unchecked, 1);
+  assert.equal(linkStatuses.get(a).status, 200);
+  assert.equal(linkStatuses.has(c), false);
+  assert.equal(linkStatuses.get(HOME), known);
+});
+
+test('summarizeLinkStatuses attaches the pages linking to each broken or redirected URL', () => {
+  const records = [
+    { url: HOME, status: 200, finalUrl: HOME, redirectChain: [], error: null, source: 'navigated' },
+    {
+      url: 'https://example.com/missing',
+      status: 404,
+      finalUrl: 'https://example.com/missing',
+      redirectChain: [],
+      error: null,
+      source: 'checked',
+    },
+  ];
+  const edges = [{ source: HOME, target: 'https://example.com/missing', text: 'Pricing' }];
+
+  const summary = summarizeLinkStatuses(records, edges);
+  assert.equal(summary.checked, 2);
+  assert.equal(summary.ok, 1);
+  assert.deepEqual(summary.redirected, []);
+  assert.deepEqual(summary.broken[0].referrers, [{ source: HOME, text: 'Pricing' }]);
+});
+
+test('CrawlerService reports no link status before anything was recorded', () => {
+  const crawler = new CrawlerService(HOME);
+  assert.equal(crawler.getLinkStatus(), null);
+
+  crawler.linkStatuses.set(HOME, describeFailedNavigation(HOME, new Error('timeout')));
+  assert.equal(crawler.getLinkStatus().broken.length, 1);
+  assert.deepEqual(crawler.snapshotState([]).linkStatuses, [
+    describeFailedNavigation(HOME, new Error('timeout')),
+  ]);
+});
@@ -0,0 +1,132 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { LoginWallGuard, isLoginUrl } from '../services/audit/auth/loginWall.js';
+import { describeErrorPage, partitionErrorPages } from '../utils/report/shared/errorPages.js';
+import { generateErrorPagesHtml } from '../utils/report/html/crawlSections.js';
+import { coerceLoginWall } from '../utils/config/coerceSections.js';
+
+const ORIGIN = 'https://example.com';
+const log = { debug: () => {}, info: () => {}, warn: () => {} };
+
+/**
+ * Site double: routes redirect to `/login` while `session.valid` is false.
+ * Re-applying header auth (the only call a `headers` auth makes) restores it
+ * unless `session.locked` is set.
+ */
+function fakeSite({ locked = false, inPlaceLogin = false } = {}) {
+  const session = { valid: false, locked, visits: [], reauths: 0 };
+  const state = { url: '', loginForm: false };
+  const page = {
+    url: () => state.url,
+    waitForNetworkIdle: async () => {},
+    $: async (selector) =>
+      selector === 'form#login' && state.loginForm ? { dispose: async () => {} } : null,
+    setExtraHTTPHeaders: async () => {
+      session.reauths += 1;
+      if (!session.locked) session.valid = true;
+    },
+  };
+  const scheduler = {
+    goto: async (_page, url) => {
+      session.visits.push(url);
+      const blocked = !session.valid && new URL(url).pathname !== '/login';
+      state.url = blocked && !inPlaceLogin ? `${ORIGIN}/login?next=x` : url;
+      state.loginForm = blocked;
+      return { status: () => 200 };
+    },
+  };
+  return { page, scheduler, session };
+}
+
+const auth = { type: 'headers', headers: { Authorization: 'Bearer renewed' } };
+
+test('isLoginUrl matches origin and path, ignoring query, hash and trailing slash', () => {
+  assert.equal(isLoginUrl(`${ORIGIN}/login/?next=/a#top`, '/login', `${ORIGIN}/a`), true);
+  assert.equal(isLoginUrl(`${ORIGIN}/login`, `${ORIGIN}/login`, `${ORIGIN}/a`), true);
+  assert.equal(isLoginUrl(`${ORIGIN}/login-help`, '/login', `${ORIGIN}/a`), false);
+  assert.equal(isLoginUrl('https://sso.example.net/login', '/login', `${ORIGIN}/a`), false);
+  assert.equal(isLoginUrl(`${ORIGIN}/login`, null, `${ORIGIN}/a`), false);
+});
+
+test('LoginWallGuard re-authenticates and retries a route that redirected to the login page', async () => {
+  const site = fakeSite();
+  const guard = new LoginWallGuard({
+    scheduler: site.scheduler,
+    loginWall: { url: '/login' },
+    auth,
+    log,
+  });
+
+  assert.equal(await guard.check(site.page, `${ORIGIN}/account`), null);
+  assert.equal(site.session.reauths, 1);
+  assert.deepEqual(site.session.visits, [`${ORIGIN}/account`, `${ORIGIN}/account`]);
+});
+
+test('LoginWallGuard flags routes still on the login wall after re-authenticating', async () => {
+  const site = fakeSite({ locked: true });
+  const guard = new LoginWallGuard({
+    scheduler: site.scheduler,
+    loginWall: { url: '/login', maxReauth: 2 },
+    auth,
+    log,
+  });
+
+  assert.deepEqual(await guard.check(site.page, `${ORIGIN}/account`), {
+    kind: 'login-wall',
+    reason: 'login-url',
+    status: 200,
+    finalUrl: `${ORIGIN}/login?next=x`,
+    reauthAttempts: 2,
+  });
+  // The login page itself is audited like any other route.
+  assert.equal(await guard.check(site.page, `${ORIGIN}/login`), null);
+});
+
+test('LoginWallGuard detects login forms rendered in place and flags them without auth', async () => {
+  const site = fakeSite({ inPlaceLogin: true });
+  const guard = new LoginWallGuard({
+    scheduler: site.scheduler,
+    loginWall: { selector: 'form#login' },
+    log,
+  });
+
+  const result = await guard.check(site.page, `${ORIGIN}/account`);
+  assert.equal(result.reason, 'login-selector');
+  assert.equal(result.reauthAttempts, 0);
+  assert.equal(site.session.reauths, 0);
+});
+
+test('login-wall routes are reported apart from audited pages', () => {
+  const { audited, errorPages } = partitionErrorPages([
+    { url: `${ORIGIN}/a`, unifiedIssues: [] },
+    {
+      url: `${ORIGIN}/account`,
+      pageClass: {
+        kind: 'login-wall',
+        reason: 'login-url',
+        status: 200,
+        finalUrl: `${ORIGIN}/login`,
+        reauthAttempts: 1,
+      },
+    },
+  ]);
+  assert.equal(audited.length, 1);
+  assert.equal(
+    describeErrorPage(errorPages[0]),
+    `login wall: redirected to ${ORIGIN}/login after re-authenticating`
+  );
+  assert.equal(
+    describeErrorPage({ ...errorPages[0], reason: 'login-selector', reauthAttempts: 0 }),
+    'login wall: login form shown'
+  );
+  assert.match(generateErrorPagesHtml(errorPages), /error, soft-404 and login-wall pages \(1\)/);
+});
+
+test('coerceLoginWall reads string values from config files', () => {
+  assert.deepEqual(coerceLoginWall({ url: '/login', selector: '', maxReauth: '2' }), {
+    url: '/login',
+    selector: null,
+    maxReauth: 2,
+  });
+});
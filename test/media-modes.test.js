@@ -0,0 +1,179 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'node:os';
+import path from 'node:path';
+import { mkdtemp, rm } from 'node:fs/promises';
+
+import { resolveMediaModes, verifyUnderMediaModes } from '../services/audit/media/mediaModes.js';
+import {
+  mergeMediaModeIssues,
+  summarizeMediaModes,
+} from '../services/audit/media/mediaModeIssues.js';
+import { mergeViewportIssues } from '../services/audit/viewports/viewportIssues.js';
+import { resolveViewports } from '../services/audit/viewports/viewportPresets.js';
+import { deduplicateIssues } from '../services/audit/dedupe/issueDedupe.js';
+import { loadMergedConfig } from '../cli/configMerge.js';
+import { parseArgs } from '../cli/parseArgs.js';
+
+const issue = (tool, selector, extra = {}) => ({
+  id: `${tool}-${selector}`,
+  tool,
+  selector,
+  message: `${tool} finding on ${selector}`,
+  url: 'https://example.com/',
+  wcagCriteria: [],
+  ...extra,
+});
+
+test('resolveMediaModes expands presets and custom feature combinations', () => {
+  const [dark, forced, custom] = resolveMediaModes([
+    'dark',
+    'forced-colors',
+    { name: 'dark-reduced', 'prefers-color-scheme': 'dark', 'prefers-reduced-motion': 'reduce' },
+  ]);
+  assert.deepEqual(dark, {
+    name: 'dark',
+    features: [{ name: 'prefers-color-scheme', value: 'dark' }],
+  });
+  assert.deepEqual(forced.features, [{ name: 'forced-colors', value: 'active' }]);
+  assert.deepEqual(
+    custom.features.map((f) => f.value),
+    ['dark', 'reduce']
+  );
+  assert.equal(resolveMediaModes([{ 'prefers-contrast': 'more' }])[0].name, 'more');
+  assert.deepEqual(resolveMediaModes(undefined), []);
+
+  assert.throws(() => resolveMediaModes(['sepia']), /unknown media mode preset "sepia"/);
+  assert.throws(
+    () => resolveMediaModes([{ 'prefers-color-scheme': 'dim' }]),
+    /prefers-color-scheme must be one of light, dark/
+  );
+  assert.throws(() => resolveMediaModes([{ 'color-gamut': 'p3' }]), /unknown media feature/);
+  assert.throws(() => resolveMediaModes([{ name: 'empty' }]), /at least one media feature/);
+  assert.throws(() => resolveMediaModes(['dark', 'dark']), /"dark" is used twice/);
+  assert.throws(
+    () => resolveMediaModes([{ name: 'default', 'forced-colors': 'active' }]),
+    /reserved/
+  );
+});
+
+test('issues are tagged with the media modes that produced them', () => {
+  const [dark] = resolveMediaModes(['dark']);
+  const runs = [
+    {
+      mediaMode: null,
+      issues: [issue('axe', '#logo'), issue('keyboard', '#menu'), issue('pa11y', '#footer')],
+      tools: ['axe', 'pa11y'],
+      summary: { lhScore: 95, axeViolations: 1, pa11yIssues: 1, errors: {} },
+    },
+    {
+      mediaMode: dark,
+      issues: [issue('axe', '#logo'), issue('axe', '#muted-text')],
+      // Pa11y failed in dark mode, so its default finding is not mode-specific.
+      tools: ['axe'],
+      summary: { axeViolations: 2, errors: { pa11y: { message: 'timeout' } } },
+    },
+  ];
+
+  const merged = mergeMediaModeIssues(runs);
+  assert.deepEqual(
+    merged.map((i) => [i.selector, i.mediaModes, i.mediaModeSpecific]),
+    [
+      ['#logo', ['default', 'dark'], false],
+      ['#menu', ['default'], false],
+      ['#footer', ['default'], false],
+      ['#muted-text', ['dark'], true],
+    ]
+  );
+
+  const { issues, mediaModes } = summarizeMediaModes(runs, merged);
+  assert.equal(issues.length, 4);
+  assert.deepEqual(
+    mediaModes.map((m) => [m.name, m.totalIssues, m.mediaModeSpecificIssues, m.axeViolations]),
+    [
+      ['default', 3, 0, 1],
+      ['dark', 2, 1, 2],
+    ]
+  );
+  assert.deepEqual(mediaModes[0].features, []);
+  assert.equal(mediaModes[1].errors.pa11y.message, 'timeout');
+
+  // Combined by deduplication, the issue is found in every mode.
+  const deduped = deduplicateIssues([
+    issue('axe', '#cta', { mediaModes: ['dark'], mediaModeSpecific: true }),
+    issue('axe', '#cta', { mediaModes: ['default'], mediaModeSpecific: true }),
+  ]);
+  assert.deepEqual(deduped[0].mediaModes, ['dark', 'default']);
+  assert.equal(summarizeMediaModes(runs, deduped).issues[0].mediaModeSpecific, false);
+});
+
+test('issues only found under a media mode are not flagged as viewport-specific', () => {
+  const [desktop, mobile] = resolveViewports(['desktop', 'mobile']);
+  const runs = [
+    {
+      viewport: desktop,
+      issues: [
+        issue('axe', '#muted-text', { mediaModes: ['dark'] }),
+        issue('axe', '#logo', { mediaModes: ['default'] }),
+      ],
+      tools: ['axe'],
+      summary: { errors: {} },
+    },
+    { viewport: mobile, issues: [], tools: ['axe'], summary: { errors: {} } },
+  ];
+  assert.deepEqual(
+    mergeViewportIssues(runs).map((i) => [i.selector, i.viewportSpecific]),
+    [
+      ['#muted-text', false],
+      ['#logo', true],
+    ]
+  );
+});
+
+test('contrast is verified under the media mode each issue was found in', async () => {
+  let emulated = 'none';
+  const page = {
+    createCDPSession: async () => ({
+      send: async (method, params) => {
+        assert.equal(method, 'Emulation.setEmulatedMedia');
+        emulated = params.features.map((f) => f.value).join(',');
+      },
+      detach: async () => {
+        emulated = 'none';
+      },
+    }),
+  };
+  const modes = resolveMediaModes(['dark', 'forced-colors']);
+  const issues = [
+    issue('pa11y', '#a', { mediaModes: ['default', 'dark'] }),
+    issue('pa11y', '#b', { mediaModes: ['dark'] }),
+    issue('pa11y', '#c', { mediaModes: ['forced-colors'] }),
+    issue('axe', '#d'),
+  ];
+
+  const verified = await verifyUnderMediaModes(issues, modes, page, async (subset) =>
+    subset.map((i) => ({ ...i, verifiedUnder: emulated }))
+  );
+  assert.deepEqual(
+    verified.map((i) => [i.selector, i.verifiedUnder]),
+    [
+      ['#a', 'none'],
+      ['#b', 'dark'],
+      ['#c', 'active'],
+      ['#d', 'none'],
+    ]
+  );
+  assert.equal(emulated, 'none');
+});
+
+test('--media-modes reaches the merged config', async () => {
+  const dir = await mkdtemp(path.join(os.tmpdir(), 'a11y-media-modes-test-'));
+  try {
+    const args = parseArgs(['--media-modes', 'dark, forced-colors']);
+    const config = await loadMergedConfig(dir, args, 'https://example.com');
+    assert.deepEqual(config.mediaModes, ['dark', 'forced-colors']);
+    assert.equal(resolveMediaModes(config.mediaModes).length, 2);
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+});
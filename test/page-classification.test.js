@@ -0,0 +1,213 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  PageClassifier,
+  classifyPage,
+  textSimilarity,
+} from '../services/crawler/status/pageClassification.js';
+import { describeErrorPage, partitionErrorPages } from '../utils/report/shared/errorPages.js';
+import { generateErrorPagesHtml } from '../utils/report/html/crawlSections.js';
+import { coercePageClassification } from '../utils/config/coerceSections.js';
+import { RateLimitedError, RequestScheduler } from '../utils/RequestScheduler.js';
+
+const ORIGIN = 'https://example.com';
+const log = { debug: () => {} };
+
+const signals = (overrides = {}) => ({
+  title: 'Pricing',
+  h1: 'Pricing',
+  bodyText: 'Plans for teams of every size',
+  bodyLength: 2000,
+  mainText: 'Plans for teams of every size',
+  ...overrides,
+});
+
+const notFoundText = 'Sorry, we looked everywhere but could not find what you were after';
+
+/**
+ * Serves `pages` (path -> { status, text, redirect }) to page doubles through a
+ * scheduler double, recording every navigation.
+ */
+function fakeSite(pages) {
+  const visits = [];
+  const newPage = () => {
+    const state = { served: null, url: '' };
+    return {
+      state,
+      url: () => state.url,
+      waitForNetworkIdle: async () => {},
+      evaluate: async () => signals({ title: 'Site', mainText: state.served.text }),
+    };
+  };
+  const scheduler = {
+    goto: async (page, url) => {
+      visits.push(url);
+      const served = pages[new URL(url).pathname] ?? pages['*'];
+      page.state.served = served;
+      page.state.url = served.redirect ? `${ORIGIN}${served.redirect}` : url;
+      return { status: () => served.status };
+    },
+  };
+  return { newPage, scheduler, visits };
+}
+
+test('classifyPage flags HTTP errors, error wording and not-found lookalikes', () => {
+  assert.deepEqual(classifyPage({ status: 404, signals: signals() }), {
+    kind: 'http-error',
+    reason: 'http-status',
+    status: 404,
+  });
+  assert.equal(classifyPage({ status: 200, signals: signals() }).kind, 'ok');
+
+  const notFound = {
+    url: `${ORIGIN}/x`,
+    status: 200,
+    signals: signals({ mainText: notFoundText }),
+  };
+  // Wording counts once the page already resembles the not-found page.
+  const resembling = `${notFoundText} or try the search below`;
+  assert.equal(
+    classifyPage({
+      status: 200,
+      signals: signals({ title: 'Page Not Found | Example', mainText: resembling }),
+      notFound,
+    }).reason,
+    'not-found-text'
+  );
+  assert.equal(
+    classifyPage({
+      status: 200,
+      signals: signals({ bodyText: 'Something went wrong', bodyLength: 20, mainText: resembling }),
+      notFound,
+    }).kind,
+    'soft-error'
+  );
+  // Long pages are judged by title and heading only.
+  assert.equal(
+    classifyPage({
+      status: 200,
+      signals: signals({ bodyText: 'Internal server error guide', mainText: resembling }),
+      notFound,
+    }).kind,
+    'ok'
+  );
+  assert.deepEqual(
+    classifyPage({ status: 200, signals: signals({ mainText: notFoundText }), notFound }),
+    { kind: 'soft-404', reason: 'matches-not-found-page', status: 200, similarity: 1 }
+  );
+  assert.equal(classifyPage({ status: 200, signals: signals(), notFound }).kind, 'ok');
+});
+
+test('error wording alone does not make an ordinary page an error page', () => {
+  const cases = [
+    signals({ title: 'Fortune 500 customers trust us' }),
+    signals({ bodyText: 'Plans from $500 per month', bodyLength: 25 }),
+    signals({ h1: 'Blue widget - currently unavailable' }),
+    signals({ title: 'Page not found? Try our sitemap', bodyText: 'Something went wrong?' }),
+  ];
+  for (const pageSignals of cases) {
+    assert.equal(classifyPage({ status: 200, signals: pageSignals }).kind, 'ok');
+  }
+});
+
+test('textSimilarity compares word trigrams', () => {
+  assert.equal(textSimilarity('a b c d', 'a b c d'), 1);
+  assert.equal(textSimilarity('one two three', 'four five six'), 0);
+  const partial = textSimilarity('the quick brown fox jumps', 'the quick brown fox sleeps');
+  assert.ok(partial > 0.3 && partial < 0.8);
+});
+
+test('PageClassifier probes one random URL per origin and matches pages against it', async () => {
+  const site = fakeSite({
+    '/pricing': { status: 200, text: 'Plans for teams of every size' },
+    '/old-offer': { status: 200, text: notFoundText },
+    '/gone': { status: 410, text: 'Gone' },
+    '*': { status: 200, text: notFoundText },
+  });
+  const classifier = new PageClassifier({ scheduler: site.scheduler, log });
+
+  const [pricing, oldOffer] = await Promise.all([
+    classifier.classify(site.newPage(), `${ORIGIN}/pricing`),
+    classifier.classify(site.newPage(), `${ORIGIN}/old-offer`),
+  ]);
+  assert.equal(pricing.kind, 'ok');
+  assert.equal(oldOffer.reason, 'matches-not-found-page');
+  assert.equal((await classifier.classify(site.newPage(), `${ORIGIN}/gone`)).kind, 'http-error');
+
+  const probes = site.visits.filter((url) => url.startsWith(`${ORIGIN}/a11y-audit-pro-`));
+  assert.equal(probes.length, 1);
+});
+
+test('PageClassifier reports a host that keeps answering 503 as an HTTP error', async () => {
+  const scheduler = new RequestScheduler({ maxRetries: 0, log: { debug() {}, warn() {} } });
+  const page = {
+    url: () => `${ORIGIN}/busy`,
+    goto: async () => ({ status: () => 503, headers: () => ({ 'retry-after': '0' }) }),
+    waitForNetworkIdle: async () => {},
+    evaluate: async () => signals(),
+  };
+  const classifier = new PageClassifier({ scheduler, log, compareToNotFound: false });
+
+  await assert.rejects(scheduler.goto(page, `${ORIGIN}/busy`), RateLimitedError);
+  assert.deepEqual(await classifier.classify(page, `${ORIGIN}/busy`), {
+    kind: 'http-error',
+    reason: 'http-status',
+    status: 503,
+  });
+});
+
+test('PageClassifier does not compare against a random URL that redirects', async () => {
+  const site = fakeSite({
+    '/': { status: 200, text: 'Welcome home' },
+    '*': { status: 200, text: 'Welcome home', redirect: '/' },
+  });
+  const classifier = new PageClassifier({ scheduler: site.scheduler, log });
+  assert.equal((await classifier.classify(site.newPage(), `${ORIGIN}/`)).kind, 'ok');
+
+  const off = new PageClassifier({ scheduler: site.scheduler, log, compareToNotFound: false });
+  site.visits.length = 0;
+  await off.classify(site.newPage(), `${ORIGIN}/`);
+  assert.deepEqual(site.visits, [`${ORIGIN}/`]);
+});
+
+test('error pages are split from audited results and listed in the HTML report', () => {
+  const { audited, errorPages } = partitionErrorPages([
+    { url: `${ORIGIN}/a`, unifiedIssues: [] },
+    {
+      url: `${ORIGIN}/b?<x>`,
+      pageClass: {
+        kind: 'soft-404',
+        reason: 'matches-not-found-page',
+        status: 200,
+        similarity: 0.93,
+      },
+    },
+    { url: `${ORIGIN}/c`, pageClass: { kind: 'http-error', reason: 'http-status', status: 500 } },
+  ]);
+  assert.deepEqual(
+    audited.map((row) => row.url),
+    [`${ORIGIN}/a`]
+  );
+  assert.equal(
+    describeErrorPage(errorPages[0]),
+    "soft 404: 93% similar to the site's not-found page"
+  );
+  assert.equal(describeErrorPage(errorPages[1]), 'HTTP 500');
+
+  assert.equal(generateErrorPagesHtml([]), '');
+  const html = generateErrorPagesHtml(errorPages);
+  assert.match(html, /error and soft-404 pages \(2\)/);
+  assert.match(html, /\/b\?&lt;x&gt;/);
+});
+
+test('coercePageClassification reads string values from config files', () => {
+  assert.deepEqual(
+    coercePageClassification({
+      enabled: 'false',
+      compareToNotFound: 'true',
+      similarityThreshold: '0.8',
+    }),
+    { enabled: false, compareToNotFound: true, similarityThreshold: 0.8 }
+  );
+});
@@ -0,0 +1,160 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'node:os';
+import path from 'node:path';
+import { mkdtemp, rm } from 'node:fs/promises';
+
+import {
+  canReuseAxePage,
+  capturePageStructure,
+  derivePageStructure,
+} from '../services/audit/structure/pageStructure.js';
+import { pageStructureHtml } from '../utils/report/html/pageStructureSections.js';
+import { loadMergedConfig } from '../cli/configMerge.js';
+import { parseArgs } from '../cli/parseArgs.js';
+import { resolvePageCheckOptions } from '../services/audit/shared/pageCheckOptions.js';
+
+const log = { debug: () => {} };
+
+const tree = {
+  role: 'RootWebArea',
+  name: 'Checkout ',
+  children: [
+    {
+      role: 'banner',
+      name: '',
+      children: [
+        { role: 'navigation', name: 'Primary', children: [{ role: 'link', name: 'Home' }] },
+      ],
+    },
+    {
+      role: 'main',
+      name: '',
+      children: [
+        { role: 'heading', name: 'Checkout', level: 1 },
+        { role: 'heading', name: 'Delivery  address', level: 3 },
+        { role: 'region', name: '' },
+        {
+          role: 'form',
+          name: 'Payment',
+          children: [
+            { role: 'textbox', name: 'Card number', required: true },
+            { role: 'combobox', name: '' },
+            { role: 'button', name: 'Pay' },
+          ],
+        },
+        { role: 'heading', name: 'Summary', level: 2 },
+      ],
+    },
+    { role: 'contentinfo', name: '' },
+  ],
+};
+
+test('derivePageStructure builds the heading outline, landmark map and form-control names', () => {
+  const structure = derivePageStructure(tree);
+  assert.equal(structure.title, 'Checkout');
+  assert.equal(structure.nodes, 14);
+  assert.deepEqual(structure.headings, [
+    { level: 1, name: 'Checkout', skipped: false },
+    { level: 3, name: 'Delivery address', skipped: true },
+    { level: 2, name: 'Summary', skipped: false },
+  ]);
+  // The unnamed region is not a landmark; the named form is.
+  assert.deepEqual(
+    structure.landmarks.map((l) => [l.role, l.name, l.depth]),
+    [
+      ['banner', '', 0],
+      ['navigation', 'Primary', 1],
+      ['main', '', 0],
+      ['form', 'Payment', 1],
+      ['contentinfo', '', 0],
+    ]
+  );
+  assert.deepEqual(structure.formControls, [
+    { role: 'textbox', name: 'Card number', required: true },
+    { role: 'combobox', name: '', required: false },
+  ]);
+  assert.deepEqual(structure.counts, {
+    headings: 3,
+    landmarks: 5,
+    formControls: 2,
+    unnamedFormControls: 1,
+  });
+
+  assert.equal(derivePageStructure(null).nodes, 0);
+});
+
+test('capturePageStructure snapshots the loaded page without reloading it', async () => {
+  const calls = [];
+  const page = {
+    goto: async () => calls.push('goto'),
+    waitForNetworkIdle: async () => {},
+    content: async () => '<html></html>',
+    accessibility: {
+      snapshot: async (options) => {
+        calls.push(options);
+        return tree;
+      },
+    },
+  };
+
+  const captured = await capturePageStructure({
+    url: 'https://example.com/checkout',
+    page,
+    navigate: false,
+    log,
+  });
+  assert.deepEqual(calls, [{ interestingOnly: true, includeIframes: true }]);
+  assert.equal(captured.pageStructure.counts.headings, 3);
+  assert.equal(captured.pageStructure.tree, undefined);
+  assert.deepEqual(captured.issues, []);
+
+  const withTree = await capturePageStructure({
+    url: 'https://example.com/checkout',
+    page,
+    includeTree: true,
+    log,
+  });
+  assert.equal(calls[1], 'goto');
+  assert.equal(withTree.pageStructure.tree, tree);
+  assert.equal(withTree.pageHtml, '<html></html>');
+});
+
+test('the HTML report renders a collapsible page structure section', () => {
+  const html = pageStructureHtml(derivePageStructure(tree));
+  assert.match(html, /<details class="lh-page-structure">\s*<summary>Page structure/);
+  assert.match(html, /3 headings, 5 landmarks, 2 form controls, 1 unnamed/);
+  assert.match(
+    html,
+    /h3<\/span> Delivery address <span class="lh-structure-missing">\(skipped level\)/
+  );
+  assert.match(html, /combobox<\/span> <em class="lh-structure-missing">\(no accessible name\)/);
+  assert.equal(pageStructureHtml(null), '');
+  assert.match(pageStructureHtml(derivePageStructure({ role: 'RootWebArea' })), /No headings/);
+});
+
+test('the snapshot is off unless --page-structure turns it on', async () => {
+  const dir = await mkdtemp(path.join(os.tmpdir(), 'a11y-page-structure-test-'));
+  try {
+    const defaults = await loadMergedConfig(dir, parseArgs([]), 'https://example.com');
+    assert.deepEqual(defaults.pageStructure, { enabled: false, includeTree: false });
+    assert.equal(resolvePageCheckOptions({}).pageStructure.enabled, false);
+    const args = parseArgs(['--page-structure']);
+    const config = await loadMergedConfig(dir, args, 'https://example.com');
+    assert.equal(config.pageStructure.enabled, true);
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+});
+
+test('the tree is read from the axe page only when axe was the only run on it', () => {
+  const single = { selectedTools: ['axe'], errors: {}, viewports: [null], mediaModes: [] };
+  assert.equal(canReuseAxePage(single), true);
+  assert.equal(canReuseAxePage({ ...single, selectedTools: ['lighthouse'] }), false);
+  assert.equal(canReuseAxePage({ ...single, errors: { axe: { message: 'timeout' } } }), false);
+  assert.equal(
+    canReuseAxePage({ ...single, viewports: [{ name: 'desktop' }, { name: 'mobile' }] }),
+    false
+  );
+  assert.equal(canReuseAxePage({ ...single, mediaModes: [{ name: 'dark' }] }), false);
+});
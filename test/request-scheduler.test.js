@@ -0,0 +1,167 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { RequestScheduler, parseRetryAfter } from '../utils/RequestScheduler.js';
+import { parseRobotsTxt } from '../services/crawler/robots/robotsRules.js';
+
+const quietLog = { debug() {}, warn() {} };
+
+test('parseRetryAfter accepts delay seconds and HTTP dates', () => {
+  const now = Date.parse('2026-01-01T00:00:00Z');
+  assert.equal(parseRetryAfter('120', now), 120_000);
+  assert.equal(parseRetryAfter('Thu, 01 Jan 2026 00:00:30 GMT', now), 30_000);
+  assert.equal(parseRetryAfter('Wed, 31 Dec 2025 23:59:00 GMT', now), 0);
+  assert.equal(parseRetryAfter('soon', now), null);
+  assert.equal(parseRetryAfter(undefined, now), null);
+});
+
+test('parseRobotsTxt reads Crawl-delay from the matching user-agent group', () => {
+  const robots = parseRobotsTxt(
+    [
+      'User-agent: Googlebot',
+      'Crawl-delay: 30',
+      '',
+      'User-agent: *',
+      'Crawl-delay: 2',
+      'Disallow: /admin',
+    ].join('\n')
+  );
+  assert.equal(robots.crawlDelay, 2);
+  assert.deepEqual([...robots.disallowedPaths], ['/admin']);
+  assert.equal(parseRobotsTxt('User-agent: *\nDisallow:').crawlDelay, null);
+});
+
+test('run spaces request starts per host by maxRequestsPerSecond', async () => {
+  const scheduler = new RequestScheduler({ maxRequestsPerSecond: 5, log: quietLog });
+  const starts = [];
+
+  await Promise.all(
+    [1, 2, 3].map(() => scheduler.run('https://a.test/page', async () => starts.push(Date.now())))
+  );
+  const otherHostStart = Date.now();
+  await scheduler.run('https://b.test/', async () => {});
+
+  assert.ok(starts[1] - starts[0] >= 190, `second start only ${starts[1] - starts[0]}ms later`);
+  assert.ok(starts[2] - starts[1] >= 190, `third start only ${starts[2] - starts[1]}ms later`);
+  assert.ok(Date.now() - otherHostStart < 150, 'other hosts are not delayed');
+});
+
+test('Crawl-delay widens the spacing unless disabled', async () => {
+  const scheduler = new RequestScheduler({ log: quietLog });
+  scheduler.setCrawlDelay('https://a.test', 0.05);
+
+  const t0 = Date.now();
+  await scheduler.run('https://a.test/one', async () => {});
+  await scheduler.run('https://a.test/two', async () => {});
+  assert.ok(Date.now() - t0 >= 45);
+
+  const ignoring = new RequestScheduler({ respectCrawlDelay: false, log: quietLog });
+  ignoring.setCrawlDelay('https://a.test', 5);
+  const t1 = Date.now();
+  await ignoring.run('https://a.test/one', async () => {});
+  await ignoring.run('https://a.test/two', async () => {});
+  assert.ok(Date.now() - t1 < 1000);
+});
+
+test('run caps in-flight requests per host', async () => {
+  const scheduler = new RequestScheduler({ maxConcurrentPerHost: 2, log: quietLog });
+  let inFlight = 0;
+  let peak = 0;
+
+  await Promise.all(
+    Array.from({ length: 5 }, () =>
+      scheduler.run('https://a.test/', async () => {
+        inFlight++;
+        peak = Math.max(peak, inFlight);
+        await new Promise((resolve) => setTimeout(resolve, 10));
+        inFlight--;
+      })
+    )
+  );
+
+  assert.equal(peak, 2);
+});
+
+test('noteResponse backs off on 429/503 and resets after a success', () => {
+  const scheduler = new RequestScheduler({ maxBackoffMs: 5000, log: quietLog });
+
+  assert.equal(scheduler.noteResponse('https://a.test/', 429, '2'), 2000);
+  assert.equal(scheduler.noteResponse('https://a.test/', 503, null), 2000);
+  assert.equal(scheduler.noteResponse('https://a.test/', 503, null), 4000);
+  assert.equal(scheduler.noteResponse('https://a.test/', 503, '3600'), 5000);
+  assert.equal(scheduler.noteResponse('https://a.test/', 200, null), 0);
+  assert.equal(scheduler.noteResponse('https://a.test/', 429, null), 1000);
+});
+
+test('goto retries after a 429 and waits out Retry-After', async () => {
+  const scheduler = new RequestScheduler({ log: quietLog });
+  const statuses = [429, 200];
+  const visits = [];
+  const page = {
+    goto: async (url) => {
+      visits.push(Date.now());
+      const status = statuses.shift();
+      return { status: () => status, headers: () => ({ 'retry-after': '0' }), url };
+    },
+  };
+
+  const response = await scheduler.goto(page, 'https://a.test/', {});
+  assert.equal(response.status(), 200);
+  assert.equal(visits.length, 2);
+});
+
+test('goto gives up after maxRetries rate-limited attempts', async () => {
+  const scheduler = new RequestScheduler({ maxRetries: 1, maxBackoffMs: 10, log: quietLog });
+  const page = { goto: async () => ({ status: () => 503, headers: () => ({}) }) };
+
+  await assert.rejects(
+    scheduler.goto(page, 'https://a.test/busy', {}),
+    /a\.test kept answering HTTP 503 for https:\/\/a\.test\/busy after 2 attempt\(s\)/
+  );
+});
+
+test('a rate-limited HTTP request backs off on its own without pausing page loads', async () => {
+  const scheduler = new RequestScheduler({ maxRetries: 1, maxBackoffMs: 50, log: quietLog });
+  const busy = async () => ({ status: 503, headers: new Headers({ 'retry-after': '3600' }) });
+
+  const startedAt = Date.now();
+  await assert.rejects(scheduler.fetch('https://a.test/dead-link', busy), /after 2 attempt\(s\)/);
+  assert.ok(Date.now() - startedAt >= 45, 'the request waits out its own capped backoff');
+
+  const visits = [];
+  const page = {
+    goto: async (url) => {
+      visits.push(Date.now());
+      return { status: () => 200, headers: () => ({}), url };
+    },
+  };
+  const before = Date.now();
+  await scheduler.goto(page, 'https://a.test/', {});
+  assert.equal(visits.length, 1);
+  assert.ok(visits[0] - before < 40, 'page loads on the host are not paused');
+});
+
+test('page loads and HTTP requests carry the robots.txt token in their User-Agent', async () => {
+  const scheduler = new RequestScheduler({ userAgentToken: 'acme-a11y', log: quietLog });
+  const agents = [];
+  const page = {
+    browser: () => ({ userAgent: async () => 'Mozilla/5.0 HeadlessChrome/130.0' }),
+    setUserAgent: async ({ userAgent }) => agents.push(userAgent),
+    goto: async (url) => ({ status: () => 200, headers: () => ({}), url }),
+  };
+
+  await scheduler.goto(page, 'https://a.test/', {});
+  await scheduler.goto(page, 'https://a.test/about', {});
+  assert.deepEqual(agents, ['Mozilla/5.0 HeadlessChrome/130.0 acme-a11y']);
+
+  assert.equal(
+    scheduler.userAgent('A11Y-Audit-Pro/2.0 Link Checker'),
+    'A11Y-Audit-Pro/2.0 Link Checker acme-a11y'
+  );
+  const named = new RequestScheduler({ userAgentToken: 'a11y-audit-pro' });
+  assert.equal(
+    named.userAgent('A11Y-Audit-Pro/2.0 Link Checker'),
+    'A11Y-Audit-Pro/2.0 Link Checker'
+  );
+  assert.equal(new RequestScheduler().userAgent('Sitemap Parser'), 'Sitemap Parser');
+});
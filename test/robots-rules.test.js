@@ -0,0 +1,149 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { isPathAllowed, parseRobotsTxt } from '../services/crawler/robots/robotsRules.js';
+import { isDisallowed } from '../services/crawler/filters/urlFilters.js';
+import { loadRobotsTxt } from '../services/crawler/robots/loadRobotsTxt.js';
+
+/**
+ * Fake browser whose pages answer robots.txt with `answer` (a status, or an Error to throw).
+ */
+function robotsBrowser(answer) {
+  return {
+    newPage: async () => ({
+      goto: async () => {
+        if (answer instanceof Error) throw answer;
+        return {
+          status: () => answer,
+          ok: () => answer >= 200 && answer < 300,
+          text: async () => ROBOTS,
+        };
+      },
+      close: async () => {},
+    }),
+  };
+}
+
+async function loadWith(answer) {
+  const warnings = [];
+  const robots = await loadRobotsTxt(robotsBrowser(answer), 'https://example.com', {
+    debug() {},
+    warn: (message) => warnings.push(message),
+  });
+  return { robots, warnings };
+}
+
+const ROBOTS = `
+# Global rules
+User-agent: *
+Disallow: /private
+Allow: /private/press
+Crawl-delay: 1
+
+User-agent: Googlebot
+User-agent: A11y-Audit-Pro/2.0
+Disallow: /drafts/
+Allow: /drafts/published$
+
+Sitemap: https://example.com/sitemap.xml
+`;
+
+test('parseRobotsTxt obeys the groups naming the user-agent, case-insensitively', () => {
+  const robots = parseRobotsTxt(ROBOTS, 'a11y-audit-pro');
+
+  assert.deepEqual(robots.rules, [
+    { allow: false, path: '/drafts/' },
+    { allow: true, path: '/drafts/published$' },
+  ]);
+  assert.deepEqual([...robots.disallowedPaths], ['/drafts/']);
+  assert.equal(robots.crawlDelay, null);
+  assert.deepEqual([...robots.sitemapUrls], ['https://example.com/sitemap.xml']);
+});
+
+test('parseRobotsTxt falls back to the * groups for other user-agents', () => {
+  const robots = parseRobotsTxt(ROBOTS, 'my-crawler');
+
+  assert.deepEqual(robots.rules, [
+    { allow: false, path: '/private' },
+    { allow: true, path: '/private/press' },
+  ]);
+  assert.equal(robots.crawlDelay, 1);
+});
+
+test('parseRobotsTxt combines repeated groups and ignores rules outside a group', () => {
+  const robots = parseRobotsTxt(
+    [
+      'Disallow: /orphan',
+      'User-agent: *',
+      'Disallow: /a',
+      'User-agent: other',
+      'Disallow: /b',
+      'User-agent: *',
+      'Disallow: /c',
+    ].join('\n')
+  );
+
+  assert.deepEqual(
+    robots.rules.map((rule) => rule.path),
+    ['/a', '/c']
+  );
+});
+
+test('parseRobotsTxt percent-encodes non-ASCII rule paths', () => {
+  const robots = parseRobotsTxt('User-agent: *\nDisallow: /café');
+  assert.equal(robots.rules[0].path, '/caf%C3%A9');
+  assert.equal(isDisallowed('https://example.com/café/menu', robots.rules), true);
+});
+
+test('isPathAllowed applies the longest match, with Allow winning ties', () => {
+  const rules = [
+    { allow: false, path: '/private' },
+    { allow: true, path: '/private/press' },
+    { allow: false, path: '/page' },
+    { allow: true, path: '/page' },
+  ];
+
+  assert.equal(isPathAllowed('/private/team', rules), false);
+  assert.equal(isPathAllowed('/private/press/2024', rules), true);
+  assert.equal(isPathAllowed('/page', rules), true);
+  assert.equal(isPathAllowed('/public', rules), true);
+});
+
+test('isPathAllowed supports * wildcards and $ anchors', () => {
+  const rules = [
+    { allow: false, path: '/*.pdf$' },
+    { allow: false, path: '/search*q=' },
+    { allow: true, path: '/drafts/published$' },
+    { allow: false, path: '/drafts/' },
+  ];
+
+  assert.equal(isPathAllowed('/files/report.pdf', rules), false);
+  assert.equal(isPathAllowed('/files/report.pdf?download=1', rules), true);
+  assert.equal(isPathAllowed('/search/results?q=shoes', rules), false);
+  assert.equal(isPathAllowed('/drafts/published', rules), true);
+  assert.equal(isPathAllowed('/drafts/published/old', rules), false);
+});
+
+test('robots.txt itself is always allowed', () => {
+  assert.equal(isPathAllowed('/robots.txt', [{ allow: false, path: '/' }]), true);
+});
+
+test('loadRobotsTxt allows everything when robots.txt is missing (4xx)', async () => {
+  const { robots, warnings } = await loadWith(404);
+  assert.deepEqual(robots.rules, []);
+  assert.equal(isDisallowed('https://example.com/private', robots.rules), false);
+  assert.deepEqual(warnings, []);
+
+  const { robots: parsed } = await loadWith(200);
+  assert.equal(isDisallowed('https://example.com/drafts/x', parsed.rules), true);
+});
+
+test('loadRobotsTxt disallows the origin when robots.txt is unreachable (5xx, 429, errors)', async () => {
+  for (const answer of [503, 500, 429, new Error('net::ERR_CONNECTION_REFUSED')]) {
+    const { robots, warnings } = await loadWith(answer);
+    assert.equal(isDisallowed('https://example.com/', robots.rules), true);
+    assert.equal(isDisallowed('https://example.com/about', robots.rules), true);
+    assert.equal(warnings.length, 1);
+    assert.match(warnings[0], /unreachable .*whole origin as disallowed/);
+  }
+});
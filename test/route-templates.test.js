@@ -0,0 +1,141 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  RouteTemplateClusterer,
+  isIdLikeSegment,
+  signatureSimilarity,
+} from '../services/crawler/templates/routeTemplates.js';
+import { extrapolateTemplateFindings } from '../utils/report/shared/templateExtrapolation.js';
+
+test('isIdLikeSegment recognises numeric, uuid, hash and numbered-slug segments', () => {
+  assert.equal(isIdLikeSegment('12345'), true);
+  assert.equal(isIdLikeSegment('3f2504e0-4f89-11d3-9a0c-0305e82c3301'), true);
+  assert.equal(isIdLikeSegment('a1b2c3d4e5f6a7b8'), true);
+  assert.equal(isIdLikeSegment('blue-running-shoe-4821'), true);
+  assert.equal(isIdLikeSegment('about'), false);
+  assert.equal(isIdLikeSegment('products'), false);
+});
+
+test('patternFor generalises ID segments and slugs once siblings pass the threshold', () => {
+  const clusterer = new RouteTemplateClusterer({ siblingThreshold: 3 });
+  assert.equal(clusterer.patternFor('https://example.com/product/123'), '/product/:id');
+  assert.equal(clusterer.patternFor('https://example.com/blog/hello'), '/blog/hello');
+
+  for (const slug of ['hello', 'world', 'again']) {
+    clusterer.observe(`https://example.com/blog/${slug}`);
+  }
+  assert.equal(clusterer.patternFor('https://example.com/blog/hello'), '/blog/:slug');
+  assert.equal(clusterer.patternFor('https://example.com/'), '/');
+});
+
+test('claimSample caps samples per template and records the rest as represented', () => {
+  const clusterer = new RouteTemplateClusterer({ samplesPerTemplate: 2 });
+  const claims = [1, 2, 3, 4].map((id) => clusterer.claimSample(`https://example.com/product/${id}`));
+  assert.deepEqual(claims, [true, true, false, false]);
+  assert.equal(clusterer.claimSample('https://example.com/product/1'), true);
+  assert.equal(clusterer.claimSample('https://example.com/about'), true);
+
+  const [, product] = clusterer.summary();
+  assert.equal(product.pattern, '/product/:id');
+  assert.deepEqual(product.sampledUrls, ['https://example.com/product/1', 'https://example.com/product/2']);
+  assert.deepEqual(product.representedUrls, [
+    'https://example.com/product/3',
+    'https://example.com/product/4',
+  ]);
+});
+
+test('hasSampleSlot leaves the slot to pages that actually load', () => {
+  const clusterer = new RouteTemplateClusterer({ samplesPerTemplate: 1, siblingThreshold: 2 });
+  // An unreachable or duplicate page is checked but never recorded.
+  assert.equal(clusterer.hasSampleSlot('https://example.com/product/1'), true);
+  assert.equal(clusterer.hasSampleSlot('https://example.com/product/2'), true);
+  clusterer.recordPage('https://example.com/product/2', []);
+  assert.equal(clusterer.hasSampleSlot('https://example.com/product/2'), true);
+  assert.equal(clusterer.hasSampleSlot('https://example.com/product/3'), false);
+
+  const [product] = clusterer.summary(['https://example.com/product/2']);
+  assert.deepEqual(product.sampledUrls, ['https://example.com/product/2']);
+  assert.deepEqual(product.representedUrls, ['https://example.com/product/3']);
+
+  // Crossing the sibling threshold between check and visit files the page once.
+  clusterer.hasSampleSlot('https://example.com/blog/first');
+  clusterer.observe('https://example.com/blog/second');
+  clusterer.recordPage('https://example.com/blog/first', []);
+  const blog = clusterer.summary().find((template) => template.pattern === '/blog/:slug');
+  assert.deepEqual(blog.sampledUrls, ['https://example.com/blog/first']);
+});
+
+test('a distinct DOM layout under the same pattern widens the sample budget', () => {
+  const clusterer = new RouteTemplateClusterer({ samplesPerTemplate: 2, similarityThreshold: 0.8 });
+  assert.equal(clusterer.claimSample('https://example.com/item/1'), true);
+  assert.equal(clusterer.claimSample('https://example.com/item/2'), true);
+  clusterer.recordPage('https://example.com/item/1', ['main', 'main>h1', 'main>form']);
+  clusterer.recordPage('https://example.com/item/2', ['main', 'main>h1', 'main>form']);
+  assert.equal(clusterer.claimSample('https://example.com/item/3'), false);
+
+  clusterer.recordPage('https://example.com/item/2', ['main', 'main>table', 'main>table>tr']);
+  assert.equal(clusterer.claimSample('https://example.com/item/4'), true);
+  assert.equal(clusterer.summary()[0].domVariants, 2);
+});
+
+test('summary treats sampled URLs that were never audited as represented', () => {
+  const clusterer = new RouteTemplateClusterer({ samplesPerTemplate: 3 });
+  clusterer.claimSample('https://example.com/product/1');
+  clusterer.claimSample('https://example.com/product/2');
+
+  const [product] = clusterer.summary(['https://example.com/product/1']);
+  assert.deepEqual(product.sampledUrls, ['https://example.com/product/1']);
+  assert.deepEqual(product.representedUrls, ['https://example.com/product/2']);
+});
+
+test('clusterer state survives a checkpoint round-trip', () => {
+  const clusterer = new RouteTemplateClusterer({ samplesPerTemplate: 1 });
+  clusterer.claimSample('https://example.com/product/1');
+
+  const restored = new RouteTemplateClusterer({ samplesPerTemplate: 1 });
+  restored.restore(JSON.parse(JSON.stringify(clusterer.toJSON())));
+  assert.equal(restored.claimSample('https://example.com/product/2'), false);
+});
+
+test('signatureSimilarity is a Jaccard index over tag paths', () => {
+  assert.equal(signatureSimilarity(['a', 'b'], ['a', 'b']), 1);
+  assert.equal(signatureSimilarity(['a', 'b'], ['b', 'c']), 1 / 3);
+});
+
+test('extrapolateTemplateFindings scales sampled rule prevalence to represented pages', () => {
+  const templates = [
+    {
+      id: 'tpl-1',
+      pattern: '/product/:id',
+      domVariants: 1,
+      sampledUrls: ['https://example.com/product/1', 'https://example.com/product/2'],
+      representedUrls: Array.from({ length: 8 }, (_, i) => `https://example.com/product/${i + 3}`),
+    },
+  ];
+  const contrastIssue = (url) => ({
+    tool: 'axe',
+    url,
+    message: 'Elements must meet minimum color contrast ratio thresholds',
+    severityLabel: 'serious',
+    wcagCriteria: [{ id: '1.4.3' }],
+    engineMeta: { ruleId: 'color-contrast' },
+  });
+  const results = [
+    {
+      url: 'https://example.com/product/1',
+      totalIssues: 3,
+      unifiedIssues: [contrastIssue('https://example.com/product/1')],
+    },
+    { url: 'https://example.com/product/2', totalIssues: 1, unifiedIssues: [] },
+  ];
+
+  const [template] = extrapolateTemplateFindings(templates, results);
+  assert.equal(template.pageCount, 10);
+  assert.equal(template.auditedSamples, 2);
+  assert.equal(template.avgIssuesPerPage, 2);
+  assert.equal(template.estimatedTotalIssues, 20);
+  assert.equal(template.findings[0].ruleKey, 'axe:color-contrast');
+  assert.equal(template.findings[0].prevalence, 0.5);
+  assert.equal(template.findings[0].estimatedPages, 5);
+});
@@ -0,0 +1,103 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { RunBudget, parseDuration } from '../utils/RunBudget.js';
+import { CrawlerService } from '../services/CrawlerService.js';
+import { generateUnauditedRoutesHtml } from '../utils/report/html/crawlSections.js';
+
+test('parseDuration accepts unit suffixes, combinations and bare seconds', () => {
+  assert.equal(parseDuration('20m'), 1_200_000);
+  assert.equal(parseDuration('90s'), 90_000);
+  assert.equal(parseDuration('1h30m'), 5_400_000);
+  assert.equal(parseDuration('1.5m'), 90_000);
+  assert.equal(parseDuration(45), 45_000);
+  assert.throws(() => parseDuration('soon'), /Invalid --max-duration "soon"/);
+  assert.throws(() => parseDuration('0m'), /Invalid --max-duration/);
+});
+
+test('RunBudget splits the budget between discovery, audits and a report reserve', () => {
+  const budget = new RunBudget({ maxDurationMs: 1_200_000, now: () => 1_000 });
+  assert.equal(budget.discoveryDeadline, 1_000 + 360_000);
+  assert.equal(budget.reportReserveMs, 60_000);
+  assert.equal(budget.auditDeadline, 1_000 + 1_140_000);
+
+  const short = new RunBudget({ maxDurationMs: 100_000, discoveryShare: 0.5, now: () => 0 });
+  assert.equal(short.discoveryDeadline, 50_000);
+  assert.equal(short.reportReserveMs, 10_000);
+});
+
+test('RunBudget stops starting audits that would not finish before the audit deadline', () => {
+  let clock = 0;
+  const budget = new RunBudget({ maxDurationMs: 100_000, now: () => clock });
+
+  clock = 80_000;
+  assert.equal(budget.canStartAudit(), true);
+
+  budget.recordAudit(8_000);
+  budget.recordAudit(12_000);
+  clock = 81_000;
+  assert.equal(budget.canStartAudit(), false);
+  clock = 70_000;
+  assert.equal(budget.canStartAudit(), true);
+
+  clock = 95_000;
+  assert.deepEqual(budget.toJSON(), {
+    maxDurationMs: 100_000,
+    discoveryShare: 0.3,
+    reportReserveMs: 10_000,
+    elapsedMs: 95_000,
+  });
+});
+
+test('the HTML report lists routes the time budget left unaudited', () => {
+  assert.equal(generateUnauditedRoutesHtml(null), '');
+  assert.equal(generateUnauditedRoutesHtml({ maxDurationMs: 1_200_000, unauditedRoutes: [] }), '');
+
+  const html = generateUnauditedRoutesHtml({
+    maxDurationMs: 1_200_000,
+    unauditedRoutes: ['https://example.com/a?x=<1>'],
+  });
+  assert.match(html, /20-minute time budget ran out \(1\)/);
+  assert.match(html, /https:\/\/example\.com\/a\?x=&lt;1&gt;/);
+});
+
+test('a crawl stopped at its deadline reports the queued routes it would still have visited', async () => {
+  const origin = 'https://example.com';
+  const page = {
+    setCacheEnabled: async () => {},
+    setViewport: async () => {},
+    close: async () => {},
+  };
+  const crawler = new CrawlerService(`${origin}/`, {
+    limit: 10,
+    deadline: Date.now() - 1,
+    config: {
+      respectRobotsTxt: false,
+      detectSpaRoutes: false,
+      followNavigation: false,
+      discoverCommonPaths: false,
+      excludePatterns: ['**/private/**'],
+    },
+  });
+  crawler.prepareOrigin = async () =>
+    new Set([`${origin}/pricing`, `${origin}/private/admin`, 'https://other.example.org/']);
+
+  const routes = await crawler.discoverRoutes({ browser: { newPage: async () => page } });
+  assert.deepEqual(routes, []);
+  assert.equal(crawler.stoppedAtDeadline, true);
+  assert.equal(crawler.crawlComplete, false);
+  assert.deepEqual(crawler.unvisitedRoutes, [`${origin}/`, `${origin}/pricing`]);
+});
+
+test('past its deadline the crawl skips robots.txt and sitemap loading', async () => {
+  const crawler = new CrawlerService('https://example.com/', { deadline: Date.now() - 1 });
+  const browser = {
+    newPage: async () => {
+      throw new Error('no page should be opened');
+    },
+  };
+  const found = await crawler.prepareOrigin(browser, 'https://example.com');
+  assert.equal(found.size, 0);
+  assert.equal(crawler.preparedOrigins.size, 0);
+  assert.equal(crawler.robotsRulesByOrigin.size, 0);
+});
@@ -0,0 +1,161 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { gzipSync } from 'node:zlib';
+
+import {
+  decodeSitemapBody,
+  orderSitemapEntries,
+  parseChangedSince,
+  parseSitemapContent,
+} from '../services/crawler/sitemap/sitemapEntries.js';
+import { loadSitemap } from '../services/crawler/sitemap/loadSitemap.js';
+
+const ORIGIN = 'https://example.com';
+const log = { debug: () => {} };
+
+const urlset = (entries) =>
+  `<?xml version="1.0"?><urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">${entries
+    .map(
+      ([loc, lastmod, priority]) =>
+        `<url><loc>${loc}</loc>${lastmod ? `<lastmod>${lastmod}</lastmod>` : ''}${
+          priority ? `<priority>${priority}</priority>` : ''
+        }</url>`
+    )
+    .join('')}</urlset>`;
+
+/** Serve `files` (path -> body) from a stubbed global fetch for the duration of `fn`. */
+async function withSitemapServer(files, fn) {
+  const original = globalThis.fetch;
+  const requested = [];
+  globalThis.fetch = async (url) => {
+    requested.push(url);
+    const body = files[new URL(url).pathname];
+    const headers = new Headers({ 'content-type': 'application/octet-stream' });
+    return {
+      ok: body !== undefined,
+      status: body === undefined ? 404 : 200,
+      url,
+      headers,
+      arrayBuffer: async () => (typeof body === 'string' ? new TextEncoder().encode(body) : body),
+    };
+  };
+  try {
+    return await fn(requested);
+  } finally {
+    globalThis.fetch = original;
+  }
+}
+
+test('parseSitemapContent reads lastmod and priority, and plain-text sitemaps', () => {
+  const xml = urlset([
+    [`${ORIGIN}/a?x=1&amp;y=2`, '2024-05-01', '0.8'],
+    [`${ORIGIN}/b`, 'not a date', null],
+  ]);
+  assert.deepEqual(parseSitemapContent(xml), {
+    kind: 'urlset',
+    entries: [
+      { loc: `${ORIGIN}/a?x=1&y=2`, lastmod: Date.parse('2024-05-01'), priority: 0.8 },
+      { loc: `${ORIGIN}/b`, lastmod: null, priority: null },
+    ],
+  });
+
+  const text = `${ORIGIN}/a\r\n\n# comment\n${ORIGIN}/b\n`;
+  assert.equal(parseSitemapContent(text).kind, null);
+  assert.deepEqual(
+    parseSitemapContent(text, { url: `${ORIGIN}/sitemap.txt` }).entries.map((e) => e.loc),
+    [`${ORIGIN}/a`, `${ORIGIN}/b`]
+  );
+  assert.equal(parseSitemapContent(text, { contentType: 'text/plain' }).kind, 'text');
+  assert.equal(parseSitemapContent('<html><body>Not found</body></html>').kind, null);
+});
+
+test('decodeSitemapBody gunzips compressed sitemaps and passes plain bodies through', () => {
+  const xml = urlset([[`${ORIGIN}/a`]]);
+  assert.equal(decodeSitemapBody(gzipSync(xml)), xml);
+  assert.equal(decodeSitemapBody(new TextEncoder().encode(xml)), xml);
+});
+
+test('parseChangedSince accepts ISO dates and relative ages', () => {
+  const now = new Date('2024-05-10T12:00:00Z');
+  assert.equal(parseChangedSince('2024-05-01', now).toISOString(), '2024-05-01T00:00:00.000Z');
+  assert.equal(parseChangedSince('7d', now).toISOString(), '2024-05-03T12:00:00.000Z');
+  assert.equal(parseChangedSince('24h', now).toISOString(), '2024-05-09T12:00:00.000Z');
+  assert.throws(() => parseChangedSince('last week', now), /Invalid --changed-since "last week"/);
+  assert.throws(() => parseChangedSince('2024-13-45', now), /Invalid --changed-since/);
+});
+
+test('orderSitemapEntries sorts by priority then lastmod and filters by changedSince', () => {
+  const entries = [
+    { loc: 'old', lastmod: Date.parse('2024-01-01'), priority: null },
+    { loc: 'undated', lastmod: null, priority: null },
+    { loc: 'new', lastmod: Date.parse('2024-05-01'), priority: null },
+    { loc: 'home', lastmod: Date.parse('2023-01-01'), priority: 1 },
+  ];
+  assert.deepEqual(
+    orderSitemapEntries(entries).map((e) => e.loc),
+    ['home', 'new', 'old', 'undated']
+  );
+  assert.deepEqual(
+    orderSitemapEntries(entries, { changedSince: new Date('2024-01-01') }).map((e) => e.loc),
+    ['new', 'old']
+  );
+});
+
+test('loadSitemap follows gzipped indexes, skips unchanged children and orders URLs', async () => {
+  const files = {
+    '/sitemap.xml': `<sitemapindex>
+      <sitemap><loc>${ORIGIN}/pages.xml.gz</loc><lastmod>2024-05-02</lastmod></sitemap>
+      <sitemap><loc>${ORIGIN}/archive.xml</loc><lastmod>2020-01-01</lastmod></sitemap>
+    </sitemapindex>`,
+    '/pages.xml.gz': gzipSync(
+      urlset([
+        [`${ORIGIN}/about`, '2024-04-01', '0.3'],
+        [`${ORIGIN}/pricing`, '2024-05-02', '0.9'],
+        [`${ORIGIN}/blog`, '2024-05-01', null],
+        [`${ORIGIN}/legal`, null, null],
+      ])
+    ),
+    '/archive.xml': urlset([[`${ORIGIN}/2019/post`, '2019-06-01']]),
+  };
+
+  await withSitemapServer(files, async (requested) => {
+    const all = await loadSitemap({ baseOrigin: ORIGIN, log });
+    assert.deepEqual(Array.from(all), [
+      `${ORIGIN}/pricing`,
+      `${ORIGIN}/blog`,
+      `${ORIGIN}/2019/post`,
+      `${ORIGIN}/legal`,
+      `${ORIGIN}/about`,
+    ]);
+
+    requested.length = 0;
+    const changed = await loadSitemap({
+      baseOrigin: ORIGIN,
+      log,
+      changedSince: new Date('2024-04-15'),
+    });
+    assert.deepEqual(Array.from(changed), [`${ORIGIN}/pricing`, `${ORIGIN}/blog`]);
+    assert.ok(!requested.includes(`${ORIGIN}/archive.xml`));
+  });
+});
+
+test('loadSitemap reads every sitemap before ordering, up to its URL cap', async () => {
+  const files = {
+    '/sitemap.xml': urlset([
+      [`${ORIGIN}/tag/a`, null, '0.1'],
+      [`${ORIGIN}/tag/b`, null, '0.1'],
+      [`${ORIGIN}/tag/c`, null, '0.1'],
+    ]),
+    '/sitemaps.xml': urlset([[`${ORIGIN}/`, null, '1.0']]),
+  };
+
+  await withSitemapServer(files, async () => {
+    // The home page is in the last sitemap read, yet still ordered first.
+    const all = await loadSitemap({ baseOrigin: ORIGIN, log });
+    assert.equal(all.size, 4);
+    assert.equal(Array.from(all)[0], `${ORIGIN}/`);
+
+    const capped = await loadSitemap({ baseOrigin: ORIGIN, maxUrls: 2, log });
+    assert.deepEqual(Array.from(capped), [`${ORIGIN}/tag/a`, `${ORIGIN}/tag/b`]);
+  });
+});
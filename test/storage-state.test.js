@@ -0,0 +1,215 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'node:os';
+import path from 'node:path';
+import { mkdtemp, writeFile, rm, stat } from 'node:fs/promises';
+
+import { applyAuthentication } from '../services/audit/auth/applyAuth.js';
+import { writeAuthStateFile } from '../cli/saveAuthState.js';
+import {
+  captureStorageState,
+  loadStorageState,
+  parseStorageState,
+} from '../services/audit/auth/storageState.js';
+import { buildToolAuthOptions } from '../services/audit/auth/toolAuthOptions.js';
+import { parseAuthConfig } from '../cli/configMerge.js';
+
+const log = { debug: () => {}, warn: () => {} };
+
+const state = {
+  cookies: [{ name: 'sid', value: 'abc', domain: 'app.example.com', path: '/' }],
+  origins: [
+    {
+      origin: 'https://app.example.com',
+      localStorage: [{ name: 'token', value: 'jwt-1' }],
+      sessionStorage: [{ name: 'tab', value: 'orders' }],
+    },
+  ],
+};
+
+async function withStateFile(contents, fn) {
+  const dir = await mkdtemp(path.join(os.tmpdir(), 'a11y-storage-state-test-'));
+  try {
+    const file = path.join(dir, 'auth-state.json');
+    await writeFile(file, JSON.stringify(contents));
+    return await fn(file);
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+}
+
+/** Minimal Web Storage double. */
+function fakeStorage(initial = {}) {
+  const items = new Map(Object.entries(initial));
+  return {
+    items,
+    get length() {
+      return items.size;
+    },
+    key: (i) => [...items.keys()][i],
+    getItem: (name) => (items.has(name) ? items.get(name) : null),
+    setItem: (name, value) => items.set(name, String(value)),
+  };
+}
+
+/** Run an `evaluateOnNewDocument` script as if a document at `origin` were loading. */
+function runInDocument(script, args, origin, storages) {
+  const saved = {};
+  const globals = { location: { origin }, ...storages };
+  for (const [key, value] of Object.entries(globals)) {
+    saved[key] = Object.getOwnPropertyDescriptor(globalThis, key);
+    Object.defineProperty(globalThis, key, { value, configurable: true, writable: true });
+  }
+  try {
+    script(args);
+  } finally {
+    for (const key of Object.keys(globals)) {
+      if (saved[key]) Object.defineProperty(globalThis, key, saved[key]);
+      else delete globalThis[key];
+    }
+  }
+}
+
+test('parseStorageState validates origins and storage entries', () => {
+  assert.deepEqual(parseStorageState({ cookies: [] }), { cookies: [], origins: [] });
+  assert.equal(
+    parseStorageState({ origins: [{ origin: 'https://app.example.com/path' }] }).origins[0].origin,
+    'https://app.example.com'
+  );
+  assert.throws(() => parseStorageState([]), /must be a JSON object/);
+  assert.throws(
+    () => parseStorageState({ origins: [{ origin: 'app' }] }),
+    /origins\[0\] requires an "origin"/
+  );
+  assert.throws(
+    () =>
+      parseStorageState({ origins: [{ origin: 'https://a.test', localStorage: [{ name: 1 }] }] }),
+    /localStorage\[0\] requires "name" and "value" strings/
+  );
+});
+
+test('loadStorageState explains how to capture a missing file', async () => {
+  await assert.rejects(
+    loadStorageState('/nonexistent/auth-state.json'),
+    /Cannot read storage state \/nonexistent\/auth-state\.json.*--save-auth-state/
+  );
+});
+
+test('storage-state auth seeds cookies and web storage into pages and Pa11y options', async () => {
+  await withStateFile(state, async (file) => {
+    const auth = { type: 'storage-state', storageState: file };
+    const calls = { cookies: [], scripts: [] };
+    const page = {
+      setCookie: async (...cookies) => calls.cookies.push(...cookies),
+      evaluateOnNewDocument: async (script, args) => calls.scripts.push({ script, args }),
+    };
+
+    await applyAuthentication(page, auth, 'https://app.example.com/', log);
+    assert.deepEqual(
+      calls.cookies.map((c) => c.name),
+      ['sid']
+    );
+
+    // The app has rotated its token since the state was saved: keep the new one.
+    const localStorage = fakeStorage({ token: 'jwt-2' });
+    const sessionStorage = fakeStorage();
+    const [{ script, args }] = calls.scripts;
+    runInDocument(script, args, 'https://app.example.com', { localStorage, sessionStorage });
+    assert.equal(localStorage.getItem('token'), 'jwt-2');
+    assert.equal(sessionStorage.getItem('tab'), 'orders');
+
+    const otherOrigin = fakeStorage();
+    runInDocument(script, args, 'https://cdn.example.net', {
+      localStorage: otherOrigin,
+      sessionStorage: fakeStorage(),
+    });
+    assert.equal(otherOrigin.length, 0);
+
+    const toolAuth = buildToolAuthOptions(auth, 'https://app.example.com/');
+    assert.deepEqual(
+      toolAuth.cookies.map((c) => c.value),
+      ['abc']
+    );
+    const pa11yPage = { evaluateOnNewDocument: async (s, a) => calls.scripts.push({ s, a }) };
+    await toolAuth.preparePage(pa11yPage);
+    assert.equal(calls.scripts.length, 2);
+  });
+});
+
+test('captureStorageState records cookies and the storage of each visited origin', async () => {
+  const documents = {
+    'https://sso.example.com/done': { origin: 'https://sso.example.com', local: {}, session: {} },
+    'https://app.example.com/': {
+      origin: 'https://app.example.com',
+      local: { token: 'jwt-1' },
+      session: { tab: 'orders' },
+    },
+  };
+  let current = 'https://sso.example.com/done';
+  const page = {
+    url: () => current,
+    goto: async (url) => {
+      current = url;
+    },
+    waitForNetworkIdle: async () => {},
+    evaluate: async (fn) => {
+      const doc = documents[current];
+      let result;
+      runInDocument(
+        () => {
+          result = fn();
+        },
+        undefined,
+        doc.origin,
+        { localStorage: fakeStorage(doc.local), sessionStorage: fakeStorage(doc.session) }
+      );
+      return result;
+    },
+    browser: () => ({
+      cookies: async () => [
+        { name: 'sid', value: 'abc', domain: 'app.example.com', path: '/', size: 6, session: true },
+      ],
+    }),
+  };
+
+  const captured = await captureStorageState(page, ['https://app.example.com/']);
+  assert.deepEqual(captured.cookies, [
+    { name: 'sid', value: 'abc', domain: 'app.example.com', path: '/' },
+  ]);
+  assert.deepEqual(captured.origins, state.origins);
+});
+
+test('--storage-state selects storage-state auth', () => {
+  assert.deepEqual(parseAuthConfig({ storageState: './auth-state.json' }), {
+    type: 'storage-state',
+    storageState: './auth-state.json',
+  });
+});
+
+test('strict authentication throws when sign-in fails instead of warning', async () => {
+  const warnings = [];
+  const log = { debug: () => {}, warn: (msg) => warnings.push(msg) };
+  const auth = { type: 'storage-state', storageState: '/nonexistent/auth-state.json' };
+  const page = {};
+
+  await applyAuthentication(page, auth, 'https://example.com/', log);
+  assert.equal(warnings.length, 1);
+
+  await assert.rejects(
+    applyAuthentication(page, auth, 'https://example.com/', log, { strict: true }),
+    /Failed to apply storage state/
+  );
+  assert.equal(warnings.length, 1);
+});
+
+test('the saved auth state file is readable by its owner only', async () => {
+  const dir = await mkdtemp(path.join(os.tmpdir(), 'auth-state-'));
+  try {
+    const file = path.join(dir, 'auth-state.json');
+    await writeFile(file, '{}', { mode: 0o644 });
+    await writeAuthStateFile(file, { cookies: [], origins: [] });
+    assert.equal((await stat(file)).mode & 0o777, 0o600);
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,235 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'node:os';
+import path from 'node:path';
+import { mkdtemp, rm } from 'node:fs/promises';
+
+import { compareTextGeometry } from '../services/audit/textStress/textGeometry.js';
+import {
+  createScreenshotBudget,
+  runTextStressAudit,
+} from '../services/audit/toolRunners/textStressRunner.js';
+import { issueScreenshotsHtml } from '../utils/report/html/issueScreenshots.js';
+import { loadMergedConfig } from '../cli/configMerge.js';
+import { parseArgs } from '../cli/parseArgs.js';
+
+const log = { debug: () => {} };
+
+const box = (selector, rect, overrides = {}) => ({
+  selector,
+  html: `<p class="${selector.slice(1)}">`,
+  text: `${selector} text`,
+  rect: { x: 0, y: 0, width: 200, height: 20, ...rect },
+  clipped: false,
+  truncates: false,
+  ancestors: [],
+  ...overrides,
+});
+
+test('compareTextGeometry reports newly clipped, truncated and overlapping text', () => {
+  const before = [
+    box('.card', { height: 100 }),
+    box('.title', { y: 0 }, { ancestors: [0] }),
+    box('.tag', { y: 40 }),
+    box('.button', { y: 200 }),
+    box('.already', { y: 300 }, { clipped: true }),
+  ];
+  const after = [
+    // The card grew around its title: nested boxes never count as overlapping.
+    box('.card', { height: 140 }),
+    box('.title', { y: 0, height: 50 }, { ancestors: [0] }),
+    box('.tag', { y: 40 }),
+    box('.button', { y: 200 }, { clipped: true, truncates: true }),
+    box('.already', { y: 300 }, { clipped: true }),
+  ];
+
+  const findings = compareTextGeometry(before, after);
+  assert.deepEqual(
+    findings.map((f) => [f.kind, f.selector, f.overlaps]),
+    [
+      ['overlapping', '.tag', '.title'],
+      ['truncated', '.button', undefined],
+    ]
+  );
+  assert.deepEqual(findings[0].before, before[2].rect);
+
+  after[3].truncates = false;
+  assert.equal(compareTextGeometry(before, after)[1].kind, 'clipped');
+  assert.deepEqual(compareTextGeometry(before, before), []);
+});
+
+/**
+ * Page double whose measurements depend on the adaptation currently applied.
+ * Evaluations are told apart by their arguments.
+ */
+function fakeTextPage(measurements) {
+  let applied = 'baseline';
+  const calls = [];
+  const screenshots = [];
+  return {
+    calls,
+    screenshots,
+    goto: async () => {},
+    waitForNetworkIdle: async () => {},
+    content: async () => '<html></html>',
+    evaluate: async (fn, ...args) => {
+      const [first] = args;
+      if (args.length === 2 && typeof first === 'number' && first > 2) {
+        calls.push('track');
+        return measurements.baseline.length;
+      }
+      if (typeof first === 'string' && first.includes('line-height')) applied = 'spacing';
+      else if (first === 2) applied = 'resize';
+      else if (first === 'data-a11y-text-stress') applied = 'baseline';
+      else {
+        calls.push(`measure:${applied}`);
+        return measurements[applied];
+      }
+      calls.push(applied);
+      return undefined;
+    },
+    screenshot: async (options) => {
+      screenshots.push({ applied, clip: options.clip });
+      return `${applied}-image`;
+    },
+  };
+}
+
+test('text stress runner reports each adaptation with before/after screenshots', async () => {
+  const baseline = [box('.nav-link', { x: 20, y: 10, width: 80 })];
+  const page = fakeTextPage({
+    baseline,
+    spacing: [box('.nav-link', { x: 20, y: 10, width: 80 }, { clipped: true })],
+    resize: baseline,
+  });
+
+  const { textStress, issues } = await runTextStressAudit({
+    url: 'https://example.com/',
+    page,
+    timeoutMs: 1000,
+    log,
+  });
+
+  assert.deepEqual(page.calls, [
+    'track',
+    'measure:baseline',
+    'spacing',
+    'measure:spacing',
+    'baseline',
+    'resize',
+    'measure:resize',
+    'baseline',
+  ]);
+  assert.deepEqual(textStress, {
+    textElements: 1,
+    spacing: { findings: 1, reported: 1 },
+    resize: { findings: 0, reported: 0 },
+  });
+
+  assert.equal(issues.length, 1);
+  const [issue] = issues;
+  assert.equal(issue.tool, 'text-stress');
+  assert.equal(issue.id, 'text-spacing-clipped-.nav-link');
+  assert.equal(issue.severityLabel, 'serious');
+  assert.match(issue.message, /is clipped with WCAG 1\.4\.12 text spacing applied/);
+  assert.deepEqual(
+    issue.wcagCriteria.map((c) => c.id),
+    ['1.4.12']
+  );
+  assert.deepEqual(issue.screenshots, {
+    before: 'data:image/jpeg;base64,baseline-image',
+    after: 'data:image/jpeg;base64,spacing-image',
+  });
+  assert.deepEqual(page.screenshots[0].clip, { x: 12, y: 2, width: 96, height: 36 });
+});
+
+test('text stress runner honours disabled adaptations, screenshots and the finding cap', async () => {
+  const baseline = [box('.a', { y: 0 }), box('.b', { y: 100 }), box('.c', { y: 200 })];
+  const page = fakeTextPage({
+    baseline,
+    resize: baseline.map((b) => ({ ...b, clipped: true, truncates: true })),
+  });
+
+  const { textStress, issues } = await runTextStressAudit({
+    url: 'https://example.com/',
+    page,
+    spacing: false,
+    screenshots: false,
+    maxFindings: 2,
+    navigate: false,
+    log,
+  });
+
+  assert.equal(textStress.spacing, null);
+  assert.deepEqual(textStress.resize, { findings: 3, reported: 2 });
+  assert.deepEqual(
+    issues.map((i) => [i.engineMeta.checkId, i.severityLabel, i.wcagCriteria[0].id]),
+    [
+      ['text-resize-truncated', 'moderate', '1.4.4'],
+      ['text-resize-truncated', 'moderate', '1.4.4'],
+    ]
+  );
+  assert.equal(issues[0].screenshots, undefined);
+  assert.equal(page.screenshots.length, 0);
+});
+
+test('text stress screenshots stop once the run budget is spent', async () => {
+  const baseline = [box('.a', { y: 0 }), box('.b', { y: 100 })];
+  const page = fakeTextPage({
+    baseline,
+    resize: baseline.map((b) => ({ ...b, clipped: true })),
+  });
+  const afterImage = 'data:image/jpeg;base64,resize-image';
+  const screenshotBudget = createScreenshotBudget(afterImage.length);
+
+  const { issues } = await runTextStressAudit({
+    url: 'https://example.com/',
+    page,
+    spacing: false,
+    navigate: false,
+    screenshotBudget,
+    log,
+  });
+
+  assert.deepEqual(
+    issues.map((i) => i.screenshots),
+    [
+      { before: null, after: afterImage },
+      { before: null, after: null },
+    ]
+  );
+  // Once the budget is spent no further screenshots are taken.
+  assert.equal(page.screenshots.length, 1);
+  assert.deepEqual(screenshotBudget, {
+    maxBytes: afterImage.length,
+    usedBytes: afterImage.length,
+    omitted: 3,
+  });
+});
+
+test('issue cards embed only image data URIs', () => {
+  const html = issueScreenshotsHtml({
+    selector: '.nav-link',
+    screenshots: { before: 'data:image/jpeg;base64,AAAA', after: 'javascript:alert(1)' },
+  });
+  assert.match(html, /<img src="data:image\/jpeg;base64,AAAA" alt="Before: \.nav-link"/);
+  assert.doesNotMatch(html, /javascript:/);
+  assert.equal(issueScreenshotsHtml({ selector: '.x' }), '');
+});
+
+test('--text-stress and textStress config reach the merged config', async () => {
+  const dir = await mkdtemp(path.join(os.tmpdir(), 'a11y-text-stress-test-'));
+  try {
+    const config = await loadMergedConfig(dir, parseArgs(['--text-stress']), 'https://example.com');
+    assert.deepEqual(config.textStress, {
+      enabled: true,
+      spacing: true,
+      resize: true,
+      screenshots: true,
+      maxFindings: 20,
+      maxScreenshotBytes: 10000000,
+    });
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+});
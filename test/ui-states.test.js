@@ -0,0 +1,171 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  exploreUiStates,
+  formatStatePath,
+  replayStatePath,
+  StateLeftPageError,
+  tagNewStateIssues,
+} from '../services/audit/states/exploreStates.js';
+import { blockUnsafeRequests } from '../services/audit/shared/requestGuard.js';
+import { coerceStateExploration } from '../utils/config/coerceSections.js';
+
+const menuStep = { kind: 'expand', selector: '#menu-toggle', label: 'Products' };
+const tabStep = { kind: 'tab', selector: '#tab-specs', label: 'Specs' };
+
+test('formatStatePath joins steps by kind and label, falling back to the selector', () => {
+  assert.equal(formatStatePath([menuStep, tabStep]), 'expand "Products" > tab "Specs"');
+  assert.equal(
+    formatStatePath([{ kind: 'dialog', selector: 'main > button', label: '' }]),
+    'dialog "main > button"'
+  );
+});
+
+test('tagNewStateIssues keeps only unseen issues and tags them with the state path', () => {
+  const known = new Set(['axe|#logo|Images must have alternate text']);
+  const state = { id: 'state-1', path: 'expand "Products"' };
+  const issues = [
+    { id: 'axe-image-alt-0', tool: 'axe', selector: '#logo', message: 'Images must have alternate text' },
+    { id: 'axe-link-name-0', tool: 'axe', selector: '#menu a', message: 'Links must have discernible text' },
+  ];
+
+  const fresh = tagNewStateIssues(issues, known, state);
+  assert.deepEqual(fresh, [
+    {
+      id: 'axe-link-name-0@state-1',
+      tool: 'axe',
+      selector: '#menu a',
+      message: 'Links must have discernible text',
+      statePath: 'expand "Products"',
+    },
+  ]);
+  assert.equal(tagNewStateIssues(issues, known, { id: 'state-2', path: 'tab "Specs"' }).length, 0);
+});
+
+test('replayStatePath clicks each step in order', async () => {
+  const clicked = [];
+  const page = {
+    url: () => 'https://example.com/',
+    $eval: async (selector, fn) => fn({ click: () => clicked.push(selector) }),
+  };
+
+  await replayStatePath(page, [menuStep, tabStep], 0);
+  assert.deepEqual(clicked, ['#menu-toggle', '#tab-specs']);
+});
+
+test('replayStatePath stops when a click moves the page to another URL', async () => {
+  let current = 'https://example.com/';
+  const page = {
+    url: () => current,
+    $eval: async (selector) => {
+      if (selector === '#menu-toggle') current = 'https://example.com/products';
+    },
+  };
+
+  await assert.rejects(replayStatePath(page, [menuStep, tabStep], 0), StateLeftPageError);
+});
+
+test('exploreUiStates blocks non-GET requests and drops states that leave the page', async () => {
+  let current = '';
+  let intercepting = false;
+  const guardedLoads = [];
+  const handlers = new Set();
+  const page = {
+    url: () => current,
+    goto: async (url) => {
+      current = url;
+      guardedLoads.push(intercepting && handlers.size === 1);
+    },
+    waitForNetworkIdle: async () => {},
+    evaluate: async () => [{ kind: 'expand', selector: '#shop', label: 'Shop' }],
+    $eval: async () => {
+      current = 'https://example.com/shop';
+    },
+    setRequestInterception: async (on) => {
+      intercepting = on;
+    },
+    on: (_event, handler) => handlers.add(handler),
+    off: (_event, handler) => handlers.delete(handler),
+  };
+  const scheduler = { goto: (statePage, url) => statePage.goto(url) };
+
+  const explored = await exploreUiStates({
+    url: 'https://example.com/',
+    page,
+    instance: {},
+    selectedTools: ['pa11y'],
+    baseIssues: [],
+    timeoutMs: 1000,
+    standard: 'WCAG2AA',
+    headers: undefined,
+    cookies: undefined,
+    retryDelayMs: 0,
+    options: { settleMs: 0 },
+    scheduler,
+    log: { debug() {}, warn() {} },
+  });
+  assert.deepEqual(explored, { states: [], issues: [] });
+  assert.deepEqual(guardedLoads, [true, true]);
+  assert.equal(intercepting, false);
+  assert.equal(handlers.size, 0);
+});
+
+test('blockUnsafeRequests lets only GET, HEAD and OPTIONS requests through', async () => {
+  const handlers = new Set();
+  const page = {
+    setRequestInterception: async () => {},
+    on: (_event, handler) => handlers.add(handler),
+    off: (_event, handler) => handlers.delete(handler),
+  };
+  const decisions = [];
+  const request = (method) => ({
+    method: () => method,
+    continue: async () => decisions.push(`${method} continued`),
+    abort: async () => decisions.push(`${method} aborted`),
+  });
+
+  const unblock = await blockUnsafeRequests(page);
+  const [handler] = handlers;
+  for (const method of ['GET', 'HEAD', 'OPTIONS', 'POST', 'DELETE']) handler(request(method));
+  await unblock();
+
+  assert.deepEqual(decisions, [
+    'GET continued',
+    'HEAD continued',
+    'OPTIONS continued',
+    'POST aborted',
+    'DELETE aborted',
+  ]);
+  assert.equal(handlers.size, 0);
+});
+
+test('exploreUiStates does nothing when no DOM-based tool is selected', async () => {
+  const page = {
+    goto: async () => assert.fail('page should not be loaded'),
+  };
+
+  const explored = await exploreUiStates({
+    url: 'https://example.com/',
+    page,
+    instance: {},
+    selectedTools: ['lighthouse'],
+    baseIssues: [],
+    timeoutMs: 1000,
+    standard: 'WCAG2AA',
+    headers: undefined,
+    cookies: undefined,
+    retryDelayMs: 0,
+    options: {},
+    log: { debug() {}, warn() {} },
+  });
+  assert.deepEqual(explored, { states: [], issues: [] });
+});
+
+test('coerceStateExploration normalises string values from config files', () => {
+  assert.deepEqual(coerceStateExploration({ enabled: 'true', maxStates: '4', settleMs: '250' }), {
+    enabled: true,
+    maxStates: 4,
+    settleMs: 250,
+  });
+});
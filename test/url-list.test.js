@@ -0,0 +1,123 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'node:os';
+import path from 'node:path';
+import { Readable } from 'node:stream';
+import fs from 'fs-extra';
+
+import {
+  detectUrlListFormat,
+  loadUrlList,
+  parseUrlList,
+} from '../services/crawler/input/urlList.js';
+import { createCrawlScope } from '../services/crawler/scope/crawlScope.js';
+
+const BASE = 'https://example.com/';
+
+test('detectUrlListFormat prefers the extension and sniffs stdin content', () => {
+  assert.equal(detectUrlListFormat('routes.json', ''), 'json');
+  assert.equal(detectUrlListFormat('routes.CSV', ''), 'csv');
+  assert.equal(detectUrlListFormat('routes.txt', 'a,b'), 'text');
+  assert.equal(detectUrlListFormat('-', '  ["https://example.com/"]'), 'json');
+  assert.equal(detectUrlListFormat('-', 'url,owner\n/a,team'), 'csv');
+  assert.equal(detectUrlListFormat('-', 'https://example.com/a\n'), 'text');
+});
+
+test('detectUrlListFormat keeps URLs with commas as text and honours an explicit format', () => {
+  assert.equal(detectUrlListFormat('-', 'https://example.com/a,b\n/c,d\n'), 'text');
+  assert.equal(detectUrlListFormat('routes.list', '/filter/red,blue\n'), 'text');
+  assert.equal(detectUrlListFormat('-', 'https://example.com/a, Home page\n'), 'csv');
+  assert.equal(detectUrlListFormat('-', 'https://example.com/a,b\n', 'csv'), 'csv');
+  assert.equal(detectUrlListFormat('routes.csv', '/a\n', 'TEXT'), 'text');
+  assert.throws(() => detectUrlListFormat('-', '', 'yaml'), /Unknown URL list format "yaml"/);
+});
+
+test('parseUrlList normalises, resolves and de-duplicates text entries', () => {
+  const content = [
+    '# changed routes',
+    'https://example.com/pricing/',
+    '/pricing#plans',
+    '',
+    '/about   # owned by marketing',
+  ].join('\n');
+
+  assert.deepEqual(parseUrlList(content, { format: 'text', baseUrl: BASE }), [
+    'https://example.com/pricing',
+    'https://example.com/about',
+  ]);
+});
+
+test('parseUrlList reads the url column of a CSV and JSON arrays or objects', () => {
+  const csv = 'owner,url\nteam-a,"https://example.com/a"\nteam-b,/b\n';
+  assert.deepEqual(parseUrlList(csv, { format: 'csv', baseUrl: BASE }), [
+    'https://example.com/a',
+    'https://example.com/b',
+  ]);
+
+  const headerless = '/a,2024-01-01\n/b,2024-01-02';
+  assert.equal(parseUrlList(headerless, { format: 'csv', baseUrl: BASE }).length, 2);
+
+  const json = JSON.stringify({ urls: ['/a', { url: 'https://example.com/b' }] });
+  assert.deepEqual(parseUrlList(json, { format: 'json', baseUrl: BASE }), [
+    'https://example.com/a',
+    'https://example.com/b',
+  ]);
+  assert.throws(
+    () => parseUrlList('{"pages": []}', { format: 'json', baseUrl: BASE }),
+    /"urls" array/
+  );
+});
+
+test('parseUrlList rejects out-of-scope and non-http entries with their line numbers', () => {
+  const content = 'https://example.com/a\nhttps://shop.example.com/cart\nmailto:team@example.com';
+  assert.throws(
+    () => parseUrlList(content, { format: 'text', baseUrl: BASE }),
+    /2 invalid or out-of-scope entries \(line 2: "https:\/\/shop\.example\.com\/cart"; line 3/
+  );
+
+  const scope = createCrawlScope(BASE, { allowedHosts: ['shop.example.com'] });
+  assert.deepEqual(
+    parseUrlList('https://example.com/a\nhttps://shop.example.com/cart', {
+      format: 'text',
+      baseUrl: BASE,
+      isInScope: scope.isInScope,
+    }),
+    ['https://example.com/a', 'https://shop.example.com/cart']
+  );
+  assert.throws(() => parseUrlList('# nothing\n', { format: 'text', baseUrl: BASE }), /empty/);
+});
+
+test('loadUrlList reads stdin for "-" and takes the base URL from the first absolute entry', async () => {
+  const stdin = Readable.from(['https://example.com/a\n', '/b\n']);
+  const list = await loadUrlList('-', { stdin });
+
+  assert.equal(list.format, 'text');
+  assert.equal(list.baseUrl, 'https://example.com/a');
+  assert.deepEqual(list.urls, ['https://example.com/a', 'https://example.com/b']);
+
+  await assert.rejects(
+    loadUrlList('-', { stdin: Readable.from(['/only-relative\n']) }),
+    /pass --url/
+  );
+
+  const csv = await loadUrlList('-', {
+    stdin: Readable.from(['https://example.com/a,Home\n']),
+    format: 'csv',
+  });
+  assert.equal(csv.format, 'csv');
+  assert.deepEqual(csv.urls, ['https://example.com/a']);
+});
+
+test('loadUrlList reads files and reports unreadable paths', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'a11y-urls-'));
+  try {
+    const file = path.join(dir, 'routes.json');
+    await fs.writeFile(file, JSON.stringify(['/a', '/b']));
+
+    const list = await loadUrlList(file, { baseUrl: BASE });
+    assert.deepEqual(list.urls, ['https://example.com/a', 'https://example.com/b']);
+    await assert.rejects(loadUrlList(path.join(dir, 'missing.txt')), /Cannot read URL list/);
+  } finally {
+    await fs.remove(dir);
+  }
+});
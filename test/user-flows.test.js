@@ -0,0 +1,205 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'node:os';
+import path from 'node:path';
+import fs from 'fs-extra';
+
+import { loadFlowFile, parseFlowDefinitions } from '../services/audit/flows/flowDefinition.js';
+import { executeFlowStep, toPa11yActions } from '../services/audit/flows/executeFlowStep.js';
+import { summarizeFlowRuns } from '../utils/report/shared/flowSummary.js';
+
+const checkoutFlow = {
+  name: 'Checkout',
+  baseUrl: 'https://shop.example.com',
+  steps: [
+    { action: 'goto', url: '/cart' },
+    { action: 'audit', name: 'Cart' },
+    { action: 'click', selector: '#checkout' },
+    { action: 'type', selector: '#email', value: 'a@example.com' },
+    { action: 'waitFor', url: '/checkout/payment' },
+    { action: 'audit' },
+  ],
+};
+
+test('parseFlowDefinitions accepts a single flow, an array, or a { flows } object', () => {
+  for (const raw of [checkoutFlow, [checkoutFlow], { flows: [checkoutFlow] }]) {
+    const flows = parseFlowDefinitions(raw);
+    assert.equal(flows.length, 1);
+    assert.equal(flows[0].name, 'Checkout');
+  }
+});
+
+test('parseFlowDefinitions resolves URLs against baseUrl and names unnamed audit steps', () => {
+  const [flow] = parseFlowDefinitions(checkoutFlow);
+
+  assert.equal(flow.steps[0].url, 'https://shop.example.com/cart');
+  assert.equal(flow.steps[1].name, 'Cart');
+  assert.equal(flow.steps[5].name, 'Checkpoint 2');
+  assert.deepEqual(flow.steps[4], { action: 'waitFor', url: '/checkout/payment' });
+});
+
+test('parseFlowDefinitions reports the offending step', () => {
+  assert.throws(
+    () =>
+      parseFlowDefinitions({
+        steps: [{ action: 'goto', url: 'https://a.test' }, { action: 'hover' }],
+      }),
+    /flows\[0\]\.steps\[1\] has unknown action "hover"/
+  );
+  assert.throws(
+    () =>
+      parseFlowDefinitions({
+        steps: [{ action: 'goto', url: 'https://a.test' }, { action: 'click' }],
+      }),
+    /steps\[1\] \(click\) requires a "selector" string/
+  );
+  assert.throws(
+    () => parseFlowDefinitions({ steps: [{ action: 'goto', url: '/cart' }, { action: 'audit' }] }),
+    /set the flow's "baseUrl"/
+  );
+});
+
+test('parseFlowDefinitions requires a leading goto and at least one audit step', () => {
+  assert.throws(
+    () => parseFlowDefinitions({ steps: [{ action: 'audit' }] }),
+    /must start with a "goto" step/
+  );
+  assert.throws(
+    () => parseFlowDefinitions({ steps: [{ action: 'goto', url: 'https://a.test' }] }),
+    /has no "audit" step/
+  );
+});
+
+test('parseFlowDefinitions reads env: values from the environment', () => {
+  const steps = [
+    { action: 'goto', url: 'https://a.test/login' },
+    { action: 'type', selector: '#password', value: 'env:A11Y_FLOW_TEST_PASSWORD' },
+    { action: 'audit' },
+  ];
+
+  process.env.A11Y_FLOW_TEST_PASSWORD = 's3cret';
+  try {
+    const [flow] = parseFlowDefinitions({ steps });
+    assert.equal(flow.steps[1].value, 's3cret');
+  } finally {
+    delete process.env.A11Y_FLOW_TEST_PASSWORD;
+  }
+
+  assert.throws(
+    () => parseFlowDefinitions({ steps }),
+    /reads environment variable A11Y_FLOW_TEST_PASSWORD, which is not set/
+  );
+});
+
+test('loadFlowFile reports missing and malformed files', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'a11y-flow-'));
+  try {
+    await assert.rejects(loadFlowFile(path.join(dir, 'missing.json')), /Flow file not found/);
+
+    const badFile = path.join(dir, 'bad.json');
+    await fs.writeFile(badFile, '{ not json');
+    await assert.rejects(loadFlowFile(badFile), /is not valid JSON/);
+
+    const goodFile = path.join(dir, 'good.json');
+    await fs.writeJson(goodFile, { flows: [checkoutFlow] });
+    const flows = await loadFlowFile(goodFile);
+    assert.equal(flows[0].steps.length, 6);
+  } finally {
+    await fs.remove(dir);
+  }
+});
+
+test('toPa11yActions replays the steps before a checkpoint', () => {
+  const [flow] = parseFlowDefinitions(checkoutFlow);
+  const replay = toPa11yActions([
+    ...flow.steps.slice(0, 5),
+    { action: 'select', selector: '#country', value: 'GB' },
+    { action: 'waitFor', selector: '#summary' },
+    { action: 'waitFor', ms: 500 },
+    { action: 'goto', url: 'https://shop.example.com/done' },
+  ]);
+
+  assert.equal(replay.url, 'https://shop.example.com/cart');
+  assert.deepEqual(replay.actions, [
+    'click element #checkout',
+    'set field #email to a@example.com',
+    'wait for path to be /checkout/payment',
+    'set field #country to GB',
+    'wait for element #summary to be visible',
+    'navigate to https://shop.example.com/done',
+  ]);
+});
+
+test('executeFlowStep drives the page for each action', async () => {
+  const calls = [];
+  const page = {
+    goto: async (url) => calls.push(['goto', url]),
+    waitForNetworkIdle: async () => {},
+    waitForSelector: async (selector) => calls.push(['waitForSelector', selector]),
+    click: async (selector) => calls.push(['click', selector]),
+    type: async (selector, value) => calls.push(['type', selector, value]),
+    select: async (selector, value) => calls.push(['select', selector, value]),
+    waitForFunction: async (_fn, _opts, expected) => calls.push(['waitForUrl', expected]),
+  };
+
+  await executeFlowStep(page, { action: 'goto', url: 'https://a.test/' }, 1000);
+  await executeFlowStep(page, { action: 'click', selector: '#go' }, 1000);
+  await executeFlowStep(page, { action: 'type', selector: '#q', value: 'hello' }, 1000);
+  await executeFlowStep(page, { action: 'select', selector: '#size', value: 'L' }, 1000);
+  await executeFlowStep(page, { action: 'waitFor', url: '/next' }, 1000);
+
+  assert.deepEqual(calls, [
+    ['goto', 'https://a.test/'],
+    ['waitForSelector', '#go'],
+    ['click', '#go'],
+    ['waitForSelector', '#q'],
+    ['type', '#q', 'hello'],
+    ['waitForSelector', '#size'],
+    ['select', '#size', 'L'],
+    ['waitForUrl', '/next'],
+  ]);
+});
+
+test('summarizeFlowRuns lists checkpoints and marks where a flow stopped', () => {
+  const flows = parseFlowDefinitions([checkoutFlow, { ...checkoutFlow, name: 'Never ran' }]);
+  const error = {
+    stepIndex: 2,
+    action: 'click',
+    message: 'No element found for selector: #checkout',
+  };
+  const flowRuns = [
+    {
+      name: 'Checkout',
+      durationMs: 1200,
+      error,
+      results: [
+        {
+          url: 'https://shop.example.com/cart',
+          totalIssues: 3,
+          errors: {},
+          flowStep: { flow: 'Checkout', name: 'Cart', stepIndex: 1 },
+        },
+      ],
+    },
+  ];
+
+  const [checkout, neverRan] = summarizeFlowRuns(flows, flowRuns);
+  assert.deepEqual(checkout, {
+    name: 'Checkout',
+    totalSteps: 6,
+    durationMs: 1200,
+    error,
+    checkpoints: [
+      {
+        name: 'Cart',
+        stepIndex: 1,
+        url: 'https://shop.example.com/cart',
+        totalIssues: 3,
+        errors: {},
+      },
+    ],
+    skippedCheckpoints: 1,
+  });
+  assert.equal(neverRan.error.message, 'Flow did not run');
+  assert.equal(neverRan.skippedCheckpoints, 2);
+});
@@ -0,0 +1,178 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'node:os';
+import path from 'node:path';
+import { mkdtemp, rm } from 'node:fs/promises';
+
+import {
+  resolveViewports,
+  toLighthouseEmulation,
+} from '../services/audit/viewports/viewportPresets.js';
+import {
+  mergeViewportIssues,
+  summarizeViewports,
+} from '../services/audit/viewports/viewportIssues.js';
+import { runReflowCheck } from '../services/audit/viewports/reflowCheck.js';
+import { deduplicateIssues } from '../services/audit/dedupe/issueDedupe.js';
+import { loadMergedConfig } from '../cli/configMerge.js';
+import { parseArgs } from '../cli/parseArgs.js';
+
+const issue = (tool, selector, extra = {}) => ({
+  id: `${tool}-${selector}`,
+  tool,
+  selector,
+  message: `${tool} finding on ${selector}`,
+  url: 'https://example.com/',
+  wcagCriteria: [],
+  ...extra,
+});
+
+test('resolveViewports expands presets, WxH sizes and custom entries', () => {
+  const [desktop, mobile, phone, kiosk] = resolveViewports([
+    'desktop',
+    'mobile',
+    '390x844',
+    { name: 'kiosk', width: 1080, height: 1920, hasTouch: true, deviceScaleFactor: 1.5 },
+  ]);
+  assert.deepEqual(desktop, {
+    name: 'desktop',
+    width: 1280,
+    height: 800,
+    deviceScaleFactor: 1,
+    isMobile: false,
+    hasTouch: false,
+  });
+  assert.equal(mobile.hasTouch, true);
+  assert.deepEqual([phone.name, phone.width, phone.height], ['390x844', 390, 844]);
+  assert.deepEqual([kiosk.isMobile, kiosk.hasTouch, kiosk.deviceScaleFactor], [true, true, 1.5]);
+  assert.deepEqual(resolveViewports(undefined), []);
+
+  assert.throws(() => resolveViewports(['watch']), /unknown viewport preset "watch"/);
+  assert.throws(() => resolveViewports([{ width: 0 }]), /viewports\[0\]\.width must be/);
+  assert.throws(() => resolveViewports(['mobile', 'mobile']), /"mobile" is used twice/);
+});
+
+test('Lighthouse emulates the configured viewport instead of its default phone', () => {
+  const [desktop] = resolveViewports(['desktop']);
+  assert.deepEqual(toLighthouseEmulation(desktop), {
+    formFactor: 'desktop',
+    screenEmulation: {
+      mobile: false,
+      width: 1280,
+      height: 800,
+      deviceScaleFactor: 1,
+      disabled: false,
+    },
+  });
+});
+
+test('issues are tagged with their viewports and flagged when only some sizes show them', () => {
+  const [desktop, mobile] = resolveViewports(['desktop', 'mobile']);
+  const runs = [
+    {
+      viewport: desktop,
+      issues: [
+        issue('axe', '#logo'),
+        issue('lighthouse', '#nav'),
+        issue('axe', '#menu', { statePath: 'expand "Menu"' }),
+      ],
+      tools: ['axe', 'lighthouse'],
+      summary: { axeViolations: 2, lhScore: 90, errors: {} },
+    },
+    {
+      viewport: mobile,
+      issues: [issue('axe', '#logo'), issue('axe', '#burger')],
+      // Lighthouse failed here, so its desktop finding is not size-specific.
+      tools: ['axe'],
+      summary: { axeViolations: 2, lhScore: null, errors: { lighthouse: { message: 'timeout' } } },
+    },
+  ];
+
+  const merged = mergeViewportIssues(runs);
+  assert.deepEqual(
+    merged.map((i) => [i.selector, i.viewports, i.viewportSpecific]),
+    [
+      ['#logo', ['desktop', 'mobile'], false],
+      ['#nav', ['desktop'], false],
+      ['#menu', ['desktop'], false],
+      ['#burger', ['mobile'], true],
+    ]
+  );
+
+  const { issues, viewports } = summarizeViewports(runs, merged);
+  assert.equal(issues.length, 4);
+  assert.deepEqual(
+    viewports.map((v) => [v.name, v.totalIssues, v.viewportSpecificIssues, v.lhScore]),
+    [
+      ['desktop', 3, 0, 90],
+      ['mobile', 2, 1, null],
+    ]
+  );
+  assert.equal(viewports[1].errors.lighthouse.message, 'timeout');
+});
+
+test('deduplication keeps the viewports of merged issues', () => {
+  const merged = deduplicateIssues([
+    issue('axe', '#cta', { viewports: ['desktop'], viewportSpecific: true }),
+    issue('axe', '#cta', { viewports: ['mobile'], viewportSpecific: true }),
+  ]);
+  assert.equal(merged.length, 1);
+  assert.deepEqual(merged[0].viewports, ['desktop', 'mobile']);
+
+  const [desktop, mobile] = resolveViewports(['desktop', 'mobile']);
+  const runs = [desktop, mobile].map((viewport) => ({
+    viewport,
+    issues: [],
+    tools: ['axe'],
+    summary: { errors: {} },
+  }));
+  // Found at every viewport once combined, so no longer size-specific.
+  assert.equal(summarizeViewports(runs, merged).issues[0].viewportSpecific, false);
+});
+
+test('reflow check reports elements that make a 320px page scroll horizontally', async () => {
+  const calls = [];
+  const page = {
+    setViewport: async (viewport) => calls.push(viewport),
+    goto: async () => {},
+    waitForNetworkIdle: async () => {},
+    evaluate: async () => ({
+      scrollWidth: 960,
+      overflows: true,
+      offenders: [{ selector: 'main > .grid', html: '<div class="grid">', right: 960 }],
+    }),
+  };
+
+  const { reflow, issues } = await runReflowCheck({
+    url: 'https://example.com/',
+    page,
+    timeoutMs: 1000,
+  });
+
+  assert.equal(calls[0].width, 320);
+  assert.equal(reflow.overflows, true);
+  assert.equal(issues.length, 1);
+  assert.equal(issues[0].tool, 'reflow');
+  assert.equal(issues[0].selector, 'main > .grid');
+  assert.match(issues[0].message, /scrolls horizontally at 320px wide \(page is 960px/);
+  assert.deepEqual(
+    issues[0].wcagCriteria.map((c) => c.id),
+    ['1.4.10']
+  );
+
+  page.evaluate = async () => ({ scrollWidth: 320, overflows: false, offenders: [] });
+  assert.deepEqual((await runReflowCheck({ url: 'https://example.com/', page })).issues, []);
+});
+
+test('--viewports and --no-reflow reach the merged config', async () => {
+  const dir = await mkdtemp(path.join(os.tmpdir(), 'a11y-viewports-test-'));
+  try {
+    const args = parseArgs(['--viewports', 'desktop, mobile,390x844', '--no-reflow']);
+    const config = await loadMergedConfig(dir, args, 'https://example.com');
+    assert.deepEqual(config.viewports, ['desktop', 'mobile', '390x844']);
+    assert.equal(config.reflow.enabled, false);
+    assert.equal(config.reflow.width, 320);
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+});
@@ -17,6 +17,15 @@
  * @property {number} totalIssues
  * @property {Object<string, AuditToolError>} errors
  * @property {AuditToolName[]} [tools] - Selected tools for this run
+ * @property {Array<import('../services/audit/states/exploreStates.js').UiStateResult>|null} [uiStates] - Explored UI states (issues they revealed carry a `statePath`)
+ * @property {import('../services/audit/structure/pageStructure.js').PageStructure|null} [pageStructure] - Heading outline, landmarks and form-control names from the page's accessibility tree
+ * @property {import('../services/audit/toolRunners/keyboardRunner.js').KeyboardSummary|null} [keyboard] - Tab walk of the page when the keyboard audit ran (its findings have `tool: "keyboard"`)
+ * @property {import('../services/audit/toolRunners/textStressRunner.js').TextStressSummary|null} [textStress] - Text spacing and 200% text size results when the text stress test ran (its findings have `tool: "text-stress"` and before/after `screenshots`)
+ * @property {Array<import('../services/audit/viewports/viewportIssues.js').ViewportSummary>|null} [viewports] - Per-viewport tool results and issue counts when `viewports` is configured (issues carry `viewports` and `viewportSpecific`)
+ * @property {Array<import('../services/audit/media/mediaModeIssues.js').MediaModeSummary>|null} [mediaModes] - Per-mode tool results and issue counts when `mediaModes` is configured, `default` first (issues carry `mediaModes` and `mediaModeSpecific`)
+ * @property {import('../services/audit/viewports/reflowCheck.js').ReflowResult|null} [reflow] - Horizontal-scroll check at the reflow width
+ * @property {Array<import('../services/audit/frames/frameInventory.js').FrameInfo>|null} [frames] - iframes found by the axe run (issues inside one carry a `framePath`)
+ * @property {import('../services/crawler/status/pageClassification.js').PageClassification|import('../services/audit/auth/loginWall.js').LoginWallResult|null} [pageClass] - Set when the route was an error, soft-404 or login-wall page and was not audited
  */
 
 export const __auditTypes = true;
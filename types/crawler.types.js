@@ -6,6 +6,12 @@
  * @property {number} priority
  * @property {number} depth
  *
+ * @typedef {Object} CrawlState - Serialisable crawl progress used for checkpoint/resume
+ * @property {string[]} visited
+ * @property {Array<[string, number]>} urlDepths
+ * @property {CrawlQueueItem[]} queue
+ * @property {{ scannedPages: string[], edges: any[] }} [linkGraph]
+ *
  * @typedef {Object} CrawlerConfig
  * @property {boolean} useSitemap
  * @property {boolean} respectRobotsTxt
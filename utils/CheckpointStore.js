@@ -0,0 +1,298 @@
+/**
+ * utils/CheckpointStore.js
+ * -----------------------------------------------------------------------------
+ * On-disk checkpoints for resumable crawl/audit runs.
+ *
+ * Layout of a checkpoint directory:
+ * - manifest.json     run inputs + crawl completion state
+ * - crawl-state.json  crawler progress (visited, depths, pending queue)
+ * - results/<id>.json one AuditService.run result per completed route
+ *
+ * Every write goes to a temp file first and is then renamed into place, so a
+ * run killed mid-write never leaves a half-written JSON file behind. Files are
+ * readable by their owner only.
+ */
+
+import fs from 'fs-extra';
+import path from 'node:path';
+import { createHash } from 'node:crypto';
+
+const MANIFEST_FILE = 'manifest.json';
+const CRAWL_STATE_FILE = 'crawl-state.json';
+const RESULTS_DIR = 'results';
+const CHECKPOINT_VERSION = 1;
+
+/**
+ * @typedef {Object} CheckpointInputs
+ * @property {string} url
+ * @property {number} limit
+ * @property {number} timeoutMs
+ * @property {string} standard
+ * @property {string[]} tools
+ */
+
+/**
+ * @typedef {Object} CheckpointManifest
+ * @property {number} version
+ * @property {string} createdAt
+ * @property {string} updatedAt
+ * @property {CheckpointInputs} inputs
+ * @property {CheckpointConfig} [config] - Absent in checkpoints written before it was stored
+ * @property {{ complete: boolean, routes: string[], templates?: any[]|null, linkGraph?: any|null, linkStatus?: any|null }} crawl
+ */
+
+/**
+ * @typedef {Object} CheckpointConfig
+ * @property {Record<string, any>} values - The run's merged config, without `auth`
+ * @property {Record<string, any>|null} meta - Its non-enumerable `__meta` flags
+ * @property {string|null} [authType] - `auth.type` of the run; its credentials are not stored
+ */
+
+/**
+ * JSON has no Infinity (the default thresholds use it), so it is stored as a string.
+ * `auth` (headers, cookies, login credentials) is left out: a resumed run
+ * takes it from its own flags and config file.
+ *
+ * @param {Record<string, any>} config
+ * @returns {Record<string, any>}
+ */
+function encodeConfig(config) {
+  const values = { ...config };
+  delete values.auth;
+  return JSON.parse(
+    JSON.stringify(values, (_key, value) => (value === Infinity ? 'Infinity' : value))
+  );
+}
+
+/**
+ * @param {Record<string, any>} config
+ * @returns {Record<string, any>}
+ */
+function decodeConfig(config) {
+  return JSON.parse(JSON.stringify(config), (_key, value) =>
+    value === 'Infinity' ? Infinity : value
+  );
+}
+
+/**
+ * @param {string} url
+ * @returns {string}
+ */
+function routeFileName(url) {
+  return `${createHash('sha1').update(String(url)).digest('hex').slice(0, 16)}.json`;
+}
+
+/**
+ * @param {string} filepath
+ * @param {unknown} data
+ */
+async function writeJsonAtomic(filepath, data) {
+  const tmpPath = `${filepath}.${process.pid}.tmp`;
+  await fs.outputJson(tmpPath, data, { spaces: 2, mode: 0o600 });
+  await fs.move(tmpPath, filepath, { overwrite: true });
+}
+
+export class CheckpointStore {
+  /**
+   * @param {string} dir
+   * @param {CheckpointManifest} manifest
+   */
+  constructor(dir, manifest) {
+    this.dir = dir;
+    this.manifest = manifest;
+  }
+
+  /**
+   * Start a new checkpoint in `dir`.
+   *
+   * Refuses to overwrite an existing checkpoint so an interrupted run is never
+   * clobbered by accident; use {@link CheckpointStore.open} to resume it.
+   *
+   * @param {string} dir
+   * @param {CheckpointInputs} inputs
+   * @param {Record<string, any>} [config] - Merged config, reused by `--resume`
+   * @returns {Promise<CheckpointStore>}
+   */
+  static async create(dir, inputs, config) {
+    if (await fs.pathExists(path.join(dir, MANIFEST_FILE))) {
+      throw new Error(
+        `Checkpoint directory ${dir} already contains a run. Use --resume ${dir} to continue it.`
+      );
+    }
+
+    const now = new Date().toISOString();
+    const store = new CheckpointStore(dir, {
+      version: CHECKPOINT_VERSION,
+      createdAt: now,
+      updatedAt: now,
+      inputs: { ...inputs, tools: [...inputs.tools] },
+      ...(config
+        ? {
+            config: {
+              values: encodeConfig(config),
+              meta: config.__meta ?? null,
+              authType: config.auth?.type ?? null,
+            },
+          }
+        : {}),
+      crawl: { complete: false, routes: [] },
+    });
+
+    await fs.ensureDir(path.join(dir, RESULTS_DIR));
+    await store.#writeManifest();
+    return store;
+  }
+
+  /**
+   * Open an existing checkpoint for resuming.
+   *
+   * @param {string} dir
+   * @returns {Promise<CheckpointStore>}
+   */
+  static async open(dir) {
+    const manifestPath = path.join(dir, MANIFEST_FILE);
+    if (!(await fs.pathExists(manifestPath))) {
+      throw new Error(`No checkpoint found in ${dir}`);
+    }
+
+    const manifest = await fs.readJson(manifestPath);
+    if (manifest?.version !== CHECKPOINT_VERSION) {
+      throw new Error(
+        `Unsupported checkpoint version ${manifest?.version} in ${dir} (expected ${CHECKPOINT_VERSION})`
+      );
+    }
+
+    return new CheckpointStore(dir, manifest);
+  }
+
+  /** @returns {CheckpointInputs} */
+  get inputs() {
+    return this.manifest.inputs;
+  }
+
+  /** @returns {CheckpointConfig|null} */
+  get config() {
+    const stored = this.manifest.config;
+    return stored
+      ? {
+          values: decodeConfig(stored.values),
+          meta: stored.meta ?? null,
+          authType: stored.authType ?? null,
+        }
+      : null;
+  }
+
+  /** @returns {boolean} */
+  get crawlComplete() {
+    return this.manifest.crawl.complete === true;
+  }
+
+  /** @returns {string[]} */
+  get routes() {
+    return [...this.manifest.crawl.routes];
+  }
+
+  /** @returns {any[]|null} */
+  get templates() {
+    return this.manifest.crawl.templates ?? null;
+  }
+
+  /** @returns {any|null} */
+  get linkGraph() {
+    return this.manifest.crawl.linkGraph ?? null;
+  }
+
+  /** @returns {any|null} */
+  get linkStatus() {
+    return this.manifest.crawl.linkStatus ?? null;
+  }
+
+  /** @returns {Record<string, any[]>|null} */
+  get aliases() {
+    return this.manifest.crawl.aliases ?? null;
+  }
+
+  /** @returns {string[]} */
+  get unvisitedRoutes() {
+    return [...(this.manifest.crawl.unvisitedRoutes ?? [])];
+  }
+
+  /**
+   * @param {any} state - Serialisable crawler progress from CrawlerService.
+   */
+  async saveCrawlState(state) {
+    await writeJsonAtomic(path.join(this.dir, CRAWL_STATE_FILE), state);
+  }
+
+  /**
+   * @returns {Promise<any|null>}
+   */
+  async loadCrawlState() {
+    const statePath = path.join(this.dir, CRAWL_STATE_FILE);
+    if (!(await fs.pathExists(statePath))) return null;
+    return fs.readJson(statePath);
+  }
+
+  /**
+   * Record the final route list so a resumed run skips discovery entirely.
+   *
+   * @param {string[]} routes
+   * @param {object} [artifacts] - Crawl outputs the report needs
+   * @param {any[]|null} [artifacts.templates] - Route template summary when template sampling is enabled
+   * @param {any|null} [artifacts.linkGraph] - Link graph recorded by the crawl
+   * @param {any|null} [artifacts.linkStatus] - Broken and redirected link summary
+   * @param {Record<string, any[]>|null} [artifacts.aliases] - Collapsed duplicate URLs per route
+   * @param {string[]} [artifacts.unvisitedRoutes] - Routes still queued when the time budget stopped the crawl
+   */
+  async completeCrawl(routes, artifacts = {}) {
+    this.manifest.crawl = {
+      complete: true,
+      routes: [...routes],
+      templates: artifacts.templates ?? null,
+      linkGraph: artifacts.linkGraph ?? null,
+      linkStatus: artifacts.linkStatus ?? null,
+      aliases: artifacts.aliases ?? null,
+      unvisitedRoutes: artifacts.unvisitedRoutes ?? [],
+    };
+    await this.#writeManifest();
+  }
+
+  /**
+   * @param {{ url: string }} result
+   */
+  async saveRouteResult(result) {
+    await writeJsonAtomic(path.join(this.dir, RESULTS_DIR, routeFileName(result.url)), result);
+  }
+
+  /**
+   * Load the results already recorded for the given routes.
+   *
+   * @param {string[]} routes
+   * @returns {Promise<Map<string, any>>}
+   */
+  async loadRouteResults(routes) {
+    /** @type {Map<string, any>} */
+    const results = new Map();
+
+    for (const route of routes) {
+      const resultPath = path.join(this.dir, RESULTS_DIR, routeFileName(route));
+      if (!(await fs.pathExists(resultPath))) continue;
+
+      try {
+        const result = await fs.readJson(resultPath);
+        if (result?.url === route) results.set(route, result);
+      } catch {
+        // unreadable result: the route is simply audited again
+      }
+    }
+
+    return results;
+  }
+
+  async #writeManifest() {
+    this.manifest.updatedAt = new Date().toISOString();
+    await writeJsonAtomic(path.join(this.dir, MANIFEST_FILE), this.manifest);
+  }
+}
+
+export default CheckpointStore;
@@ -261,6 +261,7 @@ export class CodeEvidenceExtractor {
     }
 
     const selectorCache = new Map();
+    const frameCache = new Map();
     const operationState = { count: 0 };
     const enriched = [];
 
@@ -271,6 +272,7 @@ export class CodeEvidenceExtractor {
         sourceHtml,
         options,
         selectorCache,
+        frameCache,
         operationState,
       });
 
@@ -322,21 +324,39 @@ export class CodeEvidenceExtractor {
    * @param {string} params.sourceHtml
    * @param {typeof DEFAULT_OPTIONS} params.options
    * @param {Map<string, any>} params.selectorCache
+   * @param {Map<string, Promise<{ frame: import('puppeteer').Frame, html: string }|null>>} params.frameCache
    * @param {{ count: number }} params.operationState
    * @returns {Promise<IssueEvidence>}
    */
   static async #extractIssueEvidence(params) {
-    const { issue, page, sourceHtml, options, selectorCache, operationState } = params;
+    const { issue, page, options, selectorCache, frameCache, operationState } = params;
     const selector = (issue.selector || '').trim();
+    const framePath = Array.isArray(issue.framePath) ? issue.framePath : [];
     const errors = [];
 
-    if (page && selector && operationState.count < options.maxOpsPerPage) {
-      let selectorMatch = selectorCache.get(selector);
+    // Issues inside an iframe are looked up in, and matched against, that frame's document.
+    let target = page;
+    let sourceHtml = params.sourceHtml;
+    if (page && framePath.length) {
+      const resolved = await CodeEvidenceExtractor.#resolveFrame(
+        page,
+        framePath,
+        frameCache,
+        options
+      );
+      target = resolved?.frame;
+      sourceHtml = resolved?.html || '';
+      if (!resolved) errors.push(`Frame not found: ${framePath.join(' > ')}`);
+    }
+
+    if (target && selector && operationState.count < options.maxOpsPerPage) {
+      const cacheKey = [...framePath, selector].join(' >>> ');
+      let selectorMatch = selectorCache.get(cacheKey);
       if (!selectorMatch) {
         operationState.count += 1;
         try {
           selectorMatch = await withTimeout(
-            page.evaluate((selectorValue) => {
+            target.evaluate((selectorValue) => {
               /* global document */
               try {
                 const el = document.querySelector(selectorValue);
@@ -370,7 +390,7 @@ export class CodeEvidenceExtractor {
           selectorMatch = { found: false, error: error?.message || String(error) };
         }
 
-        selectorCache.set(selector, selectorMatch);
+        selectorCache.set(cacheKey, selectorMatch);
       }
 
       if (selectorMatch?.found && selectorMatch.snippet) {
@@ -390,6 +410,7 @@ export class CodeEvidenceExtractor {
             xpath: selectorMatch.xpath || null,
             line: context?.line ?? null,
             column: context?.column ?? null,
+            ...(framePath.length ? { framePath } : {}),
           },
         };
       }
@@ -421,6 +442,7 @@ export class CodeEvidenceExtractor {
             xpath: null,
             line: context.line,
             column: context.column,
+            ...(framePath.length ? { framePath } : {}),
           },
         };
       }
@@ -433,6 +455,39 @@ export class CodeEvidenceExtractor {
 
     return fallback;
   }
+
+  /**
+   * Find the frame an issue's `framePath` points to by following each
+   * `<iframe>` selector down from the main frame, and read its source once.
+   *
+   * @private
+   * @param {import('puppeteer').Page} page
+   * @param {string[]} framePath
+   * @param {Map<string, Promise<{ frame: import('puppeteer').Frame, html: string }|null>>} frameCache
+   * @param {typeof DEFAULT_OPTIONS} options
+   * @returns {Promise<{ frame: import('puppeteer').Frame, html: string }|null>}
+   */
+  static #resolveFrame(page, framePath, frameCache, options) {
+    const key = framePath.join(' >>> ');
+    if (!frameCache.has(key)) {
+      const lookup = async () => {
+        let frame = page.mainFrame();
+        for (const frameSelector of framePath) {
+          const element = await frame.$(frameSelector);
+          frame = element ? await element.contentFrame() : null;
+          await element?.dispose();
+          if (!frame) return null;
+        }
+        const html = await frame.content().catch(() => '');
+        return { frame, html };
+      };
+      frameCache.set(
+        key,
+        withTimeout(lookup(), options.timeoutMs).catch(() => null)
+      );
+    }
+    return frameCache.get(key);
+  }
 }
 
 export default CodeEvidenceExtractor;
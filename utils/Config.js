@@ -20,16 +20,33 @@ import { pathToFileURL } from 'url';
 import { defaultLogger as log } from './Logger.js';
 import { isToolSelectionError, parseToolSelection } from './toolSelection.js';
 import { hasUserThresholds, hasUserToolsSelection } from './config/metaFlags.js';
+import { DEFAULTS } from './config/defaults.js';
+import {
+  coerceCrawlerUrlRules,
+  coerceCrawlScope,
+  coerceKeyboard,
+  coerceLoginWall,
+  coercePageClassification,
+  coercePageStructure,
+  coercePoliteness,
+  coerceReflow,
+  coerceStateExploration,
+  coerceTemplateSampling,
+  coerceTextStress,
+  coerceVerification,
+} from './config/coerceSections.js';
 
 /** @typedef {import('./Validation.js').ValidatedOptions} ValidatedOptions */
 
 /**
  * @typedef {Object} AuthConfig
- * @property {string} [type] - 'cookies' | 'headers' | 'login-script'
+ * @property {string} [type] - 'cookies' | 'headers' | 'login-script' | 'form' | 'storage-state'
  * @property {Array<{name: string, value: string, domain?: string, path?: string}>} [cookies]
  * @property {Record<string, string>} [headers]
  * @property {string} [loginScript] - Path to login script module
  * @property {Object} [loginCredentials] - Credentials passed to login script
+ * @property {Object} [form] - Login form for type 'form': loginUrl, fields, submitSelector, success
+ * @property {string} [storageState] - Storage-state file for type 'storage-state'
  */
 
 /**
@@ -44,11 +61,37 @@ import { hasUserThresholds, hasUserToolsSelection } from './config/metaFlags.js'
 /**
  * @typedef {Object} CrawlerConfig
  * @property {boolean} [useSitemap] - Parse sitemap.xml for URLs
+ * @property {string|null} [changedSince] - Audit only sitemap URLs whose `<lastmod>` is on or after this
  * @property {boolean} [respectRobotsTxt] - Respect robots.txt disallow rules
+ * @property {string} [robotsUserAgent] - Product token matched against robots.txt `User-agent` groups
+ * @property {boolean} [hashRoutes] - Treat `#/...` fragments as distinct routes
+ * @property {{ strip?: string[], allow?: string[], sort?: boolean }} [queryParams] - Query-parameter rules
+ * @property {{ canonical?: boolean, contentHash?: boolean, hreflang?: boolean }} [dedupe] - Duplicate collapsing
+ * @property {boolean} [clickRoutes] - Click non-anchor controls to discover router links
+ * @property {number} [maxClickCandidates] - Controls clicked per crawled page
+ * @property {boolean} [checkLinks] - Record HTTP status and redirect chains of internal links
+ * @property {number} [maxLinkChecks] - Discovered links checked over HTTP without being crawled
+ * @property {boolean} [scanSitemapPages] - Load pages picked from the sitemap to record their links
  * @property {boolean} [detectSpaRoutes] - Monitor history.pushState for SPA routes
  * @property {boolean} [pierceShadowDom] - Scan Shadow DOM elements
  * @property {string[]} [includePatterns] - URL patterns to include (glob)
  * @property {string[]} [excludePatterns] - URL patterns to exclude (glob)
+ * @property {TemplateSamplingConfig} [templateSampling] - Sample pages per route template
+ * @property {CrawlScopeConfig} [scope] - Extra hosts and path prefixes one run may crawl
+ */
+
+/**
+ * @typedef {Object} CrawlScopeConfig
+ * @property {string[]} [allowedHosts] - Extra hosts to crawl; `*.example.com` matches subdomains
+ * @property {string[]} [pathPrefixes] - Restrict every in-scope host to these path prefixes
+ */
+
+/**
+ * @typedef {Object} TemplateSamplingConfig
+ * @property {boolean} [enabled] - Cluster URLs into route templates and audit samples only
+ * @property {number} [samplesPerTemplate] - Pages audited per template (per DOM variant)
+ * @property {number} [similarityThreshold] - DOM similarity (0-1) for pages to share a variant
+ * @property {number} [siblingThreshold] - Distinct child paths before a segment becomes a wildcard
  */
 
 /**
@@ -83,6 +126,28 @@ import { hasUserThresholds, hasUserToolsSelection } from './config/metaFlags.js'
  * @property {number} [gridSize] - Sampling grid density for contrast verification
  */
 
+/**
+ * @typedef {Object} CheckpointConfig
+ * @property {string|null} [dir] - Directory for resumable crawl/audit checkpoints
+ */
+
+/**
+ * @typedef {Object} PolitenessConfig
+ * @property {number} [maxRequestsPerSecond] - Requests per second per host (0 = unlimited)
+ * @property {number} [maxConcurrentPerHost] - In-flight navigations per host (0 = unlimited)
+ * @property {boolean} [respectCrawlDelay] - Honour robots.txt `Crawl-delay`
+ * @property {number} [maxBackoffMs] - Longest pause after a 429/503 response
+ * @property {number} [maxRetries] - Retries of a navigation answered with 429/503
+ */
+
+/**
+ * @typedef {Object} StateExplorationConfig
+ * @property {boolean} [enabled] - Expand menus, activate tabs and open dialogs, auditing each state
+ * @property {number} [maxStates] - Maximum UI states audited per page
+ * @property {number} [maxDepth] - How many trigger clicks deep a state path may go
+ * @property {number} [settleMs] - Wait after each click before auditing
+ */
+
 /**
  * @typedef {Object} FullConfig
  * @property {string} url - Base URL to audit
@@ -102,65 +167,26 @@ import { hasUserThresholds, hasUserToolsSelection } from './config/metaFlags.js'
  * @property {ReportConfig} [report] - Report generation options
  * @property {ComplianceConfig} [compliance] - Compliance scoring options
  * @property {VerificationConfig} [verification] - Contrast verification options
+ * @property {CheckpointConfig} [checkpoint] - Checkpoint/resume options
+ * @property {PolitenessConfig} [politeness] - Per-host rate limits shared by crawl and audits
+ * @property {StateExplorationConfig} [stateExploration] - Interactive UI state exploration
+ * @property {Array<string|{ name?: string, width: number, height?: number, deviceScaleFactor?: number, hasTouch?: boolean, isMobile?: boolean }>} [viewports] - Viewports each page is audited at
+ * @property {{ enabled?: boolean, width?: number }} [reflow] - Horizontal-scroll check run with `viewports`
+ * @property {Array<string|Record<string, string>>} [mediaModes] - Media feature emulations each page is also audited under
+ * @property {{ enabled?: boolean, includeTree?: boolean }} [pageStructure] - Accessibility tree snapshot and structural outline
+ * @property {{ enabled?: boolean, maxTabStops?: number, checkFocusIndicators?: boolean }} [keyboard] - Keyboard navigation audit
+ * @property {{ enabled?: boolean, spacing?: boolean, resize?: boolean, screenshots?: boolean, maxFindings?: number, maxScreenshotBytes?: number }} [textStress] - Text spacing and 200% text size stress test
+ * @property {{ file?: string|null }} [flow] - User-flow file audited instead of crawling
+ * @property {{ file?: string|null, format?: 'text'|'csv'|'json'|null }} [urlList] - URL list audited instead of crawling (`-` for stdin)
+ * @property {{ maxDuration?: string|number|null, discoveryShare?: number }} [budget] - Run time budget
+ * @property {{ enabled?: boolean, compareToNotFound?: boolean, similarityThreshold?: number }} [pageClassification] - Error and soft-404 page detection
+ * @property {{ url?: string|null, selector?: string|null, maxReauth?: number }} [loginWall] - Login page detection and re-authentication
  * @property {boolean} [deduplicateIssues] - Remove duplicate issues across tools
  */
 
 /** Config file names to search for (in order) */
 const CONFIG_FILES = ['.a11yrc.json', 'a11y.config.js', 'a11y.config.mjs'];
 
-/** Default configuration values */
-const DEFAULTS = {
-  limit: 5,
-  timeout: 60000,
-  standard: 'WCAG2AA',
-  details: false,
-  outDir: './reports',
-  formats: ['json'],
-  tools: ['axe'],
-  concurrency: 1,
-  deduplicateIssues: true,
-  browser: {
-    noSandbox: false,
-  },
-  evidence: {
-    enabled: true,
-    contextLines: 2,
-    maxChars: 2000,
-    maxOpsPerPage: 500,
-    timeoutMs: 1500,
-  },
-  report: {
-    csvLegacy: false,
-  },
-  compliance: {
-    includeManualChecks: false,
-  },
-  verification: {
-    v2: false,
-    deterministic: false,
-    confidenceThreshold: 'high',
-    gridSize: 24,
-  },
-  crawler: {
-    useSitemap: true,  // Enabled by default for comprehensive page discovery
-    respectRobotsTxt: true,
-    detectSpaRoutes: true,  // Enabled by default for SPA support
-    pierceShadowDom: true,
-    discoverCommonPaths: true,  // Probe common URL paths
-    followNavigation: true,  // Prioritize nav/footer links
-    maxDepth: 5,  // Max crawl depth
-    includePatterns: [],
-    excludePatterns: [],
-  },
-  thresholds: {
-    maxViolations: Infinity,
-    maxCritical: Infinity,
-    maxSerious: Infinity,
-    minScore: 0,
-    minCompliance: null,
-  },
-};
-
 export class Config {
   /**
    * Load configuration from file and merge with CLI args.
@@ -331,35 +357,31 @@ export class Config {
         }
       }
     }
-    if (result.verification) {
-      result.verification = { ...result.verification };
-      if (result.verification.v2 !== undefined) {
-        if (typeof result.verification.v2 === 'string') {
-          result.verification.v2 = result.verification.v2.toLowerCase() === 'true';
-        } else {
-          result.verification.v2 = Boolean(result.verification.v2);
-        }
-      }
-      if (result.verification.deterministic !== undefined) {
-        if (typeof result.verification.deterministic === 'string') {
-          result.verification.deterministic =
-            result.verification.deterministic.toLowerCase() === 'true';
-        } else {
-          result.verification.deterministic = Boolean(result.verification.deterministic);
-        }
-      }
-      if (result.verification.gridSize !== undefined) {
-        result.verification.gridSize = Number(result.verification.gridSize);
-      }
-      if (result.verification.confidenceThreshold !== undefined) {
-        const normalized = String(result.verification.confidenceThreshold).toLowerCase();
-        if (normalized === 'low' || normalized === 'medium' || normalized === 'high') {
-          result.verification.confidenceThreshold = normalized;
-        } else {
-          result.verification.confidenceThreshold = 'high';
-        }
-      }
+    if (result.crawler?.templateSampling) {
+      result.crawler = {
+        ...result.crawler,
+        templateSampling: coerceTemplateSampling(result.crawler.templateSampling),
+      };
+    }
+    if (result.politeness) {
+      result.politeness = coercePoliteness(result.politeness);
+    }
+    if (result.stateExploration) {
+      result.stateExploration = coerceStateExploration(result.stateExploration);
+    }
+    if (result.reflow) result.reflow = coerceReflow(result.reflow);
+    if (result.pageStructure) result.pageStructure = coercePageStructure(result.pageStructure);
+    if (result.keyboard) result.keyboard = coerceKeyboard(result.keyboard);
+    if (result.textStress) result.textStress = coerceTextStress(result.textStress);
+    if (result.crawler) result.crawler = coerceCrawlerUrlRules(result.crawler);
+    if (result.crawler?.scope) {
+      result.crawler = { ...result.crawler, scope: coerceCrawlScope(result.crawler.scope) };
+    }
+    if (result.pageClassification) {
+      result.pageClassification = coercePageClassification(result.pageClassification);
     }
+    if (result.loginWall) result.loginWall = coerceLoginWall(result.loginWall);
+    if (result.verification) result.verification = coerceVerification(result.verification);
 
     return result;
   }
@@ -24,6 +24,7 @@ export class ReportGenerator {
    * @param {Object} [options]
    * @param {boolean} [options.openHtml=false]
    * @param {boolean} [options.csvLegacy=false]
+   * @param {any|null} [options.linkGraph] - Crawl link graph, written as `<baseFilename>.links.json`
    * @returns {Promise<string[]>}
    */
   static async generate(data, outDir, formats, baseFilename, options = {}) {
@@ -59,6 +60,13 @@ export class ReportGenerator {
       log.debug(`Generated ${format.toUpperCase()} report: ${filepath}`);
     }
 
+    if (options.linkGraph) {
+      const filepath = path.join(outDir, `${baseFilename}.links.json`);
+      await generateJsonReport(options.linkGraph, filepath);
+      generatedFiles.push(filepath);
+      log.debug(`Generated link graph: ${filepath}`);
+    }
+
     const skipOpen = process.env.A11Y_SKIP_OPEN_HTML === '1' || process.env.A11Y_OPEN_HTML === 'false';
     if (!skipOpen && options.openHtml && htmlPath) {
       openInBrowser(htmlPath);
@@ -0,0 +1,365 @@
+/**
+ * utils/RequestScheduler.js
+ * -----------------------------------------------------------------------------
+ * Per-host politeness for crawl and audit navigations.
+ *
+ * Every navigation to a host goes through one shared scheduler, which:
+ * - spaces request starts by `1 / maxRequestsPerSecond` (or the host's
+ *   robots.txt `Crawl-delay`, whichever is longer),
+ * - caps the number of in-flight navigations per host,
+ * - pauses a host after a 429/503 page load, for its `Retry-After` value or an
+ *   exponential backoff when the header is missing.
+ *
+ * Plain HTTP requests (link checks, sitemaps) back off on their own: one dead
+ * link answering 503 retries after a pause but never holds up page loads.
+ *
+ * With a `userAgentToken`, page loads and HTTP requests also carry the
+ * robots.txt product token in their User-Agent, so sites see the same name
+ * the crawler's robots.txt rules were chosen for.
+ *
+ * Limits of 0 mean "unlimited", so a default scheduler only applies backoff.
+ */
+
+/**
+ * @typedef {Object} RequestSchedulerOptions
+ * @property {number} [maxRequestsPerSecond=0] - Per host; 0 disables rate limiting
+ * @property {number} [maxConcurrentPerHost=0] - In-flight navigations per host; 0 is unlimited
+ * @property {boolean} [respectCrawlDelay=true] - Honour robots.txt `Crawl-delay`
+ * @property {number} [maxBackoffMs=60000] - Upper bound for one backoff pause
+ * @property {number} [maxRetries=2] - Retries of a navigation answered with 429/503
+ * @property {string|null} [userAgentToken] - Product token appended to the User-Agent
+ * @property {{ debug: (msg: string) => void, warn: (msg: string) => void }} [log]
+ */
+
+/**
+ * @typedef {Object} HostState
+ * @property {number} nextStartAt - Earliest time the next request may start
+ * @property {number} pausedUntil - Backoff end time
+ * @property {number} strikes - Consecutive 429/503 responses
+ * @property {number} crawlDelayMs
+ * @property {number} inFlight
+ * @property {Array<() => void>} waiters
+ */
+
+const BACKOFF_STATUSES = new Set([429, 503]);
+const BASE_BACKOFF_MS = 1000;
+
+/**
+ * @param {number} ms
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * @param {string} url
+ * @returns {string}
+ */
+function hostKey(url) {
+  try {
+    return new URL(url).host;
+  } catch {
+    return String(url);
+  }
+}
+
+/**
+ * Chrome treats a URL that differs from the page's current one only in its
+ * fragment as a same-document navigation: nothing reloads and `page.goto`
+ * resolves without a response. Hash-routed URLs need a fresh document each
+ * time, so step through `about:blank` first.
+ *
+ * @param {import('puppeteer').Page} page
+ * @param {string} url
+ */
+async function leaveDocumentForFragment(page, url) {
+  let target;
+  let current;
+  try {
+    target = new URL(url);
+    if (!target.hash) return;
+    current = new URL(page.url());
+  } catch {
+    return;
+  }
+
+  target.hash = '';
+  current.hash = '';
+  if (current.href === target.href) await page.goto('about:blank');
+}
+
+/**
+ * Parse a `Retry-After` header (delay in seconds or an HTTP date) into ms.
+ *
+ * @param {string|null|undefined} value
+ * @param {number} [now=Date.now()]
+ * @returns {number|null} Null when the header is missing or unparseable
+ */
+export function parseRetryAfter(value, now = Date.now()) {
+  if (value === null || value === undefined) return null;
+  const trimmed = String(value).trim();
+  if (trimmed === '') return null;
+
+  if (/^\d+$/.test(trimmed)) return Number(trimmed) * 1000;
+
+  const date = Date.parse(trimmed);
+  if (Number.isNaN(date)) return null;
+  return Math.max(0, date - now);
+}
+
+/**
+ * Thrown when a host keeps answering 429/503 after every retry. Carries the
+ * last status so callers can still report the page as an HTTP error.
+ */
+export class RateLimitedError extends Error {
+  /**
+   * @param {string} message
+   * @param {string} url
+   * @param {number} status - Last status the host answered
+   * @param {number} attempts
+   */
+  constructor(message, url, status, attempts) {
+    super(message);
+    this.name = 'RateLimitedError';
+    this.url = url;
+    this.status = status;
+    this.attempts = attempts;
+  }
+}
+
+export class RequestScheduler {
+  /**
+   * @param {RequestSchedulerOptions} [opts]
+   */
+  constructor(opts = {}) {
+    this.maxRequestsPerSecond = Math.max(0, opts.maxRequestsPerSecond ?? 0);
+    this.maxConcurrentPerHost = Math.max(0, Math.floor(opts.maxConcurrentPerHost ?? 0));
+    this.respectCrawlDelay = opts.respectCrawlDelay ?? true;
+    this.maxBackoffMs = opts.maxBackoffMs ?? 60_000;
+    this.maxRetries = opts.maxRetries ?? 2;
+    this.userAgentToken = opts.userAgentToken ?? null;
+    this.log = opts.log ?? { debug() {}, warn() {} };
+
+    /** @type {Map<string, HostState>} */
+    this.hosts = new Map();
+  }
+
+  /** @type {WeakSet<import('puppeteer').Page>} Pages whose User-Agent already carries the token */
+  #identifiedPages = new WeakSet();
+
+  /**
+   * @param {string} host
+   * @returns {HostState}
+   */
+  #state(host) {
+    let state = this.hosts.get(host);
+    if (!state) {
+      state = {
+        nextStartAt: 0,
+        pausedUntil: 0,
+        strikes: 0,
+        crawlDelayMs: 0,
+        inFlight: 0,
+        waiters: [],
+      };
+      this.hosts.set(host, state);
+    }
+    return state;
+  }
+
+  /**
+   * @param {HostState} state
+   * @returns {number}
+   */
+  #intervalMs(state) {
+    const rateInterval = this.maxRequestsPerSecond > 0 ? 1000 / this.maxRequestsPerSecond : 0;
+    return Math.max(rateInterval, this.respectCrawlDelay ? state.crawlDelayMs : 0);
+  }
+
+  /**
+   * Record a robots.txt `Crawl-delay` for the host of `url`.
+   *
+   * @param {string} url - Any URL or origin on the host
+   * @param {number|null|undefined} seconds
+   */
+  setCrawlDelay(url, seconds) {
+    if (!Number.isFinite(seconds) || seconds <= 0) return;
+    this.#state(hostKey(url)).crawlDelayMs = seconds * 1000;
+    if (this.respectCrawlDelay) {
+      this.log.debug(`Honouring Crawl-delay of ${seconds}s for ${hostKey(url)}`);
+    }
+  }
+
+  /**
+   * `userAgent` with the product token appended, unless it already names it.
+   *
+   * @param {string} userAgent
+   * @returns {string}
+   */
+  userAgent(userAgent) {
+    const token = this.userAgentToken;
+    if (!token || userAgent.toLowerCase().includes(token.toLowerCase())) return userAgent;
+    return `${userAgent} ${token}`;
+  }
+
+  /**
+   * Append the product token to the browser's User-Agent for `page`, once.
+   *
+   * @param {import('puppeteer').Page} page
+   */
+  async #identify(page) {
+    if (!this.userAgentToken || this.#identifiedPages.has(page)) return;
+    this.#identifiedPages.add(page);
+    const browserAgent = await page.browser().userAgent();
+    await page.setUserAgent({ userAgent: this.userAgent(browserAgent) });
+  }
+
+  /**
+   * Wait for an in-flight slot and the host's next start time.
+   *
+   * @param {HostState} state
+   */
+  async #acquire(state) {
+    while (this.maxConcurrentPerHost > 0 && state.inFlight >= this.maxConcurrentPerHost) {
+      await new Promise((resolve) => state.waiters.push(resolve));
+    }
+    state.inFlight++;
+
+    // Reserve a start time before sleeping so concurrent callers queue up behind it.
+    for (;;) {
+      const now = Date.now();
+      const startAt = Math.max(now, state.nextStartAt, state.pausedUntil);
+      if (startAt <= now) {
+        state.nextStartAt = now + this.#intervalMs(state);
+        return;
+      }
+      state.nextStartAt = Math.max(state.nextStartAt, startAt);
+      await sleep(startAt - now);
+    }
+  }
+
+  /**
+   * @param {HostState} state
+   */
+  #release(state) {
+    state.inFlight--;
+    state.waiters.shift()?.();
+  }
+
+  /**
+   * Run `fn` once the host of `url` may receive another request.
+   *
+   * @template T
+   * @param {string} url
+   * @param {() => Promise<T>} fn
+   * @returns {Promise<T>}
+   */
+  async run(url, fn) {
+    const state = this.#state(hostKey(url));
+    await this.#acquire(state);
+    try {
+      return await fn();
+    } finally {
+      this.#release(state);
+    }
+  }
+
+  /**
+   * Record a response status. A 429/503 pauses the host and returns the pause
+   * length; any other status clears the host's backoff and returns 0.
+   *
+   * @param {string} url
+   * @param {number} status
+   * @param {string|null} [retryAfter] - `Retry-After` header value
+   * @returns {number}
+   */
+  noteResponse(url, status, retryAfter) {
+    const host = hostKey(url);
+    const state = this.#state(host);
+
+    if (!BACKOFF_STATUSES.has(status)) {
+      state.strikes = 0;
+      return 0;
+    }
+
+    const delayMs = this.#backoffMs(retryAfter, state.strikes);
+    state.strikes++;
+    state.pausedUntil = Math.max(state.pausedUntil, Date.now() + delayMs);
+    this.log.warn(`${host} answered HTTP ${status}; pausing requests to it for ${delayMs}ms`);
+    return delayMs;
+  }
+
+  /**
+   * @param {string|null|undefined} retryAfter - `Retry-After` header value
+   * @param {number} strikes - 429/503 responses so far
+   * @returns {number}
+   */
+  #backoffMs(retryAfter, strikes) {
+    const requested = parseRetryAfter(retryAfter);
+    return Math.min(this.maxBackoffMs, requested ?? BASE_BACKOFF_MS * Math.pow(2, strikes));
+  }
+
+  /**
+   * @param {string} url
+   * @param {number} status
+   * @param {number} attempts
+   * @returns {RateLimitedError}
+   */
+  #rateLimitedError(url, status, attempts) {
+    return new RateLimitedError(
+      `${hostKey(url)} kept answering HTTP ${status} for ${url} after ${attempts} attempt(s); lower --max-rps or --max-per-host`,
+      url,
+      status,
+      attempts
+    );
+  }
+
+  /**
+   * `page.goto` through the scheduler, retrying after backoff when the host
+   * answers 429/503. URLs with a fragment always load a fresh document.
+   * The page's User-Agent gets the product token before its first load.
+   *
+   * @param {import('puppeteer').Page} page
+   * @param {string} url
+   * @param {import('puppeteer').GoToOptions} [options]
+   * @returns {Promise<import('puppeteer').HTTPResponse|null>}
+   */
+  async goto(page, url, options) {
+    await this.#identify(page);
+    for (let attempt = 0; ; attempt++) {
+      await leaveDocumentForFragment(page, url);
+      const response = await this.run(url, () => page.goto(url, options));
+      const status = response?.status() ?? 0;
+      this.noteResponse(url, status, response?.headers()['retry-after']);
+
+      if (!BACKOFF_STATUSES.has(status)) return response;
+      if (attempt >= this.maxRetries) throw this.#rateLimitedError(url, status, attempt + 1);
+    }
+  }
+
+  /**
+   * An HTTP request (link check, sitemap) through the scheduler, retried
+   * after backoff like {@link RequestScheduler#goto}. The backoff only delays
+   * this request's retry; the host is not paused for other requests.
+   *
+   * @param {string} url
+   * @param {() => Promise<Response>} send - Issues one request
+   * @returns {Promise<Response>}
+   */
+  async fetch(url, send) {
+    for (let attempt = 0; ; attempt++) {
+      const response = await this.run(url, send);
+
+      if (!BACKOFF_STATUSES.has(response.status)) return response;
+      if (attempt >= this.maxRetries) {
+        throw this.#rateLimitedError(url, response.status, attempt + 1);
+      }
+      const delayMs = this.#backoffMs(response.headers.get('retry-after'), attempt);
+      this.log.warn(`${url} answered HTTP ${response.status}; retrying it in ${delayMs}ms`);
+      await sleep(delayMs);
+    }
+  }
+}
+
+export default RequestScheduler;
@@ -0,0 +1,116 @@
+/**
+ * utils/RunBudget.js
+ * -----------------------------------------------------------------------------
+ * Wall-clock budget for one run (`--max-duration`).
+ *
+ * The budget starts when the run starts and is split into:
+ * - a discovery deadline, after `discoveryShare` of the budget, when the
+ *   crawl stops visiting new pages,
+ * - an audit deadline, `reportReserveMs` before the end, after which no new
+ *   page audit is started. In-flight audits are left to finish, and the
+ *   reserve leaves time to write the reports.
+ *
+ * Time that discovery does not use is left for auditing.
+ */
+
+/**
+ * @typedef {Object} RunBudgetOptions
+ * @property {number} maxDurationMs
+ * @property {number} [discoveryShare=0.3] - Fraction of the budget discovery may use
+ * @property {number} [reportReserveMs] - Kept free for reporting; default 10% of the budget, at most 60s
+ * @property {() => number} [now=Date.now]
+ */
+
+const UNITS_MS = { s: 1000, m: 60_000, h: 3_600_000 };
+
+/**
+ * Parse a duration such as `20m`, `90s`, `1h30m` or a bare number of seconds.
+ *
+ * @param {string|number} value
+ * @param {string} [flag='--max-duration'] - Option name used in the error message
+ * @returns {number} Milliseconds
+ */
+export function parseDuration(value, flag = '--max-duration') {
+  const text = String(value ?? '')
+    .trim()
+    .toLowerCase();
+  let ms = Number.NaN;
+  if (/^\d+(\.\d+)?$/.test(text)) {
+    ms = Number(text) * 1000;
+  } else if (/^(\d+(\.\d+)?[hms])+$/.test(text)) {
+    ms = 0;
+    for (const [, amount, unit] of text.matchAll(/(\d+(?:\.\d+)?)([hms])/g)) {
+      ms += Number(amount) * UNITS_MS[unit];
+    }
+  }
+  if (!Number.isFinite(ms) || ms <= 0) {
+    throw new Error(`Invalid ${flag} "${value}": use a duration such as 20m, 90s or 1h30m`);
+  }
+  return Math.round(ms);
+}
+
+export class RunBudget {
+  /**
+   * @param {RunBudgetOptions} opts
+   */
+  constructor(opts) {
+    this.now = opts.now ?? Date.now;
+    this.maxDurationMs = opts.maxDurationMs;
+    this.discoveryShare = Math.min(Math.max(opts.discoveryShare ?? 0.3, 0), 1);
+    this.reportReserveMs = opts.reportReserveMs ?? Math.min(this.maxDurationMs * 0.1, 60_000);
+    this.startedAt = this.now();
+
+    /** @type {number[]} */
+    this.auditDurations = [];
+  }
+
+  /** Epoch ms after which discovery stops visiting new pages. */
+  get discoveryDeadline() {
+    return this.startedAt + this.maxDurationMs * this.discoveryShare;
+  }
+
+  /** Epoch ms after which no new page audit is started. */
+  get auditDeadline() {
+    return this.startedAt + this.maxDurationMs - this.reportReserveMs;
+  }
+
+  /** @returns {number} */
+  elapsedMs() {
+    return this.now() - this.startedAt;
+  }
+
+  /**
+   * @param {number} durationMs - Wall-clock time one page audit took
+   */
+  recordAudit(durationMs) {
+    if (Number.isFinite(durationMs) && durationMs >= 0) this.auditDurations.push(durationMs);
+  }
+
+  /**
+   * Whether another page audit is expected to finish before the audit
+   * deadline, judged by the average duration of the audits so far.
+   *
+   * @returns {boolean}
+   */
+  canStartAudit() {
+    const durations = this.auditDurations;
+    const expectedMs = durations.length
+      ? durations.reduce((sum, ms) => sum + ms, 0) / durations.length
+      : 0;
+    return this.now() + expectedMs <= this.auditDeadline;
+  }
+
+  /**
+   * @returns {{ maxDurationMs: number, discoveryShare: number, reportReserveMs: number, elapsedMs: number }}
+   */
+  toJSON() {
+    return {
+      maxDurationMs: this.maxDurationMs,
+      discoveryShare: this.discoveryShare,
+      reportReserveMs: this.reportReserveMs,
+      elapsedMs: this.elapsedMs(),
+    };
+  }
+}
+
+export default RunBudget;
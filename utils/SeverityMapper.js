@@ -6,8 +6,10 @@
 
 import {
   getWcagForAxeRule,
+  getWcagForKeyboardCheck,
   getWcagForLighthouseAudit,
   getWcagForPa11yRule,
+  mapCriteriaIds,
   WCAG_CRITERIA,
 } from './wcag/mapping/getWcagCriteria.js';
 import {
@@ -23,6 +25,14 @@ export const SEVERITY = {
   MINOR: 4,
 };
 
+/** Severity of each keyboard navigation check */
+const KEYBOARD_SEVERITY = {
+  'keyboard-trap': SEVERITY.CRITICAL,
+  'keyboard-unreachable': SEVERITY.SERIOUS,
+  'focus-hidden': SEVERITY.MODERATE,
+  'focus-indicator-missing': SEVERITY.SERIOUS,
+};
+
 /** Severity labels */
 const SEVERITY_LABELS = {
   1: 'critical',
@@ -119,27 +129,33 @@ export class SeverityMapper {
     const severity = SeverityMapper.axeSeverity(violation.impact);
     const wcagCriteria = SeverityMapper.getWcagForAxeRule(violation.id);
 
-    return (violation.nodes || []).map((node, idx) => ({
-      id: `axe-${violation.id}-${idx}`,
-      tool: 'axe',
-      severity,
-      severityLabel: SEVERITY_LABELS[severity],
-      findingKind: 'violation',
-      countsTowardCompliance: true,
-      findingCertainty: 'confirmed',
-      promotionPolicyVersion: null,
-      message: violation.description || violation.help,
-      selector: node.target?.join(' ') || node.html,
-      html: node.html,
-      url,
-      wcagCriteria,
-      help: violation.help,
-      helpUrl: violation.helpUrl,
-      engineMeta: {
-        ruleId: violation.id,
-        impact: violation.impact || null,
-      },
-    }));
+    return (violation.nodes || []).map((node, idx) => {
+      // axe targets list the enclosing iframes' selectors before the node's own.
+      const target = node.target || [];
+      const framePath = target.slice(0, -1).map(String);
+      return {
+        id: `axe-${violation.id}-${idx}`,
+        tool: 'axe',
+        severity,
+        severityLabel: SEVERITY_LABELS[severity],
+        findingKind: 'violation',
+        countsTowardCompliance: true,
+        findingCertainty: 'confirmed',
+        promotionPolicyVersion: null,
+        message: violation.description || violation.help,
+        selector: (framePath.length ? String(target.at(-1)) : target.join(' ')) || node.html,
+        ...(framePath.length ? { framePath } : {}),
+        html: node.html,
+        url,
+        wcagCriteria,
+        help: violation.help,
+        helpUrl: violation.helpUrl,
+        engineMeta: {
+          ruleId: violation.id,
+          impact: violation.impact || null,
+        },
+      };
+    });
   }
 
   /**
@@ -211,6 +227,109 @@ export class SeverityMapper {
     }));
   }
 
+  /**
+   * @param {{ check: string, message: string, selector: string, html?: string, detail?: any }} finding - Keyboard runner finding
+   * @param {string} url
+   * @returns {any}
+   */
+  static normalizeKeyboardFinding(finding, url) {
+    const severity = KEYBOARD_SEVERITY[finding.check] ?? SEVERITY.MODERATE;
+
+    return {
+      id: `keyboard-${finding.check}-${finding.selector}`,
+      tool: 'keyboard',
+      severity,
+      severityLabel: SEVERITY_LABELS[severity],
+      findingKind: 'violation',
+      countsTowardCompliance: true,
+      findingCertainty: 'confirmed',
+      promotionPolicyVersion: null,
+      message: finding.message,
+      selector: finding.selector,
+      html: finding.html,
+      url,
+      wcagCriteria: getWcagForKeyboardCheck(finding.check),
+      help: finding.message,
+      helpUrl: null,
+      engineMeta: {
+        checkId: finding.check,
+        ...(finding.detail ? { detail: finding.detail } : {}),
+      },
+    };
+  }
+
+  /**
+   * @param {{ selector: string, html: string, right: number, scrollWidth: number }} finding - Element overflowing the viewport
+   * @param {number} width - Viewport width checked (CSS px)
+   * @param {string} url
+   * @returns {any}
+   */
+  static normalizeReflowFinding(finding, width, url) {
+    return {
+      id: `reflow-horizontal-scroll-${finding.selector}`,
+      tool: 'reflow',
+      severity: SEVERITY.SERIOUS,
+      severityLabel: SEVERITY_LABELS[SEVERITY.SERIOUS],
+      findingKind: 'violation',
+      countsTowardCompliance: true,
+      findingCertainty: 'confirmed',
+      promotionPolicyVersion: null,
+      message: `Content scrolls horizontally at ${width}px wide (page is ${finding.scrollWidth}px; this element reaches ${finding.right}px)`,
+      selector: finding.selector,
+      html: finding.html,
+      url,
+      wcagCriteria: mapCriteriaIds(['1.4.10']),
+      help: `Content must reflow to fit a ${width} CSS pixel wide viewport without horizontal scrolling`,
+      helpUrl: 'https://www.w3.org/WAI/WCAG22/Understanding/reflow.html',
+      engineMeta: { checkId: 'reflow-horizontal-scroll', width },
+    };
+  }
+
+  /**
+   * @param {import('../services/audit/textStress/textGeometry.js').TextStressFinding & { mode: 'spacing'|'resize', screenshots?: { before: string|null, after: string|null } }} finding - Text stress runner finding
+   * @param {string} url
+   * @returns {any}
+   */
+  static normalizeTextStressFinding(finding, url) {
+    const spacing = finding.mode === 'spacing';
+    const condition = spacing ? 'with WCAG 1.4.12 text spacing applied' : 'at 200% text size';
+    const checkId = `text-${finding.mode}-${finding.kind}`;
+    const severity = finding.kind === 'truncated' ? SEVERITY.MODERATE : SEVERITY.SERIOUS;
+    const text = finding.text ? ` "${finding.text}"` : '';
+
+    return {
+      id: `${checkId}-${finding.selector}`,
+      tool: 'text-stress',
+      severity,
+      severityLabel: SEVERITY_LABELS[severity],
+      findingKind: 'violation',
+      countsTowardCompliance: true,
+      findingCertainty: 'confirmed',
+      promotionPolicyVersion: null,
+      message:
+        finding.kind === 'overlapping'
+          ? `Text${text} overlaps ${finding.overlaps} ${condition}`
+          : `Text${text} is ${finding.kind === 'truncated' ? 'truncated' : 'clipped'} ${condition}`,
+      selector: finding.selector,
+      html: finding.html,
+      url,
+      wcagCriteria: mapCriteriaIds([spacing ? '1.4.12' : '1.4.4']),
+      help: spacing
+        ? 'Content must stay readable when users increase line, letter, word and paragraph spacing'
+        : 'Text must stay readable when resized to 200% without assistive technology',
+      helpUrl: spacing
+        ? 'https://www.w3.org/WAI/WCAG22/Understanding/text-spacing.html'
+        : 'https://www.w3.org/WAI/WCAG22/Understanding/resize-text.html',
+      ...(finding.screenshots ? { screenshots: finding.screenshots } : {}),
+      engineMeta: {
+        checkId,
+        before: finding.before,
+        after: finding.after,
+        ...(finding.overlaps ? { overlaps: finding.overlaps } : {}),
+      },
+    };
+  }
+
   /**
    * @param {any} issue
    * @returns {string}
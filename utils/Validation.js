@@ -61,15 +61,45 @@ export function toBoundedInt(n, { min = 1, max = 500, name = 'number' } = {}) {
 }
 
 /**
- * @param {string} origin
+ * True for fragments that name a client-side route (`#/cart`, `#!/cart`)
+ * rather than an in-page anchor.
+ *
+ * @param {string} hash - Fragment including the leading `#`
+ * @returns {boolean}
+ */
+export function isHashRoute(hash) {
+  return /^#!?\//.test(String(hash || ''));
+}
+
+/**
+ * Drop a URL's fragment in place, unless hash routing is on and the fragment
+ * is a route. Route fragments lose their trailing slash, and the root route
+ * (`#/`) is dropped so it matches the bare URL.
+ *
+ * @param {URL} url
+ * @param {boolean} [keepHashRoutes=false]
+ */
+export function stripFragment(url, keepHashRoutes = false) {
+  if (!keepHashRoutes || !isHashRoute(url.hash)) {
+    url.hash = '';
+    return;
+  }
+  const route = url.hash.replace(/\/+$/, '');
+  url.hash = route === '#' || route === '#!' ? '' : route;
+}
+
+/**
+ * @param {string} origin - Origin relative hrefs resolve against
  * @param {string} href
+ * @param {(url: URL) => boolean} [isAllowed] - Scope check; defaults to same-origin only
+ * @param {boolean} [keepHashRoutes=false] - Treat `#/...` fragments as distinct routes
  * @returns {string|null} - Normalised, crawlable URL or null if it should be ignored.
  */
-export function normaliseCrawlTarget(origin, href) {
+export function normaliseCrawlTarget(origin, href, isAllowed, keepHashRoutes = false) {
   if (!href) return null;
 
   // Ignore in-page anchors, mailto/tel, javascript: etc.
-  if (href.startsWith('#')) return null;
+  if (href.startsWith('#') && !(keepHashRoutes && isHashRoute(href))) return null;
   if (/^(mailto:|tel:|sms:|javascript:)/i.test(href)) return null;
 
   let url;
@@ -79,12 +109,12 @@ export function normaliseCrawlTarget(origin, href) {
     return null;
   }
 
-  // Only crawl same-origin http(s) URLs.
-  if (url.origin !== origin) return null;
+  // Only crawl in-scope (by default same-origin) http(s) URLs.
+  if (isAllowed ? !isAllowed(url) : url.origin !== origin) return null;
   if (url.protocol !== 'http:' && url.protocol !== 'https:') return null;
 
-  // Strip hash: a#section is not a new route.
-  url.hash = '';
+  // Strip hash: a#section is not a new route (a hash-routed #/section may be).
+  stripFragment(url, keepHashRoutes);
   if (url.pathname !== '/' && url.pathname.endsWith('/')) {
     url.pathname = url.pathname.replace(/\/+$/, '');
   }
@@ -347,6 +347,50 @@ export class WCAGCompliance {
     };
   }
 
+  /**
+   * Per-origin compliance for runs that crawl more than one host.
+   * Returns null when every result shares a single origin.
+   *
+   * @param {Array<{ url: string, unifiedIssues?: UnifiedIssue[] }>} results
+   * @param {string} targetStandard
+   * @param {{ includeManualChecks?: boolean, confidenceThreshold?: 'low'|'medium'|'high' }} [options]
+   * @returns {Array<{ origin: string, routes: number, level: string, description: string, score: number, confirmedScore: number, reportedScore: number, summary: any }>|null}
+   */
+  static calculateByOrigin(results, targetStandard = 'WCAG2AA', options = {}) {
+    /** @type {Map<string, Array<{ url: string, unifiedIssues?: UnifiedIssue[] }>>} */
+    const byOrigin = new Map();
+    for (const row of results || []) {
+      let origin;
+      try {
+        origin = new URL(row.url).origin;
+      } catch {
+        continue;
+      }
+      if (!byOrigin.has(origin)) byOrigin.set(origin, []);
+      byOrigin.get(origin).push(row);
+    }
+
+    if (byOrigin.size < 2) return null;
+
+    return Array.from(byOrigin.entries()).map(([origin, rows]) => {
+      const compliance = WCAGCompliance.calculate(
+        rows.flatMap((row) => row.unifiedIssues || []),
+        targetStandard,
+        options
+      );
+      return {
+        origin,
+        routes: rows.length,
+        level: compliance.level,
+        description: compliance.description,
+        score: compliance.score,
+        confirmedScore: compliance.confirmedScore,
+        reportedScore: compliance.reportedScore,
+        summary: compliance.summary,
+      };
+    });
+  }
+
   /**
    * @param {UnifiedIssue[]} issues
    * @param {number} lighthouseScore
@@ -0,0 +1,196 @@
+/**
+ * @param {Record<string, any>} section
+ * @param {string[]} keys
+ * @returns {Record<string, any>}
+ */
+function coerceNumbers(section, keys) {
+  const result = { ...section };
+  for (const key of keys) {
+    if (result[key] !== undefined) result[key] = Number(result[key]);
+  }
+  return result;
+}
+
+/**
+ * @param {unknown} value
+ * @returns {boolean}
+ */
+export function toBoolean(value) {
+  if (typeof value === 'string') return value.toLowerCase() === 'true';
+  return Boolean(value);
+}
+
+/**
+ * @param {unknown} value - Array or comma-separated string
+ * @returns {string[]}
+ */
+export function toList(value) {
+  const items = Array.isArray(value) ? value : String(value ?? '').split(',');
+  return items.map((item) => String(item).trim()).filter(Boolean);
+}
+
+/**
+ * @param {Record<string, any>} scope
+ * @returns {Record<string, any>}
+ */
+export function coerceCrawlScope(scope) {
+  const result = { ...scope };
+  if (result.allowedHosts !== undefined) result.allowedHosts = toList(result.allowedHosts);
+  if (result.pathPrefixes !== undefined) result.pathPrefixes = toList(result.pathPrefixes);
+  return result;
+}
+
+/**
+ * Coerce the crawler's query-parameter and duplicate-page settings.
+ *
+ * @param {Record<string, any>} crawler
+ * @returns {Record<string, any>}
+ */
+export function coerceCrawlerUrlRules(crawler) {
+  const result = { ...crawler };
+  if (result.queryParams) {
+    const queryParams = { ...result.queryParams };
+    if (queryParams.strip !== undefined) queryParams.strip = toList(queryParams.strip);
+    if (queryParams.allow !== undefined) queryParams.allow = toList(queryParams.allow);
+    if (queryParams.sort !== undefined) queryParams.sort = toBoolean(queryParams.sort);
+    result.queryParams = queryParams;
+  }
+  if (result.dedupe) {
+    const dedupe = { ...result.dedupe };
+    for (const key of ['canonical', 'contentHash', 'hreflang']) {
+      if (dedupe[key] !== undefined) dedupe[key] = toBoolean(dedupe[key]);
+    }
+    result.dedupe = dedupe;
+  }
+  return result;
+}
+
+/**
+ * @param {Record<string, any>} politeness
+ * @returns {Record<string, any>}
+ */
+export function coercePoliteness(politeness) {
+  const result = coerceNumbers(politeness, [
+    'maxRequestsPerSecond',
+    'maxConcurrentPerHost',
+    'maxBackoffMs',
+    'maxRetries',
+  ]);
+  if (result.respectCrawlDelay !== undefined) {
+    result.respectCrawlDelay = toBoolean(result.respectCrawlDelay);
+  }
+  return result;
+}
+
+/**
+ * @param {Record<string, any>} stateExploration
+ * @returns {Record<string, any>}
+ */
+export function coerceStateExploration(stateExploration) {
+  const result = coerceNumbers(stateExploration, ['maxStates', 'maxDepth', 'settleMs']);
+  if (result.enabled !== undefined) result.enabled = toBoolean(result.enabled);
+  return result;
+}
+
+/**
+ * @param {Record<string, any>} reflow
+ * @returns {Record<string, any>}
+ */
+export function coerceReflow(reflow) {
+  const result = coerceNumbers(reflow, ['width']);
+  if (result.enabled !== undefined) result.enabled = toBoolean(result.enabled);
+  return result;
+}
+
+/**
+ * @param {Record<string, any>} keyboard
+ * @returns {Record<string, any>}
+ */
+export function coerceKeyboard(keyboard) {
+  const result = coerceNumbers(keyboard, ['maxTabStops']);
+  if (result.enabled !== undefined) result.enabled = toBoolean(result.enabled);
+  if (result.checkFocusIndicators !== undefined) {
+    result.checkFocusIndicators = toBoolean(result.checkFocusIndicators);
+  }
+  return result;
+}
+
+/**
+ * @param {Record<string, any>} pageStructure
+ * @returns {Record<string, any>}
+ */
+export function coercePageStructure(pageStructure) {
+  const result = { ...pageStructure };
+  for (const key of ['enabled', 'includeTree']) {
+    if (result[key] !== undefined) result[key] = toBoolean(result[key]);
+  }
+  return result;
+}
+
+/**
+ * @param {Record<string, any>} textStress
+ * @returns {Record<string, any>}
+ */
+export function coerceTextStress(textStress) {
+  const result = coerceNumbers(textStress, ['maxFindings', 'maxScreenshotBytes']);
+  for (const key of ['enabled', 'spacing', 'resize', 'screenshots']) {
+    if (result[key] !== undefined) result[key] = toBoolean(result[key]);
+  }
+  return result;
+}
+
+/**
+ * @param {Record<string, any>} pageClassification
+ * @returns {Record<string, any>}
+ */
+export function coercePageClassification(pageClassification) {
+  const result = coerceNumbers(pageClassification, ['similarityThreshold']);
+  for (const key of ['enabled', 'compareToNotFound']) {
+    if (result[key] !== undefined) result[key] = toBoolean(result[key]);
+  }
+  return result;
+}
+
+/**
+ * @param {Record<string, any>} loginWall
+ * @returns {Record<string, any>}
+ */
+export function coerceLoginWall(loginWall) {
+  const result = coerceNumbers(loginWall, ['maxReauth']);
+  for (const key of ['url', 'selector']) {
+    if (result[key] === '') result[key] = null;
+  }
+  return result;
+}
+
+/**
+ * @param {Record<string, any>} verification
+ * @returns {Record<string, any>}
+ */
+export function coerceVerification(verification) {
+  const result = coerceNumbers(verification, ['gridSize']);
+  for (const key of ['v2', 'deterministic']) {
+    if (result[key] !== undefined) result[key] = toBoolean(result[key]);
+  }
+  if (result.confidenceThreshold !== undefined) {
+    const normalized = String(result.confidenceThreshold).toLowerCase();
+    result.confidenceThreshold = ['low', 'medium', 'high'].includes(normalized)
+      ? normalized
+      : 'high';
+  }
+  return result;
+}
+
+/**
+ * @param {Record<string, any>} templateSampling
+ * @returns {Record<string, any>}
+ */
+export function coerceTemplateSampling(templateSampling) {
+  const result = coerceNumbers(templateSampling, [
+    'samplesPerTemplate',
+    'similarityThreshold',
+    'siblingThreshold',
+  ]);
+  if (result.enabled !== undefined) result.enabled = toBoolean(result.enabled);
+  return result;
+}
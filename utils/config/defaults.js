@@ -0,0 +1,144 @@
+/**
+ * Default configuration values, merged beneath the config file and CLI args.
+ */
+export const DEFAULTS = {
+  limit: 5,
+  timeout: 60000,
+  standard: 'WCAG2AA',
+  details: false,
+  outDir: './reports',
+  formats: ['json'],
+  tools: ['axe'],
+  concurrency: 1,
+  deduplicateIssues: true,
+  browser: {
+    noSandbox: false,
+  },
+  evidence: {
+    enabled: true,
+    contextLines: 2,
+    maxChars: 2000,
+    maxOpsPerPage: 500,
+    timeoutMs: 1500,
+  },
+  report: {
+    csvLegacy: false,
+  },
+  compliance: {
+    includeManualChecks: false,
+  },
+  verification: {
+    v2: false,
+    deterministic: false,
+    confidenceThreshold: 'high',
+    gridSize: 24,
+  },
+  checkpoint: {
+    dir: null,
+  },
+  flow: {
+    file: null,  // Declarative user-flow file audited instead of crawling
+  },
+  urlList: {
+    file: null,  // Text/CSV/JSON list of URLs audited instead of crawling ('-' reads stdin)
+    format: null,  // 'text', 'csv' or 'json'; null = by file extension, else sniffed from the content
+  },
+  budget: {
+    maxDuration: null,  // Wall-clock limit for the whole run, e.g. '20m' (null = unlimited)
+    discoveryShare: 0.3,  // Fraction of maxDuration discovery may use; the rest goes to audits
+  },
+  politeness: {
+    maxRequestsPerSecond: 0,  // Per host, shared by crawl and audits (0 = unlimited)
+    maxConcurrentPerHost: 0,  // In-flight navigations per host (0 = unlimited)
+    respectCrawlDelay: true,  // Honour robots.txt Crawl-delay
+    maxBackoffMs: 60000,  // Longest pause after a 429/503 response
+    maxRetries: 2,  // Retries of a navigation answered with 429/503
+  },
+  pageClassification: {
+    enabled: true,  // Skip and list routes that are HTTP errors, soft 404s or error pages
+    compareToNotFound: true,  // Compare each page with the origin's response to a random URL
+    similarityThreshold: 0.9,  // Main-text similarity (0-1) at which a page counts as a soft 404
+  },
+  loginWall: {
+    url: null,  // Login page URL or path; routes that end there are re-authenticated, then flagged
+    selector: null,  // Element only the login page renders, e.g. 'form#login'
+    maxReauth: 1,  // Re-authentication attempts per route before it is flagged
+  },
+  stateExploration: {
+    enabled: false,  // Open menus, tabs and dialogs and audit each revealed state
+    maxStates: 10,  // States audited per page
+    maxDepth: 1,  // Nested triggers followed (1 = only controls on the loaded page)
+    settleMs: 400,  // Wait after each click before auditing
+  },
+  pageStructure: {
+    enabled: false,  // Snapshot each page's accessibility tree: heading outline, landmarks, form-control names
+    includeTree: false,  // Also keep the full snapshot in the JSON results
+  },
+  viewports: [],  // Preset names (desktop, laptop, tablet, mobile), "WxH" or { name, width, height, deviceScaleFactor, hasTouch }; empty = browser default
+  reflow: {
+    enabled: true,  // With viewports set, also check horizontal scrolling at `width`
+    width: 320,  // CSS px (WCAG 1.4.10)
+  },
+  mediaModes: [],  // Also audit under presets (light, dark, reduced-motion, forced-colors, more-contrast, less-contrast) or { name, <media feature>: value }
+  keyboard: {
+    enabled: false,  // Tab through each page checking traps, reachability and focus visibility
+    maxTabStops: 200,  // Tab presses per page before the walk stops
+    checkFocusIndicators: true,  // Compare focused/unfocused screenshots of each tab stop
+  },
+  textStress: {
+    enabled: false,  // Check text survives WCAG 1.4.12 spacing overrides and 200% text size
+    spacing: true,  // Apply the 1.4.12 line/letter/word/paragraph spacing values
+    resize: true,  // Double every font size (1.4.4)
+    screenshots: true,  // Attach before/after screenshots of each offending element
+    maxFindings: 20,  // Issues reported per page for each adaptation
+    maxScreenshotBytes: 10000000,  // Screenshot data kept per run; later screenshots are omitted
+  },
+  crawler: {
+    useSitemap: true,  // Enabled by default for comprehensive page discovery
+    changedSince: null,  // ISO date or age (7d, 24h): audit only sitemap URLs with a newer <lastmod>
+    respectRobotsTxt: true,
+    robotsUserAgent: 'a11y-audit-pro',  // Product token matched against robots.txt User-agent groups
+    hashRoutes: false,  // Treat #/route fragments as distinct routes (hash-routed SPAs)
+    queryParams: {
+      strip: [],  // Dropped from URLs; * is a wildcard (e.g. utm_*, gclid)
+      allow: [],  // When non-empty, only these parameters are kept
+      sort: false,  // Sort parameters so ?b=1&a=2 and ?a=2&b=1 are one URL
+    },
+    dedupe: {
+      canonical: true,  // Follow <link rel="canonical"> to the declared URL
+      contentHash: false,  // Collapse pages whose DOM content matches a visited page
+      hreflang: false,  // Collapse hreflang locale alternates into the first visited locale
+    },
+    clickRoutes: false,  // Click non-anchor controls in a sandbox page to find router links
+    maxClickCandidates: 20,  // Controls clicked per crawled page
+    checkLinks: true,  // Record HTTP status and redirects of internal links
+    maxLinkChecks: 200,  // Discovered-but-not-crawled links checked per run
+    scanSitemapPages: false,  // Load sitemap-picked pages an extra time to record their links
+    detectSpaRoutes: true,  // Enabled by default for SPA support
+    pierceShadowDom: true,
+    discoverCommonPaths: true,  // Probe common URL paths
+    followNavigation: true,  // Prioritize nav/footer links
+    maxDepth: 5,  // Max crawl depth
+    includePatterns: [],
+    excludePatterns: [],
+    templateSampling: {
+      enabled: false,
+      samplesPerTemplate: 3,
+      similarityThreshold: 0.8,
+      siblingThreshold: 5,
+    },
+    scope: {
+      allowedHosts: [],  // Extra hosts, e.g. "shop.example.com" or "*.example.com"
+      pathPrefixes: [],  // Restrict crawling to these paths on every host
+    },
+  },
+  thresholds: {
+    maxViolations: Infinity,
+    maxCritical: Infinity,
+    maxSerious: Infinity,
+    minScore: 0,
+    minCompliance: null,
+  },
+};
+
+export default DEFAULTS;
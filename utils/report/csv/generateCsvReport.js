@@ -47,7 +47,18 @@ export async function generateCsvReport(data, filepath, options = {}) {
     'Evidence Column',
     'Evidence XPath',
   ];
-  const headers = csvLegacy ? baseHeaders : [...baseHeaders, ...evidenceHeaders];
+  const headers = csvLegacy
+    ? baseHeaders
+    : [
+        ...baseHeaders,
+        ...evidenceHeaders,
+        'UI State',
+        'Frame',
+        'Viewports',
+        'Viewport Specific',
+        'Media Modes',
+        'Media Mode Specific',
+      ];
 
   const rows = allIssues.map((issue) => {
     const wcagCriteria = (issue.wcagCriteria || []).map((c) => c.id).join('; ');
@@ -90,6 +101,12 @@ export async function generateCsvReport(data, filepath, options = {}) {
       issue.evidence?.locator?.line ?? '',
       issue.evidence?.locator?.column ?? '',
       issue.evidence?.locator?.xpath || '',
+      issue.statePath || '',
+      Array.isArray(issue.framePath) ? issue.framePath.join(' > ') : '',
+      Array.isArray(issue.viewports) ? issue.viewports.join('; ') : '',
+      issue.viewportSpecific === undefined ? '' : String(issue.viewportSpecific),
+      Array.isArray(issue.mediaModes) ? issue.mediaModes.join('; ') : '',
+      issue.mediaModeSpecific === undefined ? '' : String(issue.mediaModeSpecific),
     ];
   });
 
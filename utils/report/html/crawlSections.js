@@ -0,0 +1,197 @@
+import { escapeHtml } from '../shared/escapeHtml.js';
+import { describeErrorPage } from '../shared/errorPages.js';
+
+/**
+ * @param {string[]} urls
+ * @returns {string}
+ */
+function urlList(urls) {
+  return `<ul>${urls.map((url) => `<li>${escapeHtml(url)}</li>`).join('')}</ul>`;
+}
+
+/**
+ * @param {any} linkGraph - Link graph summary from the report payload
+ * @returns {string}
+ */
+export function generateLinkGraphHtml(linkGraph) {
+  const complete = linkGraph.crawlComplete === true;
+  // After a partial crawl, unlinked sitemap URLs may be linked from pages that were not scanned.
+  const orphans = complete ? linkGraph.orphans || [] : linkGraph.unlinkedSitemapUrls || [];
+  const unreachable = linkGraph.unreachable || [];
+  const clickPaths = [...(linkGraph.clickPaths || [])].sort((a, b) => b.depth - a.depth);
+
+  return `
+    <div class="lh-page-stats">
+      <div class="lh-stat">
+        <div class="lh-stat-value">${linkGraph.pagesScanned}</div>
+        <div class="lh-stat-label">Pages Scanned</div>
+      </div>
+      <div class="lh-stat">
+        <div class="lh-stat-value">${linkGraph.totalLinks}</div>
+        <div class="lh-stat-label">Internal Links</div>
+      </div>
+      <div class="lh-stat">
+        <div class="lh-stat-value">${orphans.length}</div>
+        <div class="lh-stat-label">${complete ? 'Orphans' : 'Unlinked (partial crawl)'}</div>
+      </div>
+      <div class="lh-stat">
+        <div class="lh-stat-value">${unreachable.length}</div>
+        <div class="lh-stat-label">Unreachable</div>
+      </div>
+    </div>
+    ${orphans.length > 0 ? `
+    <details class="lh-evidence-context" open>
+      <summary>${
+        complete
+          ? 'Orphan pages: in a sitemap but not linked from any page'
+          : `In a sitemap but not linked from the ${linkGraph.pagesScanned} scanned page${linkGraph.pagesScanned !== 1 ? 's' : ''} (partial crawl)`
+      } (${orphans.length})</summary>
+      ${urlList(orphans)}
+    </details>` : ''}
+    ${unreachable.length > 0 ? `
+    <details class="lh-evidence-context" open>
+      <summary>Audited pages with no click path from ${escapeHtml(linkGraph.startUrl)} (${unreachable.length})</summary>
+      ${urlList(unreachable)}
+    </details>` : ''}
+    <div class="lh-section-header">
+      Click Depth of Audited Pages
+      <span class="lh-section-count">${clickPaths.length}</span>
+    </div>
+    ${clickPaths
+      .map(
+        (p) => `
+    <details class="lh-page-audit">
+      <summary class="lh-page-header">
+        <span class="lh-page-url">${escapeHtml(p.url)}</span>
+        <span class="lh-page-metrics">
+          <span class="lh-metric">${p.depth} click${p.depth !== 1 ? 's' : ''}</span>
+        </span>
+      </summary>
+      <div class="lh-page-body">
+        <div class="lh-audit__detail"><strong>Path:</strong> ${p.path.map((url) => escapeHtml(url)).join(' → ')}</div>
+      </div>
+    </details>
+  `
+      )
+      .join('')}
+  `;
+}
+
+/**
+ * @param {any} record - Broken or redirected link with its referrers
+ * @returns {string}
+ */
+function linkStatusRowHtml(record) {
+  const statusLabel = record.status === null ? 'No response' : `HTTP ${record.status}`;
+  const chain = [
+    ...record.redirectChain.map((hop) => `${hop.url} (${hop.status})`),
+    record.finalUrl,
+  ];
+
+  return `
+    <details class="lh-page-audit">
+      <summary class="lh-page-header">
+        <span class="lh-page-url">${escapeHtml(record.url)}</span>
+        <span class="lh-page-metrics">
+          <span class="lh-metric">${escapeHtml(statusLabel)}</span>
+          <span class="lh-metric">${record.referrers.length} referrer${record.referrers.length !== 1 ? 's' : ''}</span>
+        </span>
+      </summary>
+      <div class="lh-page-body">
+        ${record.error ? `<div class="lh-audit__detail"><strong>Error:</strong> ${escapeHtml(record.error)}</div>` : ''}
+        ${record.redirectChain.length > 0 ? `<div class="lh-audit__detail"><strong>Redirects:</strong> ${chain.map((step) => escapeHtml(step)).join(' → ')}</div>` : ''}
+        <div class="lh-audit__detail"><strong>Final URL:</strong> ${escapeHtml(record.finalUrl)}</div>
+        ${
+          record.referrers.length > 0
+            ? `
+        <div class="lh-audit__detail"><strong>Linked from:</strong></div>
+        <ul>${record.referrers
+          .map(
+            (ref) =>
+              `<li>${escapeHtml(ref.source)}${ref.text ? ` — “${escapeHtml(ref.text)}”` : ''}</li>`
+          )
+          .join('')}</ul>`
+            : ''
+        }
+      </div>
+    </details>
+  `;
+}
+
+/**
+ * @param {any} linkStatus - Link status summary from the report payload
+ * @returns {string}
+ */
+export function generateLinkStatusHtml(linkStatus) {
+  const broken = linkStatus.broken || [];
+  const redirected = linkStatus.redirected || [];
+
+  return `
+    <div class="lh-page-stats">
+      <div class="lh-stat">
+        <div class="lh-stat-value">${linkStatus.checked}</div>
+        <div class="lh-stat-label">Links Checked</div>
+      </div>
+      <div class="lh-stat">
+        <div class="lh-stat-value">${linkStatus.ok}</div>
+        <div class="lh-stat-label">OK</div>
+      </div>
+      <div class="lh-stat">
+        <div class="lh-stat-value">${broken.length}</div>
+        <div class="lh-stat-label">Broken</div>
+      </div>
+      <div class="lh-stat">
+        <div class="lh-stat-value">${redirected.length}</div>
+        <div class="lh-stat-label">Redirected</div>
+      </div>
+    </div>
+    <div class="lh-section-header">
+      Broken Links
+      <span class="lh-section-count">${broken.length}</span>
+    </div>
+    ${broken.length > 0 ? broken.map(linkStatusRowHtml).join('') : '<p>No broken internal links found.</p>'}
+    <div class="lh-section-header">
+      Redirected Links
+      <span class="lh-section-count">${redirected.length}</span>
+    </div>
+    ${redirected.length > 0 ? redirected.map(linkStatusRowHtml).join('') : '<p>No redirected internal links found.</p>'}
+  `;
+}
+
+/**
+ * @param {any} budget - `--max-duration` summary from the report payload
+ * @returns {string}
+ */
+export function generateUnauditedRoutesHtml(budget) {
+  const routes = budget?.unauditedRoutes || [];
+  if (routes.length === 0) return '';
+  const minutes = Math.round(budget.maxDurationMs / 60000);
+  return `
+    <details class="lh-evidence-context" open>
+      <summary>Not audited: the ${minutes}-minute time budget ran out (${routes.length})</summary>
+      ${urlList(routes)}
+    </details>
+  `;
+}
+
+/**
+ * @param {import('../shared/errorPages.js').ErrorPage[]|undefined} errorPages
+ * @returns {string}
+ */
+export function generateErrorPagesHtml(errorPages) {
+  if (!errorPages?.length) return '';
+  const items = errorPages
+    .map((page) => `<li>${escapeHtml(page.url)} — ${escapeHtml(describeErrorPage(page))}</li>`)
+    .join('');
+  const kinds = errorPages.some((page) => page.kind === 'login-wall')
+    ? 'error, soft-404 and login-wall pages'
+    : 'error and soft-404 pages';
+  return `
+    <details class="lh-evidence-context" open>
+      <summary>Not audited: ${kinds} (${errorPages.length})</summary>
+      <ul>${items}</ul>
+    </details>
+  `;
+}
+
+export default generateLinkGraphHtml;
@@ -5,20 +5,40 @@ import { REPORT_HTML_CLIENT_SCRIPT } from './clientScript.js';
 import {
   generateComplianceLevelGauge,
   generateGauge,
+  generateFlowRowsHtml,
   generateIssueCard,
+  generateOriginRowsHtml,
   getFindingKind,
   generatePageRowsHtml,
+  generateTemplateRowsHtml,
   generateWcagSummaryHtml,
 } from './templateParts.js';
+import {
+  generateLinkGraphHtml,
+  generateErrorPagesHtml,
+  generateLinkStatusHtml,
+  generateUnauditedRoutesHtml,
+} from './crawlSections.js';
 
 /**
  * Generate HTML report with Lighthouse-style visualizations.
  *
- * @param {{ meta: any, results: any[], compliance: any }} data
+ * @param {{ meta: any, results: any[], compliance: any, complianceByOrigin?: any[], templates?: any[], flows?: any[], linkGraph?: any, linkStatus?: any, budget?: any, errorPages?: any[] }} data
  * @param {string} filepath
  */
 export async function generateHtmlReport(data, filepath) {
-  const { meta, results, compliance } = data;
+  const {
+    meta,
+    results,
+    compliance,
+    complianceByOrigin,
+    templates,
+    flows,
+    linkGraph,
+    linkStatus,
+    budget,
+    errorPages,
+  } = data;
 
   const allIssues = results.flatMap((r) => r.unifiedIssues || []);
   const lhScores = results.filter((r) => r.lhScore !== null).map((r) => r.lhScore);
@@ -53,6 +73,11 @@ export async function generateHtmlReport(data, filepath) {
 
   const pageRowsHtml = generatePageRowsHtml(results);
   const wcagSummaryHtml = generateWcagSummaryHtml(issuesByWcag);
+  const hasTemplates = Array.isArray(templates) && templates.length > 0;
+  const hasOrigins = Array.isArray(complianceByOrigin) && complianceByOrigin.length > 0;
+  const hasFlows = Array.isArray(flows) && flows.length > 0;
+  const hasLinkGraph = Boolean(linkGraph);
+  const hasLinkStatus = Boolean(linkStatus);
 
   const html = `<!DOCTYPE html>
 <html lang="en">
@@ -155,6 +180,11 @@ export async function generateHtmlReport(data, filepath) {
       <button class="lh-tab active" onclick="showTab(event, 'all-issues')">All Issues</button>
       <button class="lh-tab" onclick="showTab(event, 'by-page')">By Page</button>
       <button class="lh-tab" onclick="showTab(event, 'by-wcag')">By WCAG Criteria</button>
+      ${hasOrigins ? `<button class="lh-tab" onclick="showTab(event, 'by-origin')">By Origin</button>` : ''}
+      ${hasFlows ? `<button class="lh-tab" onclick="showTab(event, 'by-flow')">By Flow Step</button>` : ''}
+      ${hasTemplates ? `<button class="lh-tab" onclick="showTab(event, 'by-template')">By Template</button>` : ''}
+      ${hasLinkGraph ? `<button class="lh-tab" onclick="showTab(event, 'link-graph')">Link Graph</button>` : ''}
+      ${hasLinkStatus ? `<button class="lh-tab" onclick="showTab(event, 'link-status')">Broken &amp; Redirected Links</button>` : ''}
       <button class="lh-tab" onclick="showTab(event, 'metadata')">Report Info</button>
     </nav>
 
@@ -196,6 +226,8 @@ export async function generateHtmlReport(data, filepath) {
         <span class="lh-section-count">${results.length}</span>
       </div>
       ${pageRowsHtml}
+      ${generateUnauditedRoutesHtml(budget)}
+      ${generateErrorPagesHtml(errorPages)}
     </div>
 
     <!-- By WCAG Tab -->
@@ -207,6 +239,54 @@ export async function generateHtmlReport(data, filepath) {
       ${wcagSummaryHtml || '<p>No issues with mapped WCAG criteria.</p>'}
     </div>
 
+    ${hasOrigins ? `
+    <!-- By Origin Tab -->
+    <div id="by-origin" class="lh-tab-content">
+      <div class="lh-section-header">
+        Compliance by Origin
+        <span class="lh-section-count">${complianceByOrigin.length} origins</span>
+      </div>
+      ${generateOriginRowsHtml(complianceByOrigin)}
+    </div>
+    ` : ''}
+
+    ${hasFlows ? `
+    <!-- By Flow Step Tab -->
+    <div id="by-flow" class="lh-tab-content">
+      ${generateFlowRowsHtml(flows, results)}
+    </div>
+    ` : ''}
+
+    ${hasTemplates ? `
+    <!-- By Template Tab -->
+    <div id="by-template" class="lh-tab-content">
+      <div class="lh-section-header">
+        Route Templates
+        <span class="lh-section-count">${templates.length} template${templates.length !== 1 ? 's' : ''}</span>
+      </div>
+      ${generateTemplateRowsHtml(templates)}
+    </div>
+    ` : ''}
+
+    ${hasLinkGraph ? `
+    <!-- Link Graph Tab -->
+    <div id="link-graph" class="lh-tab-content">
+      <div class="lh-section-header">Internal Link Graph</div>
+      ${generateLinkGraphHtml(linkGraph)}
+    </div>
+    ` : ''}
+
+    ${hasLinkStatus ? `
+    <!-- Link Status Tab -->
+    <div id="link-status" class="lh-tab-content">
+      <div class="lh-section-header">
+        Broken &amp; Redirected Links
+        <span class="lh-section-count">${linkStatus.checked} checked</span>
+      </div>
+      ${generateLinkStatusHtml(linkStatus)}
+    </div>
+    ` : ''}
+
     <!-- Metadata Tab -->
     <div id="metadata" class="lh-tab-content">
       <div class="lh-section-header">Report Information</div>
@@ -0,0 +1,27 @@
+import { escapeHtml } from '../shared/escapeHtml.js';
+
+/** Only inline image data is embedded; anything else is dropped. */
+const IMAGE_DATA_URI = /^data:image\/(?:jpeg|png);base64,[A-Za-z0-9+/=]+$/;
+
+/**
+ * Before/after screenshots attached to an issue (text stress findings).
+ *
+ * @param {any} issue
+ * @returns {string}
+ */
+export function issueScreenshotsHtml(issue) {
+  const shots = [
+    ['Before', issue.screenshots?.before],
+    ['After', issue.screenshots?.after],
+  ].filter(([, src]) => typeof src === 'string' && IMAGE_DATA_URI.test(src));
+  if (shots.length === 0) return '';
+  const figures = shots
+    .map(
+      ([label, src]) =>
+        `<figure><img src="${escapeHtml(src)}" alt="${label}: ${escapeHtml(issue.selector || 'element')}" loading="lazy"><figcaption>${label}</figcaption></figure>`
+    )
+    .join('');
+  return `
+          <div class="lh-audit__detail lh-issue-screenshots">${figures}</div>
+        `;
+}
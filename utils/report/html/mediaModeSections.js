@@ -0,0 +1,35 @@
+import { escapeHtml } from '../shared/escapeHtml.js';
+
+/**
+ * Per-media-mode issue counts of one page.
+ *
+ * @param {any[]|null|undefined} mediaModes - `result.mediaModes`
+ * @returns {string}
+ */
+export function pageMediaModesHtml(mediaModes) {
+  if (!mediaModes?.length) return '';
+  const items = mediaModes
+    .map((mode) => {
+      const features = mode.features.map((f) => `${f.name}: ${f.value}`).join(', ');
+      const errors = Object.keys(mode.errors || {});
+      return `<li><strong>${escapeHtml(mode.name)}</strong> <span class="lh-alias-reason">(${escapeHtml(features || 'no emulation')})</span>: ${mode.totalIssues} issue${mode.totalIssues === 1 ? '' : 's'}${mode.mediaModeSpecificIssues ? `, ${mode.mediaModeSpecificIssues} only in some modes` : ''}${errors.length ? ` <span class="lh-alias-reason">(${escapeHtml(errors.join(', '))} failed)</span>` : ''}</li>`;
+    })
+    .join('');
+  return `<div class="lh-page-media-modes"><h4>Media modes</h4><ul>${items}</ul></div>`;
+}
+
+/**
+ * Issue card line naming the media modes an issue was found under, when it
+ * was not found under every audited mode.
+ *
+ * @param {any} issue
+ * @returns {string}
+ */
+export function issueMediaModesHtml(issue) {
+  if (!issue.mediaModeSpecific || !issue.mediaModes?.length) return '';
+  return `
+          <div class="lh-audit__detail">
+            <strong>Only in media modes:</strong> ${escapeHtml(issue.mediaModes.join(', '))}
+          </div>
+        `;
+}
@@ -0,0 +1,62 @@
+import { escapeHtml } from '../shared/escapeHtml.js';
+
+/**
+ * @param {string} name
+ * @returns {string}
+ */
+function accessibleName(name) {
+  return name ? escapeHtml(name) : '<em class="lh-structure-missing">(no accessible name)</em>';
+}
+
+/**
+ * @param {string} title
+ * @param {number} shown
+ * @param {number} total
+ * @param {string} items - `<li>` elements
+ * @param {string} empty - Text when there are no entries
+ * @returns {string}
+ */
+function structureList(title, shown, total, items, empty) {
+  const more = total > shown ? `<p class="lh-more">...and ${total - shown} more</p>` : '';
+  return `<h5>${title} (${total})</h5>${total ? `<ul>${items}</ul>${more}` : `<p class="lh-alias-reason">${empty}</p>`}`;
+}
+
+/**
+ * Collapsible heading outline, landmark map and form-control names of one
+ * page, as read from its accessibility tree.
+ *
+ * @param {import('../../../services/audit/structure/pageStructure.js').PageStructure|null|undefined} structure - `result.pageStructure`
+ * @returns {string}
+ */
+export function pageStructureHtml(structure) {
+  if (!structure) return '';
+  const { headings, landmarks, formControls, counts } = structure;
+
+  const headingItems = headings
+    .map(
+      (heading) =>
+        `<li style="margin-left: ${(heading.level - 1) * 16}px"><span class="lh-structure-role">h${heading.level}</span> ${accessibleName(heading.name)}${heading.skipped ? ' <span class="lh-structure-missing">(skipped level)</span>' : ''}</li>`
+    )
+    .join('');
+  const landmarkItems = landmarks
+    .map(
+      (landmark) =>
+        `<li style="margin-left: ${landmark.depth * 16}px"><span class="lh-structure-role">${escapeHtml(landmark.role)}</span> ${landmark.name ? escapeHtml(landmark.name) : ''}</li>`
+    )
+    .join('');
+  const controlItems = formControls
+    .map(
+      (control) =>
+        `<li><span class="lh-structure-role">${escapeHtml(control.role)}</span> ${accessibleName(control.name)}${control.required ? ' <span class="lh-alias-reason">(required)</span>' : ''}</li>`
+    )
+    .join('');
+
+  return `
+          <details class="lh-page-structure">
+            <summary>Page structure <span class="lh-alias-reason">(${counts.headings} headings, ${counts.landmarks} landmarks, ${counts.formControls} form controls${counts.unnamedFormControls ? `, ${counts.unnamedFormControls} unnamed` : ''})</span></summary>
+            ${structureList('Heading outline', headings.length, counts.headings, headingItems, 'No headings')}
+            ${structureList('Landmarks', landmarks.length, counts.landmarks, landmarkItems, 'No landmarks')}
+            ${structureList('Form controls', formControls.length, counts.formControls, controlItems, 'No form controls')}
+          </details>
+        `;
+}
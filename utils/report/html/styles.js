@@ -1,7 +1,9 @@
 import { REPORT_HTML_STYLES_BASE } from './stylesBase.js';
 import { REPORT_HTML_STYLES_SECTIONS } from './stylesSections.js';
+import { REPORT_HTML_STYLES_PAGE_DETAILS } from './stylesPageDetails.js';
 
 export const REPORT_HTML_STYLES = `${REPORT_HTML_STYLES_BASE}
-${REPORT_HTML_STYLES_SECTIONS}`;
+${REPORT_HTML_STYLES_SECTIONS}
+${REPORT_HTML_STYLES_PAGE_DETAILS}`;
 
 export default REPORT_HTML_STYLES;
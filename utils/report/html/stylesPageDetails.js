@@ -0,0 +1,56 @@
+/** Styles of the optional per-page and per-issue details (page structure, screenshots). */
+export const REPORT_HTML_STYLES_PAGE_DETAILS = `
+    .lh-page-structure {
+      margin-bottom: 16px;
+      font-size: 13px;
+    }
+
+    .lh-page-structure summary {
+      cursor: pointer;
+      font-weight: 600;
+    }
+
+    .lh-page-structure h5 {
+      margin: 12px 0 4px;
+      font-size: 13px;
+    }
+
+    .lh-page-structure ul {
+      list-style: none;
+      margin: 0;
+      padding: 0;
+    }
+
+    .lh-structure-role {
+      font-family: monospace;
+      color: var(--color-text-secondary);
+    }
+
+    .lh-structure-missing {
+      color: var(--color-poor);
+    }
+
+    .lh-issue-screenshots {
+      display: flex;
+      flex-wrap: wrap;
+      gap: 12px;
+    }
+
+    .lh-issue-screenshots figure {
+      margin: 0;
+    }
+
+    .lh-issue-screenshots img {
+      display: block;
+      max-width: 100%;
+      max-height: 240px;
+      border: 1px solid var(--color-border);
+    }
+
+    .lh-issue-screenshots figcaption {
+      font-size: 12px;
+      color: var(--color-text-secondary);
+    }
+`;
+
+export default REPORT_HTML_STYLES_PAGE_DETAILS;
@@ -334,6 +334,29 @@ export const REPORT_HTML_STYLES_SECTIONS = `
       color: var(--color-text-secondary);
     }
 
+    .lh-page-aliases,
+    .lh-page-frames,
+    .lh-page-viewports,
+    .lh-page-media-modes {
+      margin-bottom: 16px;
+      font-size: 13px;
+    }
+
+    .lh-page-aliases ul,
+    .lh-page-frames ul,
+    .lh-page-viewports ul,
+    .lh-page-media-modes ul {
+      margin: 4px 0 0 20px;
+    }
+
+    .lh-alias-reason {
+      color: var(--color-text-secondary);
+    }
+
+    .lh-page-aliases h4,
+    .lh-page-frames h4,
+    .lh-page-viewports h4,
+    .lh-page-media-modes h4,
     .lh-page-issues h4 {
       font-size: 14px;
       margin-bottom: 12px;
@@ -1,4 +1,8 @@
 import { escapeHtml } from '../shared/escapeHtml.js';
+import { issueViewportsHtml, pageViewportsHtml } from './viewportSections.js';
+import { issueScreenshotsHtml } from './issueScreenshots.js';
+import { issueMediaModesHtml, pageMediaModesHtml } from './mediaModeSections.js';
+import { pageStructureHtml } from './pageStructureSections.js';
 
 /**
  * @param {number} score
@@ -140,6 +144,19 @@ export function generateIssueCard(issue, index) {
         <div class="lh-audit__detail">
           <strong>URL:</strong> <a href="${escapeHtml(issue.url)}" target="_blank">${escapeHtml(issue.url)}</a>
         </div>
+        ${issue.statePath ? `
+          <div class="lh-audit__detail">
+            <strong>UI state:</strong> ${escapeHtml(issue.statePath)}
+          </div>
+        ` : ''}
+        ${issueViewportsHtml(issue)}
+        ${issueMediaModesHtml(issue)}
+        ${issueScreenshotsHtml(issue)}
+        ${issue.framePath?.length ? `
+          <div class="lh-audit__detail">
+            <strong>Frame:</strong> <code class="lh-code">${escapeHtml(issue.framePath.join(' › '))}</code>
+          </div>
+        ` : ''}
         ${issue.selector ? `
           <div class="lh-audit__detail">
             <strong>Selector:</strong> <code class="lh-code">${escapeHtml(issue.selector)}</code>
@@ -222,6 +239,44 @@ export function generateIssueCard(issue, index) {
  * @param {any[]} results
  * @returns {string}
  */
+const ALIAS_REASON_LABELS = {
+  canonical: 'rel=canonical',
+  'duplicate-content': 'same content',
+  hreflang: 'hreflang alternate',
+};
+
+/**
+ * @param {Array<{ url: string, reason: string }>|undefined} aliases
+ * @returns {string}
+ */
+function pageAliasesHtml(aliases) {
+  if (!aliases?.length) return '';
+  const items = aliases
+    .map(
+      (alias) =>
+        `<li><code>${escapeHtml(alias.url)}</code> <span class="lh-alias-reason">(${escapeHtml(ALIAS_REASON_LABELS[alias.reason] || alias.reason)})</span></li>`
+    )
+    .join('');
+  return `<div class="lh-page-aliases"><h4>Also reached as</h4><ul>${items}</ul></div>`;
+}
+
+/**
+ * @param {Array<{ path: string[], url: string, auditable: boolean, reason: string|null }>|null|undefined} frames
+ * @returns {string}
+ */
+function pageFramesHtml(frames) {
+  if (!frames?.length) return '';
+  const audited = frames.filter((frame) => frame.auditable).length;
+  const skipped = frames.filter((frame) => !frame.auditable);
+  const items = skipped
+    .map(
+      (frame) =>
+        `<li><code>${escapeHtml(frame.url || frame.path.join(' › '))}</code> <span class="lh-alias-reason">(${escapeHtml(frame.reason || 'not auditable')})</span></li>`
+    )
+    .join('');
+  return `<div class="lh-page-frames"><h4>Frames</h4><p>${audited} same-origin frame${audited === 1 ? '' : 's'} audited${skipped.length ? `; ${skipped.length} not auditable:` : ''}</p>${items ? `<ul>${items}</ul>` : ''}</div>`;
+}
+
 export function generatePageRowsHtml(results) {
   return results
     .map((r, idx) => {
@@ -259,6 +314,11 @@ export function generatePageRowsHtml(results) {
               <div class="lh-stat-label">Pa11y Issues</div>
             </div>
           </div>
+          ${pageAliasesHtml(r.aliases)}
+          ${pageFramesHtml(r.frames)}
+          ${pageViewportsHtml(r.viewports, r.reflow)}
+          ${pageMediaModesHtml(r.mediaModes)}
+          ${pageStructureHtml(r.pageStructure)}
           ${(r.unifiedIssues || []).length > 0 ? `
             <div class="lh-page-issues">
               <h4>Issues on this page:</h4>
@@ -298,3 +358,135 @@ export function generateWcagSummaryHtml(issuesByWcag) {
     )
     .join('');
 }
+
+/**
+ * @param {any[]} templates - Route templates with extrapolated findings
+ * @returns {string}
+ */
+export function generateTemplateRowsHtml(templates) {
+  return templates
+    .map(
+      (t) => `
+    <details class="lh-page-audit">
+      <summary class="lh-page-header">
+        <span class="lh-page-url">${escapeHtml(t.pattern)}</span>
+        <span class="lh-page-metrics">
+          <span class="lh-metric">Pages: ${t.pageCount}</span>
+          <span class="lh-metric">Sampled: ${t.auditedSamples}</span>
+          <span class="lh-metric">Est. issues: ${t.estimatedTotalIssues}</span>
+          ${t.domVariants > 1 ? `<span class="lh-metric">${t.domVariants} layouts</span>` : ''}
+        </span>
+      </summary>
+      <div class="lh-page-body">
+        ${t.findings.length > 0 ? `
+          <h4>Extrapolated findings (avg ${t.avgIssuesPerPage} issues per sampled page):</h4>
+          <ul>
+            ${t.findings.slice(0, 20).map((f) => `
+              <li>
+                <span class="lh-tag lh-tag--${escapeHtml(f.severityLabel || 'unknown')}">${escapeHtml(f.severityLabel || 'unknown')}</span>
+                ${escapeHtml(f.message)} — on ${f.sampledPages}/${t.auditedSamples} samples, est. ${f.estimatedPages} of ${t.pageCount} pages
+              </li>
+            `).join('')}
+          </ul>
+        ` : '<p class="lh-success">✓ No issues found on sampled pages</p>'}
+        <details class="lh-evidence-context">
+          <summary>Sampled URLs (${t.sampledUrls.length})</summary>
+          <ul>${t.sampledUrls.map((url) => `<li>${escapeHtml(url)}</li>`).join('')}</ul>
+        </details>
+        <details class="lh-evidence-context">
+          <summary>Represented URLs (${t.representedUrls.length})</summary>
+          <ul>${t.representedUrls.map((url) => `<li>${escapeHtml(url)}</li>`).join('')}</ul>
+        </details>
+      </div>
+    </details>
+  `
+    )
+    .join('');
+}
+
+/**
+ * @param {any[]} origins - Per-origin compliance entries
+ * @returns {string}
+ */
+export function generateOriginRowsHtml(origins) {
+  return origins
+    .map(
+      (o) => `
+    <details class="lh-page-audit">
+      <summary class="lh-page-header">
+        <span class="lh-page-url">${escapeHtml(o.origin)}</span>
+        <span class="lh-page-metrics">
+          <span class="lh-metric ${getComplianceLevelClass(o.level)}">WCAG ${escapeHtml(o.level)}</span>
+          <span class="lh-metric ${getScoreClass(o.confirmedScore)}">Score: ${o.confirmedScore}</span>
+          <span class="lh-metric">Pages: ${o.routes}</span>
+          <span class="lh-metric">Confirmed: ${o.summary?.consideredTotal ?? 0}</span>
+        </span>
+      </summary>
+      <div class="lh-page-body">
+        <p>${escapeHtml(o.description)}</p>
+        <div class="lh-page-stats">
+          <div class="lh-stat">
+            <div class="lh-stat-value">${o.summary?.critical ?? 0}</div>
+            <div class="lh-stat-label">Critical</div>
+          </div>
+          <div class="lh-stat">
+            <div class="lh-stat-value">${o.summary?.serious ?? 0}</div>
+            <div class="lh-stat-label">Serious</div>
+          </div>
+          <div class="lh-stat">
+            <div class="lh-stat-value">${o.summary?.moderate ?? 0}</div>
+            <div class="lh-stat-label">Moderate</div>
+          </div>
+          <div class="lh-stat">
+            <div class="lh-stat-value">${o.summary?.minor ?? 0}</div>
+            <div class="lh-stat-label">Minor</div>
+          </div>
+        </div>
+      </div>
+    </details>
+  `
+    )
+    .join('');
+}
+
+/**
+ * @param {any[]} flows - Flow summaries from the report payload
+ * @param {any[]} results - Route results; flow checkpoints carry `flowStep`
+ * @returns {string}
+ */
+export function generateFlowRowsHtml(flows, results) {
+  return flows
+    .map((flow) => {
+      const checkpoints = results.filter((r) => r.flowStep?.flow === flow.name);
+      return `
+    <div class="lh-section-header">
+      ${escapeHtml(flow.name)}
+      <span class="lh-section-count">${checkpoints.length} checkpoint${checkpoints.length !== 1 ? 's' : ''}</span>
+    </div>
+    ${flow.error ? `<p class="lh-evidence-note">Flow stopped at step ${flow.error.stepIndex + 1} (${escapeHtml(flow.error.action)}): ${escapeHtml(flow.error.message)}${flow.skippedCheckpoints > 0 ? ` — ${flow.skippedCheckpoints} checkpoint(s) not reached` : ''}</p>` : ''}
+    ${checkpoints
+      .map(
+        (r, idx) => `
+      <details class="lh-page-audit" ${idx === 0 ? 'open' : ''}>
+        <summary class="lh-page-header">
+          <span class="lh-page-url">${idx + 1}. ${escapeHtml(r.flowStep.name)}</span>
+          <span class="lh-page-metrics">
+            <span class="lh-metric">Issues: ${r.unifiedIssues?.length || 0}</span>
+            ${r.errors && Object.keys(r.errors).length > 0 ? '<span class="lh-metric lh-metric--error">⚠ Errors</span>' : ''}
+          </span>
+        </summary>
+        <div class="lh-page-body">
+          <div class="lh-audit__detail"><strong>URL:</strong> ${escapeHtml(r.url)}</div>
+          ${(r.unifiedIssues || []).length > 0 ? `
+            ${(r.unifiedIssues || []).slice(0, 10).map((issue, i) => generateIssueCard(issue, i)).join('')}
+            ${(r.unifiedIssues || []).length > 10 ? `<p class="lh-more">...and ${(r.unifiedIssues || []).length - 10} more issues</p>` : ''}
+          ` : '<p class="lh-success">✓ No issues found at this step</p>'}
+        </div>
+      </details>
+    `
+      )
+      .join('')}
+  `;
+    })
+    .join('');
+}
@@ -0,0 +1,38 @@
+import { escapeHtml } from '../shared/escapeHtml.js';
+
+/**
+ * Per-viewport issue counts and the reflow result of one page.
+ *
+ * @param {any[]|null|undefined} viewports - `result.viewports`
+ * @param {{ width: number, scrollWidth: number, overflows: boolean }|null|undefined} reflow
+ * @returns {string}
+ */
+export function pageViewportsHtml(viewports, reflow) {
+  if (!viewports?.length && !reflow) return '';
+  const items = (viewports || [])
+    .map((viewport) => {
+      const errors = Object.keys(viewport.errors || {});
+      return `<li><strong>${escapeHtml(viewport.name)}</strong> <span class="lh-alias-reason">(${viewport.width}×${viewport.height}${viewport.hasTouch ? ', touch' : ''})</span>: ${viewport.totalIssues} issue${viewport.totalIssues === 1 ? '' : 's'}${viewport.viewportSpecificIssues ? `, ${viewport.viewportSpecificIssues} only at some sizes` : ''}${errors.length ? ` <span class="lh-alias-reason">(${escapeHtml(errors.join(', '))} failed)</span>` : ''}</li>`;
+    })
+    .join('');
+  const reflowLine = reflow
+    ? `<p>Reflow at ${reflow.width}px: ${reflow.overflows ? `<strong>scrolls horizontally</strong> (page is ${reflow.scrollWidth}px wide)` : 'no horizontal scrolling'}</p>`
+    : '';
+  return `<div class="lh-page-viewports"><h4>Viewports</h4>${items ? `<ul>${items}</ul>` : ''}${reflowLine}</div>`;
+}
+
+/**
+ * Issue card line naming the viewports an issue was found at, when it was
+ * not found at every audited viewport.
+ *
+ * @param {any} issue
+ * @returns {string}
+ */
+export function issueViewportsHtml(issue) {
+  if (!issue.viewportSpecific || !issue.viewports?.length) return '';
+  return `
+          <div class="lh-audit__detail">
+            <strong>Only at viewports:</strong> ${escapeHtml(issue.viewports.join(', '))}
+          </div>
+        `;
+}
@@ -0,0 +1,57 @@
+/**
+ * @typedef {Object} ErrorPage
+ * @property {string} url
+ * @property {'http-error'|'soft-404'|'soft-error'|'login-wall'} kind
+ * @property {'http-status'|'not-found-text'|'error-text'|'matches-not-found-page'|'login-url'|'login-selector'} reason
+ * @property {number|null} status
+ * @property {number} [similarity]
+ * @property {string} [finalUrl] - Login-wall pages: where the route ended up
+ * @property {number} [reauthAttempts] - Login-wall pages: re-authentications tried
+ */
+
+/**
+ * Split audit results into audited pages and the routes classified as error,
+ * soft-404 or login-wall pages, which are listed apart and kept out of scoring.
+ *
+ * @param {any[]} results
+ * @returns {{ audited: any[], errorPages: ErrorPage[] }}
+ */
+export function partitionErrorPages(results) {
+  const audited = [];
+  const errorPages = [];
+  for (const row of results) {
+    if (row.pageClass) errorPages.push({ url: row.url, ...row.pageClass });
+    else audited.push(row);
+  }
+  return { audited, errorPages };
+}
+
+/**
+ * One-line reason a route was classified as an error page.
+ *
+ * @param {ErrorPage} page
+ * @returns {string}
+ */
+export function describeErrorPage(page) {
+  const status = page.status !== null && page.status !== undefined ? `HTTP ${page.status}` : '';
+  switch (page.reason) {
+    case 'http-status':
+      return status || 'HTTP error';
+    case 'not-found-text':
+      return `soft 404: "not found" wording${status ? ` (${status})` : ''}`;
+    case 'matches-not-found-page':
+      return `soft 404: ${Math.round((page.similarity ?? 1) * 100)}% similar to the site's not-found page`;
+    case 'error-text':
+      return `error page: error wording${status ? ` (${status})` : ''}`;
+    case 'login-url':
+    case 'login-selector': {
+      const where =
+        page.reason === 'login-url' ? `redirected to ${page.finalUrl}` : 'login form shown';
+      return `login wall: ${where}${page.reauthAttempts ? ' after re-authenticating' : ''}`;
+    }
+    default:
+      return page.kind;
+  }
+}
+
+export default partitionErrorPages;
@@ -0,0 +1,31 @@
+/**
+ * Summarise user-flow runs for the report: one entry per flow, listing its
+ * audit checkpoints in step order and where the flow stopped if it failed.
+ *
+ * @param {Array<{ name: string, steps: Array<{ action: string, name?: string }> }>} flows
+ * @param {Array<{ name: string, results: any[], error: any, durationMs: number }|undefined>} flowRuns - Indexed like `flows`
+ */
+export function summarizeFlowRuns(flows, flowRuns) {
+  return (flows || []).map((flow, index) => {
+    const run = flowRuns[index];
+    const results = run?.results || [];
+
+    return {
+      name: flow.name,
+      totalSteps: flow.steps.length,
+      durationMs: run?.durationMs ?? 0,
+      error: run ? run.error : { stepIndex: 0, action: 'goto', message: 'Flow did not run' },
+      checkpoints: results.map((row) => ({
+        name: row.flowStep?.name,
+        stepIndex: row.flowStep?.stepIndex,
+        url: row.url,
+        totalIssues: row.totalIssues ?? 0,
+        errors: row.errors || {},
+      })),
+      skippedCheckpoints:
+        flow.steps.filter((step) => step.action === 'audit').length - results.length,
+    };
+  });
+}
+
+export default summarizeFlowRuns;
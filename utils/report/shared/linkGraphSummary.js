@@ -0,0 +1,14 @@
+/**
+ * Report view of the crawl link graph: everything except the edge list, which
+ * is written to its own `.links.json` artifact.
+ *
+ * @param {{ edges?: any[] } & Record<string, any>} linkGraph
+ * @returns {Record<string, any>}
+ */
+export function summarizeLinkGraph(linkGraph) {
+  const { edges, ...summary } = linkGraph;
+  const navigationLinks = (edges || []).filter((edge) => edge.region === 'navigation').length;
+  return { ...summary, navigationLinks, contentLinks: (edges || []).length - navigationLinks };
+}
+
+export default summarizeLinkGraph;
@@ -0,0 +1,83 @@
+/**
+ * @typedef {import('../../SeverityMapper.js').UnifiedIssue} UnifiedIssue
+ */
+
+/**
+ * @param {UnifiedIssue} issue
+ * @returns {string}
+ */
+function ruleKey(issue) {
+  const meta = issue.engineMeta || {};
+  const rule = meta.ruleId || meta.auditId || meta.ruleCode || meta.checkId;
+  if (rule) return `${issue.tool}:${rule}`;
+  return `${issue.tool}:${String(issue.message || '').toLowerCase().slice(0, 120)}`;
+}
+
+/**
+ * Extrapolate sampled findings to every URL a route template represents.
+ *
+ * Each rule's prevalence is the share of audited samples it was found on;
+ * the estimate assumes the same share holds for the represented URLs.
+ *
+ * @param {Array<{ id: string, pattern: string, domVariants: number, sampledUrls: string[], representedUrls: string[] }>} templates
+ * @param {Array<{ url: string, totalIssues?: number, unifiedIssues?: UnifiedIssue[] }>} results
+ */
+export function extrapolateTemplateFindings(templates, results) {
+  const resultsByUrl = new Map((results || []).map((row) => [row.url, row]));
+
+  return (templates || []).map((template) => {
+    const samples = template.sampledUrls.map((url) => resultsByUrl.get(url)).filter(Boolean);
+    const pageCount = template.sampledUrls.length + template.representedUrls.length;
+    const sampleCount = samples.length;
+
+    /** @type {Map<string, { ruleKey: string, message: string, severityLabel: string, wcagCriteria: string[], pages: Set<string>, occurrences: number }>} */
+    const rules = new Map();
+    for (const row of samples) {
+      for (const issue of row.unifiedIssues || []) {
+        const key = ruleKey(issue);
+        if (!rules.has(key)) {
+          rules.set(key, {
+            ruleKey: key,
+            message: issue.message,
+            severityLabel: issue.severityLabel,
+            wcagCriteria: (issue.wcagCriteria || []).map((c) => c.id),
+            pages: new Set(),
+            occurrences: 0,
+          });
+        }
+        const entry = rules.get(key);
+        entry.pages.add(row.url);
+        entry.occurrences += 1;
+      }
+    }
+
+    const totalSampledIssues = samples.reduce((sum, row) => sum + (row.totalIssues ?? 0), 0);
+    const avgIssuesPerPage = sampleCount > 0 ? totalSampledIssues / sampleCount : 0;
+
+    const findings = Array.from(rules.values())
+      .map((entry) => {
+        const prevalence = sampleCount > 0 ? entry.pages.size / sampleCount : 0;
+        return {
+          ruleKey: entry.ruleKey,
+          message: entry.message,
+          severityLabel: entry.severityLabel,
+          wcagCriteria: entry.wcagCriteria,
+          sampledPages: entry.pages.size,
+          prevalence: Math.round(prevalence * 100) / 100,
+          estimatedPages: Math.round(prevalence * pageCount),
+        };
+      })
+      .sort((a, b) => b.estimatedPages - a.estimatedPages || a.ruleKey.localeCompare(b.ruleKey));
+
+    return {
+      ...template,
+      pageCount,
+      auditedSamples: sampleCount,
+      avgIssuesPerPage: Math.round(avgIssuesPerPage * 10) / 10,
+      estimatedTotalIssues: Math.round(avgIssuesPerPage * pageCount),
+      findings,
+    };
+  });
+}
+
+export default extrapolateTemplateFindings;
@@ -0,0 +1,8 @@
+export const KEYBOARD_TO_WCAG = {
+  'keyboard-trap': ['2.1.2'],
+  'keyboard-unreachable': ['2.1.1'],
+  'focus-hidden': ['2.4.3', '2.4.7'],
+  'focus-indicator-missing': ['2.4.7'],
+};
+
+export default KEYBOARD_TO_WCAG;
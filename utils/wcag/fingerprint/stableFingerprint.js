@@ -36,7 +36,10 @@ function normaliseSelector(selector) {
  */
 export function getStableFingerprint(issue) {
   const urlPath = normaliseIssuePath(issue?.url);
-  const normalizedSelector = normaliseSelector(issue?.selector || '');
+  // The frame path is folded into the selector only when present, so
+  // fingerprints of top-document issues are unchanged.
+  const framePath = Array.isArray(issue?.framePath) ? issue.framePath : [];
+  const normalizedSelector = normaliseSelector([...framePath, issue?.selector || ''].join(' >>> '));
   const normalizedMessage = String(issue?.message || '')
     .toLowerCase()
     .replace(/\s+/g, ' ')
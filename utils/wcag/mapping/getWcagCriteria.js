@@ -2,6 +2,7 @@ import { WCAG_CRITERIA } from '../data/wcagCriteria.js';
 import { AXE_TO_WCAG } from '../data/axeToWcag.js';
 import { PA11Y_TO_WCAG } from '../data/pa11yToWcag.js';
 import { LIGHTHOUSE_TO_WCAG } from '../data/lighthouseToWcag.js';
+import { KEYBOARD_TO_WCAG } from '../data/keyboardToWcag.js';
 
 /**
  * @param {string[]} criteriaIds
@@ -52,4 +53,12 @@ export function getWcagForLighthouseAudit(auditId) {
   return mapCriteriaIds(criteriaIds);
 }
 
+/**
+ * @param {string} checkId - Keyboard navigation check
+ */
+export function getWcagForKeyboardCheck(checkId) {
+  const criteriaIds = KEYBOARD_TO_WCAG[checkId] ?? [];
+  return mapCriteriaIds(criteriaIds);
+}
+
 export { WCAG_CRITERIA };